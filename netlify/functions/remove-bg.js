@@ -0,0 +1,247 @@
+/**
+ * Remove.bg Proxy Function (Netlify Functions)
+ *
+ * Forwards background removal requests to the Remove.bg API and adds the
+ * API key on the server side, so the key never ships in the client bundle.
+ * The multipart body is forwarded untouched (including its boundary).
+ *
+ * Routes (see netlify.toml):
+ *   POST /api/remove-bg/v1.0/removebg  ->  https://api.remove.bg/v1.0/removebg
+ *   GET  /api/remove-bg/v1.0/account   ->  https://api.remove.bg/v1.0/account
+ *
+ * Server-side environment variables:
+ *   REMOVE_BG_API_KEY           Remove.bg API key (required)
+ *   REMOVE_BG_UPSTREAM_URL      Upstream base URL (default https://api.remove.bg),
+ *                               point it at a local stub when running `netlify dev`
+ *   REMOVE_BG_PROXY_RATE_LIMIT  Requests allowed per client IP per window (default 10)
+ *   REMOVE_BG_PROXY_RATE_WINDOW Rate limit window in seconds (default 60)
+ */
+
+const DEFAULT_UPSTREAM_URL = 'https://api.remove.bg';
+const DEFAULT_RATE_LIMIT = 10;
+const DEFAULT_RATE_WINDOW = 60;
+
+// Upstream paths the proxy may forward to, with the HTTP method each accepts
+const ALLOWED_ROUTES = {
+  'v1.0/removebg': 'POST',
+  'v1.0/account': 'GET'
+};
+
+// Response headers the client reads (result metadata and rate limit info)
+const FORWARDED_RESPONSE_HEADERS = [
+  'content-type',
+  'retry-after',
+  'x-credits-charged',
+  'x-type',
+  'x-width',
+  'x-height',
+  'x-foreground-top',
+  'x-foreground-left',
+  'x-foreground-width',
+  'x-foreground-height',
+  'x-ratelimit-limit',
+  'x-ratelimit-remaining',
+  'x-ratelimit-reset'
+];
+
+/**
+ * Parse a positive integer setting, falling back to a default
+ *
+ * @param {string|number|undefined} value - Raw setting
+ * @param {number} fallback - Default value
+ * @returns {number} - Parsed value
+ */
+function toPositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Build a JSON response in the Remove.bg error format
+ *
+ * @param {number} statusCode - HTTP status code
+ * @param {string} title - Error message
+ * @param {Object} headers - Extra response headers
+ * @returns {Object} - Netlify function response
+ */
+function errorResponse(statusCode, title, headers = {}) {
+  return {
+    statusCode,
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify({ errors: [{ title }] })
+  };
+}
+
+/**
+ * Read a request header case-insensitively
+ *
+ * @param {Object} headers - Request headers
+ * @param {string} name - Lower-case header name
+ * @returns {string|undefined} - Header value
+ */
+function getHeader(headers = {}, name) {
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+/**
+ * Resolve the client IP address of a request
+ *
+ * @param {Object} event - Netlify function event
+ * @returns {string} - Client IP (or 'unknown')
+ */
+function getClientIp(event) {
+  const forwardedFor = getHeader(event.headers, 'x-forwarded-for');
+  return getHeader(event.headers, 'x-nf-client-connection-ip')
+    || (forwardedFor && forwardedFor.split(',')[0].trim())
+    || 'unknown';
+}
+
+/**
+ * Create a fixed-window per-IP rate limiter
+ *
+ * Counters live in the function instance's memory, so the limit is
+ * best-effort: each warm instance keeps its own counts.
+ *
+ * @param {Object} options - { limit, windowMs, now }
+ * @returns {Function} - (ip) => { allowed, limit, remaining, reset (Unix seconds) }
+ */
+function createRateLimiter({ limit, windowMs, now }) {
+  const windows = new Map();
+
+  return function hit(ip) {
+    const time = now();
+
+    // Drop expired windows so the map cannot grow without bound
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= time) {
+        windows.delete(key);
+      }
+    }
+
+    let entry = windows.get(ip);
+    if (!entry) {
+      entry = { count: 0, resetAt: time + windowMs };
+      windows.set(ip, entry);
+    }
+
+    entry.count++;
+
+    return {
+      allowed: entry.count <= limit,
+      limit,
+      remaining: Math.max(0, limit - entry.count),
+      reset: Math.ceil(entry.resetAt / 1000),
+      retryAfter: Math.max(1, Math.ceil((entry.resetAt - time) / 1000))
+    };
+  };
+}
+
+/**
+ * Create the proxy handler
+ *
+ * All dependencies can be injected so the function can be exercised locally
+ * against a stubbed upstream.
+ *
+ * @param {Object} options - Handler options
+ * @param {string} options.apiKey - Remove.bg API key
+ * @param {string} options.upstreamUrl - Upstream base URL
+ * @param {Function} options.fetch - fetch implementation used for the upstream call
+ * @param {number} options.rateLimit - Requests allowed per client IP per window
+ * @param {number} options.rateWindow - Rate limit window in seconds
+ * @param {Function} options.now - Clock (milliseconds)
+ * @returns {Function} - Netlify function handler
+ *
+ * @example
+ * const handler = createHandler({ apiKey: 'test', fetch: stubFetch });
+ * const response = await handler(event);
+ */
+function createHandler(options = {}) {
+  const {
+    apiKey = process.env.REMOVE_BG_API_KEY,
+    upstreamUrl = process.env.REMOVE_BG_UPSTREAM_URL || DEFAULT_UPSTREAM_URL,
+    fetch: fetchImpl = (...args) => fetch(...args),
+    rateLimit = toPositiveInt(process.env.REMOVE_BG_PROXY_RATE_LIMIT, DEFAULT_RATE_LIMIT),
+    rateWindow = toPositiveInt(process.env.REMOVE_BG_PROXY_RATE_WINDOW, DEFAULT_RATE_WINDOW),
+    now = Date.now
+  } = options;
+
+  const hitRateLimit = createRateLimiter({ limit: rateLimit, windowMs: rateWindow * 1000, now });
+
+  return async function handler(event) {
+    const match = /(v1\.0\/(?:removebg|account))\/?$/.exec(event.path || '');
+    const route = match && match[1];
+
+    if (!route) {
+      return errorResponse(404, 'Not found');
+    }
+
+    if (event.httpMethod !== ALLOWED_ROUTES[route]) {
+      return errorResponse(405, 'Method not allowed', { allow: ALLOWED_ROUTES[route] });
+    }
+
+    if (!apiKey) {
+      console.error('REMOVE_BG_API_KEY is not configured for the proxy function');
+      return errorResponse(500, 'Proxy is not configured');
+    }
+
+    const quota = hitRateLimit(getClientIp(event));
+    const rateLimitHeaders = {
+      'x-ratelimit-limit': String(quota.limit),
+      'x-ratelimit-remaining': String(quota.remaining),
+      'x-ratelimit-reset': String(quota.reset)
+    };
+
+    if (!quota.allowed) {
+      return errorResponse(429, 'Rate limit exceeded', {
+        ...rateLimitHeaders,
+        'retry-after': String(quota.retryAfter)
+      });
+    }
+
+    const headers = { 'X-Api-Key': apiKey, accept: getHeader(event.headers, 'accept') || '*/*' };
+    const contentType = getHeader(event.headers, 'content-type');
+    if (contentType) {
+      headers['content-type'] = contentType;
+    }
+
+    let body;
+    if (event.httpMethod === 'POST' && event.body) {
+      body = Buffer.from(event.body, event.isBase64Encoded ? 'base64' : 'utf8');
+    }
+
+    let upstream;
+    try {
+      upstream = await fetchImpl(`${upstreamUrl.replace(/\/$/, '')}/${route}`, {
+        method: event.httpMethod,
+        headers,
+        body
+      });
+    } catch (error) {
+      console.error('Remove.bg upstream request failed:', error);
+      return errorResponse(502, 'Upstream request failed');
+    }
+
+    const responseHeaders = { ...rateLimitHeaders };
+    FORWARDED_RESPONSE_HEADERS.forEach(name => {
+      const value = upstream.headers.get(name);
+      if (value !== null && value !== undefined) {
+        responseHeaders[name] = value;
+      }
+    });
+
+    const responseBody = Buffer.from(await upstream.arrayBuffer());
+
+    return {
+      statusCode: upstream.status,
+      headers: responseHeaders,
+      body: responseBody.toString('base64'),
+      isBase64Encoded: true
+    };
+  };
+}
+
+module.exports = {
+  createHandler,
+  handler: createHandler()
+};
@@ -47,7 +47,9 @@ export const ERROR_TYPES = {
   UPLOAD_ERROR: 'UPLOAD_ERROR',
   PROCESSING_ERROR: 'PROCESSING_ERROR',
   API_ERROR: 'API_ERROR',
-  NETWORK_ERROR: 'NETWORK_ERROR'
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  // Not a failure: the user aborted the operation
+  CANCELLED: 'CANCELLED'
 };
 
 /**
@@ -61,10 +63,15 @@ export const ERROR_CODES = {
   IMAGE_LOAD_ERROR: 'IMAGE_LOAD_ERROR',
   API_KEY_INVALID: 'API_KEY_INVALID',
   API_QUOTA_EXCEEDED: 'API_QUOTA_EXCEEDED',
+  API_RATE_LIMITED: 'API_RATE_LIMITED',
   API_SERVICE_UNAVAILABLE: 'API_SERVICE_UNAVAILABLE',
   API_BAD_REQUEST: 'API_BAD_REQUEST',
   NETWORK_TIMEOUT: 'NETWORK_TIMEOUT',
-  NETWORK_OFFLINE: 'NETWORK_OFFLINE'
+  NETWORK_OFFLINE: 'NETWORK_OFFLINE',
+  PROCESSING_CANCELLED: 'PROCESSING_CANCELLED',
+  API_KEY_LOCKED: 'API_KEY_LOCKED',
+  API_KEY_PASSPHRASE_INVALID: 'API_KEY_PASSPHRASE_INVALID',
+  USAGE_BUDGET_EXCEEDED: 'USAGE_BUDGET_EXCEEDED'
 };
 
 /**
@@ -78,10 +85,15 @@ export const ERROR_MESSAGES = {
   [ERROR_CODES.IMAGE_LOAD_ERROR]: '图片加载失败，请重试或尝试其他图片',
   [ERROR_CODES.API_KEY_INVALID]: 'API密钥无效，请联系管理员',
   [ERROR_CODES.API_QUOTA_EXCEEDED]: 'API配额已用完，请联系管理员',
+  [ERROR_CODES.API_RATE_LIMITED]: '请求过于频繁，请稍后重试',
   [ERROR_CODES.API_SERVICE_UNAVAILABLE]: '服务暂时不可用，请稍后重试',
   [ERROR_CODES.API_BAD_REQUEST]: '无法识别图片中的T恤图案，请尝试更清晰的照片',
   [ERROR_CODES.NETWORK_TIMEOUT]: '网络请求超时，请检查网络后重试',
-  [ERROR_CODES.NETWORK_OFFLINE]: '网络连接失败，请检查网络后重试'
+  [ERROR_CODES.NETWORK_OFFLINE]: '网络连接失败，请检查网络后重试',
+  [ERROR_CODES.PROCESSING_CANCELLED]: '处理已取消',
+  [ERROR_CODES.API_KEY_LOCKED]: '已保存的API密钥已加密，请输入密码解锁',
+  [ERROR_CODES.API_KEY_PASSPHRASE_INVALID]: '密码错误，无法解锁已保存的API密钥',
+  [ERROR_CODES.USAGE_BUDGET_EXCEEDED]: '已达到 API 使用预算上限，可在用量记录中调整预算'
 };
 
 // ============================================================================
@@ -98,9 +110,21 @@ export const PROCESSING_STATUS = {
   REMOVING_BACKGROUND: 'removing-background',
   RENDERING: 'rendering',
   COMPLETE: 'complete',
+  CANCELLED: 'cancelled',
   ERROR: 'error'
 };
 
+/**
+ * Share of the overall progress bar (0-100) covered by each processing stage
+ * Upload and download progress are reported by the HTTP providers; the time
+ * the server spends removing the background is covered by the download stage
+ */
+export const PROGRESS_STAGES = {
+  [PROCESSING_STATUS.UPLOADING]: { START: 0, END: 40 },
+  [PROCESSING_STATUS.REMOVING_BACKGROUND]: { START: 40, END: 90 },
+  [PROCESSING_STATUS.RENDERING]: { START: 90, END: 100 }
+};
+
 // ============================================================================
 // Image Processing Constants
 // ============================================================================
@@ -157,6 +181,16 @@ export const API_RETRY_CONFIG = {
   BACKOFF_MULTIPLIER: 2 // Exponential backoff: 1s, 2s, 4s
 };
 
+/**
+ * Rate limit (HTTP 429) handling
+ * The server-specified delay (Retry-After / X-RateLimit-Reset) is honored up to MAX_DELAY;
+ * DEFAULT_DELAY is used when the response carries neither header
+ */
+export const RATE_LIMIT_CONFIG = {
+  DEFAULT_DELAY: 5000, // 5 seconds
+  MAX_DELAY: 60000     // Give up instead of waiting longer than 1 minute
+};
+
 /**
  * API timeout in milliseconds
  * Can be overridden by VUE_APP_API_TIMEOUT environment variable
@@ -165,6 +199,14 @@ export const API_TIMEOUT = process.env.VUE_APP_API_TIMEOUT
   ? parseInt(process.env.VUE_APP_API_TIMEOUT, 10)
   : 30000; // 30 seconds
 
+/**
+ * Circuit breaker configuration for the provider fallback chain
+ */
+export const CIRCUIT_BREAKER_CONFIG = {
+  FAILURE_THRESHOLD: 3, // Consecutive failures before a provider is skipped
+  COOLDOWN: 60000       // Skip a failing provider for 1 minute
+};
+
 /**
  * Remove.bg API endpoint
  * Can be overridden by VUE_APP_REMOVE_BG_API_ENDPOINT environment variable
@@ -172,12 +214,130 @@ export const API_TIMEOUT = process.env.VUE_APP_API_TIMEOUT
 export const REMOVE_BG_API_ENDPOINT = process.env.VUE_APP_REMOVE_BG_API_ENDPOINT
   || 'https://api.remove.bg/v1.0/removebg';
 
+/**
+ * Remove.bg result format requested by the processing pipeline
+ * 'zip' downloads a JPEG plus an alpha mask (much smaller for HD results)
+ * and is composited into a transparent PNG in the browser
+ * Can be overridden by VUE_APP_REMOVE_BG_FORMAT environment variable
+ */
+export const REMOVE_BG_FORMAT = process.env.VUE_APP_REMOVE_BG_FORMAT || 'png';
+
 /**
  * Remove.bg API key
  * Must be set via VUE_APP_REMOVE_BG_API_KEY environment variable
  */
 export const REMOVE_BG_API_KEY = process.env.VUE_APP_REMOVE_BG_API_KEY || '';
 
+/**
+ * Route Remove.bg requests through the server-side proxy (Netlify function or
+ * dev server proxy), which adds the API key so it is never bundled
+ * Can be enabled with VUE_APP_REMOVE_BG_USE_PROXY=true
+ */
+export const REMOVE_BG_USE_PROXY = process.env.VUE_APP_REMOVE_BG_USE_PROXY === 'true';
+
+/**
+ * Remove.bg endpoint used in proxy mode
+ * Can be overridden by VUE_APP_REMOVE_BG_PROXY_ENDPOINT environment variable
+ */
+export const REMOVE_BG_PROXY_ENDPOINT = process.env.VUE_APP_REMOVE_BG_PROXY_ENDPOINT
+  || '/api/remove-bg/v1.0/removebg';
+
+/**
+ * localStorage key for a user-supplied (bring-your-own) Remove.bg API key
+ */
+export const API_KEY_STORAGE_KEY = 'tshirt-design-extractor:remove-bg-api-key';
+
+/**
+ * Passphrase encryption for the stored API key (PBKDF2 + AES-GCM)
+ */
+export const API_KEY_ENCRYPTION_CONFIG = {
+  ITERATIONS: 150000, // PBKDF2-SHA-256 iterations
+  SALT_LENGTH: 16,    // Bytes
+  IV_LENGTH: 12       // Bytes (AES-GCM nonce)
+};
+
+/**
+ * Show a low-credit warning when the Remove.bg balance drops below this value
+ * Can be overridden by VUE_APP_CREDITS_WARNING_THRESHOLD environment variable
+ */
+export const CREDITS_WARNING_THRESHOLD = process.env.VUE_APP_CREDITS_WARNING_THRESHOLD
+  ? parseInt(process.env.VUE_APP_CREDITS_WARNING_THRESHOLD, 10)
+  : 10;
+
+/**
+ * Budget periods for the API usage ledger
+ */
+export const USAGE_BUDGET_PERIODS = {
+  DAY: 'day',
+  MONTH: 'month'
+};
+
+/**
+ * Outcomes recorded in the API usage ledger
+ */
+export const USAGE_OUTCOMES = {
+  SUCCESS: 'success',
+  ERROR: 'error',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * API usage ledger configuration
+ * The budget is counted in Remove.bg credits (0 disables it) and can be
+ * changed in the usage panel; these are the defaults
+ * Can be overridden by VUE_APP_USAGE_BUDGET_CREDITS and
+ * VUE_APP_USAGE_BUDGET_PERIOD ('day' or 'month') environment variables
+ */
+export const USAGE_LEDGER_CONFIG = {
+  STORAGE_KEY: 'tshirt-design-extractor:usage-ledger',
+  BUDGET_STORAGE_KEY: 'tshirt-design-extractor:usage-budget',
+  MAX_RECORDS: 2000, // Oldest records are dropped beyond this
+  BUDGET_CREDITS: process.env.VUE_APP_USAGE_BUDGET_CREDITS
+    ? parseFloat(process.env.VUE_APP_USAGE_BUDGET_CREDITS)
+    : 0,
+  BUDGET_PERIOD: process.env.VUE_APP_USAGE_BUDGET_PERIOD || USAGE_BUDGET_PERIODS.MONTH
+};
+
+/**
+ * Background removal provider ('removebg', 'rembg' or 'local')
+ * A comma-separated list (e.g. 'removebg,rembg,local') builds a fallback chain
+ * Can be overridden by VUE_APP_BACKGROUND_REMOVAL_PROVIDER environment variable
+ * Falls back to 'local' when 'removebg' is selected but no API key is set
+ */
+export const BACKGROUND_REMOVAL_PROVIDER = process.env.VUE_APP_BACKGROUND_REMOVAL_PROVIDER
+  || 'removebg';
+
+/**
+ * Self-hosted rembg server base URL
+ * Can be overridden by VUE_APP_REMBG_BASE_URL environment variable
+ */
+export const REMBG_BASE_URL = process.env.VUE_APP_REMBG_BASE_URL
+  || 'http://localhost:7000';
+
+/**
+ * Segmentation model used by the rembg server
+ * Can be overridden by VUE_APP_REMBG_MODEL environment variable
+ */
+export const REMBG_MODEL = process.env.VUE_APP_REMBG_MODEL || 'u2net';
+
+/**
+ * rembg request timeout in milliseconds
+ * Self-hosted models on CPU can be slower than remove.bg, so this is separate from API_TIMEOUT
+ * Can be overridden by VUE_APP_REMBG_TIMEOUT environment variable
+ */
+export const REMBG_TIMEOUT = process.env.VUE_APP_REMBG_TIMEOUT
+  ? parseInt(process.env.VUE_APP_REMBG_TIMEOUT, 10)
+  : 60000; // 60 seconds
+
+/**
+ * Local (in-browser) background removal configuration
+ */
+export const LOCAL_REMOVAL_CONFIG = {
+  TOLERANCE: 40,      // Max RGB distance from the backdrop color treated as background
+  EDGE_SOFTNESS: 30,  // RGB distance range over which edge pixels fade in
+  SMOOTHING_RADIUS: 1 // Alpha mask blur radius in pixels
+};
+
 // ============================================================================
 // UI Constants
 // ============================================================================
@@ -230,6 +390,264 @@ export const PATTERN_PADDING = process.env.VUE_APP_PATTERN_PADDING
   ? parseInt(process.env.VUE_APP_PATTERN_PADDING, 10)
   : 20;
 
+/**
+ * Strategies for cropping the result to the pattern
+ * - API: let the provider crop (Remove.bg `crop` flag)
+ * - LOCAL_BOUNDS: crop in the browser to the bounds of pixels that differ from the shirt color
+ * - LOCAL_DENSITY: crop in the browser to the rows and columns dense with content
+ * - NONE: keep the whole background-removed image
+ */
+export const CROP_STRATEGIES = {
+  API: 'api',
+  LOCAL_BOUNDS: 'local-bounds',
+  LOCAL_DENSITY: 'local-density',
+  NONE: 'none'
+};
+
+/**
+ * Default crop strategy
+ * Falls back to API cropping, or no cropping when pattern extraction is disabled
+ */
+export const CROP_STRATEGY = Object.values(CROP_STRATEGIES).includes(process.env.VUE_APP_CROP_STRATEGY)
+  ? process.env.VUE_APP_CROP_STRATEGY
+  : (ENABLE_PATTERN_EXTRACTION ? CROP_STRATEGIES.API : CROP_STRATEGIES.NONE);
+
+/**
+ * Alpha threshold (0-255) above which a pixel counts as content for local cropping
+ */
+export const PATTERN_ALPHA_THRESHOLD = process.env.VUE_APP_PATTERN_ALPHA_THRESHOLD
+  ? parseInt(process.env.VUE_APP_PATTERN_ALPHA_THRESHOLD, 10)
+  : 10;
+
+/**
+ * Fraction of content (0-1) a row or column needs to be kept by density cropping
+ */
+export const PATTERN_DENSITY_THRESHOLD = process.env.VUE_APP_PATTERN_DENSITY_THRESHOLD
+  ? parseFloat(process.env.VUE_APP_PATTERN_DENSITY_THRESHOLD)
+  : 0.05;
+
+/**
+ * Morphological cleanup of the alpha mask before perspective detection, region
+ * detection and cropping, so stray specks of background don't drag the crop bounds
+ * outward or turn into regions of their own
+ * - OPEN / CLOSE / ERODE / DILATE: radius in pixels (0 to skip)
+ * - REMOVE_ISLANDS: content specks smaller than this many pixels are made transparent (0 to skip)
+ * - FILL_HOLES: enclosed gaps smaller than this many pixels are filled (0 to skip)
+ * - MAX_RADIUS: largest accepted radius
+ */
+export const MASK_CLEANUP_CONFIG = {
+  OPEN: process.env.VUE_APP_MASK_OPEN_RADIUS
+    ? parseInt(process.env.VUE_APP_MASK_OPEN_RADIUS, 10)
+    : 0,
+  CLOSE: process.env.VUE_APP_MASK_CLOSE_RADIUS
+    ? parseInt(process.env.VUE_APP_MASK_CLOSE_RADIUS, 10)
+    : 0,
+  ERODE: 0,
+  DILATE: 0,
+  REMOVE_ISLANDS: process.env.VUE_APP_MASK_REMOVE_ISLANDS
+    ? parseInt(process.env.VUE_APP_MASK_REMOVE_ISLANDS, 10)
+    : 0,
+  FILL_HOLES: process.env.VUE_APP_MASK_FILL_HOLES
+    ? parseInt(process.env.VUE_APP_MASK_FILL_HOLES, 10)
+    : 0,
+  MAX_RADIUS: 10
+};
+
+/**
+ * Fabric keying: make pixels close to the garment color transparent
+ * so only the print remains
+ * - TOLERANCE: color distance (RGB) keyed out completely
+ * - SOFTNESS: color distance beyond the tolerance over which pixels fade in
+ * - MAX_TOLERANCE: upper end of the tolerance control
+ */
+export const FABRIC_KEYING_CONFIG = {
+  ENABLED: process.env.VUE_APP_ENABLE_FABRIC_KEYING !== 'false',
+  TOLERANCE: process.env.VUE_APP_FABRIC_KEYING_TOLERANCE
+    ? parseInt(process.env.VUE_APP_FABRIC_KEYING_TOLERANCE, 10)
+    : 40,
+  SOFTNESS: process.env.VUE_APP_FABRIC_KEYING_SOFTNESS
+    ? parseInt(process.env.VUE_APP_FABRIC_KEYING_SOFTNESS, 10)
+    : 20,
+  MAX_TOLERANCE: 150
+};
+
+/**
+ * Flat-field correction of uneven lighting (folds, studio lights) across the print
+ * - STRENGTH: how much of the estimated shading is removed (0-1)
+ * - TOLERANCE: color distance, after normalizing brightness, within which a pixel counts as fabric
+ * - GRID_SIZE: rows and columns of the illumination grid (smaller means smoother)
+ * - PREVIEW_SIZE: longest side (pixels) of the preview shown before processing
+ * - PREVIEW_DELAY: milliseconds the strength slider has to rest before the preview is redrawn
+ */
+export const LIGHTING_CORRECTION_CONFIG = {
+  ENABLED: process.env.VUE_APP_ENABLE_LIGHTING_CORRECTION !== 'false',
+  STRENGTH: process.env.VUE_APP_LIGHTING_CORRECTION_STRENGTH
+    ? parseFloat(process.env.VUE_APP_LIGHTING_CORRECTION_STRENGTH)
+    : 0.8,
+  TOLERANCE: 60,
+  GRID_SIZE: 16,
+  PREVIEW_SIZE: 240,
+  PREVIEW_DELAY: 150
+};
+
+/**
+ * Refinement of semi-transparent edges, where the old background or the fabric
+ * still shows as a halo
+ * - DECONTAMINATE: remove the background color mixed into edge pixels
+ * - SHRINK: pixels to pull the edge in by (0 to keep it)
+ * - FEATHER: pixels to soften the edge over (0 to keep it)
+ * - MAX_RADIUS: upper end of the shrink and feather controls
+ * - SOLID_ALPHA: alpha (0-255) from which a pixel counts as pure design
+ * - BACKGROUND_CELL: size (pixels) of the blocks the halo's background color is estimated in,
+ *   so shadows, folds and gradients behind the design are removed locally
+ */
+export const EDGE_REFINEMENT_CONFIG = {
+  DECONTAMINATE: process.env.VUE_APP_ENABLE_EDGE_DECONTAMINATION !== 'false',
+  SHRINK: process.env.VUE_APP_EDGE_SHRINK
+    ? parseInt(process.env.VUE_APP_EDGE_SHRINK, 10)
+    : 0,
+  FEATHER: process.env.VUE_APP_EDGE_FEATHER
+    ? parseInt(process.env.VUE_APP_EDGE_FEATHER, 10)
+    : 0,
+  MAX_RADIUS: 5,
+  SOLID_ALPHA: 240,
+  BACKGROUND_CELL: 32
+};
+
+/**
+ * Detection of separate designs in one photo (e.g. a chest logo and a sleeve print)
+ * - MERGE_DISTANCE: fragments closer than this (pixels) belong to the same design
+ * - MIN_AREA: designs with fewer content pixels are dropped as specks
+ */
+export const REGION_DETECTION_CONFIG = {
+  ENABLED: process.env.VUE_APP_ENABLE_REGION_DETECTION !== 'false',
+  MERGE_DISTANCE: process.env.VUE_APP_REGION_MERGE_DISTANCE
+    ? parseInt(process.env.VUE_APP_REGION_MERGE_DISTANCE, 10)
+    : 20,
+  MIN_AREA: process.env.VUE_APP_REGION_MIN_AREA
+    ? parseInt(process.env.VUE_APP_REGION_MIN_AREA, 10)
+    : 400
+};
+
+/**
+ * Perspective correction modes for prints photographed at an angle
+ * - none: keep the print as photographed
+ * - auto: detect the print's quadrilateral and flatten it when the print is four-sided
+ * - manual: flatten the quadrilateral given by four user-placed corners
+ */
+export const PERSPECTIVE_MODES = {
+  NONE: 'none',
+  AUTO: 'auto',
+  MANUAL: 'manual'
+};
+
+/**
+ * Perspective correction
+ * - MODE: default mode ('none' or 'auto'; manual corners are always chosen by the user)
+ * - MIN_COVERAGE: fraction (0-1) of the print that must lie inside the detected
+ *   quadrilateral, so round or irregular prints are not stretched
+ */
+export const PERSPECTIVE_CONFIG = {
+  MODE: process.env.VUE_APP_PERSPECTIVE_MODE === PERSPECTIVE_MODES.AUTO
+    ? PERSPECTIVE_MODES.AUTO
+    : PERSPECTIVE_MODES.NONE,
+  MIN_COVERAGE: process.env.VUE_APP_PERSPECTIVE_MIN_COVERAGE
+    ? parseFloat(process.env.VUE_APP_PERSPECTIVE_MIN_COVERAGE)
+    : 0.9
+};
+
+/**
+ * Film styles for per-ink separations (positive films, one per ink)
+ * - black: black where the ink prints, transparent elsewhere
+ * - grayscale: black where the ink prints on an opaque white background
+ */
+export const SEPARATION_FILMS = {
+  BLACK: 'black',
+  GRAYSCALE: 'grayscale'
+};
+
+/**
+ * Spot-color reduction of the extracted design for screen printing
+ * - MAX_COLORS: most spot colors the user can pick, and the limit when chosen automatically
+ * - TARGET_DELTA_E: average color difference (ΔE in Lab) the automatic choice accepts
+ * - ALPHA_THRESHOLD: pixels more opaque than this (0-255) are printed, the rest are left open
+ * - SAMPLE_SIZE: pixels sampled when choosing the spot colors
+ * - FILM: default film style of exported separations (one of SEPARATION_FILMS)
+ */
+export const SPOT_COLOR_CONFIG = {
+  MAX_COLORS: process.env.VUE_APP_SPOT_COLOR_MAX_COLORS
+    ? parseInt(process.env.VUE_APP_SPOT_COLOR_MAX_COLORS, 10)
+    : 8,
+  TARGET_DELTA_E: process.env.VUE_APP_SPOT_COLOR_TARGET_DELTA_E
+    ? parseFloat(process.env.VUE_APP_SPOT_COLOR_TARGET_DELTA_E)
+    : 6,
+  ALPHA_THRESHOLD: 128,
+  SAMPLE_SIZE: 20000,
+  FILM: process.env.VUE_APP_SEPARATION_FILM === SEPARATION_FILMS.GRAYSCALE
+    ? SEPARATION_FILMS.GRAYSCALE
+    : SEPARATION_FILMS.BLACK
+};
+
+/**
+ * Tracing the extracted design into an SVG for cutters and embroidery software
+ * - SPECKLE_THRESHOLD: color patches smaller than this (pixels) are merged into their surroundings
+ * - TOLERANCE: how far (pixels) simplified outlines may stray from the pixel edges
+ * - CORNER_ANGLE: outline turns sharper than this (degrees) stay corners instead of curves
+ */
+export const VECTORIZE_CONFIG = {
+  SPECKLE_THRESHOLD: process.env.VUE_APP_VECTORIZE_SPECKLE_THRESHOLD
+    ? parseInt(process.env.VUE_APP_VECTORIZE_SPECKLE_THRESHOLD, 10)
+    : 16,
+  TOLERANCE: 1,
+  CORNER_ANGLE: 60
+};
+
+/**
+ * Resampling methods for upscaling a design to print size
+ * - LANCZOS: Lanczos-3, for photographic prints with gradients
+ * - EDGE: edge-directed doubling (Scale2x), for flat art with hard color edges
+ */
+export const UPSCALE_METHODS = {
+  LANCZOS: 'lanczos',
+  EDGE: 'edge'
+};
+
+/**
+ * Upscaling the extracted design to a physical print size (DTG printing needs far
+ * more pixels than a photo of a shirt provides)
+ * - WIDTH_INCHES / HEIGHT_INCHES: default print area the design is fitted into
+ * - DPI: default print resolution
+ * - MIN_SOURCE_DPI: below this effective source resolution the result warns that the print will look soft
+ * - METHOD: default resampling method (one of UPSCALE_METHODS)
+ * - SHARPEN_AMOUNT / SHARPEN_RADIUS / SHARPEN_THRESHOLD: unsharp mask strength, blur radius (pixels)
+ *   and the smallest difference (0-255) that gets sharpened
+ * - EDGE_TOLERANCE: color distance within which edge-directed doubling treats pixels as equal
+ * - MAX_PIXELS: largest output the browser is asked to allocate (24M pixels is already ~100MB
+ *   of RGBA per copy; the default 12x16in at 300 DPI is 17.3M)
+ */
+export const PRINT_UPSCALE_CONFIG = {
+  WIDTH_INCHES: process.env.VUE_APP_PRINT_WIDTH_INCHES
+    ? parseFloat(process.env.VUE_APP_PRINT_WIDTH_INCHES)
+    : 12,
+  HEIGHT_INCHES: process.env.VUE_APP_PRINT_HEIGHT_INCHES
+    ? parseFloat(process.env.VUE_APP_PRINT_HEIGHT_INCHES)
+    : 16,
+  DPI: process.env.VUE_APP_PRINT_DPI
+    ? parseInt(process.env.VUE_APP_PRINT_DPI, 10)
+    : 300,
+  MIN_SOURCE_DPI: process.env.VUE_APP_PRINT_MIN_SOURCE_DPI
+    ? parseInt(process.env.VUE_APP_PRINT_MIN_SOURCE_DPI, 10)
+    : 150,
+  METHOD: process.env.VUE_APP_UPSCALE_METHOD === UPSCALE_METHODS.EDGE
+    ? UPSCALE_METHODS.EDGE
+    : UPSCALE_METHODS.LANCZOS,
+  SHARPEN_AMOUNT: 0.5,
+  SHARPEN_RADIUS: 1,
+  SHARPEN_THRESHOLD: 2,
+  EDGE_TOLERANCE: 24,
+  MAX_PIXELS: 24000000
+};
+
 // ============================================================================
 // Download Constants
 // ============================================================================
@@ -0,0 +1,257 @@
+/**
+ * ApiKeyStore Service
+ *
+ * Persists a user-supplied (bring-your-own) Remove.bg API key in localStorage.
+ * The key can optionally be encrypted with a passphrase: an AES-GCM key is
+ * derived from the passphrase with PBKDF2, so the stored record is useless
+ * without it.
+ */
+
+import {
+  API_KEY_STORAGE_KEY,
+  API_KEY_ENCRYPTION_CONFIG,
+  ERROR_TYPES,
+  ERROR_CODES,
+  ERROR_MESSAGES
+} from '@/constants';
+
+const RECORD_VERSION = 1;
+
+/**
+ * Encode bytes as base64
+ *
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Base64 string
+ */
+function toBase64(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+/**
+ * Decode a base64 string into bytes
+ *
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} - Decoded bytes
+ */
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * ApiKeyStore class for saving and loading the user's API key
+ */
+class ApiKeyStore {
+  /**
+   * @param {Object} [options] - Dependencies (injectable for testing)
+   * @param {Storage} [options.storage] - Storage backend (defaults to window.localStorage)
+   * @param {Crypto} [options.crypto] - Web Crypto implementation (defaults to window.crypto)
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || (typeof window !== 'undefined' ? window.localStorage : null);
+    this.crypto = options.crypto || (typeof window !== 'undefined' ? window.crypto : null);
+  }
+
+  /**
+   * Whether passphrase encryption is available in this browser
+   *
+   * @returns {boolean}
+   */
+  isEncryptionSupported() {
+    return Boolean(this.crypto && this.crypto.subtle && typeof TextEncoder !== 'undefined');
+  }
+
+  /**
+   * Whether a key has been saved
+   *
+   * @returns {boolean}
+   */
+  hasStoredKey() {
+    return this._readRecord() !== null;
+  }
+
+  /**
+   * Whether the saved key is encrypted (and needs a passphrase to load)
+   *
+   * @returns {boolean}
+   */
+  isEncrypted() {
+    const record = this._readRecord();
+    return Boolean(record && record.encrypted);
+  }
+
+  /**
+   * Save an API key, encrypting it when a passphrase is given
+   *
+   * @param {string} apiKey - The API key to save
+   * @param {string} [passphrase] - Optional passphrase used to encrypt the key
+   * @returns {Promise<void>}
+   * @throws {Error} If the key is empty or encryption is not supported
+   */
+  async saveKey(apiKey, passphrase) {
+    if (!apiKey || typeof apiKey !== 'string') {
+      throw new Error('Invalid apiKey: must be a non-empty string');
+    }
+
+    if (!passphrase) {
+      this._writeRecord({ version: RECORD_VERSION, encrypted: false, key: apiKey });
+      return;
+    }
+
+    if (!this.isEncryptionSupported()) {
+      throw new Error('Encryption is not supported in this browser');
+    }
+
+    const salt = this.crypto.getRandomValues(new Uint8Array(API_KEY_ENCRYPTION_CONFIG.SALT_LENGTH));
+    const iv = this.crypto.getRandomValues(new Uint8Array(API_KEY_ENCRYPTION_CONFIG.IV_LENGTH));
+    const cryptoKey = await this._deriveKey(passphrase, salt);
+    const data = await this.crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      cryptoKey,
+      new TextEncoder().encode(apiKey)
+    );
+
+    this._writeRecord({
+      version: RECORD_VERSION,
+      encrypted: true,
+      salt: toBase64(salt),
+      iv: toBase64(iv),
+      data: toBase64(new Uint8Array(data))
+    });
+  }
+
+  /**
+   * Load the saved API key
+   *
+   * @param {string} [passphrase] - Passphrase, required when the key is encrypted
+   * @returns {Promise<string|null>} - The API key, or null if none is saved
+   * @throws {Error} API_KEY_LOCKED without a passphrase, API_KEY_PASSPHRASE_INVALID if it is wrong
+   */
+  async loadKey(passphrase) {
+    const record = this._readRecord();
+
+    if (!record) {
+      return null;
+    }
+
+    if (!record.encrypted) {
+      return record.key;
+    }
+
+    if (!passphrase) {
+      throw this._createError(ERROR_CODES.API_KEY_LOCKED, 'Stored API key is encrypted');
+    }
+
+    if (!this.isEncryptionSupported()) {
+      throw new Error('Encryption is not supported in this browser');
+    }
+
+    try {
+      const cryptoKey = await this._deriveKey(passphrase, fromBase64(record.salt));
+      const data = await this.crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(record.iv) },
+        cryptoKey,
+        fromBase64(record.data)
+      );
+      return new TextDecoder().decode(data);
+    } catch (error) {
+      // AES-GCM authentication fails when the passphrase is wrong
+      throw this._createError(ERROR_CODES.API_KEY_PASSPHRASE_INVALID, error.message);
+    }
+  }
+
+  /**
+   * Remove the saved API key
+   */
+  clearKey() {
+    if (this.storage) {
+      this.storage.removeItem(API_KEY_STORAGE_KEY);
+    }
+  }
+
+  /**
+   * Derive an AES-GCM key from a passphrase
+   *
+   * @private
+   * @param {string} passphrase - The passphrase
+   * @param {Uint8Array} salt - Random salt stored with the record
+   * @returns {Promise<CryptoKey>}
+   */
+  async _deriveKey(passphrase, salt) {
+    const baseKey = await this.crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+
+    return this.crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations: API_KEY_ENCRYPTION_CONFIG.ITERATIONS, hash: 'SHA-256' },
+      baseKey,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Read and parse the stored record
+   *
+   * @private
+   * @returns {Object|null} - The record, or null if missing or unreadable
+   */
+  _readRecord() {
+    if (!this.storage) {
+      return null;
+    }
+
+    try {
+      const record = JSON.parse(this.storage.getItem(API_KEY_STORAGE_KEY));
+      return record && typeof record === 'object' ? record : null;
+    } catch (error) {
+      console.warn('[ApiKeyStore] 已保存的API密钥无法解析，已忽略:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Serialize and store a record
+   *
+   * @private
+   * @param {Object} record - The record to store
+   * @throws {Error} If storage is unavailable
+   */
+  _writeRecord(record) {
+    if (!this.storage) {
+      throw new Error('Local storage is not available');
+    }
+    this.storage.setItem(API_KEY_STORAGE_KEY, JSON.stringify(record));
+  }
+
+  /**
+   * Create a standardized error object
+   *
+   * @private
+   * @param {string} code - Error code from ERROR_CODES
+   * @param {string} details - Detailed error message
+   * @returns {Error}
+   */
+  _createError(code, details) {
+    const error = new Error(ERROR_MESSAGES[code] || details);
+    error.type = ERROR_TYPES.API_ERROR;
+    error.code = code;
+    error.details = details;
+    error.retryable = false;
+    return error;
+  }
+}
+
+// Export singleton instance
+export default new ApiKeyStore();
+
+// Also export the class for testing purposes
+export { ApiKeyStore };
@@ -1,17 +1,32 @@
 /**
  * Background Removal API Service
  * 
- * This module provides an interface and implementation for background removal services.
- * Currently implements Remove.bg API integration with error handling and retry logic.
+ * This module provides an interface and implementations for background removal services:
+ * - Remove.bg API integration with error handling and retry logic
+ * - Self-hosted rembg-compatible servers sharing the same retry logic
+ * - Local in-browser removal for simple flat-lay photos (no API key required)
+ * - A fallback chain that moves on to the next provider when one is unavailable
+ * - A usage-tracking wrapper that records calls and enforces a credit budget
  * 
  * Requirements: 2.2, 5.2, 5.3
  */
 
 import axios from 'axios';
+import CanvasUtility from './CanvasUtility';
+import { readZip } from '../utils/zip';
 import {
   REMOVE_BG_API_ENDPOINT,
+  REMOVE_BG_PROXY_ENDPOINT,
+  REMBG_BASE_URL,
+  REMBG_MODEL,
+  REMBG_TIMEOUT,
   API_RETRY_CONFIG,
   API_TIMEOUT,
+  RATE_LIMIT_CONFIG,
+  CIRCUIT_BREAKER_CONFIG,
+  LOCAL_REMOVAL_CONFIG,
+  OUTPUT_FORMAT,
+  USAGE_OUTCOMES,
   ERROR_TYPES,
   ERROR_CODES,
   ERROR_MESSAGES,
@@ -33,11 +48,388 @@ export class BackgroundRemovalAPI {
 
   /**
    * Check if the API service is available
-   * @returns {Promise<boolean>} - True if service is available
+   * 
+   * Providers with account data (e.g. Remove.bg) resolve with an account info
+   * object instead of `true`; callers should treat the result as truthy/falsy.
+   * 
+   * @returns {Promise<boolean|Object|null>} - Truthy if service is available
    */
   async checkApiStatus() {
     throw new Error('checkApiStatus must be implemented by subclass');
   }
+
+  /**
+   * Remove background and report which provider produced the result
+   * 
+   * Composite services override this to report the provider that actually
+   * handled the request; providers with response metadata add it here.
+   * 
+   * @param {Blob} imageBlob - The image to process
+   * @param {Object} options - Processing options passed to removeBackground
+   * @returns {Promise<Object>} - { blob, provider, metadata }
+   */
+  async removeBackgroundDetailed(imageBlob, options = {}) {
+    const blob = await this.removeBackground(imageBlob, options);
+    return {
+      blob,
+      provider: this.name || null,
+      metadata: null
+    };
+  }
+
+  /**
+   * Create a standardized error object
+   * 
+   * @private
+   * @param {string} type - Error type from ERROR_TYPES
+   * @param {string} code - Error code from ERROR_CODES
+   * @param {string} details - Detailed error message
+   * @param {boolean} retryable - Whether the error is retryable
+   * @returns {Error} - Error object with additional properties
+   */
+  _createError(type, code, details, retryable = false) {
+    const error = new Error(ERROR_MESSAGES[code] || details);
+    error.type = type;
+    error.code = code;
+    error.details = details;
+    error.retryable = retryable;
+    return error;
+  }
+
+  /**
+   * Create the error thrown when an operation is aborted through an AbortSignal
+   * 
+   * Cancellation is not a failure: callers should check for ERROR_TYPES.CANCELLED
+   * and return to an idle state instead of showing an error.
+   * 
+   * @private
+   * @param {string} details - Detailed message
+   * @returns {Error} - Error object with type CANCELLED
+   */
+  _createCancelledError(details = 'Operation cancelled') {
+    return this._createError(ERROR_TYPES.CANCELLED, ERROR_CODES.PROCESSING_CANCELLED, details);
+  }
+
+  /**
+   * Throw a cancellation error if the signal has been aborted
+   * 
+   * @private
+   * @param {AbortSignal} [signal] - Optional abort signal
+   * @throws {Error} - Cancellation error
+   */
+  _throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      throw this._createCancelledError();
+    }
+  }
+
+  /**
+   * Check whether an error was caused by an aborted request
+   * 
+   * @private
+   * @param {Object} error - Error thrown by axios, fetch or a DOM API
+   * @returns {boolean}
+   */
+  _isAbortError(error) {
+    return !!error && (
+      error.code === 'ERR_CANCELED' ||
+      error.name === 'CanceledError' ||
+      error.name === 'AbortError'
+    );
+  }
+
+  /**
+   * Sleep for specified milliseconds
+   * 
+   * @private
+   * @param {number} ms - Milliseconds to sleep
+   * @param {AbortSignal} [signal] - Rejects with a cancellation error when aborted
+   * @returns {Promise<void>}
+   */
+  _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(this._createCancelledError());
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this._createCancelledError());
+      };
+      const timer = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      }, ms);
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+}
+
+/**
+ * Base class for HTTP background removal services
+ * 
+ * Shares timeout and retry configuration, exponential backoff and the
+ * HTTP status to error mapping between all HTTP-based providers.
+ */
+export class HttpBackgroundRemovalService extends BackgroundRemovalAPI {
+  /**
+   * Create a new HTTP service instance
+   * @param {Object} config - Optional configuration overrides
+   * @param {number} config.timeout - Request timeout in milliseconds
+   * @param {number} config.maxRetries - Maximum number of attempts
+   * @param {number} config.initialDelay - Initial retry delay in milliseconds
+   * @param {number} config.backoffMultiplier - Multiplier for exponential backoff
+   */
+  constructor(config = {}) {
+    super();
+
+    this.timeout = config.timeout || API_TIMEOUT;
+    this.maxRetries = config.maxRetries || API_RETRY_CONFIG.MAX_ATTEMPTS;
+    this.initialDelay = config.initialDelay || API_RETRY_CONFIG.INITIAL_DELAY;
+    this.backoffMultiplier = config.backoffMultiplier || API_RETRY_CONFIG.BACKOFF_MULTIPLIER;
+  }
+
+  /**
+   * Execute an operation with retry logic and exponential backoff
+   * 
+   * Rate-limited attempts wait for the delay the server asked for (error.retryAfter)
+   * instead of the backoff delay.
+   * 
+   * @private
+   * @param {Function} operation - Async operation to execute
+   * @param {Object} [options] - Retry options
+   * @param {AbortSignal} [options.signal] - Stops retrying (and waiting) when aborted
+   * @param {Function} [options.onRetry] - Called with { attempt, delay, error } before each wait
+   * @returns {Promise<any>} - Result of the operation
+   * @throws {Error} - Throws the last error if all retries fail
+   */
+  async _executeWithRetry(operation, options = {}) {
+    const { signal, onRetry } = options;
+    let lastError;
+    
+    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      this._throwIfAborted(signal);
+
+      try {
+        return await operation();
+      } catch (error) {
+        lastError = error;
+        
+        // Don't retry if error is not retryable
+        if (!error.retryable) {
+          throw error;
+        }
+        
+        // Don't retry on last attempt
+        if (attempt === this.maxRetries) {
+          throw error;
+        }
+        
+        const delay = this._getRetryDelay(error, attempt);
+        
+        // Don't wait longer than the rate limit allows
+        if (delay === null) {
+          throw error;
+        }
+        
+        if (typeof onRetry === 'function') {
+          onRetry({ attempt, delay, error });
+        }
+        
+        // Wait before retrying
+        await this._sleep(delay, signal);
+      }
+    }
+    
+    // This should never be reached, but just in case
+    throw lastError;
+  }
+
+  /**
+   * Calculate how long to wait before the next attempt
+   * 
+   * @private
+   * @param {Error} error - The retryable error
+   * @param {number} attempt - The attempt that failed (1-based)
+   * @returns {number|null} - Delay in milliseconds, or null if the server asked to wait too long
+   */
+  _getRetryDelay(error, attempt) {
+    if (error.code === ERROR_CODES.API_RATE_LIMITED) {
+      const delay = typeof error.retryAfter === 'number'
+        ? error.retryAfter
+        : RATE_LIMIT_CONFIG.DEFAULT_DELAY;
+      return delay <= RATE_LIMIT_CONFIG.MAX_DELAY ? delay : null;
+    }
+
+    // Exponential backoff
+    return this.initialDelay * Math.pow(this.backoffMultiplier, attempt - 1);
+  }
+
+  /**
+   * Read a response header (axios lower-cases the names)
+   * 
+   * @private
+   * @param {Object} headers - Response headers (plain object or AxiosHeaders)
+   * @param {string} name - Lower-case header name
+   * @returns {string|null} - Header value, or null if missing
+   */
+  _getHeader(headers, name) {
+    const value = headers && (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+    return value === undefined || value === null || value === '' ? null : value;
+  }
+
+  /**
+   * Parse the rate limit headers of a 429 response
+   * 
+   * `Retry-After` may be a number of seconds or an HTTP date; `X-RateLimit-Reset`
+   * is the Unix time (in seconds) at which the limit resets.
+   * 
+   * @private
+   * @param {Object} headers - Response headers
+   * @returns {Object} - { retryAfter (ms or null), limit, remaining, reset (Unix seconds) }
+   */
+  _parseRateLimit(headers) {
+    const number = (name) => {
+      const value = parseFloat(this._getHeader(headers, name));
+      return isFinite(value) ? value : null;
+    };
+
+    const limit = number('x-ratelimit-limit');
+    const remaining = number('x-ratelimit-remaining');
+    const reset = number('x-ratelimit-reset');
+
+    let retryAfter = null;
+    const retryAfterHeader = this._getHeader(headers, 'retry-after');
+
+    if (retryAfterHeader !== null) {
+      const seconds = Number(retryAfterHeader);
+      retryAfter = isFinite(seconds)
+        ? seconds * 1000
+        : Date.parse(retryAfterHeader) - Date.now();
+    } else if (reset !== null) {
+      retryAfter = reset * 1000 - Date.now();
+    }
+
+    if (retryAfter !== null) {
+      retryAfter = isFinite(retryAfter) ? Math.max(0, Math.ceil(retryAfter)) : null;
+    }
+
+    return { retryAfter, limit, remaining, reset };
+  }
+
+  /**
+   * Convert an axios error into a standardized error object
+   * 
+   * @private
+   * @param {Object} error - Error thrown by axios (or by response validation)
+   * @returns {Error} - Formatted error object
+   */
+  _handleRequestError(error) {
+    // Already a standardized error (e.g. from response validation)
+    if (error.type && error.code) {
+      return error;
+    }
+
+    // Request aborted through the AbortSignal
+    if (this._isAbortError(error)) {
+      return this._createCancelledError('Request cancelled');
+    }
+
+    if (error.response) {
+      // Server responded with error status
+      return this._handleApiError(error.response);
+    } else if (error.request) {
+      // Request made but no response received
+      return this._createError(
+        ERROR_TYPES.NETWORK_ERROR,
+        ERROR_CODES.NETWORK_TIMEOUT,
+        'No response from server',
+        true // retryable
+      );
+    }
+
+    // Error in request setup
+    return this._createError(
+      ERROR_TYPES.PROCESSING_ERROR,
+      ERROR_CODES.API_BAD_REQUEST,
+      error.message || 'Request setup failed'
+    );
+  }
+
+  /**
+   * Handle API error responses and create appropriate error objects
+   * 
+   * @private
+   * @param {Object} response - Axios error response
+   * @returns {Error} - Formatted error object
+   */
+  _handleApiError(response) {
+    const status = response.status;
+    
+    switch (status) {
+      case HTTP_STATUS.BAD_REQUEST:
+        return this._createError(
+          ERROR_TYPES.API_ERROR,
+          ERROR_CODES.API_BAD_REQUEST,
+          'Invalid image or request parameters',
+          false
+        );
+        
+      case HTTP_STATUS.UNAUTHORIZED:
+      case HTTP_STATUS.FORBIDDEN:
+        return this._createError(
+          ERROR_TYPES.API_ERROR,
+          ERROR_CODES.API_KEY_INVALID,
+          'Invalid or missing API key',
+          false
+        );
+        
+      case HTTP_STATUS.PAYMENT_REQUIRED:
+        return this._createError(
+          ERROR_TYPES.API_ERROR,
+          ERROR_CODES.API_QUOTA_EXCEEDED,
+          'API quota exceeded or payment required',
+          false
+        );
+
+      case HTTP_STATUS.TOO_MANY_REQUESTS: {
+        // Short-term rate limiting, not running out of credits
+        const rateLimit = this._parseRateLimit(response.headers);
+        const error = this._createError(
+          ERROR_TYPES.API_ERROR,
+          ERROR_CODES.API_RATE_LIMITED,
+          'Rate limit exceeded',
+          true // retryable after the server-specified delay
+        );
+        error.retryAfter = rateLimit.retryAfter;
+        error.rateLimit = rateLimit;
+        return error;
+      }
+        
+      case HTTP_STATUS.INTERNAL_SERVER_ERROR:
+      case HTTP_STATUS.SERVICE_UNAVAILABLE:
+        return this._createError(
+          ERROR_TYPES.API_ERROR,
+          ERROR_CODES.API_SERVICE_UNAVAILABLE,
+          'API service temporarily unavailable',
+          true // retryable
+        );
+        
+      default:
+        return this._createError(
+          ERROR_TYPES.API_ERROR,
+          ERROR_CODES.API_SERVICE_UNAVAILABLE,
+          `API error: ${status}`,
+          status >= 500 // Retry on 5xx errors
+        );
+    }
+  }
 }
 
 /**
@@ -48,32 +440,35 @@ export class BackgroundRemovalAPI {
  * 
  * @see https://www.remove.bg/api
  */
-export class RemoveBgService extends BackgroundRemovalAPI {
+export class RemoveBgService extends HttpBackgroundRemovalService {
   /**
    * Create a new RemoveBgService instance
-   * @param {string} apiKey - Remove.bg API key
+   * In proxy mode (`config.useProxy`) no key is needed: requests go to the
+   * proxy endpoint, which adds the key on the server side.
+   * 
+   * @param {string} apiKey - Remove.bg API key (ignored in proxy mode)
    * @param {Object} config - Optional configuration overrides
    */
   constructor(apiKey, config = {}) {
-    super();
+    super(config);
     
-    if (!apiKey) {
+    this.useProxy = Boolean(config.useProxy);
+
+    if (!apiKey && !this.useProxy) {
       throw new Error('API key is required for RemoveBgService');
     }
     
-    this.apiKey = apiKey;
-    this.endpoint = config.endpoint || REMOVE_BG_API_ENDPOINT;
-    this.timeout = config.timeout || API_TIMEOUT;
-    this.maxRetries = config.maxRetries || API_RETRY_CONFIG.MAX_ATTEMPTS;
-    this.initialDelay = config.initialDelay || API_RETRY_CONFIG.INITIAL_DELAY;
-    this.backoffMultiplier = config.backoffMultiplier || API_RETRY_CONFIG.BACKOFF_MULTIPLIER;
+    this.name = 'removebg';
+    this.apiKey = this.useProxy ? null : apiKey;
+    this.endpoint = config.endpoint
+      || (this.useProxy ? REMOVE_BG_PROXY_ENDPOINT : REMOVE_BG_API_ENDPOINT);
+    // Account endpoint sits next to the removebg endpoint (also behind the dev proxy)
+    this.accountEndpoint = config.accountEndpoint || this.endpoint.replace(/removebg\/?$/, 'account');
     
     // Create axios instance with default config
     this.client = axios.create({
       timeout: this.timeout,
-      headers: {
-        'X-Api-Key': this.apiKey
-      }
+      headers: this.apiKey ? { 'X-Api-Key': this.apiKey } : {}
     });
   }
 
@@ -81,18 +476,36 @@ export class RemoveBgService extends BackgroundRemovalAPI {
    * Remove background from an image using Remove.bg API
    * 
    * @param {Blob} imageBlob - The image to process
+   * @param {Object} options - Processing options (see removeBackgroundDetailed)
+   * @returns {Promise<Blob>} - The processed image with background removed
+   * @throws {Error} - Throws error with type and details for different failure scenarios
+   */
+  async removeBackground(imageBlob, options = {}) {
+    const result = await this.removeBackgroundDetailed(imageBlob, options);
+    return result.blob;
+  }
+
+  /**
+   * Remove background and return the image together with the response metadata
+   * 
+   * @param {Blob} imageBlob - The image to process
    * @param {Object} options - Processing options
    * @param {string} options.size - Output size ('auto', 'preview', 'full', 'medium', 'hd', '4k')
    * @param {string} options.type - Foreground type ('auto', 'person', 'product', 'car')
-   * @param {string} options.format - Output format ('auto', 'png', 'jpg', 'zip')
+   * @param {string} options.format - Output format ('auto', 'png', 'jpg', 'zip').
+   *   'zip' downloads a JPEG plus an alpha mask and is composited into a PNG locally.
    * @param {boolean} options.crop - Whether to crop off all empty regions
    * @param {string} options.crop_margin - Margin around the cropped subject (e.g. '20px', '10%')
    * @param {string} options.position - Position of subject ('original', 'center', '0%', '50%')
    * @param {string} options.roi - Region of interest ('0% 0% 100% 100%')
-   * @returns {Promise<Blob>} - The processed image with background removed
+   * @param {AbortSignal} options.signal - Aborts the request and any pending retry
+   * @param {Function} options.onUploadProgress - Axios upload progress callback ({ loaded, total })
+   * @param {Function} options.onDownloadProgress - Axios download progress callback ({ loaded, total })
+   * @param {Function} options.onRetry - Called with { attempt, delay, error } before waiting to retry
+   * @returns {Promise<Object>} - { blob, provider, metadata } (see _parseResponseMetadata)
    * @throws {Error} - Throws error with type and details for different failure scenarios
    */
-  async removeBackground(imageBlob, options = {}) {
+  async removeBackgroundDetailed(imageBlob, options = {}) {
     const {
       size = 'auto',
       type = 'auto',
@@ -100,7 +513,11 @@ export class RemoveBgService extends BackgroundRemovalAPI {
       crop = false,
       crop_margin = '0px',
       position = 'original',
-      roi = '0% 0% 100% 100%'
+      roi = '0% 0% 100% 100%',
+      signal,
+      onUploadProgress,
+      onDownloadProgress,
+      onRetry
     } = options;
 
     // Validate input
@@ -148,7 +565,10 @@ export class RemoveBgService extends BackgroundRemovalAPI {
           responseType: 'blob',
           headers: {
             'Content-Type': 'multipart/form-data'
-          }
+          },
+          signal,
+          onUploadProgress,
+          onDownloadProgress
         });
 
         // Validate response
@@ -162,183 +582,1045 @@ export class RemoveBgService extends BackgroundRemovalAPI {
 
         console.log('[RemoveBgService] API 响应成功，图片大小:', response.data.size, 'bytes');
 
-        return response.data;
+        // zip 格式返回 color.jpg + alpha.png，需要在本地合成透明 PNG
+        const blob = format === 'zip'
+          ? await this._compositeZipResult(response.data, signal)
+          : response.data;
+
+        return {
+          blob,
+          provider: this.name,
+          metadata: this._parseResponseMetadata(response.headers)
+        };
       } catch (error) {
-        // Handle axios errors
-        if (error.response) {
-          // Server responded with error status
-          throw this._handleApiError(error.response);
-        } else if (error.request) {
-          // Request made but no response received
-          throw this._createError(
-            ERROR_TYPES.NETWORK_ERROR,
-            ERROR_CODES.NETWORK_TIMEOUT,
-            'No response from server',
-            true // retryable
-          );
-        } else {
-          // Error in request setup
-          throw this._createError(
-            ERROR_TYPES.PROCESSING_ERROR,
-            ERROR_CODES.API_BAD_REQUEST,
-            error.message || 'Request setup failed'
-          );
-        }
+        throw this._handleRequestError(error);
       }
-    });
+    }, { signal, onRetry });
   }
 
   /**
-   * Check if Remove.bg API is available
+   * Check if Remove.bg API is available and fetch the account balance
    * 
-   * @returns {Promise<boolean>} - True if API is available and responding
+   * @returns {Promise<Object|null>} - Account info, or null if the key is invalid
+   * @returns {Object} result.credits - Credit balance { total, subscription, payg, enterprise }
+   * @returns {number} result.freeCalls - Remaining free (preview size) API calls
+   * @returns {Object} result.sizes - Sizes available to the account
+   * @throws {Error} - Standardized error if Remove.bg cannot be reached
    */
   async checkApiStatus() {
     try {
-      // Create a minimal test request to check API availability
-      // We'll use account endpoint which is lightweight
-      const response = await this.client.get('https://api.remove.bg/v1.0/account', {
+      // The account endpoint is lightweight and does not consume credits
+      const response = await this.client.get(this.accountEndpoint, {
         timeout: 5000 // Short timeout for status check
       });
       
-      return response.status === HTTP_STATUS.OK;
+      if (response.status !== HTTP_STATUS.OK) {
+        return null;
+      }
+
+      return this._parseAccountInfo(response.data);
     } catch (error) {
-      // API is not available or key is invalid
-      return false;
+      const apiError = this._handleRequestError(error);
+
+      // A rejected key is an answer; anything else means the API could not be reached
+      if (apiError.code === ERROR_CODES.API_KEY_INVALID) {
+        return null;
+      }
+      throw apiError;
     }
   }
 
   /**
-   * Execute an operation with retry logic and exponential backoff
+   * Composite a zip format result into a transparent PNG
+   * 
+   * In zip mode remove.bg returns `color.jpg` (the foreground without transparency)
+   * and `alpha.png` (a grayscale mask), which is much smaller than an HD PNG.
    * 
    * @private
-   * @param {Function} operation - Async operation to execute
-   * @returns {Promise<any>} - Result of the operation
-   * @throws {Error} - Throws the last error if all retries fail
+   * @param {Blob} zipBlob - The zip archive returned by the API
+   * @param {AbortSignal} [signal] - Stops before compositing when aborted
+   * @returns {Promise<Blob>} - PNG image with the mask applied as alpha channel
+   * @throws {Error} - Throws error if the archive is invalid or compositing fails
    */
-  async _executeWithRetry(operation) {
-    let lastError;
-    
-    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+  async _compositeZipResult(zipBlob, signal) {
+    let files;
+    try {
+      files = await readZip(zipBlob);
+    } catch (error) {
+      throw this._createError(
+        ERROR_TYPES.PROCESSING_ERROR,
+        ERROR_CODES.API_BAD_REQUEST,
+        `Invalid ZIP response from API: ${error.message}`
+      );
+    }
+
+    const names = Object.keys(files);
+    const colorName = names.find(name => /color/i.test(name));
+    const alphaName = names.find(name => /alpha/i.test(name));
+
+    if (!colorName || !alphaName) {
+      throw this._createError(
+        ERROR_TYPES.PROCESSING_ERROR,
+        ERROR_CODES.API_BAD_REQUEST,
+        'ZIP response is missing the color image or alpha mask'
+      );
+    }
+
+    const colorUrl = URL.createObjectURL(new Blob([files[colorName]], { type: 'image/jpeg' }));
+    const alphaUrl = URL.createObjectURL(new Blob([files[alphaName]], { type: 'image/png' }));
+
+    try {
+      const [colorImage, alphaImage] = await Promise.all([
+        CanvasUtility.loadImage(colorUrl),
+        CanvasUtility.loadImage(alphaUrl)
+      ]);
+      this._throwIfAborted(signal);
+      const { width, height } = colorImage;
+
+      const canvas = CanvasUtility.createCanvas(width, height);
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(colorImage, 0, 0);
+      const colorData = ctx.getImageData(0, 0, width, height);
+
+      // Scale the mask to the color image in case the sizes differ
+      const maskCanvas = CanvasUtility.createCanvas(width, height);
+      const maskCtx = maskCanvas.getContext('2d');
+      maskCtx.drawImage(alphaImage, 0, 0, width, height);
+      const maskData = maskCtx.getImageData(0, 0, width, height);
+
+      this._applyAlphaMask(colorData.data, maskData.data);
+      ctx.putImageData(colorData, 0, 0);
+
+      const resultBlob = await CanvasUtility.imageToBlob(canvas, OUTPUT_FORMAT);
+
+      console.log('[RemoveBgService] ZIP 结果合成完成，图片大小:', resultBlob.size, 'bytes');
+
+      return resultBlob;
+    } catch (error) {
+      if (error.type && error.code) {
+        throw error;
+      }
+
+      throw this._createError(
+        ERROR_TYPES.PROCESSING_ERROR,
+        ERROR_CODES.CANVAS_ERROR,
+        `Failed to composite ZIP result: ${error.message}`
+      );
+    } finally {
+      URL.revokeObjectURL(colorUrl);
+      URL.revokeObjectURL(alphaUrl);
+    }
+  }
+
+  /**
+   * Copy a grayscale mask into the alpha channel of RGBA pixel data (in place)
+   * 
+   * @private
+   * @param {Uint8ClampedArray} pixels - RGBA pixel data of the color image
+   * @param {Uint8ClampedArray} mask - RGBA pixel data of the mask (red channel is used)
+   */
+  _applyAlphaMask(pixels, mask) {
+    const length = Math.min(pixels.length, mask.length);
+    for (let i = 0; i < length; i += 4) {
+      pixels[i + 3] = mask[i];
+    }
+  }
+
+  /**
+   * Parse the metadata headers remove.bg sends with every result
+   * 
+   * Foreground bounds are in the coordinate space of the uploaded image.
+   * 
+   * @private
+   * @param {Object} headers - Response headers (axios lower-cases the names)
+   * @returns {Object} - Parsed metadata; values are null when a header is missing
+   * @returns {number|null} result.width - Result image width (X-Width)
+   * @returns {number|null} result.height - Result image height (X-Height)
+   * @returns {string|null} result.type - Detected foreground type (X-Type)
+   * @returns {Object|null} result.foreground - { top, left, width, height } (X-Foreground-*)
+   * @returns {number|null} result.creditsCharged - Credits charged for the call (X-Credits-Charged)
+   */
+  _parseResponseMetadata(headers = {}) {
+    const header = (name) => this._getHeader(headers, name);
+    const number = (name) => {
+      const value = parseFloat(header(name));
+      return isFinite(value) ? value : null;
+    };
+
+    const foreground = {
+      top: number('x-foreground-top'),
+      left: number('x-foreground-left'),
+      width: number('x-foreground-width'),
+      height: number('x-foreground-height')
+    };
+    const hasForeground = Object.values(foreground).every(value => value !== null);
+
+    return {
+      width: number('x-width'),
+      height: number('x-height'),
+      type: header('x-type'),
+      foreground: hasForeground ? foreground : null,
+      creditsCharged: number('x-credits-charged')
+    };
+  }
+
+  /**
+   * Parse the /account response body
+   * 
+   * @private
+   * @param {Object} body - Response body ({ data: { attributes: { credits, api } } })
+   * @returns {Object} - Normalized account info
+   */
+  _parseAccountInfo(body) {
+    const attributes = (body && body.data && body.data.attributes) || {};
+    const credits = attributes.credits || {};
+    const api = attributes.api || {};
+
+    return {
+      credits: {
+        total: Number(credits.total) || 0,
+        subscription: Number(credits.subscription) || 0,
+        payg: Number(credits.payg) || 0,
+        enterprise: Number(credits.enterprise) || 0
+      },
+      freeCalls: api.free_calls !== undefined ? Number(api.free_calls) : null,
+      sizes: api.sizes || null
+    };
+  }
+}
+
+/**
+ * Self-hosted rembg Service Implementation
+ * 
+ * Talks to a self-hosted segmentation server exposing the rembg HTTP API
+ * (`POST /api/remove`). Shares retry and error handling with RemoveBgService.
+ * 
+ * @see https://github.com/danielgatis/rembg
+ */
+export class RembgService extends HttpBackgroundRemovalService {
+  /**
+   * Create a new RembgService instance
+   * @param {Object} config - Optional configuration overrides
+   * @param {string} config.baseUrl - Server base URL (e.g. 'http://192.168.1.20:7000')
+   * @param {string} config.model - Segmentation model name (e.g. 'u2net', 'isnet-general-use')
+   * @param {number} config.timeout - Request timeout in milliseconds
+   */
+  constructor(config = {}) {
+    super({
+      ...config,
+      timeout: config.timeout || REMBG_TIMEOUT
+    });
+
+    this.name = 'rembg';
+    this.baseUrl = (config.baseUrl || REMBG_BASE_URL).replace(/\/+$/, '');
+    this.endpoint = `${this.baseUrl}/api/remove`;
+    this.model = config.model || REMBG_MODEL;
+
+    this.client = axios.create({
+      timeout: this.timeout
+    });
+  }
+
+  /**
+   * Remove background from an image using the rembg server
+   * 
+   * @param {Blob} imageBlob - The image to process
+   * @param {Object} options - Processing options
+   * @param {string} options.model - Per-call model override
+   * @param {boolean} options.alphaMatting - Whether to refine edges with alpha matting
+   * @param {boolean} options.postProcessMask - Whether to post-process the mask
+   * @param {AbortSignal} options.signal - Aborts the request and any pending retry
+   * @param {Function} options.onUploadProgress - Axios upload progress callback ({ loaded, total })
+   * @param {Function} options.onDownloadProgress - Axios download progress callback ({ loaded, total })
+   * @param {Function} options.onRetry - Called with { attempt, delay, error } before waiting to retry
+   * @returns {Promise<Blob>} - The processed PNG image with background removed
+   * @throws {Error} - Throws error with type and details for different failure scenarios
+   */
+  async removeBackground(imageBlob, options = {}) {
+    const {
+      model = this.model,
+      alphaMatting = false,
+      postProcessMask = false,
+      signal,
+      onUploadProgress,
+      onDownloadProgress,
+      onRetry
+    } = options;
+
+    // Validate input
+    if (!imageBlob || !(imageBlob instanceof Blob)) {
+      throw this._createError(
+        ERROR_TYPES.PROCESSING_ERROR,
+        ERROR_CODES.API_BAD_REQUEST,
+        'Invalid image blob provided'
+      );
+    }
+
+    // Prepare form data
+    const formData = new FormData();
+    formData.append('file', imageBlob);
+    formData.append('model', model);
+
+    if (alphaMatting) {
+      formData.append('a', 'true');
+    }
+
+    if (postProcessMask) {
+      formData.append('ppm', 'true');
+    }
+
+    console.log('[RembgService] 请求参数:', {
+      endpoint: this.endpoint, model, alphaMatting, postProcessMask
+    });
+
+    // Execute with retry logic
+    return await this._executeWithRetry(async () => {
       try {
-        return await operation();
+        const response = await this.client.post(this.endpoint, formData, {
+          responseType: 'blob',
+          headers: {
+            'Content-Type': 'multipart/form-data'
+          },
+          signal,
+          onUploadProgress,
+          onDownloadProgress
+        });
+
+        // Validate response
+        if (!response.data || !(response.data instanceof Blob)) {
+          throw this._createError(
+            ERROR_TYPES.PROCESSING_ERROR,
+            ERROR_CODES.API_BAD_REQUEST,
+            'Invalid response from API'
+          );
+        }
+
+        console.log('[RembgService] 响应成功，图片大小:', response.data.size, 'bytes');
+
+        return response.data;
       } catch (error) {
-        lastError = error;
-        
-        // Don't retry if error is not retryable
-        if (!error.retryable) {
-          throw error;
+        throw this._handleRequestError(error);
+      }
+    }, { signal, onRetry });
+  }
+
+  /**
+   * Check if the rembg server is reachable
+   * 
+   * @returns {Promise<boolean>} - True if the server responds
+   */
+  async checkApiStatus() {
+    try {
+      // The rembg server serves its API docs under /api
+      const response = await this.client.get(`${this.baseUrl}/api`, {
+        timeout: 5000 // Short timeout for status check
+      });
+
+      return response.status === HTTP_STATUS.OK;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+/**
+ * Local Background Removal Implementation
+ * 
+ * Removes backgrounds entirely in the browser without calling any external service.
+ * Intended for simple flat-lay photos shot on a plain backdrop:
+ * 1. Estimate the backdrop color from the image border
+ * 2. Flood-fill from the border over pixels close to that color (color-distance keying)
+ * 3. Fade the pixels bordering the filled region by their color distance (soft edges)
+ * 4. Smooth the resulting alpha mask with a box blur
+ * 
+ * Cropping options (crop, crop_margin, position, roi) are not supported and are ignored.
+ */
+export class LocalBackgroundRemovalService extends BackgroundRemovalAPI {
+  /**
+   * Create a new LocalBackgroundRemovalService instance
+   * @param {Object} config - Optional configuration overrides
+   * @param {number} config.tolerance - Max color distance from the backdrop treated as background
+   * @param {number} config.edgeSoftness - Color distance range over which edge pixels fade in
+   * @param {number} config.smoothingRadius - Alpha mask blur radius in pixels (0 disables smoothing)
+   */
+  constructor(config = {}) {
+    super();
+
+    this.name = 'local';
+    this.tolerance = config.tolerance !== undefined
+      ? config.tolerance
+      : LOCAL_REMOVAL_CONFIG.TOLERANCE;
+    this.edgeSoftness = config.edgeSoftness !== undefined
+      ? config.edgeSoftness
+      : LOCAL_REMOVAL_CONFIG.EDGE_SOFTNESS;
+    this.smoothingRadius = config.smoothingRadius !== undefined
+      ? config.smoothingRadius
+      : LOCAL_REMOVAL_CONFIG.SMOOTHING_RADIUS;
+  }
+
+  /**
+   * Remove background from an image in the browser
+   * 
+   * @param {Blob} imageBlob - The image to process
+   * @param {Object} options - Processing options (per-call overrides of the constructor config)
+   * @param {number} options.tolerance - Max color distance treated as background
+   * @param {number} options.edgeSoftness - Color distance range over which edge pixels fade in
+   * @param {number} options.smoothingRadius - Alpha mask blur radius in pixels
+   * @param {AbortSignal} options.signal - Stops processing between steps when aborted
+   * @returns {Promise<Blob>} - PNG image with background removed
+   * @throws {Error} - Throws error with type and details if the image cannot be processed
+   */
+  async removeBackground(imageBlob, options = {}) {
+    const {
+      tolerance = this.tolerance,
+      edgeSoftness = this.edgeSoftness,
+      smoothingRadius = this.smoothingRadius,
+      signal
+    } = options;
+
+    // Validate input
+    if (!imageBlob || !(imageBlob instanceof Blob)) {
+      throw this._createError(
+        ERROR_TYPES.PROCESSING_ERROR,
+        ERROR_CODES.API_BAD_REQUEST,
+        'Invalid image blob provided'
+      );
+    }
+
+    this._throwIfAborted(signal);
+
+    const objectUrl = URL.createObjectURL(imageBlob);
+
+    try {
+      const image = await CanvasUtility.loadImage(objectUrl);
+      this._throwIfAborted(signal);
+
+      const { canvas, ctx, imageData } = CanvasUtility.readPixels(image);
+      this.removeBackgroundFromPixels(imageData.data, imageData.width, imageData.height, {
+        tolerance,
+        edgeSoftness,
+        smoothingRadius
+      });
+      ctx.putImageData(imageData, 0, 0);
+      this._throwIfAborted(signal);
+
+      const resultBlob = await CanvasUtility.imageToBlob(canvas, OUTPUT_FORMAT);
+
+      console.log('[LocalBackgroundRemoval] 本地处理完成，图片大小:', resultBlob.size, 'bytes');
+
+      return resultBlob;
+    } catch (error) {
+      if (error.type && error.code) {
+        throw error;
+      }
+
+      throw this._createError(
+        ERROR_TYPES.PROCESSING_ERROR,
+        ERROR_CODES.CANVAS_ERROR,
+        `Local background removal failed: ${error.message}`
+      );
+    } finally {
+      URL.revokeObjectURL(objectUrl);
+    }
+  }
+
+  /**
+   * Local removal is available whenever a canvas can be created
+   * 
+   * @returns {Promise<boolean>} - True if the browser supports canvas processing
+   */
+  async checkApiStatus() {
+    return typeof document !== 'undefined' && typeof document.createElement === 'function';
+  }
+
+  /**
+   * Make the background of RGBA pixel data transparent (in place)
+   * 
+   * @param {Uint8ClampedArray} pixels - RGBA pixel data
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {Object} options - Keying options
+   * @param {number} options.tolerance - Max color distance treated as background
+   * @param {number} options.edgeSoftness - Color distance range over which edge pixels fade in
+   * @param {number} options.smoothingRadius - Alpha mask blur radius in pixels
+   * @returns {Object} - The estimated backdrop color {r, g, b}
+   */
+  removeBackgroundFromPixels(pixels, width, height, options = {}) {
+    const {
+      tolerance = this.tolerance,
+      edgeSoftness = this.edgeSoftness,
+      smoothingRadius = this.smoothingRadius
+    } = options;
+
+    const background = this._estimateBackgroundColor(pixels, width, height);
+    const distances = this._computeColorDistances(pixels, width * height, background);
+    const backgroundMask = this._floodFillBackground(distances, width, height, tolerance);
+
+    let alpha = this._buildAlphaMask(distances, backgroundMask, width, height, tolerance, edgeSoftness);
+    if (smoothingRadius > 0) {
+      alpha = this._smoothAlpha(alpha, width, height, smoothingRadius);
+    }
+
+    // Only ever lower existing alpha so already-transparent input stays transparent
+    for (let i = 0; i < width * height; i++) {
+      const index = i * 4 + 3;
+      pixels[index] = Math.min(pixels[index], alpha[i]);
+    }
+
+    return background;
+  }
+
+  /**
+   * Estimate the backdrop color as the per-channel median of all border pixels
+   * 
+   * @private
+   * @param {Uint8ClampedArray} pixels - RGBA pixel data
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @returns {Object} - Backdrop color {r, g, b}
+   */
+  _estimateBackgroundColor(pixels, width, height) {
+    const histograms = [new Uint32Array(256), new Uint32Array(256), new Uint32Array(256)];
+    let count = 0;
+
+    const sample = (x, y) => {
+      const index = (y * width + x) * 4;
+      histograms[0][pixels[index]]++;
+      histograms[1][pixels[index + 1]]++;
+      histograms[2][pixels[index + 2]]++;
+      count++;
+    };
+
+    for (let x = 0; x < width; x++) {
+      sample(x, 0);
+      if (height > 1) {
+        sample(x, height - 1);
+      }
+    }
+    for (let y = 1; y < height - 1; y++) {
+      sample(0, y);
+      if (width > 1) {
+        sample(width - 1, y);
+      }
+    }
+
+    const median = (histogram) => {
+      let seen = 0;
+      for (let value = 0; value < 256; value++) {
+        seen += histogram[value];
+        if (seen * 2 >= count) {
+          return value;
         }
-        
-        // Don't retry on last attempt
-        if (attempt === this.maxRetries) {
+      }
+      return 255;
+    };
+
+    return {
+      r: median(histograms[0]),
+      g: median(histograms[1]),
+      b: median(histograms[2])
+    };
+  }
+
+  /**
+   * Compute the Euclidean RGB distance of every pixel from a reference color
+   * 
+   * @private
+   * @param {Uint8ClampedArray} pixels - RGBA pixel data
+   * @param {number} pixelCount - Number of pixels
+   * @param {Object} color - Reference color {r, g, b}
+   * @returns {Float32Array} - Distance per pixel
+   */
+  _computeColorDistances(pixels, pixelCount, color) {
+    const distances = new Float32Array(pixelCount);
+
+    for (let i = 0; i < pixelCount; i++) {
+      const index = i * 4;
+      const dr = pixels[index] - color.r;
+      const dg = pixels[index + 1] - color.g;
+      const db = pixels[index + 2] - color.b;
+      distances[i] = Math.sqrt(dr * dr + dg * dg + db * db);
+    }
+
+    return distances;
+  }
+
+  /**
+   * Flood-fill from the image border over pixels within tolerance of the backdrop
+   * 
+   * Only regions connected to the border are removed, so backdrop-colored areas
+   * enclosed by the garment (e.g. white print on a dark shirt) are preserved.
+   * 
+   * @private
+   * @param {Float32Array} distances - Color distance per pixel
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {number} tolerance - Max distance treated as background
+   * @returns {Uint8Array} - 1 for background pixels, 0 otherwise
+   */
+  _floodFillBackground(distances, width, height, tolerance) {
+    const mask = new Uint8Array(width * height);
+    const queue = new Int32Array(width * height);
+    let head = 0;
+    let tail = 0;
+
+    const visit = (i) => {
+      if (!mask[i] && distances[i] <= tolerance) {
+        mask[i] = 1;
+        queue[tail++] = i;
+      }
+    };
+
+    // Seed with every border pixel
+    for (let x = 0; x < width; x++) {
+      visit(x);
+      visit((height - 1) * width + x);
+    }
+    for (let y = 0; y < height; y++) {
+      visit(y * width);
+      visit(y * width + width - 1);
+    }
+
+    // 4-connected breadth-first fill
+    while (head < tail) {
+      const i = queue[head++];
+      const x = i % width;
+
+      if (x > 0) visit(i - 1);
+      if (x < width - 1) visit(i + 1);
+      if (i >= width) visit(i - width);
+      if (i < width * (height - 1)) visit(i + width);
+    }
+
+    return mask;
+  }
+
+  /**
+   * Build the alpha mask from the background region
+   * 
+   * Background pixels become fully transparent. Foreground pixels touching the
+   * background whose color is still close to the backdrop fade in linearly over
+   * edgeSoftness, which keeps anti-aliased edges from turning into hard steps.
+   * 
+   * @private
+   * @param {Float32Array} distances - Color distance per pixel
+   * @param {Uint8Array} backgroundMask - 1 for background pixels
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {number} tolerance - Max distance treated as background
+   * @param {number} edgeSoftness - Distance range over which edge pixels fade in
+   * @returns {Uint8ClampedArray} - Alpha value per pixel
+   */
+  _buildAlphaMask(distances, backgroundMask, width, height, tolerance, edgeSoftness) {
+    const alpha = new Uint8ClampedArray(width * height);
+
+    for (let i = 0; i < width * height; i++) {
+      if (backgroundMask[i]) {
+        alpha[i] = 0;
+        continue;
+      }
+
+      alpha[i] = 255;
+
+      if (edgeSoftness <= 0 || distances[i] >= tolerance + edgeSoftness) {
+        continue;
+      }
+
+      const x = i % width;
+      const touchesBackground =
+        (x > 0 && backgroundMask[i - 1]) ||
+        (x < width - 1 && backgroundMask[i + 1]) ||
+        (i >= width && backgroundMask[i - width]) ||
+        (i < width * (height - 1) && backgroundMask[i + width]);
+
+      if (touchesBackground) {
+        alpha[i] = Math.round(255 * (distances[i] - tolerance) / edgeSoftness);
+      }
+    }
+
+    return alpha;
+  }
+
+  /**
+   * Smooth the alpha mask with a separable box blur
+   * 
+   * @private
+   * @param {Uint8ClampedArray} alpha - Alpha value per pixel
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {number} radius - Blur radius in pixels
+   * @returns {Uint8ClampedArray} - Smoothed alpha values
+   */
+  _smoothAlpha(alpha, width, height, radius) {
+    const horizontal = new Float32Array(width * height);
+    const result = new Uint8ClampedArray(width * height);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let sum = 0;
+        let count = 0;
+        for (let k = Math.max(0, x - radius); k <= Math.min(width - 1, x + radius); k++) {
+          sum += alpha[y * width + k];
+          count++;
+        }
+        horizontal[y * width + x] = sum / count;
+      }
+    }
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let sum = 0;
+        let count = 0;
+        for (let k = Math.max(0, y - radius); k <= Math.min(height - 1, y + radius); k++) {
+          sum += horizontal[k * width + x];
+          count++;
+        }
+        result[y * width + x] = Math.round(sum / count);
+      }
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Error codes that make the fallback chain move on to the next provider
+ * Other errors (bad image, invalid key) are returned to the caller immediately
+ */
+const FALLBACK_ERROR_CODES = [
+  ERROR_CODES.API_QUOTA_EXCEEDED,
+  ERROR_CODES.API_RATE_LIMITED,
+  ERROR_CODES.API_SERVICE_UNAVAILABLE,
+  ERROR_CODES.NETWORK_TIMEOUT,
+  ERROR_CODES.NETWORK_OFFLINE,
+  ERROR_CODES.USAGE_BUDGET_EXCEEDED
+];
+
+/**
+ * Fallback Chain Implementation
+ * 
+ * Wraps an ordered list of providers and tries them in turn. A provider that
+ * reports quota exhaustion, unavailability or timeouts hands the request to the
+ * next one. Each provider has a circuit breaker: after `failureThreshold`
+ * consecutive failures it is skipped until `cooldown` has passed, after which
+ * a single trial request decides whether it is used again.
+ */
+export class FallbackBackgroundRemovalService extends BackgroundRemovalAPI {
+  /**
+   * Create a new FallbackBackgroundRemovalService instance
+   * @param {BackgroundRemovalAPI[]} providers - Providers in order of preference
+   * @param {Object} config - Optional configuration overrides
+   * @param {number} config.failureThreshold - Consecutive failures before a circuit opens
+   * @param {number} config.cooldown - Milliseconds an open circuit skips its provider
+   */
+  constructor(providers, config = {}) {
+    super();
+
+    if (!Array.isArray(providers) || providers.length === 0) {
+      throw new Error('At least one provider is required for FallbackBackgroundRemovalService');
+    }
+
+    this.name = 'fallback';
+    this.providers = providers;
+    this.failureThreshold = config.failureThreshold || CIRCUIT_BREAKER_CONFIG.FAILURE_THRESHOLD;
+    this.cooldown = config.cooldown || CIRCUIT_BREAKER_CONFIG.COOLDOWN;
+
+    // Circuit state per provider, indexed like this.providers
+    this.circuits = providers.map(() => ({
+      failures: 0,
+      openedAt: null
+    }));
+  }
+
+  /**
+   * Remove background using the first provider that succeeds
+   * 
+   * @param {Blob} imageBlob - The image to process
+   * @param {Object} options - Processing options passed to each provider
+   * @returns {Promise<Blob>} - The processed image with background removed
+   */
+  async removeBackground(imageBlob, options = {}) {
+    const result = await this.removeBackgroundDetailed(imageBlob, options);
+    return result.blob;
+  }
+
+  /**
+   * Remove background and report which provider produced the result
+   * 
+   * @param {Blob} imageBlob - The image to process
+   * @param {Object} options - Processing options passed to each provider
+   * @returns {Promise<Object>} - { blob, provider, metadata }
+   * @throws {Error} - The last provider error, or API_SERVICE_UNAVAILABLE if every circuit is open
+   */
+  async removeBackgroundDetailed(imageBlob, options = {}) {
+    let lastError = null;
+
+    for (let i = 0; i < this.providers.length; i++) {
+      const provider = this.providers[i];
+      const name = this._getProviderName(i);
+
+      // Cancellation is never a reason to try the next provider
+      this._throwIfAborted(options.signal);
+
+      if (this._isCircuitOpen(i)) {
+        console.warn(`[FallbackBackgroundRemoval] 跳过 ${name}（熔断中）`);
+        continue;
+      }
+
+      try {
+        const result = typeof provider.removeBackgroundDetailed === 'function'
+          ? await provider.removeBackgroundDetailed(imageBlob, options)
+          : { blob: await provider.removeBackground(imageBlob, options), metadata: null };
+        this._recordSuccess(i);
+
+        return {
+          ...result,
+          provider: result.provider || name
+        };
+      } catch (error) {
+        if (!this._shouldFallback(error)) {
           throw error;
         }
-        
-        // Calculate delay with exponential backoff
-        const delay = this.initialDelay * Math.pow(this.backoffMultiplier, attempt - 1);
-        
-        // Wait before retrying
-        await this._sleep(delay);
+
+        this._recordFailure(i);
+        lastError = error;
+        console.warn(`[FallbackBackgroundRemoval] ${name} 失败，尝试下一个服务:`, error.code);
       }
     }
-    
-    // This should never be reached, but just in case
-    throw lastError;
+
+    throw lastError || this._createError(
+      ERROR_TYPES.API_ERROR,
+      ERROR_CODES.API_SERVICE_UNAVAILABLE,
+      'All background removal providers are unavailable',
+      true
+    );
   }
 
   /**
-   * Handle API error responses and create appropriate error objects
+   * Check whether the chain is available
    * 
-   * @private
-   * @param {Object} response - Axios error response
-   * @returns {Error} - Formatted error object
+   * Only Remove.bg reports an account, so its account info is returned whenever
+   * it is in the chain and responds, whatever its position.
+   * 
+   * @returns {Promise<boolean|Object>} - Remove.bg account info, otherwise whether any provider
+   *   is available
    */
-  _handleApiError(response) {
-    const status = response.status;
-    
-    switch (status) {
-      case HTTP_STATUS.BAD_REQUEST:
-        return this._createError(
-          ERROR_TYPES.API_ERROR,
-          ERROR_CODES.API_BAD_REQUEST,
-          'Invalid image or request parameters',
-          false
-        );
-        
-      case HTTP_STATUS.UNAUTHORIZED:
-      case HTTP_STATUS.FORBIDDEN:
-        return this._createError(
-          ERROR_TYPES.API_ERROR,
-          ERROR_CODES.API_KEY_INVALID,
-          'Invalid or missing API key',
-          false
-        );
-        
-      case HTTP_STATUS.PAYMENT_REQUIRED:
-      case HTTP_STATUS.TOO_MANY_REQUESTS:
-        return this._createError(
-          ERROR_TYPES.API_ERROR,
-          ERROR_CODES.API_QUOTA_EXCEEDED,
-          'API quota exceeded or payment required',
-          false
-        );
-        
-      case HTTP_STATUS.INTERNAL_SERVER_ERROR:
-      case HTTP_STATUS.SERVICE_UNAVAILABLE:
-        return this._createError(
-          ERROR_TYPES.API_ERROR,
-          ERROR_CODES.API_SERVICE_UNAVAILABLE,
-          'API service temporarily unavailable',
-          true // retryable
-        );
-        
-      default:
-        return this._createError(
-          ERROR_TYPES.API_ERROR,
-          ERROR_CODES.API_SERVICE_UNAVAILABLE,
-          `API error: ${status}`,
-          status >= 500 // Retry on 5xx errors
-        );
+  async checkApiStatus() {
+    const removeBgIndex = this.providers.findIndex((provider, i) => this._getProviderName(i) === 'removebg');
+    const order = removeBgIndex === -1
+      ? this.providers
+      : [this.providers[removeBgIndex], ...this.providers.filter((provider, i) => i !== removeBgIndex)];
+
+    for (const provider of order) {
+      try {
+        const status = await provider.checkApiStatus();
+        if (status) {
+          return status;
+        }
+      } catch (error) {
+        // Try the next provider
+      }
     }
+
+    return false;
   }
 
   /**
-   * Create a standardized error object
+   * Get the circuit state of every provider
+   * 
+   * @returns {Array<Object>} - [{ provider, failures, open }]
+   */
+  getCircuitStates() {
+    return this.providers.map((provider, i) => ({
+      provider: this._getProviderName(i),
+      failures: this.circuits[i].failures,
+      open: this._isCircuitOpen(i)
+    }));
+  }
+
+  /**
+   * Reset all circuits to closed
+   */
+  resetCircuits() {
+    this.circuits.forEach(circuit => {
+      circuit.failures = 0;
+      circuit.openedAt = null;
+    });
+  }
+
+  /**
+   * Whether the error should hand the request to the next provider
    * 
    * @private
-   * @param {string} type - Error type from ERROR_TYPES
-   * @param {string} code - Error code from ERROR_CODES
-   * @param {string} details - Detailed error message
-   * @param {boolean} retryable - Whether the error is retryable
-   * @returns {Error} - Error object with additional properties
+   * @param {Error} error - Error thrown by a provider
+   * @returns {boolean}
    */
-  _createError(type, code, details, retryable = false) {
-    const error = new Error(ERROR_MESSAGES[code] || details);
-    error.type = type;
-    error.code = code;
-    error.details = details;
-    error.retryable = retryable;
-    return error;
+  _shouldFallback(error) {
+    return !!error && FALLBACK_ERROR_CODES.includes(error.code);
   }
 
   /**
-   * Sleep for specified milliseconds
+   * Whether a provider is currently skipped
+   * 
+   * Once the cooldown has passed the circuit is half-open: the provider gets
+   * one trial request, and a failure re-opens the circuit immediately.
    * 
    * @private
-   * @param {number} ms - Milliseconds to sleep
-   * @returns {Promise<void>}
+   * @param {number} index - Provider index
+   * @returns {boolean}
+   */
+  _isCircuitOpen(index) {
+    const circuit = this.circuits[index];
+
+    if (circuit.openedAt === null) {
+      return false;
+    }
+
+    return Date.now() - circuit.openedAt < this.cooldown;
+  }
+
+  /**
+   * @private
+   * @param {number} index - Provider index
    */
-  _sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  _recordSuccess(index) {
+    this.circuits[index].failures = 0;
+    this.circuits[index].openedAt = null;
+  }
+
+  /**
+   * @private
+   * @param {number} index - Provider index
+   */
+  _recordFailure(index) {
+    const circuit = this.circuits[index];
+    circuit.failures++;
+
+    if (circuit.failures >= this.failureThreshold) {
+      circuit.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * @private
+   * @param {number} index - Provider index
+   * @returns {string}
+   */
+  _getProviderName(index) {
+    return this.providers[index].name || `provider-${index + 1}`;
+  }
+}
+
+/**
+ * Usage Tracking Implementation
+ * 
+ * Wraps a provider and records every call it handles (file, provider, size
+ * option, credits charged and outcome) in a usage ledger. With `enforceBudget`
+ * the call is refused once the ledger's credit budget is spent; in a fallback
+ * chain the request then moves on to the next (free) provider.
+ */
+export class UsageTrackingBackgroundRemovalService extends BackgroundRemovalAPI {
+  /**
+   * Create a new UsageTrackingBackgroundRemovalService instance
+   * @param {BackgroundRemovalAPI} service - The provider to track
+   * @param {UsageLedger} ledger - Ledger that stores the records and the budget
+   * @param {Object} config - Optional configuration
+   * @param {boolean} config.enforceBudget - Refuse calls once the budget is spent
+   */
+  constructor(service, ledger, config = {}) {
+    super();
+
+    if (!service) {
+      throw new Error('A service is required for UsageTrackingBackgroundRemovalService');
+    }
+    if (!ledger) {
+      throw new Error('A usage ledger is required for UsageTrackingBackgroundRemovalService');
+    }
+
+    this.service = service;
+    this.ledger = ledger;
+    this.name = service.name;
+    this.enforceBudget = Boolean(config.enforceBudget);
+  }
+
+  /**
+   * Remove background and record the call
+   * 
+   * @param {Blob} imageBlob - The image to process
+   * @param {Object} options - Processing options passed to the provider
+   * @returns {Promise<Blob>} - The processed image with background removed
+   */
+  async removeBackground(imageBlob, options = {}) {
+    const result = await this.removeBackgroundDetailed(imageBlob, options);
+    return result.blob;
+  }
+
+  /**
+   * Remove background, record the call and report the provider's metadata
+   * 
+   * @param {Blob} imageBlob - The image to process
+   * @param {Object} options - Processing options passed to the provider
+   * @param {string} [options.fileName] - Original file name recorded in the ledger
+   * @returns {Promise<Object>} - { blob, provider, metadata }
+   * @throws {Error} - USAGE_BUDGET_EXCEEDED once the budget is spent, otherwise the provider error
+   */
+  async removeBackgroundDetailed(imageBlob, options = {}) {
+    if (this.enforceBudget) {
+      const budget = this.ledger.getBudgetStatus();
+      if (budget.exceeded) {
+        throw this._createError(
+          ERROR_TYPES.API_ERROR,
+          ERROR_CODES.USAGE_BUDGET_EXCEEDED,
+          `Usage budget of ${budget.limit} credits per ${budget.period} reached (${budget.used} used)`
+        );
+      }
+    }
+
+    const entry = {
+      fileName: options.fileName || imageBlob.name || null,
+      provider: this.name,
+      size: options.size || null
+    };
+
+    try {
+      const result = typeof this.service.removeBackgroundDetailed === 'function'
+        ? await this.service.removeBackgroundDetailed(imageBlob, options)
+        : { blob: await this.service.removeBackground(imageBlob, options), provider: this.name, metadata: null };
+
+      this.ledger.record({
+        ...entry,
+        provider: result.provider || this.name,
+        creditsCharged: result.metadata && result.metadata.creditsCharged,
+        outcome: USAGE_OUTCOMES.SUCCESS
+      });
+
+      return result;
+    } catch (error) {
+      const cancelled = !!error && error.type === ERROR_TYPES.CANCELLED;
+      this.ledger.record({
+        ...entry,
+        outcome: cancelled ? USAGE_OUTCOMES.CANCELLED : USAGE_OUTCOMES.ERROR,
+        errorCode: cancelled ? null : (error && error.code) || null
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Check the wrapped provider's status (not recorded: it costs no credits)
+   * 
+   * @returns {Promise<boolean|Object>}
+   */
+  async checkApiStatus() {
+    return this.service.checkApiStatus();
   }
 }
 
 /**
  * Factory function to create a background removal service
  * 
- * @param {string} provider - Service provider ('removebg')
- * @param {string} apiKey - API key for the provider
+ * @param {string} provider - Service provider ('removebg', 'rembg', 'local')
+ * @param {string} apiKey - API key for the provider (not needed for 'rembg' and 'local')
  * @param {Object} config - Optional configuration
  * @returns {BackgroundRemovalAPI} - Background removal service instance
  */
@@ -348,6 +1630,12 @@ export function createBackgroundRemovalService(provider, apiKey, config = {}) {
     case 'remove.bg':
       return new RemoveBgService(apiKey, config);
       
+    case 'rembg':
+      return new RembgService(config);
+      
+    case 'local':
+      return new LocalBackgroundRemovalService(config);
+      
     default:
       throw new Error(`Unsupported background removal provider: ${provider}`);
   }
@@ -356,6 +1644,11 @@ export function createBackgroundRemovalService(provider, apiKey, config = {}) {
 // Default export
 export default {
   BackgroundRemovalAPI,
+  HttpBackgroundRemovalService,
   RemoveBgService,
+  RembgService,
+  LocalBackgroundRemovalService,
+  FallbackBackgroundRemovalService,
+  UsageTrackingBackgroundRemovalService,
   createBackgroundRemovalService
 };
@@ -4,17 +4,39 @@
  * This service provides utility functions for Canvas operations including:
  * - Loading images from DataURL
  * - Creating canvas elements
+ * - Reading the pixels of an image
  * - Converting canvas to Blob
  * - Resizing images while maintaining aspect ratio
+ * - Upscaling images to a physical print size and DPI
  * 
  * Requirements: 3.2, 3.3, 6.1
  */
 
 import {
   ERROR_CODES,
-  ERROR_MESSAGES
+  ERROR_MESSAGES,
+  UPSCALE_METHODS,
+  PRINT_UPSCALE_CONFIG
 } from '@/constants';
 
+/**
+ * Lanczos kernel with the given number of lobes
+ * 
+ * @param {number} x - Distance from the sample in source pixels
+ * @param {number} lobes - Kernel size (3 for Lanczos-3)
+ * @returns {number} Weight of the sample
+ */
+function lanczos(x, lobes) {
+  if (x === 0) {
+    return 1;
+  }
+  if (x <= -lobes || x >= lobes) {
+    return 0;
+  }
+  const px = Math.PI * x;
+  return lobes * Math.sin(px) * Math.sin(px / lobes) / (px * px);
+}
+
 /**
  * CanvasUtility class provides Canvas manipulation utilities
  */
@@ -92,6 +114,31 @@ class CanvasUtility {
     return canvas;
   }
 
+  /**
+   * Draws an image onto a new canvas of the same size and reads its pixels
+   * 
+   * Used by the pixel services (pattern extraction, color quantization,
+   * perspective correction, edge refinement); write pixels back with
+   * ctx.putImageData(imageData, 0, 0) after changing them.
+   * 
+   * @param {HTMLImageElement|HTMLCanvasElement} image - The image to read
+   * @returns {Object} { canvas, ctx, imageData, pixels }, pixels being imageData.data
+   * @throws {Error} If the image has no size
+   * 
+   * @example
+   * const { ctx, imageData, pixels } = canvasUtil.readPixels(img);
+   * pixels[3] = 0;
+   * ctx.putImageData(imageData, 0, 0);
+   */
+  readPixels(image) {
+    const canvas = this.createCanvas(image.width, image.height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0);
+
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    return { canvas, ctx, imageData, pixels: imageData.data };
+  }
+
   /**
    * Converts a canvas to a Blob
    * 
@@ -218,6 +265,109 @@ class CanvasUtility {
     return canvas;
   }
 
+  /**
+   * Upscales an image to a physical print size
+   * 
+   * Fits the image into widthInches x heightInches at the given DPI while
+   * preserving the aspect ratio. Unlike resizeImage, which lets the browser
+   * scale bilinearly and never enlarges, this resamples with Lanczos-3, or with
+   * edge-directed doubling (Scale2x) that keeps flat art's color edges crisp.
+   * Colors are resampled premultiplied by alpha, so transparent surroundings
+   * don't bleed into the design's edge.
+   * 
+   * The effective source resolution is the number of source pixels per printed
+   * inch. Resampling cannot add detail the photo never had, so when it is below
+   * PRINT_UPSCALE_CONFIG.MIN_SOURCE_DPI the result carries a warning.
+   * 
+   * @param {HTMLImageElement|HTMLCanvasElement} image - The image to upscale
+   * @param {Object} [options] - Upscale options
+   * @param {number} [options.widthInches] - Print width in inches
+   * @param {number} [options.heightInches] - Print height in inches
+   * @param {number} [options.dpi] - Print resolution in dots per inch
+   * @param {string} [options.method] - One of UPSCALE_METHODS
+   * @param {boolean|Object} [options.sharpen=false] - Apply an unsharp mask afterwards; an object
+   *   overrides { amount, radius, threshold }
+   * @returns {Object} { canvas, width, height, dpi, scale, sourceDpi, warning }, where warning is
+   *   null when the source resolution is sufficient
+   * @throws {Error} If parameters are invalid or the output would be too large
+   * 
+   * @example
+   * const canvasUtil = new CanvasUtility();
+   * const img = await canvasUtil.loadImage('data:image/png;base64,...');
+   * const { canvas, warning } = canvasUtil.upscaleToPrintSize(img, { widthInches: 12, heightInches: 16, dpi: 300 });
+   * // If img was 1200x1600, canvas will be 3600x4800 and warning notes the 100 DPI source
+   */
+  upscaleToPrintSize(image, options = {}) {
+    const {
+      widthInches = PRINT_UPSCALE_CONFIG.WIDTH_INCHES,
+      heightInches = PRINT_UPSCALE_CONFIG.HEIGHT_INCHES,
+      dpi = PRINT_UPSCALE_CONFIG.DPI,
+      method = PRINT_UPSCALE_CONFIG.METHOD,
+      sharpen = false
+    } = options;
+
+    // Validate image parameter
+    if (!image || !(image instanceof HTMLImageElement || image instanceof HTMLCanvasElement)) {
+      throw new Error(ERROR_MESSAGES[ERROR_CODES.IMAGE_LOAD_ERROR]);
+    }
+
+    // Validate print size, resolution and method
+    const isPositive = value => typeof value === 'number' && value > 0 && isFinite(value);
+    if (!isPositive(widthInches) || !isPositive(heightInches) || !isPositive(dpi) ||
+        !Object.values(UPSCALE_METHODS).includes(method)) {
+      throw new Error(ERROR_MESSAGES[ERROR_CODES.CANVAS_ERROR]);
+    }
+
+    // Fit into the print area while maintaining aspect ratio
+    const scale = Math.min(widthInches * dpi / image.width, heightInches * dpi / image.height);
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+
+    if (width * height > PRINT_UPSCALE_CONFIG.MAX_PIXELS) {
+      throw new Error(ERROR_MESSAGES[ERROR_CODES.CANVAS_ERROR]);
+    }
+
+    // Read the source pixels
+    let { pixels } = this.readPixels(image);
+    let sourceWidth = image.width;
+    let sourceHeight = image.height;
+
+    // Edge-directed doubling while it doesn't overshoot; Lanczos covers the rest
+    if (method === UPSCALE_METHODS.EDGE) {
+      while (sourceWidth * 2 <= width && sourceHeight * 2 <= height) {
+        pixels = this._scale2x(pixels, sourceWidth, sourceHeight, PRINT_UPSCALE_CONFIG.EDGE_TOLERANCE);
+        sourceWidth *= 2;
+        sourceHeight *= 2;
+      }
+    }
+
+    // Create canvas with the print dimensions
+    const canvas = this.createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const output = ctx.getImageData(0, 0, width, height);
+
+    this._resampleLanczos(pixels, sourceWidth, sourceHeight, output.data, width, height);
+
+    if (sharpen) {
+      this._unsharpMask(output.data, width, height, {
+        amount: PRINT_UPSCALE_CONFIG.SHARPEN_AMOUNT,
+        radius: PRINT_UPSCALE_CONFIG.SHARPEN_RADIUS,
+        threshold: PRINT_UPSCALE_CONFIG.SHARPEN_THRESHOLD,
+        ...(typeof sharpen === 'object' ? sharpen : {})
+      });
+    }
+
+    ctx.putImageData(output, 0, 0);
+
+    // Source pixels per printed inch
+    const sourceDpi = Math.round(image.width / (width / dpi));
+    const warning = sourceDpi < PRINT_UPSCALE_CONFIG.MIN_SOURCE_DPI
+      ? `原图分辨率仅相当于 ${sourceDpi} DPI，低于打印所需的 ${PRINT_UPSCALE_CONFIG.MIN_SOURCE_DPI} DPI，放大后的图案可能模糊`
+      : null;
+
+    return { canvas, width, height, dpi, scale, sourceDpi, warning };
+  }
+
   /**
    * Adds a transparency grid background to a canvas
    * 
@@ -262,6 +412,300 @@ class CanvasUtility {
 
     return newCanvas;
   }
+
+  /**
+   * Precomputes the Lanczos-3 taps of each output pixel along one axis
+   * 
+   * When shrinking, the kernel is stretched so every source pixel contributes.
+   * Taps beyond the image are clamped to the edge pixel.
+   * 
+   * @private
+   * @param {number} sourceSize - Source length in pixels
+   * @param {number} targetSize - Output length in pixels
+   * @returns {Object} { taps, indices, weights } with taps entries per output pixel
+   */
+  _lanczosWeights(sourceSize, targetSize) {
+    const lobes = 3;
+    const ratio = sourceSize / targetSize;
+    const filterScale = Math.max(1, ratio);
+    const support = lobes * filterScale;
+    const taps = Math.ceil(support) * 2 + 2;
+    const indices = new Int32Array(targetSize * taps);
+    const weights = new Float32Array(targetSize * taps);
+
+    for (let i = 0; i < targetSize; i++) {
+      const center = (i + 0.5) * ratio;
+      const first = Math.floor(center - support);
+      let total = 0;
+
+      for (let t = 0; t < taps; t++) {
+        const j = first + t;
+        const weight = lanczos((j + 0.5 - center) / filterScale, lobes);
+        indices[i * taps + t] = Math.min(sourceSize - 1, Math.max(0, j));
+        weights[i * taps + t] = weight;
+        total += weight;
+      }
+
+      for (let t = 0; t < taps; t++) {
+        weights[i * taps + t] /= total;
+      }
+    }
+
+    return { taps, indices, weights };
+  }
+
+  /**
+   * Resamples RGBA pixels with a separable Lanczos-3 filter
+   * 
+   * Colors are weighted by alpha (premultiplied) and divided out again at the end.
+   * Output rows are produced top to bottom and each one only reads vertical.taps
+   * consecutive source rows, so the horizontal pass fills a small ring of rows
+   * instead of a full-height buffer.
+   * 
+   * @private
+   * @param {Uint8ClampedArray} source - Source RGBA pixels
+   * @param {number} sourceWidth - Source width
+   * @param {number} sourceHeight - Source height
+   * @param {Uint8ClampedArray} target - Output RGBA pixels, written in place
+   * @param {number} width - Output width
+   * @param {number} height - Output height
+   */
+  _resampleLanczos(source, sourceWidth, sourceHeight, target, width, height) {
+    const horizontal = this._lanczosWeights(sourceWidth, width);
+    const vertical = this._lanczosWeights(sourceHeight, height);
+
+    // Horizontally resampled, premultiplied source rows (source row n lives in slot n % ringSize)
+    const ringSize = vertical.taps;
+    const rows = new Float32Array(width * ringSize * 4);
+    let nextRow = 0;
+
+    for (let y = 0; y < height; y++) {
+      // Horizontal pass for the source rows this output row reaches that aren't in the ring yet
+      const lastRow = vertical.indices[y * vertical.taps + vertical.taps - 1];
+      for (; nextRow <= lastRow; nextRow++) {
+        const offset = (nextRow % ringSize) * width * 4;
+
+        for (let x = 0; x < width; x++) {
+          let r = 0;
+          let g = 0;
+          let b = 0;
+          let a = 0;
+
+          for (let t = 0; t < horizontal.taps; t++) {
+            const weight = horizontal.weights[x * horizontal.taps + t];
+            if (weight === 0) {
+              continue;
+            }
+            const index = (nextRow * sourceWidth + horizontal.indices[x * horizontal.taps + t]) * 4;
+            const alpha = source[index + 3] * weight;
+            r += source[index] * alpha;
+            g += source[index + 1] * alpha;
+            b += source[index + 2] * alpha;
+            a += alpha;
+          }
+
+          const index = offset + x * 4;
+          rows[index] = r;
+          rows[index + 1] = g;
+          rows[index + 2] = b;
+          rows[index + 3] = a;
+        }
+      }
+
+      // Vertical pass, dividing the alpha back out
+      for (let x = 0; x < width; x++) {
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        let a = 0;
+
+        for (let t = 0; t < vertical.taps; t++) {
+          const weight = vertical.weights[y * vertical.taps + t];
+          if (weight === 0) {
+            continue;
+          }
+          const index = ((vertical.indices[y * vertical.taps + t] % ringSize) * width + x) * 4;
+          r += rows[index] * weight;
+          g += rows[index + 1] * weight;
+          b += rows[index + 2] * weight;
+          a += rows[index + 3] * weight;
+        }
+
+        const index = (y * width + x) * 4;
+        if (a > 0) {
+          target[index] = r / a;
+          target[index + 1] = g / a;
+          target[index + 2] = b / a;
+          target[index + 3] = a;
+        } else {
+          target[index] = 0;
+          target[index + 1] = 0;
+          target[index + 2] = 0;
+          target[index + 3] = 0;
+        }
+      }
+    }
+  }
+
+  /**
+   * Doubles RGBA pixels with Scale2x (EPX)
+   * 
+   * Each pixel becomes four; a quarter takes a neighbor's color when the two
+   * neighbors around that corner match and the edge runs diagonally through it,
+   * so flat art's diagonal edges stay sharp instead of turning into blur or steps.
+   * Colors within the tolerance count as matching.
+   * 
+   * @private
+   * @param {Uint8ClampedArray} pixels - Source RGBA pixels
+   * @param {number} width - Source width
+   * @param {number} height - Source height
+   * @param {number} tolerance - RGBA distance within which pixels match
+   * @returns {Uint8ClampedArray} RGBA pixels of twice the width and height
+   */
+  _scale2x(pixels, width, height, tolerance) {
+    const output = new Uint8ClampedArray(width * height * 16);
+    const tolerance2 = tolerance * tolerance;
+    const rowStride = width * 4;
+    const outStride = width * 8;
+
+    const same = (i, j) => {
+      if (pixels[i + 3] === 0 && pixels[j + 3] === 0) {
+        return true;
+      }
+      const dr = pixels[i] - pixels[j];
+      const dg = pixels[i + 1] - pixels[j + 1];
+      const db = pixels[i + 2] - pixels[j + 2];
+      const da = pixels[i + 3] - pixels[j + 3];
+      return dr * dr + dg * dg + db * db + da * da <= tolerance2;
+    };
+
+    const copy = (to, from) => {
+      output[to] = pixels[from];
+      output[to + 1] = pixels[from + 1];
+      output[to + 2] = pixels[from + 2];
+      output[to + 3] = pixels[from + 3];
+    };
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const p = (y * width + x) * 4;
+        const up = y > 0 ? p - rowStride : p;
+        const down = y < height - 1 ? p + rowStride : p;
+        const left = x > 0 ? p - 4 : p;
+        const right = x < width - 1 ? p + 4 : p;
+        const o = y * 2 * outStride + x * 8;
+
+        copy(o, same(left, up) && !same(left, down) && !same(up, right) ? up : p);
+        copy(o + 4, same(up, right) && !same(up, left) && !same(right, down) ? right : p);
+        copy(o + outStride, same(down, left) && !same(down, right) && !same(left, up) ? left : p);
+        copy(o + outStride + 4, same(right, down) && !same(right, up) && !same(down, left) ? down : p);
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Sharpens RGBA pixels in place with an unsharp mask
+   * 
+   * Each color moves away from its Gaussian-blurred surroundings by amount,
+   * unless the difference is within threshold (so flat areas and noise stay
+   * calm). The blur is weighted by alpha so transparent pixels don't darken
+   * the edge; alpha itself is left alone.
+   * 
+   * @private
+   * @param {Uint8ClampedArray} pixels - RGBA pixels
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {Object} options - { amount, radius, threshold }
+   */
+  _unsharpMask(pixels, width, height, { amount, radius, threshold }) {
+    const reach = Math.max(1, Math.ceil(radius * 3));
+    const kernel = new Float32Array(reach * 2 + 1);
+    let total = 0;
+    for (let k = -reach; k <= reach; k++) {
+      kernel[k + reach] = Math.exp(-(k * k) / (2 * radius * radius));
+      total += kernel[k + reach];
+    }
+    for (let k = 0; k < kernel.length; k++) {
+      kernel[k] /= total;
+    }
+
+    // Horizontally blurred rows, premultiplied (kept as floats: rounding a faint
+    // pixel's premultiplied color would be magnified when alpha is divided back out).
+    // Row n lives in slot n % ringSize and is blurred before any row it reaches is
+    // sharpened, so it still sees the original colors
+    const ringSize = reach * 2 + 1;
+    const blurred = new Float32Array(width * ringSize * 4);
+    let nextRow = 0;
+
+    for (let y = 0; y < height; y++) {
+      const lastRow = Math.min(height - 1, y + reach);
+      for (; nextRow <= lastRow; nextRow++) {
+        const offset = (nextRow % ringSize) * width * 4;
+
+        for (let x = 0; x < width; x++) {
+          let r = 0;
+          let g = 0;
+          let b = 0;
+          let a = 0;
+
+          for (let k = -reach; k <= reach; k++) {
+            const index = (nextRow * width + Math.min(width - 1, Math.max(0, x + k))) * 4;
+            const weight = kernel[k + reach] * pixels[index + 3];
+            r += pixels[index] * weight;
+            g += pixels[index + 1] * weight;
+            b += pixels[index + 2] * weight;
+            a += weight;
+          }
+
+          const index = offset + x * 4;
+          blurred[index] = r / 255;
+          blurred[index + 1] = g / 255;
+          blurred[index + 2] = b / 255;
+          blurred[index + 3] = a;
+        }
+      }
+
+      // Vertical pass, then push each color away from its blur
+      for (let x = 0; x < width; x++) {
+        const index = (y * width + x) * 4;
+        if (pixels[index + 3] === 0) {
+          continue;
+        }
+
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        let a = 0;
+        for (let k = -reach; k <= reach; k++) {
+          const from = ((Math.min(height - 1, Math.max(0, y + k)) % ringSize) * width + x) * 4;
+          const weight = kernel[k + reach];
+          r += blurred[from] * weight;
+          g += blurred[from + 1] * weight;
+          b += blurred[from + 2] * weight;
+          a += blurred[from + 3] * weight;
+        }
+        if (a <= 0) {
+          continue;
+        }
+
+        const scale = 255 / a;
+        const dr = pixels[index] - r * scale;
+        const dg = pixels[index + 1] - g * scale;
+        const db = pixels[index + 2] - b * scale;
+        if (Math.abs(dr) > threshold) {
+          pixels[index] += amount * dr;
+        }
+        if (Math.abs(dg) > threshold) {
+          pixels[index + 1] += amount * dg;
+        }
+        if (Math.abs(db) > threshold) {
+          pixels[index + 2] += amount * db;
+        }
+      }
+    }
+  }
 }
 
 // Export a singleton instance
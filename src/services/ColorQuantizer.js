@@ -0,0 +1,520 @@
+/**
+ * Color Quantizer Service
+ *
+ * 把提取的图案减少为 N 种专色，供丝网印刷分色使用
+ * 在 Lab 色彩空间中用 k-means 聚类选取专色（Lab 距离与人眼感知的色差接近），
+ * 专色数量可以自动确定，也可以由用户指定；可选 Floyd-Steinberg 抖动
+ * 还可以为每种专色生成一张阳图菲林（分色片）
+ */
+
+import CanvasUtility from './CanvasUtility';
+
+// D65 白点
+const WHITE_X = 0.95047;
+const WHITE_Y = 1.0;
+const WHITE_Z = 1.08883;
+
+/**
+ * 颜色量化器类
+ */
+class ColorQuantizer {
+  constructor() {
+    this.canvasUtil = CanvasUtility;
+  }
+
+  /**
+   * 把图片减少为若干专色
+   *
+   * 丝网印刷没有半透明，透明度超过阈值的像素变为不透明的专色，其余变为完全透明。
+   *
+   * @param {HTMLImageElement|HTMLCanvasElement} image - 提取的图案
+   * @param {Object} options - 量化选项
+   * @param {number|null} options.colors - 专色数量，null 表示自动确定
+   * @param {number} options.maxColors - 自动确定时的最大专色数量
+   * @param {number} options.targetDeltaE - 自动确定时允许的平均色差（ΔE），
+   *   取满足该色差的最少专色数量
+   * @param {number} options.alphaThreshold - 透明度阈值（0-255），超过该值的像素参与分色
+   * @param {boolean} options.dither - 是否使用 Floyd-Steinberg 抖动
+   * @param {number} options.sampleSize - 聚类时最多采样的像素数
+   * @returns {Promise<Object>} { canvas, palette }，palette 按覆盖率从高到低排列，
+   *   每项为 { hex, r, g, b, pixelCount, coverage }，coverage 为占不透明像素的百分比
+   */
+  async quantize(image, options = {}) {
+    const {
+      colors = null,
+      maxColors = 8,
+      targetDeltaE = 6,
+      alphaThreshold = 128,
+      dither = false,
+      sampleSize = 20000
+    } = options;
+
+    const { canvas, ctx, imageData, pixels } = this.canvasUtil.readPixels(image);
+    const { width, height } = canvas;
+
+    const samples = this._sampleLab(pixels, alphaThreshold, sampleSize);
+    if (samples.length === 0) {
+      console.log('[ColorQuantizer] 没有不透明像素，跳过分色');
+      return { canvas, palette: [] };
+    }
+
+    const centroids = colors
+      ? this._kMeans(samples, colors)
+      : this._chooseColorCount(samples, maxColors, targetDeltaE);
+
+    console.log('[ColorQuantizer] 专色数量:', centroids.length, colors ? '' : '（自动）', '抖动:', dither);
+
+    const inks = centroids.map(lab => this._labToRgb(lab));
+    const counts = dither
+      ? this._applyDithered(pixels, width, height, centroids, inks, alphaThreshold)
+      : this._applyNearest(pixels, centroids, inks, alphaThreshold);
+
+    ctx.putImageData(imageData, 0, 0);
+
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    const palette = inks
+      .map((ink, i) => ({
+        hex: this._toHex(ink),
+        r: ink.r,
+        g: ink.g,
+        b: ink.b,
+        pixelCount: counts[i],
+        coverage: total > 0 ? (counts[i] / total) * 100 : 0
+      }))
+      .filter(color => color.pixelCount > 0)
+      .sort((a, b) => b.pixelCount - a.pixelCount);
+
+    return { canvas, palette };
+  }
+
+  /**
+   * 为每种专色生成一张阳图菲林（分色片）
+   *
+   * 按专色颜色精确匹配量化后的图片，因此应传入 quantize 输出的图片和调色板。
+   * 分色按印刷顺序排列：从浅到深，深色最后印刷以压住浅色的边缘。
+   *
+   * @param {HTMLImageElement|HTMLCanvasElement} image - 量化后的图案
+   * @param {Array<Object>} palette - quantize 返回的调色板
+   * @param {Object} options - 分色选项
+   * @param {string} options.film - 'black'（黑色印刷区域，其余透明）或
+   *   'grayscale'（白色不透明底上的黑色印刷区域）
+   * @returns {Array<Object>} 按印刷顺序排列的 { order, color, canvas }，order 从 1 开始
+   */
+  createSeparations(image, palette, options = {}) {
+    const { film = 'black' } = options;
+    const { canvas, pixels } = this.canvasUtil.readPixels(image);
+    const { width, height } = canvas;
+    const opaqueFilm = film === 'grayscale';
+
+    const inks = palette
+      .map(color => ({ color, lightness: this._rgbToLab(color.r, color.g, color.b)[0] }))
+      .sort((a, b) => b.lightness - a.lightness);
+
+    console.log('[ColorQuantizer] 生成分色片:', inks.length, '张，菲林:', film);
+
+    return inks.map(({ color }, i) => {
+      const separation = document.createElement('canvas');
+      separation.width = width;
+      separation.height = height;
+      const ctx = separation.getContext('2d');
+      const output = ctx.getImageData(0, 0, width, height);
+      const data = output.data;
+
+      for (let index = 0; index < pixels.length; index += 4) {
+        const printed = pixels[index + 3] > 0 &&
+          pixels[index] === color.r &&
+          pixels[index + 1] === color.g &&
+          pixels[index + 2] === color.b;
+        const value = printed || !opaqueFilm ? 0 : 255;
+
+        data[index] = value;
+        data[index + 1] = value;
+        data[index + 2] = value;
+        data[index + 3] = printed || opaqueFilm ? 255 : 0;
+      }
+
+      ctx.putImageData(output, 0, 0);
+      return { order: i + 1, color, canvas: separation };
+    });
+  }
+
+  /**
+   * 自动确定专色数量
+   *
+   * @private
+   * @param {Array<Array<number>>} samples - Lab 采样
+   * @param {number} maxColors - 最大专色数量
+   * @param {number} targetDeltaE - 允许的平均色差
+   * @returns {Array<Array<number>>} 聚类中心（Lab）
+   */
+  _chooseColorCount(samples, maxColors, targetDeltaE) {
+    let centroids = [];
+
+    for (let k = 1; k <= maxColors; k++) {
+      centroids = this._kMeans(samples, k);
+      const error = this._meanError(samples, centroids);
+      if (error <= targetDeltaE) {
+        break;
+      }
+    }
+
+    return centroids;
+  }
+
+  /**
+   * 在 Lab 空间中做 k-means 聚类
+   *
+   * 初始中心用最远点法选取（先取平均色，再依次取离已有中心最远的采样），
+   * 结果是确定的，相同的图片总是得到相同的专色。
+   *
+   * @private
+   * @param {Array<Array<number>>} samples - Lab 采样
+   * @param {number} k - 聚类数量
+   * @param {number} maxIterations - 最大迭代次数
+   * @returns {Array<Array<number>>} 聚类中心（Lab）
+   */
+  _kMeans(samples, k, maxIterations = 20) {
+    const centroids = [this._mean(samples)];
+    const nearestDistance = samples.map(sample => this._distanceSquared(sample, centroids[0]));
+
+    while (centroids.length < k) {
+      let farthest = 0;
+      nearestDistance.forEach((distance, i) => {
+        if (distance > nearestDistance[farthest]) {
+          farthest = i;
+        }
+      });
+
+      // 所有采样都已与某个中心重合，颜色种类少于 k
+      if (nearestDistance[farthest] === 0) {
+        break;
+      }
+
+      const centroid = samples[farthest].slice();
+      centroids.push(centroid);
+      samples.forEach((sample, i) => {
+        nearestDistance[i] = Math.min(nearestDistance[i], this._distanceSquared(sample, centroid));
+      });
+    }
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+      const sums = centroids.map(() => [0, 0, 0]);
+      const counts = centroids.map(() => 0);
+
+      samples.forEach(sample => {
+        const nearest = this._nearest(sample, centroids);
+        sums[nearest][0] += sample[0];
+        sums[nearest][1] += sample[1];
+        sums[nearest][2] += sample[2];
+        counts[nearest]++;
+      });
+
+      let moved = 0;
+      centroids.forEach((centroid, i) => {
+        if (counts[i] === 0) {
+          return;
+        }
+        const next = sums[i].map(sum => sum / counts[i]);
+        moved = Math.max(moved, Math.sqrt(this._distanceSquared(centroid, next)));
+        centroids[i] = next;
+      });
+
+      if (moved < 0.5) {
+        break;
+      }
+    }
+
+    return centroids;
+  }
+
+  /**
+   * 把每个像素替换为最接近的专色
+   *
+   * @private
+   * @param {Uint8ClampedArray} pixels - 像素数据（就地修改）
+   * @param {Array<Array<number>>} centroids - 专色（Lab）
+   * @param {Array<Object>} inks - 专色（RGB）
+   * @param {number} alphaThreshold - 透明度阈值
+   * @returns {Array<number>} 每种专色的像素数
+   */
+  _applyNearest(pixels, centroids, inks, alphaThreshold) {
+    const counts = inks.map(() => 0);
+    // 照片中重复的颜色很多，缓存每种颜色对应的专色
+    const cache = new Map();
+
+    for (let index = 0; index < pixels.length; index += 4) {
+      if (pixels[index + 3] <= alphaThreshold) {
+        pixels[index + 3] = 0;
+        continue;
+      }
+
+      const key = (pixels[index] << 16) | (pixels[index + 1] << 8) | pixels[index + 2];
+      let nearest = cache.get(key);
+      if (nearest === undefined) {
+        nearest = this._nearest(this._rgbToLab(pixels[index], pixels[index + 1], pixels[index + 2]), centroids);
+        cache.set(key, nearest);
+      }
+
+      this._writeInk(pixels, index, inks[nearest]);
+      counts[nearest]++;
+    }
+
+    return counts;
+  }
+
+  /**
+   * 用 Floyd-Steinberg 抖动把像素替换为专色
+   *
+   * 量化误差在 Lab 空间中扩散到右侧和下方尚未处理的不透明像素
+   *
+   * @private
+   * @param {Uint8ClampedArray} pixels - 像素数据（就地修改）
+   * @param {number} width - 图片宽度
+   * @param {number} height - 图片高度
+   * @param {Array<Array<number>>} centroids - 专色（Lab）
+   * @param {Array<Object>} inks - 专色（RGB）
+   * @param {number} alphaThreshold - 透明度阈值
+   * @returns {Array<number>} 每种专色的像素数
+   */
+  _applyDithered(pixels, width, height, centroids, inks, alphaThreshold) {
+    const counts = inks.map(() => 0);
+    const lab = new Float32Array(width * height * 3);
+
+    for (let i = 0; i < width * height; i++) {
+      const [l, a, b] = this._rgbToLab(pixels[i * 4], pixels[i * 4 + 1], pixels[i * 4 + 2]);
+      lab[i * 3] = l;
+      lab[i * 3 + 1] = a;
+      lab[i * 3 + 2] = b;
+    }
+
+    const spread = (x, y, error, weight) => {
+      if (x < 0 || x >= width || y >= height) {
+        return;
+      }
+      const i = y * width + x;
+      if (pixels[i * 4 + 3] <= alphaThreshold) {
+        return;
+      }
+      lab[i * 3] += error[0] * weight;
+      lab[i * 3 + 1] += error[1] * weight;
+      lab[i * 3 + 2] += error[2] * weight;
+    };
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        if (pixels[i * 4 + 3] <= alphaThreshold) {
+          pixels[i * 4 + 3] = 0;
+          continue;
+        }
+
+        const color = [lab[i * 3], lab[i * 3 + 1], lab[i * 3 + 2]];
+        const nearest = this._nearest(color, centroids);
+        const error = color.map((value, channel) => value - centroids[nearest][channel]);
+
+        spread(x + 1, y, error, 7 / 16);
+        spread(x - 1, y + 1, error, 3 / 16);
+        spread(x, y + 1, error, 5 / 16);
+        spread(x + 1, y + 1, error, 1 / 16);
+
+        this._writeInk(pixels, i * 4, inks[nearest]);
+        counts[nearest]++;
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * 写入不透明的专色像素
+   *
+   * @private
+   * @param {Uint8ClampedArray} pixels - 像素数据
+   * @param {number} index - 像素起始下标
+   * @param {Object} ink - 专色 {r, g, b}
+   */
+  _writeInk(pixels, index, ink) {
+    pixels[index] = ink.r;
+    pixels[index + 1] = ink.g;
+    pixels[index + 2] = ink.b;
+    pixels[index + 3] = 255;
+  }
+
+  /**
+   * 均匀采样不透明像素并转换到 Lab
+   *
+   * @private
+   * @param {Uint8ClampedArray} pixels - 像素数据
+   * @param {number} alphaThreshold - 透明度阈值
+   * @param {number} sampleSize - 最多采样的像素数
+   * @returns {Array<Array<number>>} Lab 采样
+   */
+  _sampleLab(pixels, alphaThreshold, sampleSize) {
+    let opaque = 0;
+    for (let index = 3; index < pixels.length; index += 4) {
+      if (pixels[index] > alphaThreshold) {
+        opaque++;
+      }
+    }
+
+    const step = Math.max(1, Math.ceil(opaque / sampleSize));
+    const samples = [];
+    let seen = 0;
+
+    for (let index = 0; index < pixels.length; index += 4) {
+      if (pixels[index + 3] <= alphaThreshold) {
+        continue;
+      }
+      if (seen++ % step === 0) {
+        samples.push(this._rgbToLab(pixels[index], pixels[index + 1], pixels[index + 2]));
+      }
+    }
+
+    return samples;
+  }
+
+  /**
+   * 采样到最近聚类中心的平均色差（ΔE76）
+   *
+   * @private
+   * @param {Array<Array<number>>} samples - Lab 采样
+   * @param {Array<Array<number>>} centroids - 聚类中心
+   * @returns {number}
+   */
+  _meanError(samples, centroids) {
+    const total = samples.reduce((sum, sample) => {
+      const nearest = centroids[this._nearest(sample, centroids)];
+      return sum + Math.sqrt(this._distanceSquared(sample, nearest));
+    }, 0);
+    return total / samples.length;
+  }
+
+  /**
+   * 最近的聚类中心下标
+   *
+   * @private
+   * @param {Array<number>} color - Lab 颜色
+   * @param {Array<Array<number>>} centroids - 聚类中心
+   * @returns {number}
+   */
+  _nearest(color, centroids) {
+    let nearest = 0;
+    let best = Infinity;
+    centroids.forEach((centroid, i) => {
+      const distance = this._distanceSquared(color, centroid);
+      if (distance < best) {
+        best = distance;
+        nearest = i;
+      }
+    });
+    return nearest;
+  }
+
+  /**
+   * Lab 颜色的平均值
+   *
+   * @private
+   * @param {Array<Array<number>>} samples - Lab 采样
+   * @returns {Array<number>}
+   */
+  _mean(samples) {
+    const sum = [0, 0, 0];
+    samples.forEach(sample => {
+      sum[0] += sample[0];
+      sum[1] += sample[1];
+      sum[2] += sample[2];
+    });
+    return sum.map(value => value / samples.length);
+  }
+
+  /**
+   * 两个 Lab 颜色的距离平方
+   *
+   * @private
+   * @param {Array<number>} a - Lab 颜色
+   * @param {Array<number>} b - Lab 颜色
+   * @returns {number}
+   */
+  _distanceSquared(a, b) {
+    const dl = a[0] - b[0];
+    const da = a[1] - b[1];
+    const db = a[2] - b[2];
+    return dl * dl + da * da + db * db;
+  }
+
+  /**
+   * sRGB 转 Lab（D65）
+   *
+   * @private
+   * @param {number} r - 红（0-255）
+   * @param {number} g - 绿（0-255）
+   * @param {number} b - 蓝（0-255）
+   * @returns {Array<number>} [L, a, b]
+   */
+  _rgbToLab(r, g, b) {
+    const toLinear = value => {
+      const c = value / 255;
+      return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    };
+    const lr = toLinear(r);
+    const lg = toLinear(g);
+    const lb = toLinear(b);
+
+    const x = (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / WHITE_X;
+    const y = (lr * 0.2126 + lg * 0.7152 + lb * 0.0722) / WHITE_Y;
+    const z = (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / WHITE_Z;
+
+    const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+    const fx = f(x);
+    const fy = f(y);
+    const fz = f(z);
+
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+  }
+
+  /**
+   * Lab（D65）转 sRGB
+   *
+   * @private
+   * @param {Array<number>} lab - [L, a, b]
+   * @returns {Object} {r, g, b}（0-255 整数）
+   */
+  _labToRgb([l, a, b]) {
+    const fy = (l + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+    const inverse = t => (t * t * t > 216 / 24389 ? t * t * t : (116 * t - 16) / (24389 / 27));
+
+    const x = inverse(fx) * WHITE_X;
+    const y = inverse(fy) * WHITE_Y;
+    const z = inverse(fz) * WHITE_Z;
+
+    const toSrgb = value => {
+      const c = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+      return Math.round(Math.min(Math.max(c, 0), 1) * 255);
+    };
+
+    return {
+      r: toSrgb(x * 3.2406 - y * 1.5372 - z * 0.4986),
+      g: toSrgb(-x * 0.9689 + y * 1.8758 + z * 0.0415),
+      b: toSrgb(x * 0.0557 - y * 0.2040 + z * 1.0570)
+    };
+  }
+
+  /**
+   * 颜色转十六进制字符串
+   *
+   * @private
+   * @param {Object} color - {r, g, b}
+   * @returns {string} 如 '#ff8800'
+   */
+  _toHex({ r, g, b }) {
+    return `#${[r, g, b].map(value => value.toString(16).padStart(2, '0')).join('')}`;
+  }
+}
+
+// 导出单例
+export default new ColorQuantizer();
+
+// 也导出类供测试使用
+export { ColorQuantizer };
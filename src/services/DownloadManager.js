@@ -2,16 +2,30 @@
  * DownloadManager Service
  * 
  * Handles file download operations for the T-shirt design extractor application.
- * Provides methods to trigger browser downloads and generate timestamped filenames.
+ * Provides methods to trigger browser downloads, bundle several files into one
+ * ZIP download and generate timestamped filenames. PNG downloads are tagged with
+ * their print resolution and where they came from.
  * 
  * Requirements: 4.2, 4.3
  */
 
+import { createZip } from '@/utils/zip';
+import { dataUrlToBytes, bytesToDataUrl, writePngMetadata } from '@/utils/png';
 import {
   DOWNLOAD_FILENAME_PREFIX,
   DOWNLOAD_FILE_EXTENSION
 } from '@/constants';
 
+/**
+ * Keywords of the text chunks written into downloaded PNGs
+ */
+const PNG_TEXT_KEYWORDS = {
+  SOURCE_FILE: 'Source File',
+  PROVIDER: 'Provider',
+  OPTIONS: 'Processing Options',
+  CREATION_TIME: 'Creation Time'
+};
+
 /**
  * DownloadManager class for handling image downloads
  */
@@ -23,8 +37,19 @@ class DownloadManager {
    * and programmatically clicks it to trigger the browser's download dialog.
    * The anchor is immediately removed after triggering the download.
    * 
+   * PNG data URLs are first run through the PNG metadata writer: a pHYs chunk
+   * with the DPI (when given) so print RIPs size the file correctly, and text
+   * chunks with the source filename, provider, processing options and the time
+   * of the download.
+   * 
    * @param {string} dataUrl - The data URL of the image to download
    * @param {string} filename - The filename to use for the download
+   * @param {Object} [metadata] - Metadata written into PNG downloads
+   * @param {number} [metadata.dpi] - Print resolution in dots per inch
+   * @param {string} [metadata.sourceFilename] - Name of the uploaded photo
+   * @param {string} [metadata.provider] - Background removal provider that produced the design
+   * @param {Object} [metadata.options] - Processing options (stored as JSON)
+   * @param {Date} [metadata.timestamp] - Creation time (defaults to now)
    * @throws {Error} If dataUrl or filename are invalid
    * 
    * Requirements:
@@ -33,8 +58,9 @@ class DownloadManager {
    * @example
    * const downloadManager = new DownloadManager();
    * downloadManager.downloadImage('data:image/png;base64,...', 'my-design.png');
+   * downloadManager.downloadImage('data:image/png;base64,...', 'print.png', { dpi: 300, sourceFilename: 'shirt.jpg' });
    */
-  downloadImage(dataUrl, filename) {
+  downloadImage(dataUrl, filename, metadata = {}) {
     // Validate parameters
     if (!dataUrl || typeof dataUrl !== 'string') {
       throw new Error('Invalid dataUrl: must be a non-empty string');
@@ -46,7 +72,9 @@ class DownloadManager {
 
     // Create a temporary anchor element
     const link = document.createElement('a');
-    link.href = dataUrl;
+    link.href = dataUrl.startsWith('data:image/png;base64,')
+      ? this._withPngMetadata(dataUrl, metadata)
+      : dataUrl;
     link.download = filename;
     
     // Append to body, click, and remove
@@ -55,6 +83,87 @@ class DownloadManager {
     document.body.removeChild(link);
   }
 
+  /**
+   * Triggers a browser download for a Blob (e.g. an exported CSV file)
+   * 
+   * The temporary object URL is revoked after the download has started
+   * (revoking synchronously can cancel it in some browsers).
+   * 
+   * @param {Blob} blob - The file contents
+   * @param {string} filename - The filename to use for the download
+   * @throws {Error} If blob or filename are invalid
+   * 
+   * @example
+   * const csv = new Blob(['a,b\r\n'], { type: 'text/csv' });
+   * downloadManager.downloadBlob(csv, 'usage.csv');
+   */
+  downloadBlob(blob, filename) {
+    if (!(blob instanceof Blob)) {
+      throw new Error('Invalid blob: must be a Blob');
+    }
+
+    const url = URL.createObjectURL(blob);
+    try {
+      this.downloadImage(url, filename);
+    } finally {
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+  }
+
+  /**
+   * Triggers a single ZIP download containing several files
+   * 
+   * Used for exports made of more than one file (e.g. one film per ink
+   * plus a manifest), which browsers would otherwise prompt for one by one.
+   * 
+   * @param {Array<Object>} files - Entries { name, data } in archive order; data is a
+   *   Blob, ArrayBuffer, typed array or string
+   * @param {string} filename - The filename to use for the download (e.g. 'separations.zip')
+   * @returns {Promise<Blob>} The archive that was downloaded
+   * @throws {Error} If files is empty or an entry is invalid
+   * 
+   * @example
+   * await downloadManager.downloadFiles([
+   *   { name: 'manifest.json', data: JSON.stringify(manifest) },
+   *   { name: 'composite.png', data: pngBlob }
+   * ], 'separations.zip');
+   */
+  async downloadFiles(files, filename) {
+    if (!Array.isArray(files) || files.length === 0) {
+      throw new Error('Invalid files: must be a non-empty array');
+    }
+
+    const zip = await createZip(files);
+    this.downloadBlob(zip, filename);
+    return zip;
+  }
+
+  /**
+   * Writes resolution and provenance chunks into a PNG data URL
+   * 
+   * The metadata is an addition to the download, not a requirement: if the
+   * PNG can't be parsed the original data URL is returned unchanged.
+   * 
+   * @private
+   * @param {string} dataUrl - PNG data URL
+   * @param {Object} metadata - { dpi, sourceFilename, provider, options, timestamp }
+   * @returns {string} PNG data URL with the metadata chunks
+   */
+  _withPngMetadata(dataUrl, { dpi = null, sourceFilename, provider, options, timestamp = new Date() }) {
+    const text = {
+      [PNG_TEXT_KEYWORDS.SOURCE_FILE]: sourceFilename,
+      [PNG_TEXT_KEYWORDS.PROVIDER]: provider,
+      [PNG_TEXT_KEYWORDS.OPTIONS]: options ? JSON.stringify(options) : null,
+      [PNG_TEXT_KEYWORDS.CREATION_TIME]: timestamp.toISOString()
+    };
+
+    try {
+      return bytesToDataUrl(writePngMetadata(dataUrlToBytes(dataUrl), { dpi, text }));
+    } catch (error) {
+      return dataUrl;
+    }
+  }
+
   /**
    * Generates a filename with a descriptive prefix and timestamp
    * 
@@ -63,6 +172,7 @@ class DownloadManager {
    * by hyphens to ensure filesystem compatibility.
    * 
    * @param {string} [prefix] - The prefix for the filename (defaults to DOWNLOAD_FILENAME_PREFIX constant)
+   * @param {string} [extension] - File extension including the dot (defaults to DOWNLOAD_FILE_EXTENSION)
    * @returns {string} Filename in format: prefix-YYYY-MM-DDTHH-MM-SS-sss.png
    * @throws {Error} If prefix is provided but not a string
    * 
@@ -76,8 +186,11 @@ class DownloadManager {
    * 
    * const customFilename = downloadManager.generateFilename('my-design');
    * // Returns: 'my-design-2024-01-15T10-30-45-123Z.png'
+   * 
+   * const zipFilename = downloadManager.generateFilename('separations', '.zip');
+   * // Returns: 'separations-2024-01-15T10-30-45-123Z.zip'
    */
-  generateFilename(prefix = DOWNLOAD_FILENAME_PREFIX) {
+  generateFilename(prefix = DOWNLOAD_FILENAME_PREFIX, extension = DOWNLOAD_FILE_EXTENSION) {
     // Validate prefix parameter
     if (prefix !== undefined && typeof prefix !== 'string') {
       throw new Error('Invalid prefix: must be a string');
@@ -87,8 +200,8 @@ class DownloadManager {
     // Replace colons and dots with hyphens for filesystem compatibility
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     
-    // Return formatted filename with .png extension
-    return `${prefix}-${timestamp}${DOWNLOAD_FILE_EXTENSION}`;
+    // Return formatted filename with the extension (.png by default)
+    return `${prefix}-${timestamp}${extension}`;
   }
 }
 
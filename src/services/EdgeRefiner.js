@@ -0,0 +1,510 @@
+/**
+ * Edge Refiner Service
+ *
+ * 优化抠图结果的半透明边缘
+ * 背景移除后，边缘的半透明像素仍混有原背景或面料的颜色，显示为一圈光晕。
+ * 这里估计每个半透明像素的前景色和附近的背景色，并去除背景色的贡献（去色边），
+ * 还可以把边缘向内收缩或羽化若干像素
+ */
+
+import CanvasUtility from './CanvasUtility';
+
+/**
+ * 边缘优化器类
+ */
+class EdgeRefiner {
+  constructor() {
+    this.canvasUtil = CanvasUtility;
+  }
+
+  /**
+   * 优化图片的半透明边缘
+   *
+   * 依次执行：
+   * 1. 去色边：从不透明像素向外逐圈推算前景色，再按 I = a·F + (1 − a)·B
+   *    分块估计背景色 B 并从半透明像素中去除（阴影、褶皱或渐变背景下各处的 B 不同）
+   * 2. 收缩：透明度取半径内的最小值，边缘向内收缩（见 morphAlpha）
+   * 3. 羽化：透明度在半径内做均值模糊，边缘柔和过渡（向外扩展的像素使用推算的前景色）
+   *
+   * @param {HTMLImageElement|HTMLCanvasElement} image - 已移除背景的图片
+   * @param {Object} options - 优化选项
+   * @param {boolean} options.decontaminate - 是否去除半透明像素中的背景色
+   * @param {Object} options.backgroundColor - 背景颜色 {r, g, b}（如已知的面料颜色），未提供时自动估计
+   * @param {number} options.shrink - 边缘收缩半径（像素），0 表示不收缩
+   * @param {number} options.feather - 边缘羽化半径（像素），0 表示不羽化
+   * @param {number} options.solidAlpha - 透明度不低于该值（0-255）的像素视为纯前景
+   * @param {number} options.backgroundCell - 分块估计背景色的块大小（像素）
+   * @returns {Promise<Object>} { canvas, refined, backgroundColor }，没有可优化的边缘时 refined 为 false，
+   *   backgroundColor 为已知的背景颜色或整体估计的平均背景色（未去色边时为 null）
+   */
+  async refineEdges(image, options = {}) {
+    const {
+      decontaminate = true,
+      shrink = 0,
+      feather = 0,
+      solidAlpha = 240,
+      backgroundCell = 32
+    } = options;
+
+    const { canvas, ctx, imageData, pixels } = this.canvasUtil.readPixels(image);
+    const { width, height } = canvas;
+    const shrinkRadius = Math.max(0, Math.round(shrink));
+    const featherRadius = Math.max(0, Math.round(feather));
+
+    let refined = false;
+    let backgroundColor = null;
+
+    if (decontaminate || featherRadius > 0) {
+      const foreground = this._extendForeground(pixels, width, height, solidAlpha, featherRadius);
+      if (foreground) {
+        if (decontaminate) {
+          backgroundColor = options.backgroundColor ||
+            this._estimateBackground(pixels, foreground, solidAlpha);
+          const localBackground = options.backgroundColor || !backgroundColor
+            ? null
+            : this._estimateLocalBackground(pixels, width, height, foreground, solidAlpha, backgroundCell);
+          this._decontaminate(pixels, foreground, solidAlpha, backgroundColor, localBackground);
+        }
+        this._fillTransparent(pixels, foreground);
+        refined = true;
+      }
+    }
+
+    if (shrinkRadius > 0) {
+      this.morphAlpha(pixels, width, height, shrinkRadius, false);
+      refined = true;
+    }
+
+    if (featherRadius > 0) {
+      this._featherAlpha(pixels, width, height, featherRadius);
+      refined = true;
+    }
+
+    if (!refined) {
+      console.log('[EdgeRefiner] 没有半透明边缘，跳过边缘优化');
+      return { canvas, refined: false, backgroundColor: null };
+    }
+
+    console.log('[EdgeRefiner] 背景颜色:', backgroundColor, '收缩:', shrinkRadius, '羽化:', featherRadius);
+    ctx.putImageData(imageData, 0, 0);
+
+    return { canvas, refined: true, backgroundColor };
+  }
+
+  /**
+   * 从纯前景像素向外逐圈推算前景色
+   *
+   * 每一圈像素取上一圈（8 邻域）中已知前景色的平均值，
+   * 半透明像素全部推算；完全透明的像素只推算 transparentReach 圈，供羽化使用。
+   *
+   * @private
+   * @param {Uint8ClampedArray} pixels - 像素数据
+   * @param {number} width - 图片宽度
+   * @param {number} height - 图片高度
+   * @param {number} solidAlpha - 纯前景的透明度阈值
+   * @param {number} transparentReach - 完全透明像素的推算圈数
+   * @returns {Object|null} { colors, known }，colors 为每个像素的前景色 (r, g, b)，
+   *   known 标记已推算的像素；没有纯前景像素或没有需要推算的像素时为 null
+   */
+  _extendForeground(pixels, width, height, solidAlpha, transparentReach) {
+    const count = width * height;
+    const colors = new Float32Array(count * 3);
+    const known = new Uint8Array(count);
+    const queued = new Uint8Array(count);
+    let current = [];
+
+    for (let i = 0; i < count; i++) {
+      if (pixels[i * 4 + 3] >= solidAlpha) {
+        known[i] = 1;
+        colors[i * 3] = pixels[i * 4];
+        colors[i * 3 + 1] = pixels[i * 4 + 1];
+        colors[i * 3 + 2] = pixels[i * 4 + 2];
+        current.push(i);
+      }
+    }
+
+    if (current.length === 0) {
+      return null;
+    }
+
+    let extended = 0;
+    for (let ring = 1; current.length > 0; ring++) {
+      const next = [];
+
+      current.forEach(index => {
+        this._forEachNeighbor(index, width, height, neighbor => {
+          if (known[neighbor] || queued[neighbor]) {
+            return;
+          }
+          const alpha = pixels[neighbor * 4 + 3];
+          if (alpha > 0 || ring <= transparentReach) {
+            queued[neighbor] = 1;
+            next.push(neighbor);
+          }
+        });
+      });
+
+      // 先计算整圈再标记为已知，结果与遍历顺序无关
+      next.forEach(index => {
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        let n = 0;
+        this._forEachNeighbor(index, width, height, neighbor => {
+          if (known[neighbor]) {
+            r += colors[neighbor * 3];
+            g += colors[neighbor * 3 + 1];
+            b += colors[neighbor * 3 + 2];
+            n++;
+          }
+        });
+        colors[index * 3] = r / n;
+        colors[index * 3 + 1] = g / n;
+        colors[index * 3 + 2] = b / n;
+      });
+      next.forEach(index => {
+        known[index] = 1;
+      });
+
+      extended += next.length;
+      current = next;
+    }
+
+    return extended > 0 ? { colors, known } : null;
+  }
+
+  /**
+   * 估计半透明像素中混入的背景颜色
+   *
+   * 由 I = a·F + (1 − a)·B 得到每个像素的 B = (I − a·F) / (1 − a)，
+   * 按 (1 − a) 加权平均：越透明的像素背景占比越大，估计越可靠。
+   *
+   * @private
+   * @param {Uint8ClampedArray} pixels - 像素数据
+   * @param {Object} foreground - _extendForeground 的结果
+   * @param {number} solidAlpha - 纯前景的透明度阈值
+   * @returns {Object|null} 背景颜色 {r, g, b}，没有半透明像素时为 null
+   */
+  _estimateBackground(pixels, { colors, known }, solidAlpha) {
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    let total = 0;
+
+    for (let i = 0; i < known.length; i++) {
+      const alpha = pixels[i * 4 + 3];
+      if (!known[i] || alpha === 0 || alpha >= solidAlpha) {
+        continue;
+      }
+
+      const a = alpha / 255;
+      const weight = 1 - a;
+      r += pixels[i * 4] - a * colors[i * 3];
+      g += pixels[i * 4 + 1] - a * colors[i * 3 + 1];
+      b += pixels[i * 4 + 2] - a * colors[i * 3 + 2];
+      total += weight;
+    }
+
+    if (total === 0) {
+      return null;
+    }
+
+    // 每个像素贡献 weight·B = I − a·F，因此直接累加后除以总权重
+    return {
+      r: Math.round(Math.min(Math.max(r / total, 0), 255)),
+      g: Math.round(Math.min(Math.max(g / total, 0), 255)),
+      b: Math.round(Math.min(Math.max(b / total, 0), 255))
+    };
+  }
+
+  /**
+   * 分块估计每个半透明像素附近的背景颜色
+   *
+   * 与 _estimateBackground 相同按 (1 − a) 加权累加，但按 cellSize 见方的块分别累加；
+   * 每个像素在相邻四个块的中心之间做双线性插值（累加值和权重分别插值后再相除），
+   * 没有半透明像素的块不参与，背景色在块之间平滑过渡。
+   *
+   * @private
+   * @param {Uint8ClampedArray} pixels - 像素数据
+   * @param {number} width - 图片宽度
+   * @param {number} height - 图片高度
+   * @param {Object} foreground - _extendForeground 的结果
+   * @param {number} solidAlpha - 纯前景的透明度阈值
+   * @param {number} cellSize - 块大小（像素）
+   * @returns {Float32Array} 每个像素的背景色 (r, g, b)，只填写半透明像素；
+   *   附近没有可用像素时为 NaN，由调用方改用整体估计
+   */
+  _estimateLocalBackground(pixels, width, height, { colors, known }, solidAlpha, cellSize) {
+    const size = Math.max(1, Math.round(cellSize));
+    const columns = Math.ceil(width / size);
+    const rows = Math.ceil(height / size);
+    // 每块的 r, g, b 累加值和总权重
+    const cells = new Float32Array(columns * rows * 4);
+    const isEdge = i => {
+      const alpha = pixels[i * 4 + 3];
+      return known[i] && alpha > 0 && alpha < solidAlpha;
+    };
+
+    for (let i = 0; i < known.length; i++) {
+      if (!isEdge(i)) {
+        continue;
+      }
+
+      const a = pixels[i * 4 + 3] / 255;
+      const cell = (Math.floor(Math.floor(i / width) / size) * columns + Math.floor((i % width) / size)) * 4;
+      cells[cell] += pixels[i * 4] - a * colors[i * 3];
+      cells[cell + 1] += pixels[i * 4 + 1] - a * colors[i * 3 + 1];
+      cells[cell + 2] += pixels[i * 4 + 2] - a * colors[i * 3 + 2];
+      cells[cell + 3] += 1 - a;
+    }
+
+    const background = new Float32Array(known.length * 3).fill(NaN);
+    for (let i = 0; i < known.length; i++) {
+      if (!isEdge(i)) {
+        continue;
+      }
+
+      // 像素相对于块中心的位置，超出首尾块中心时贴边
+      const fx = Math.min(Math.max(((i % width) + 0.5) / size - 0.5, 0), columns - 1);
+      const fy = Math.min(Math.max((Math.floor(i / width) + 0.5) / size - 0.5, 0), rows - 1);
+      const x0 = Math.floor(fx);
+      const y0 = Math.floor(fy);
+      const x1 = Math.min(x0 + 1, columns - 1);
+      const y1 = Math.min(y0 + 1, rows - 1);
+      const tx = fx - x0;
+      const ty = fy - y0;
+
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let total = 0;
+      [
+        [x0, y0, (1 - tx) * (1 - ty)],
+        [x1, y0, tx * (1 - ty)],
+        [x0, y1, (1 - tx) * ty],
+        [x1, y1, tx * ty]
+      ].forEach(([x, y, weight]) => {
+        const cell = (y * columns + x) * 4;
+        r += cells[cell] * weight;
+        g += cells[cell + 1] * weight;
+        b += cells[cell + 2] * weight;
+        total += cells[cell + 3] * weight;
+      });
+
+      if (total > 0) {
+        background[i * 3] = Math.min(Math.max(r / total, 0), 255);
+        background[i * 3 + 1] = Math.min(Math.max(g / total, 0), 255);
+        background[i * 3 + 2] = Math.min(Math.max(b / total, 0), 255);
+      }
+    }
+
+    return background;
+  }
+
+  /**
+   * 去除半透明像素中的背景色
+   *
+   * 半透明像素的颜色变为 I + (1 − a)·(F − B)，即 a·(I − (1 − a)·B) / a + (1 − a)·F：
+   * 按透明度在解出的前景色与推算的前景色之间取值，越透明越依赖推算值，
+   * 避免除以很小的 a 放大噪声。没有背景颜色时直接使用推算的前景色。
+   *
+   * @private
+   * @param {Uint8ClampedArray} pixels - 像素数据
+   * @param {Object} foreground - _extendForeground 的结果
+   * @param {number} solidAlpha - 纯前景的透明度阈值
+   * @param {Object|null} backgroundColor - 背景颜色 {r, g, b}
+   * @param {Float32Array|null} localBackground - _estimateLocalBackground 的结果，
+   *   提供时优先使用每个像素附近的背景色
+   */
+  _decontaminate(pixels, { colors, known }, solidAlpha, backgroundColor, localBackground = null) {
+    for (let i = 0; i < known.length; i++) {
+      const index = i * 4;
+      const alpha = pixels[index + 3];
+      if (!known[i] || alpha === 0 || alpha >= solidAlpha) {
+        continue;
+      }
+
+      if (!backgroundColor) {
+        pixels[index] = colors[i * 3];
+        pixels[index + 1] = colors[i * 3 + 1];
+        pixels[index + 2] = colors[i * 3 + 2];
+        continue;
+      }
+
+      const local = localBackground && !isNaN(localBackground[i * 3]);
+      const r = local ? localBackground[i * 3] : backgroundColor.r;
+      const g = local ? localBackground[i * 3 + 1] : backgroundColor.g;
+      const b = local ? localBackground[i * 3 + 2] : backgroundColor.b;
+
+      const transparency = 1 - alpha / 255;
+      pixels[index] += transparency * (colors[i * 3] - r);
+      pixels[index + 1] += transparency * (colors[i * 3 + 1] - g);
+      pixels[index + 2] += transparency * (colors[i * 3 + 2] - b);
+    }
+  }
+
+  /**
+   * 为推算到的完全透明像素填入前景色，羽化后显示出来的边缘不会变暗
+   *
+   * @private
+   * @param {Uint8ClampedArray} pixels - 像素数据
+   * @param {Object} foreground - _extendForeground 的结果
+   */
+  _fillTransparent(pixels, { colors, known }) {
+    for (let i = 0; i < known.length; i++) {
+      if (known[i] && pixels[i * 4 + 3] === 0) {
+        pixels[i * 4] = colors[i * 3];
+        pixels[i * 4 + 1] = colors[i * 3 + 1];
+        pixels[i * 4 + 2] = colors[i * 3 + 2];
+      }
+    }
+  }
+
+  /**
+   * 透明度的腐蚀或膨胀：取 (2·radius + 1) 见方窗口内的最小/最大值
+   *
+   * 腐蚀即边缘收缩；膨胀前先为半径内的透明像素推算前景色，变得可见的像素
+   * 不会露出透明区域原本的颜色。也供 PatternExtractor 的蒙版清理使用。
+   *
+   * @param {Uint8ClampedArray} pixels - 像素数据（原地修改）
+   * @param {number} width - 图片宽度
+   * @param {number} height - 图片高度
+   * @param {number} radius - 半径（像素）
+   * @param {boolean} grow - true 为膨胀，false 为腐蚀
+   */
+  morphAlpha(pixels, width, height, radius, grow) {
+    if (grow) {
+      const foreground = this._extendForeground(pixels, width, height, 1, radius);
+      if (foreground) {
+        this._fillTransparent(pixels, foreground);
+      }
+    }
+
+    const alpha = this._readAlpha(pixels);
+    const reduce = grow ? window => Math.max(...window) : window => Math.min(...window);
+    this._writeAlpha(pixels, this._filterAlpha(alpha, width, height, radius, reduce));
+  }
+
+  /**
+   * 羽化边缘：透明度取 (2·radius + 1) 见方窗口内的平均值
+   *
+   * @private
+   * @param {Uint8ClampedArray} pixels - 像素数据
+   * @param {number} width - 图片宽度
+   * @param {number} height - 图片高度
+   * @param {number} radius - 羽化半径（像素）
+   */
+  _featherAlpha(pixels, width, height, radius) {
+    const alpha = this._readAlpha(pixels);
+    const size = radius * 2 + 1;
+    const blurred = this._filterAlpha(alpha, width, height, radius, window => {
+      let sum = 0;
+      for (let i = 0; i < size; i++) {
+        sum += window[i];
+      }
+      return sum / size;
+    });
+    this._writeAlpha(pixels, blurred);
+  }
+
+  /**
+   * 对透明度做可分离的窗口滤波（先横向后纵向），图片边界外按边缘像素延伸
+   *
+   * @private
+   * @param {Float32Array} alpha - 每个像素的透明度
+   * @param {number} width - 图片宽度
+   * @param {number} height - 图片高度
+   * @param {number} radius - 窗口半径
+   * @param {Function} reduce - 把窗口内的 (2·radius + 1) 个值合并为一个值
+   * @returns {Float32Array} 滤波后的透明度
+   */
+  _filterAlpha(alpha, width, height, radius, reduce) {
+    const window = new Array(radius * 2 + 1);
+    const horizontal = new Float32Array(alpha.length);
+    const result = new Float32Array(alpha.length);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        for (let k = -radius; k <= radius; k++) {
+          const sx = Math.min(Math.max(x + k, 0), width - 1);
+          window[k + radius] = alpha[y * width + sx];
+        }
+        horizontal[y * width + x] = reduce(window);
+      }
+    }
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        for (let k = -radius; k <= radius; k++) {
+          const sy = Math.min(Math.max(y + k, 0), height - 1);
+          window[k + radius] = horizontal[sy * width + x];
+        }
+        result[y * width + x] = reduce(window);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 读取每个像素的透明度
+   *
+   * @private
+   * @param {Uint8ClampedArray} pixels - 像素数据
+   * @returns {Float32Array} 透明度
+   */
+  _readAlpha(pixels) {
+    const alpha = new Float32Array(pixels.length / 4);
+    for (let i = 0; i < alpha.length; i++) {
+      alpha[i] = pixels[i * 4 + 3];
+    }
+    return alpha;
+  }
+
+  /**
+   * 写回每个像素的透明度
+   *
+   * @private
+   * @param {Uint8ClampedArray} pixels - 像素数据
+   * @param {Float32Array} alpha - 透明度
+   */
+  _writeAlpha(pixels, alpha) {
+    for (let i = 0; i < alpha.length; i++) {
+      pixels[i * 4 + 3] = Math.round(alpha[i]);
+    }
+  }
+
+  /**
+   * 遍历像素的 8 邻域
+   *
+   * @private
+   * @param {number} index - 像素序号
+   * @param {number} width - 图片宽度
+   * @param {number} height - 图片高度
+   * @param {Function} callback - 以邻域像素序号调用
+   */
+  _forEachNeighbor(index, width, height, callback) {
+    const x = index % width;
+    const y = (index - x) / width;
+
+    for (let dy = -1; dy <= 1; dy++) {
+      const ny = y + dy;
+      if (ny < 0 || ny >= height) {
+        continue;
+      }
+      for (let dx = -1; dx <= 1; dx++) {
+        const nx = x + dx;
+        if ((dx === 0 && dy === 0) || nx < 0 || nx >= width) {
+          continue;
+        }
+        callback(ny * width + nx);
+      }
+    }
+  }
+}
+
+// 导出单例
+export default new EdgeRefiner();
+
+// 也导出类供测试使用
+export { EdgeRefiner };
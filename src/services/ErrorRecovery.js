@@ -104,7 +104,7 @@ class ErrorRecovery {
     if (error.type === ERROR_TYPES.API_ERROR) {
       // Check error code for retryable API errors
       const retryableApiErrors = [
-        'API_QUOTA_EXCEEDED',      // 429 - Rate limiting
+        'API_RATE_LIMITED',        // 429 - Rate limiting
         'API_SERVICE_UNAVAILABLE', // 503 - Service temporarily down
         'NETWORK_TIMEOUT'          // Timeout errors
       ];
@@ -116,6 +116,7 @@ class ErrorRecovery {
       // Non-retryable API errors
       const nonRetryableApiErrors = [
         'API_KEY_INVALID',    // 401 - Invalid credentials
+        'API_QUOTA_EXCEEDED', // 402 - Out of credits
         'API_BAD_REQUEST'     // 400 - Invalid request
       ];
 
@@ -4,14 +4,25 @@
  * This service orchestrates the image processing workflow:
  * 1. Compress large images before API upload
  * 2. Call background removal API
- * 3. Convert results to DataURL for display
- * 4. Cache processed results to avoid redundant API calls
+ * 3. Key out the shirt fabric color, clean up the edges and crop the result to the pattern
+ *    (by the provider or locally with PatternExtractor and EdgeRefiner)
+ * 4. Convert results to DataURL for display
+ * 5. Cache processed results to avoid redundant API calls
+ * 6. Share in-flight requests for the same file so only one reaches the API
+ * 7. Reduce results to spot colors and render per-ink separations for screen printing
+ *    (locally, on request)
+ * 8. Trace results into SVG vectors (locally, on request)
+ * 9. Upscale results to a physical print size and DPI (locally, on request)
  * 
  * Requirements: 2.1, 2.2, 2.3, 8.2, 8.5
  */
 
 import CanvasUtility from './CanvasUtility';
 import PatternExtractor from './PatternExtractor';
+import PerspectiveCorrector from './PerspectiveCorrector';
+import EdgeRefiner from './EdgeRefiner';
+import ColorQuantizer from './ColorQuantizer';
+import Vectorizer from './Vectorizer';
 import {
   MAX_IMAGE_WIDTH,
   MAX_IMAGE_HEIGHT,
@@ -22,8 +33,24 @@ import {
   ERROR_TYPES,
   ERROR_CODES,
   ERROR_MESSAGES,
-  ENABLE_PATTERN_EXTRACTION,
-  PATTERN_PADDING
+  PROCESSING_STATUS,
+  PROGRESS_STAGES,
+  REMOVE_BG_FORMAT,
+  PATTERN_PADDING,
+  PATTERN_ALPHA_THRESHOLD,
+  PATTERN_DENSITY_THRESHOLD,
+  MASK_CLEANUP_CONFIG,
+  CROP_STRATEGIES,
+  CROP_STRATEGY,
+  FABRIC_KEYING_CONFIG,
+  LIGHTING_CORRECTION_CONFIG,
+  EDGE_REFINEMENT_CONFIG,
+  PERSPECTIVE_MODES,
+  PERSPECTIVE_CONFIG,
+  REGION_DETECTION_CONFIG,
+  SPOT_COLOR_CONFIG,
+  SEPARATION_FILMS,
+  VECTORIZE_CONFIG
 } from '../constants';
 
 /**
@@ -36,33 +63,121 @@ class ImageProcessorService {
   constructor() {
     this.canvasUtil = CanvasUtility;
     this.patternExtractor = PatternExtractor;
+    this.perspectiveCorrector = PerspectiveCorrector;
+    this.edgeRefiner = EdgeRefiner;
+    this.colorQuantizer = ColorQuantizer;
+    this.vectorizer = Vectorizer;
     this.backgroundRemovalApi = null;
     
     // Cache for processed results
     // Key: file hash/identifier, Value: { result, timestamp }
     this.cache = new Map();
+
+    // Cache for background-removed images returned by the provider
+    // Key: file hash/identifier plus provider options, Value: { result, timestamp }
+    this.providerCache = new Map();
+
+    // Last background-removed image prepared for framing (full-size canvases, so only one is kept)
+    // { blob, key, design } from _prepareDesign
+    this.preparedDesign = null;
+
+    // Downscaled copy of the last photo previewed for lighting correction, so
+    // moving the strength slider doesn't decode and resize the full photo again
+    // { dataUrl, canvas } from _getLightingPreviewSource
+    this.lightingPreviewSource = null;
+
+    // Requests still being processed, shared by callers of the same file
+    // Key: file hash/identifier, Value: { promise, controller, subscribers, lastProgress }
+    this.inFlight = new Map();
   }
 
   /**
    * Set the background removal API service
    * 
+   * Accepts a single provider or a FallbackBackgroundRemovalService chain.
+   * 
    * @param {Object} apiService - Background removal API service instance
    */
   setBackgroundRemovalApi(apiService) {
     this.backgroundRemovalApi = apiService;
   }
 
+  /**
+   * Check a Remove.bg API key against the account endpoint (costs no credits)
+   * 
+   * @param {string} apiKey - The key to check
+   * @returns {Promise<Object|null>} Account info for a valid key, or null if the key is rejected
+   * @throws {Error} If Remove.bg cannot be reached to check the key
+   */
+  async validateApiKey(apiKey) {
+    if (!apiKey) {
+      return null;
+    }
+    return createBackgroundRemovalService('removebg', apiKey).checkApiStatus();
+  }
+
+  /**
+   * Hot-swap the background removal service to use a user-supplied Remove.bg key
+   * 
+   * Requests already in flight finish with the previous service.
+   * 
+   * @param {string|null} apiKey - The user's key, or null to restore the build-time configuration
+   */
+  useApiKey(apiKey) {
+    this.setBackgroundRemovalApi(createBackgroundRemovalApi({ apiKey }));
+  }
+
   /**
    * Main image processing workflow
    * 
    * Processes an image file through the complete extraction pipeline:
-   * 1. Check cache for existing results
+   * 1. Check cache for existing results, or join a request for the same file still in flight
    * 2. Compress image if needed
-   * 3. Remove background via API
-   * 4. Convert to DataURL
-   * 5. Cache the result
+   * 3. Remove background via API (or reuse the provider's earlier result for the same request)
+   * 4. Key out the fabric color and crop to the pattern according to the crop strategy
+   * 5. Convert to DataURL
+   * 6. Cache the result
    * 
    * @param {File} imageFile - The image file to process
+   * @param {Object} [options] - Processing options
+   * @param {AbortSignal} [options.signal] - Cancels this call, which then rejects with an
+   *   ERROR_TYPES.CANCELLED error; compression, the API request and retries are cancelled once
+   *   every caller sharing the request has cancelled
+   * @param {Function} [options.onProgress] - Called with { status, progress } as the image moves
+   *   through the UPLOADING, REMOVING_BACKGROUND and RENDERING stages (progress is 0-100, see PROGRESS_STAGES)
+   * @param {Function} [options.onRetry] - Called with { attempt, delay, error } before the API request
+   *   is retried (e.g. to show a countdown while rate limited)
+   * @param {Object} [options.crop] - How to crop the result to the pattern
+   * @param {string} [options.crop.strategy] - One of CROP_STRATEGIES (defaults to CROP_STRATEGY)
+   * @param {number} [options.crop.padding] - Padding around the pattern in pixels
+   * @param {number} [options.crop.threshold] - Alpha threshold (0-255) for local cropping
+   * @param {number} [options.crop.densityThreshold] - Row/column content fraction (0-1) for 'local-density'
+   * @param {number} [options.crop.open] - Opening radius for the alpha mask (before framing and cropping)
+   * @param {number} [options.crop.close] - Closing radius for the alpha mask (before framing and cropping)
+   * @param {number} [options.crop.erode] - Erosion radius for the alpha mask (before framing and cropping)
+   * @param {number} [options.crop.dilate] - Dilation radius for the alpha mask (before framing and cropping)
+   * @param {number} [options.crop.removeIslands] - Remove content specks smaller than this many pixels
+   * @param {number} [options.crop.fillHoles] - Fill enclosed gaps smaller than this many pixels
+   * @param {Object} [options.lighting] - How to even out shading from folds and studio lights
+   * @param {boolean} [options.lighting.enabled] - Whether to correct uneven lighting
+   * @param {number} [options.lighting.strength] - Fraction (0-1) of the estimated shading to remove
+   * @param {Object} [options.fabric] - How to make the shirt fabric transparent
+   * @param {boolean} [options.fabric.enabled] - Whether to key out the fabric color
+   * @param {number} [options.fabric.tolerance] - Color distance keyed out completely
+   * @param {number} [options.fabric.softness] - Color distance beyond the tolerance over which pixels fade in
+   * @param {Object} [options.edges] - How to clean up the semi-transparent edge of the design
+   * @param {boolean} [options.edges.decontaminate] - Whether to remove the old background color mixed
+   *   into the edge left by the provider
+   * @param {number} [options.edges.shrink] - Pixels to pull the edge in by
+   * @param {number} [options.edges.feather] - Pixels to soften the edge over
+   * @param {Object} [options.regions] - How to split separate designs (e.g. chest logo and sleeve print)
+   * @param {boolean} [options.regions.enabled] - Whether to detect separate designs
+   * @param {number} [options.regions.mergeDistance] - Fragments closer than this (pixels) form one design
+   * @param {number} [options.regions.minArea] - Designs with fewer content pixels are dropped
+   * @param {Object} [options.perspective] - How to flatten a print photographed at an angle
+   * @param {string} [options.perspective.mode] - One of PERSPECTIVE_MODES
+   * @param {Array<Object>} [options.perspective.corners] - For 'manual', the print's corners { x, y }
+   *   as fractions (0-1) of the original image, ordered top-left, top-right, bottom-right, bottom-left
    * @returns {Promise<Object>} Processing result
    * @returns {string} result.originalDataUrl - Original image as DataURL
    * @returns {string} result.extractedDataUrl - Extracted design as DataURL
@@ -70,11 +185,30 @@ class ImageProcessorService {
    * @returns {number} result.height - Image height
    * @returns {number} result.processingTime - Processing time in milliseconds
    * @returns {boolean} result.fromCache - Whether result was from cache
+   * @returns {boolean} result.providerCached - Whether the provider's earlier result for the file was
+   *   reused, so no request was sent
+   * @returns {string|null} result.provider - Name of the provider that removed the background
+   * @returns {Object|null} result.foregroundBounds - Foreground { top, left, width, height } reported by the provider
+   * @returns {string|null} result.detectedType - Foreground type detected by the provider (e.g. 'product')
+   * @returns {number|null} result.creditsCharged - Credits charged for the call (0 if no request was sent)
+   * @returns {string} result.cropStrategy - Crop strategy that was applied
+   * @returns {Object|null} result.cropBounds - Region { top, left, width, height } of the background-removed
+   *   image kept by a local crop strategy, or null if the image was not cropped locally
+   * @returns {boolean} result.lightingCorrected - Whether uneven lighting was corrected
+   * @returns {Object|null} result.fabricColor - Fabric color { r, g, b } that was keyed out, or null
+   * @returns {boolean} result.edgesRefined - Whether the edge was decontaminated, shrunk or feathered
+   * @returns {Array<Object>} result.regions - Separate designs, largest first, each
+   *   { dataUrl, bounds, width, height, area } with bounds in the background-removed image
+   * @returns {Array<Object>|null} result.perspectiveCorners - Corners { x, y } (fractions of the image)
+   *   of the quadrilateral that was flattened, or null if no perspective correction was applied
+   * @returns {Object} result.settings - Resolved { crop, lighting, fabric, edges, regions, perspective }
+   *   options the result was processed with
    * @throws {Error} If processing fails
    * 
    * Requirements: 2.1, 2.2, 2.3, 8.5
    */
-  async processImage(imageFile) {
+  async processImage(imageFile, options = {}) {
+    const { signal, onProgress, onRetry } = options;
     const startTime = Date.now();
 
     try {
@@ -96,8 +230,17 @@ class ImageProcessorService {
         );
       }
 
-      // Generate cache key from file properties
-      const cacheKey = this._generateCacheKey(imageFile);
+      const settings = {
+        crop: this._resolveCropOptions(options.crop),
+        lighting: this._resolveLightingOptions(options.lighting),
+        fabric: this._resolveFabricOptions(options.fabric),
+        edges: this._resolveEdgeOptions(options.edges),
+        regions: this._resolveRegionOptions(options.regions),
+        perspective: this._resolvePerspectiveOptions(options.perspective)
+      };
+
+      // Generate cache key from file properties and output settings
+      const cacheKey = `${this._generateCacheKey(imageFile)}-${this._getSettingsKey(settings)}`;
 
       // Check cache first
       const cachedResult = this._getCachedResult(cacheKey);
@@ -109,31 +252,227 @@ class ImageProcessorService {
         };
       }
 
+      this._throwIfAborted(signal);
+
+      // Join a request for the same file that is still in flight (e.g. a double click)
+      let request = this.inFlight.get(cacheKey);
+      if (!request || request.controller.signal.aborted) {
+        request = this._startRequest(imageFile, cacheKey, settings);
+      }
+
+      return await this._joinRequest(request, { signal, onProgress, onRetry });
+    } catch (error) {
+      // Re-throw with additional context if needed
+      if (error.type && error.code) {
+        throw error;
+      }
+      
+      throw this._createError(
+        ERROR_TYPES.PROCESSING_ERROR,
+        ERROR_CODES.CANVAS_ERROR,
+        error.message || 'Image processing failed'
+      );
+    }
+  }
+
+  /**
+   * Start processing a file that is neither cached nor in flight
+   * 
+   * The request runs with its own abort controller and reports progress and
+   * retries to every caller that joins it. It is removed from the in-flight
+   * map once it settles.
+   * 
+   * @private
+   * @param {File} imageFile - The image file to process
+   * @param {string} cacheKey - Cache key of the file
+   * @param {Object} settings - Resolved { crop, lighting, fabric, edges, regions, perspective } options
+   * @returns {Object} In-flight request { promise, controller, subscribers, lastProgress }
+   */
+  _startRequest(imageFile, cacheKey, settings) {
+    const request = {
+      promise: null,
+      controller: new AbortController(),
+      subscribers: new Set(),
+      lastProgress: null
+    };
+
+    const onProgress = (update) => {
+      request.lastProgress = update;
+      request.subscribers.forEach(subscriber => {
+        if (typeof subscriber.onProgress === 'function') {
+          subscriber.onProgress(update);
+        }
+      });
+    };
+    const onRetry = (info) => {
+      request.subscribers.forEach(subscriber => {
+        if (typeof subscriber.onRetry === 'function') {
+          subscriber.onRetry(info);
+        }
+      });
+    };
+
+    request.promise = this._processUncached(imageFile, cacheKey, {
+      signal: request.controller.signal,
+      onProgress,
+      onRetry,
+      ...settings
+    }).finally(() => {
+      if (this.inFlight.get(cacheKey) === request) {
+        this.inFlight.delete(cacheKey);
+      }
+    });
+
+    this.inFlight.set(cacheKey, request);
+    return request;
+  }
+
+  /**
+   * Wait for an in-flight request on behalf of one caller
+   * 
+   * Aborting the caller's signal rejects only that caller; the request itself
+   * is aborted when no callers are left waiting for it.
+   * 
+   * @private
+   * @param {Object} request - In-flight request from _startRequest
+   * @param {Object} options - The caller's { signal, onProgress, onRetry }
+   * @returns {Promise<Object>} Processing result
+   */
+  _joinRequest(request, { signal, onProgress, onRetry }) {
+    const subscriber = { onProgress, onRetry };
+    request.subscribers.add(subscriber);
+
+    // Late callers start from the progress already made
+    if (request.lastProgress && typeof onProgress === 'function') {
+      onProgress(request.lastProgress);
+    }
+
+    return new Promise((resolve, reject) => {
+      const leave = () => {
+        request.subscribers.delete(subscriber);
+        if (signal) {
+          signal.removeEventListener('abort', handleAbort);
+        }
+      };
+
+      const handleAbort = () => {
+        leave();
+        if (request.subscribers.size === 0) {
+          request.controller.abort();
+        }
+        reject(this._createError(
+          ERROR_TYPES.CANCELLED,
+          ERROR_CODES.PROCESSING_CANCELLED,
+          'Processing cancelled'
+        ));
+      };
+
+      if (signal) {
+        signal.addEventListener('abort', handleAbort);
+      }
+
+      request.promise.then(
+        (result) => {
+          leave();
+          resolve(result);
+        },
+        (error) => {
+          leave();
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * Run the processing pipeline for a file that is not cached
+   * 
+   * @private
+   * @param {File} imageFile - The image file to process
+   * @param {string} cacheKey - Cache key the result is stored under
+   * @param {Object} options - { signal, onProgress, onRetry, crop, lighting, fabric, edges, regions, perspective }
+   *   shared by all callers
+   * @returns {Promise<Object>} Processing result
+   */
+  async _processUncached(imageFile, cacheKey, {
+    signal,
+    onProgress,
+    onRetry,
+    crop,
+    lighting,
+    fabric,
+    edges,
+    regions,
+    perspective
+  }) {
+    const startTime = Date.now();
+    const reportProgress = this._createProgressReporter(onProgress);
+
+    try {
+      reportProgress(PROCESSING_STATUS.UPLOADING, 0);
+
       // Convert file to DataURL for original display
       const originalDataUrl = await this._fileToDataUrl(imageFile);
 
-      // Load image to get dimensions
-      const originalImage = await this.canvasUtil.loadImage(originalDataUrl);
+      // Remove the background, or reuse the provider's result for the same request
+      const { blob: extractedBlob, provider, metadata, fromCache: providerCached } = await this._removeBackgroundCached(
+        imageFile,
+        originalDataUrl,
+        crop,
+        perspective,
+        { signal, onRetry, reportProgress }
+      );
+      this._throwIfAborted(signal);
+      reportProgress(PROCESSING_STATUS.RENDERING, 0);
 
-      // Compress image if it's too large
-      const imageBlob = await this._prepareImageForApi(imageFile, originalImage);
+      // Clean up the background-removed image; reused when only the steps
+      // after it change (e.g. new perspective corners)
+      const design = await this._prepareDesign(extractedBlob, { lighting, fabric, edges });
+      const { lightingCorrected, fabricColor } = design;
+      let finalDataUrl = design.dataUrl;
+      let finalWidth = design.source.width;
+      let finalHeight = design.source.height;
+      let image = design.image;
+      let edgesRefined = design.edgesRefined;
 
-      // Remove background via API with auto-crop enabled
-      const extractedBlob = await this.removeBackground(imageBlob, {
-        size: 'auto',
-        type: 'auto',
-        format: 'png',
-        crop: ENABLE_PATTERN_EXTRACTION,      // 使用 API 的自动裁剪
-        crop_margin: `${PATTERN_PADDING}px`   // 裁剪边距
-      });
+      // Clean up the mask once, so stray specks never become corners, regions or crop bounds
+      const cleaned = await this._cleanupMask(image, crop);
+      if (cleaned) {
+        image = cleaned;
+      }
 
-      // Convert extracted result to DataURL
-      const finalDataUrl = await this.blobToDataUrl(extractedBlob);
-      
-      // Load the result to get final dimensions
-      const finalImage = await this.canvasUtil.loadImage(finalDataUrl);
-      const finalWidth = finalImage.width;
-      const finalHeight = finalImage.height;
+      // Flatten a print photographed at an angle
+      const rectified = this._correctPerspective(image, crop, perspective, !fabricColor);
+      if (rectified) {
+        image = rectified.canvas;
+      }
+
+      // Pull in or soften the edge of what is left of the design
+      if (edges.shrink > 0 || edges.feather > 0) {
+        const shaped = await this.edgeRefiner.refineEdges(image, {
+          decontaminate: false,
+          shrink: edges.shrink,
+          feather: edges.feather,
+          solidAlpha: EDGE_REFINEMENT_CONFIG.SOLID_ALPHA
+        });
+        image = shaped.canvas;
+        edgesRefined = true;
+      }
+
+      // Split separate designs before cropping so each keeps its own bounds
+      const detectedRegions = await this._detectRegions(image, crop, regions, !fabricColor);
+
+      // Crop locally for the 'local-*' strategies
+      // (once the fabric is transparent, the pattern is everything still opaque;
+      // a flattened print is already framed by its corners)
+      const cropped = rectified ? null : await this._cropLocally(image, crop, !fabricColor);
+      const output = cropped ? cropped.canvas : (image !== design.source ? image : null);
+      if (output) {
+        finalDataUrl = output.toDataURL(OUTPUT_FORMAT);
+        finalWidth = output.width;
+        finalHeight = output.height;
+      }
+      reportProgress(PROCESSING_STATUS.RENDERING, 1);
       
       console.log('[ImageProcessor] 最终尺寸:', finalWidth, 'x', finalHeight);
 
@@ -143,8 +482,22 @@ class ImageProcessorService {
         extractedDataUrl: finalDataUrl,
         width: finalWidth,
         height: finalHeight,
+        provider,
+        foregroundBounds: (metadata && metadata.foreground) || null,
+        detectedType: (metadata && metadata.type) || null,
+        creditsCharged: providerCached ? 0
+          : (metadata && typeof metadata.creditsCharged === 'number' ? metadata.creditsCharged : null),
+        cropStrategy: crop.strategy,
+        cropBounds: cropped ? cropped.bounds : null,
+        lightingCorrected,
+        fabricColor,
+        edgesRefined,
+        regions: detectedRegions,
+        perspectiveCorners: rectified ? rectified.corners : null,
+        settings: { crop, lighting, fabric, edges, regions, perspective },
         processingTime: Date.now() - startTime,
-        fromCache: false
+        fromCache: false,
+        providerCached
       };
 
       // Cache the result
@@ -165,6 +518,140 @@ class ImageProcessorService {
     }
   }
 
+  /**
+   * Remove the background of a file, reusing the provider's earlier result when
+   * the provider would be sent the same request
+   * 
+   * Provider results are cached by file and the options the provider actually
+   * sees (whether it crops, and its crop margin), so changing local settings
+   * never costs another request. With perspective correction on, the provider
+   * never crops, so moving the corners reuses its result too.
+   * 
+   * @private
+   * @param {File} imageFile - The image file to process
+   * @param {string} originalDataUrl - The file as a DataURL
+   * @param {Object} crop - Resolved crop options
+   * @param {Object} perspective - Resolved perspective options
+   * @param {Object} options - { signal, onRetry, reportProgress }
+   * @returns {Promise<Object>} { blob, provider, metadata } from removeBackgroundDetailed, and
+   *   fromCache if no request was sent
+   */
+  async _removeBackgroundCached(imageFile, originalDataUrl, crop, perspective, { signal, onRetry, reportProgress }) {
+    // The provider only crops for the 'api' strategy; perspective corners refer
+    // to the whole photo, so it must not crop then
+    const providerCrop = crop.strategy === CROP_STRATEGIES.API && perspective.mode === PERSPECTIVE_MODES.NONE;
+    const providerKey = `${this._generateCacheKey(imageFile)}-${providerCrop ? `crop-${crop.padding}px` : 'full'}`;
+
+    const cached = this._getCachedResult(providerKey, this.providerCache);
+    if (cached) {
+      return { ...cached, fromCache: true };
+    }
+
+    // Load image to get dimensions
+    const originalImage = await this.canvasUtil.loadImage(originalDataUrl);
+    this._throwIfAborted(signal);
+
+    // Compress image if it's too large
+    const imageBlob = await this._prepareImageForApi(imageFile, originalImage, signal);
+
+    const removed = await this.removeBackgroundDetailed(imageBlob, {
+      size: 'auto',
+      type: 'auto',
+      format: REMOVE_BG_FORMAT,
+      crop: providerCrop,                   // 使用 API 的自动裁剪
+      crop_margin: `${crop.padding}px`,     // 裁剪边距
+      fileName: imageFile.name,             // 记录到用量台账
+      signal,
+      onRetry,
+      onUploadProgress: (event) => {
+        // Once the upload is done the server is removing the background
+        const fraction = this._getProgressFraction(event);
+        if (fraction === 1) {
+          reportProgress(PROCESSING_STATUS.REMOVING_BACKGROUND, 0);
+        } else if (fraction !== null) {
+          reportProgress(PROCESSING_STATUS.UPLOADING, fraction);
+        }
+      },
+      onDownloadProgress: (event) => {
+        const fraction = this._getProgressFraction(event);
+        if (fraction !== null) {
+          reportProgress(PROCESSING_STATUS.REMOVING_BACKGROUND, fraction);
+        }
+      }
+    });
+
+    this._cacheResult(providerKey, removed, this.providerCache);
+    return { ...removed, fromCache: false };
+  }
+
+  /**
+   * Clean up a background-removed photo before it is framed: remove the old
+   * background from soft edges, even out lighting and key out the fabric
+   * 
+   * The last preparation is kept with the provider result it was made from, so
+   * when only the perspective corners, local crop, edge shape or region settings
+   * change, just the steps after it run again.
+   * 
+   * @private
+   * @param {Blob} extractedBlob - Background-removed image from the provider (the cached
+   *   blob when the provider result is reused)
+   * @param {Object} settings - Resolved { lighting, fabric, edges } options
+   * @returns {Promise<Object>} { dataUrl, source, image, edgesRefined, lightingCorrected, fabricColor }
+   *   with the provider's image as dataUrl and loaded source, and the cleaned up image
+   */
+  async _prepareDesign(extractedBlob, { lighting, fabric, edges }) {
+    const key = this._getPreparationKey({ lighting, fabric, edges });
+    if (this.preparedDesign && this.preparedDesign.blob === extractedBlob && this.preparedDesign.key === key) {
+      return this.preparedDesign.design;
+    }
+
+    const dataUrl = await this.blobToDataUrl(extractedBlob);
+    const source = await this.canvasUtil.loadImage(dataUrl);
+
+    // Remove the old background mixed into the provider's soft edge (before keying,
+    // whose own soft edge is already free of the fabric color)
+    let image = source;
+    let edgesRefined = false;
+    if (edges.decontaminate) {
+      const cleaned = await this.edgeRefiner.refineEdges(image, {
+        decontaminate: true,
+        solidAlpha: EDGE_REFINEMENT_CONFIG.SOLID_ALPHA,
+        backgroundCell: EDGE_REFINEMENT_CONFIG.BACKGROUND_CELL
+      });
+      if (cleaned.refined) {
+        image = cleaned.canvas;
+        edgesRefined = true;
+      }
+    }
+
+    // Even out shading before keying, so shaded fabric is keyed out too
+    let lightingCorrected = false;
+    if (lighting.enabled) {
+      const lit = await this._correctLighting(image, lighting);
+      if (lit.corrected) {
+        image = lit.canvas;
+        lightingCorrected = true;
+      }
+    }
+
+    // Key out the fabric color so only the print remains
+    let fabricColor = null;
+    if (fabric.enabled) {
+      const keyed = await this.patternExtractor.removeFabricColor(image, {
+        tolerance: fabric.tolerance,
+        softness: fabric.softness
+      });
+      fabricColor = keyed.fabricColor;
+      if (fabricColor) {
+        image = keyed.canvas;
+      }
+    }
+
+    const design = { dataUrl, source, image, edgesRefined, lightingCorrected, fabricColor };
+    this.preparedDesign = { blob: extractedBlob, key, design };
+    return design;
+  }
+
   /**
    * Compress image if it exceeds maximum dimensions
    * 
@@ -173,11 +660,12 @@ class ImageProcessorService {
    * 
    * @param {File} imageFile - Original image file
    * @param {HTMLImageElement} image - Loaded image element
+   * @param {AbortSignal} [signal] - Cancels compression
    * @returns {Promise<Blob>} Compressed image blob or original if no compression needed
    * 
    * Requirements: 8.2
    */
-  async compressImage(imageFile, image) {
+  async compressImage(imageFile, image, signal) {
     try {
       // Check if compression is needed
       if (image.width <= MAX_IMAGE_WIDTH && image.height <= MAX_IMAGE_HEIGHT) {
@@ -185,6 +673,8 @@ class ImageProcessorService {
         return imageFile;
       }
 
+      this._throwIfAborted(signal);
+
       // Resize image using canvas utility
       const resizedCanvas = this.canvasUtil.resizeImage(
         image,
@@ -198,9 +688,14 @@ class ImageProcessorService {
         OUTPUT_FORMAT,
         PNG_QUALITY
       );
+      this._throwIfAborted(signal);
 
       return compressedBlob;
     } catch (error) {
+      if (error.type === ERROR_TYPES.CANCELLED) {
+        throw error;
+      }
+
       throw this._createError(
         ERROR_TYPES.PROCESSING_ERROR,
         ERROR_CODES.CANVAS_ERROR,
@@ -223,6 +718,22 @@ class ImageProcessorService {
    * Requirements: 2.2
    */
   async removeBackground(imageBlob, options = {}) {
+    const result = await this.removeBackgroundDetailed(imageBlob, options);
+    return result.blob;
+  }
+
+  /**
+   * Remove background and report which provider produced the result
+   * 
+   * Services without removeBackgroundDetailed are reported by their `name`
+   * and carry no metadata.
+   * 
+   * @param {Blob} imageBlob - Image blob to process
+   * @param {Object} options - Processing options
+   * @returns {Promise<Object>} { blob, provider, metadata }
+   * @throws {Error} If API call fails
+   */
+  async removeBackgroundDetailed(imageBlob, options = {}) {
     if (!this.backgroundRemovalApi) {
       throw this._createError(
         ERROR_TYPES.API_ERROR,
@@ -231,22 +742,48 @@ class ImageProcessorService {
       );
     }
 
-    // 使用 Remove.bg API 的 crop 参数自动裁剪
     const apiOptions = {
       size: options.size || 'auto',
       type: options.type || 'auto',
       format: options.format || 'png',
-      crop: true,              // 自动裁剪空白区域
-      crop_margin: '20px',     // 裁剪边距
       ...options
     };
 
     console.log('[ImageProcessor] API 选项:', apiOptions);
 
     // Call API service (it handles retries internally)
-    const resultBlob = await this.backgroundRemovalApi.removeBackground(imageBlob, apiOptions);
+    const api = this.backgroundRemovalApi;
+
+    if (typeof api.removeBackgroundDetailed === 'function') {
+      return await api.removeBackgroundDetailed(imageBlob, apiOptions);
+    }
+
+    const blob = await api.removeBackground(imageBlob, apiOptions);
+
+    return {
+      blob,
+      provider: api.name || null,
+      metadata: null
+    };
+  }
+
+  /**
+   * Get account status (e.g. remaining credits) from the background removal service
+   * 
+   * @returns {Promise<Object|null>} Account info, or null if the service reports none
+   */
+  async getAccountStatus() {
+    if (!this.backgroundRemovalApi || typeof this.backgroundRemovalApi.checkApiStatus !== 'function') {
+      return null;
+    }
 
-    return resultBlob;
+    try {
+      const status = await this.backgroundRemovalApi.checkApiStatus();
+      return status && typeof status === 'object' ? status : null;
+    } catch (error) {
+      console.warn('[ImageProcessor] 获取账户状态失败:', error);
+      return null;
+    }
   }
 
   /**
@@ -322,22 +859,603 @@ class ImageProcessorService {
    * @private
    * @param {File} imageFile - Original image file
    * @param {HTMLImageElement} image - Loaded image element
+   * @param {AbortSignal} [signal] - Cancels compression
    * @returns {Promise<Blob>} Image blob ready for API upload
    */
-  async _prepareImageForApi(imageFile, image) {
+  async _prepareImageForApi(imageFile, image, signal) {
     // Check if compression is needed
     const needsCompression = 
       image.width > MAX_IMAGE_WIDTH || 
       image.height > MAX_IMAGE_HEIGHT;
 
     if (needsCompression) {
-      return await this.compressImage(imageFile, image);
+      return await this.compressImage(imageFile, image, signal);
     }
 
     // Return original file as-is
     return imageFile;
   }
 
+  /**
+   * Create a progress callback that maps stage-relative progress to 0-100
+   * 
+   * Progress never moves backwards (e.g. when a request is retried).
+   * 
+   * @private
+   * @param {Function} [onProgress] - Listener called with { status, progress }
+   * @returns {Function} (status, fraction) => void, where fraction is 0-1 within the stage
+   */
+  _createProgressReporter(onProgress) {
+    let lastProgress = 0;
+
+    return (status, fraction) => {
+      if (typeof onProgress !== 'function') {
+        return;
+      }
+
+      const stage = PROGRESS_STAGES[status];
+      const clamped = Math.min(Math.max(fraction, 0), 1);
+      const progress = Math.max(
+        lastProgress,
+        Math.round(stage.START + (stage.END - stage.START) * clamped)
+      );
+      lastProgress = progress;
+
+      onProgress({ status, progress });
+    };
+  }
+
+  /**
+   * Fill in crop options from the configured defaults
+   * 
+   * @private
+   * @param {Object} [crop] - Crop options passed to processImage
+   * @returns {Object} { strategy, padding, threshold, densityThreshold, open, close, erode, dilate,
+   *   removeIslands, fillHoles }
+   * @throws {Error} If the strategy is unknown
+   */
+  _resolveCropOptions(crop = {}) {
+    const radius = (value, fallback) => Math.min(
+      MASK_CLEANUP_CONFIG.MAX_RADIUS,
+      Math.max(0, Math.round(typeof value === 'number' ? value : fallback))
+    );
+    const area = (value, fallback) => Math.max(0, Math.round(typeof value === 'number' ? value : fallback));
+
+    const resolved = {
+      strategy: crop.strategy || CROP_STRATEGY,
+      padding: typeof crop.padding === 'number' ? crop.padding : PATTERN_PADDING,
+      threshold: typeof crop.threshold === 'number' ? crop.threshold : PATTERN_ALPHA_THRESHOLD,
+      densityThreshold: typeof crop.densityThreshold === 'number'
+        ? crop.densityThreshold
+        : PATTERN_DENSITY_THRESHOLD,
+      open: radius(crop.open, MASK_CLEANUP_CONFIG.OPEN),
+      close: radius(crop.close, MASK_CLEANUP_CONFIG.CLOSE),
+      erode: radius(crop.erode, MASK_CLEANUP_CONFIG.ERODE),
+      dilate: radius(crop.dilate, MASK_CLEANUP_CONFIG.DILATE),
+      removeIslands: area(crop.removeIslands, MASK_CLEANUP_CONFIG.REMOVE_ISLANDS),
+      fillHoles: area(crop.fillHoles, MASK_CLEANUP_CONFIG.FILL_HOLES)
+    };
+
+    if (!Object.values(CROP_STRATEGIES).includes(resolved.strategy)) {
+      throw this._createError(
+        ERROR_TYPES.PROCESSING_ERROR,
+        ERROR_CODES.API_BAD_REQUEST,
+        `Invalid crop strategy: ${resolved.strategy}`
+      );
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Preview lighting correction on a downscaled copy of a photo
+   * 
+   * Runs locally (no background removal), so it can follow the strength
+   * slider before the user spends a credit on processing. The downscaled
+   * copy is kept for the next call with the same photo.
+   * 
+   * @param {string} dataUrl - Photo as DataURL
+   * @param {Object} [lighting] - Lighting options ({ enabled, strength })
+   * @returns {Promise<string>} Preview as DataURL
+   */
+  async previewLighting(dataUrl, lighting) {
+    const settings = this._resolveLightingOptions(lighting);
+    const preview = await this._getLightingPreviewSource(dataUrl);
+
+    if (!settings.enabled) {
+      return preview.toDataURL(OUTPUT_FORMAT);
+    }
+
+    const { canvas } = await this._correctLighting(preview, settings);
+    return canvas.toDataURL(OUTPUT_FORMAT);
+  }
+
+  /**
+   * Reduce an extracted design to spot colors for screen printing
+   *
+   * Runs locally on the extraction result, so trying different color
+   * counts does not use any credits.
+   *
+   * @param {string} dataUrl - Extracted design as DataURL
+   * @param {Object} [options] - Spot color options
+   * @param {number|null} [options.colors] - Number of spot colors, null to choose automatically
+   * @param {boolean} [options.dither] - Whether to dither between spot colors
+   * @returns {Promise<Object>} { dataUrl, palette } with palette entries
+   *   { hex, r, g, b, pixelCount, coverage } ordered by coverage
+   * @throws {Error} If the color count is out of range
+   */
+  async reduceColors(dataUrl, { colors = null, dither = false } = {}) {
+    const validCount = colors === null ||
+      (Number.isInteger(colors) && colors >= 1 && colors <= SPOT_COLOR_CONFIG.MAX_COLORS);
+    if (!validCount) {
+      throw this._createError(
+        ERROR_TYPES.PROCESSING_ERROR,
+        ERROR_CODES.API_BAD_REQUEST,
+        `Spot color count must be between 1 and ${SPOT_COLOR_CONFIG.MAX_COLORS}`
+      );
+    }
+
+    const image = await this.canvasUtil.loadImage(dataUrl);
+    const { canvas, palette } = await this.colorQuantizer.quantize(image, {
+      colors,
+      dither,
+      maxColors: SPOT_COLOR_CONFIG.MAX_COLORS,
+      targetDeltaE: SPOT_COLOR_CONFIG.TARGET_DELTA_E,
+      alphaThreshold: SPOT_COLOR_CONFIG.ALPHA_THRESHOLD,
+      sampleSize: SPOT_COLOR_CONFIG.SAMPLE_SIZE
+    });
+
+    return { dataUrl: canvas.toDataURL(OUTPUT_FORMAT), palette };
+  }
+
+  /**
+   * Trace an extracted design into an SVG
+   *
+   * Runs locally. The design is reduced to flat colors first, so it works
+   * best for logos and other flat-color prints.
+   *
+   * @param {string} dataUrl - Extracted design (or its spot color reduction) as DataURL
+   * @param {Object} [options] - Vectorization options
+   * @param {number|null} [options.colors] - Number of colors to trace, null to choose automatically
+   * @returns {Promise<Object>} { svg, width, height, layers } with layers { hex, coverage, paths }
+   *   (one path group per color)
+   * @throws {Error} If the color count is out of range
+   */
+  async vectorize(dataUrl, { colors = null } = {}) {
+    const validCount = colors === null ||
+      (Number.isInteger(colors) && colors >= 1 && colors <= SPOT_COLOR_CONFIG.MAX_COLORS);
+    if (!validCount) {
+      throw this._createError(
+        ERROR_TYPES.PROCESSING_ERROR,
+        ERROR_CODES.API_BAD_REQUEST,
+        `Vector color count must be between 1 and ${SPOT_COLOR_CONFIG.MAX_COLORS}`
+      );
+    }
+
+    const image = await this.canvasUtil.loadImage(dataUrl);
+    return this.vectorizer.vectorize(image, {
+      colors,
+      quantize: {
+        maxColors: SPOT_COLOR_CONFIG.MAX_COLORS,
+        targetDeltaE: SPOT_COLOR_CONFIG.TARGET_DELTA_E,
+        alphaThreshold: SPOT_COLOR_CONFIG.ALPHA_THRESHOLD,
+        sampleSize: SPOT_COLOR_CONFIG.SAMPLE_SIZE
+      },
+      speckleThreshold: VECTORIZE_CONFIG.SPECKLE_THRESHOLD,
+      tolerance: VECTORIZE_CONFIG.TOLERANCE,
+      cornerAngle: VECTORIZE_CONFIG.CORNER_ANGLE
+    });
+  }
+
+  /**
+   * Upscale an extracted design to a physical print size
+   *
+   * Runs locally with CanvasUtility.upscaleToPrintSize. Designs cut out of a
+   * shirt photo are usually far smaller than DTG printing needs, so the result
+   * reports the effective source resolution and warns when it is too low.
+   *
+   * @param {string} dataUrl - Extracted design as DataURL
+   * @param {Object} [options] - Upscale options
+   * @param {number} [options.widthInches] - Print width in inches (defaults to PRINT_UPSCALE_CONFIG.WIDTH_INCHES)
+   * @param {number} [options.heightInches] - Print height in inches (defaults to PRINT_UPSCALE_CONFIG.HEIGHT_INCHES)
+   * @param {number} [options.dpi] - Print resolution (defaults to PRINT_UPSCALE_CONFIG.DPI)
+   * @param {string} [options.method] - One of UPSCALE_METHODS (defaults to PRINT_UPSCALE_CONFIG.METHOD)
+   * @param {boolean} [options.sharpen=false] - Apply an unsharp mask after resampling
+   * @returns {Promise<Object>} { dataUrl, width, height, dpi, sourceDpi, warning }, where warning
+   *   is null when the source resolution is sufficient
+   * @throws {Error} If the print size, DPI or method is invalid
+   */
+  async upscaleForPrint(dataUrl, options = {}) {
+    const image = await this.canvasUtil.loadImage(dataUrl);
+    const { canvas, width, height, dpi, sourceDpi, warning } = this.canvasUtil.upscaleToPrintSize(image, options);
+
+    return { dataUrl: canvas.toDataURL(OUTPUT_FORMAT), width, height, dpi, sourceDpi, warning };
+  }
+
+  /**
+   * Render the files of a separation export from spot colors
+   *
+   * Produces one positive film PNG per ink in print order (lightest first),
+   * the reduced design as a composite preview and a JSON manifest, ready to
+   * be bundled by DownloadManager.downloadFiles.
+   *
+   * @param {Object} spotColors - Result of reduceColors ({ dataUrl, palette })
+   * @param {Object} [options] - Export options
+   * @param {string} [options.film] - One of SEPARATION_FILMS (defaults to SPOT_COLOR_CONFIG.FILM)
+   * @returns {Promise<Array<Object>>} Files { name, data } with PNGs as Blobs and the manifest as JSON text
+   * @throws {Error} If the film style is unknown or there are no inks
+   */
+  async createSeparations({ dataUrl, palette }, { film = SPOT_COLOR_CONFIG.FILM } = {}) {
+    if (!Object.values(SEPARATION_FILMS).includes(film)) {
+      throw this._createError(
+        ERROR_TYPES.PROCESSING_ERROR,
+        ERROR_CODES.API_BAD_REQUEST,
+        `Invalid separation film: ${film}`
+      );
+    }
+    if (!palette || palette.length === 0) {
+      throw this._createError(
+        ERROR_TYPES.PROCESSING_ERROR,
+        ERROR_CODES.API_BAD_REQUEST,
+        'No spot colors to separate'
+      );
+    }
+
+    const image = await this.canvasUtil.loadImage(dataUrl);
+    const separations = this.colorQuantizer.createSeparations(image, palette, { film });
+
+    const composite = this.canvasUtil.createCanvas(image.width, image.height);
+    composite.getContext('2d').drawImage(image, 0, 0);
+
+    const files = [{ name: 'composite.png', data: await this.canvasUtil.imageToBlob(composite, OUTPUT_FORMAT) }];
+    const inks = [];
+
+    for (const { order, color, canvas } of separations) {
+      const name = `${String(order).padStart(2, '0')}-${color.hex.slice(1)}.png`;
+      files.push({ name, data: await this.canvasUtil.imageToBlob(canvas, OUTPUT_FORMAT) });
+      inks.push({
+        order,
+        hex: color.hex,
+        rgb: [color.r, color.g, color.b],
+        coverage: Math.round(color.coverage * 10) / 10,
+        file: name
+      });
+    }
+
+    const manifest = {
+      createdAt: new Date().toISOString(),
+      width: image.width,
+      height: image.height,
+      film,
+      composite: 'composite.png',
+      inks
+    };
+    files.push({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+
+    return files;
+  }
+
+  /**
+   * Downscale a photo for the lighting preview, reusing the last copy
+   * 
+   * @private
+   * @param {string} dataUrl - Photo as DataURL
+   * @returns {Promise<HTMLCanvasElement>} Copy no larger than PREVIEW_SIZE
+   */
+  async _getLightingPreviewSource(dataUrl) {
+    if (this.lightingPreviewSource && this.lightingPreviewSource.dataUrl === dataUrl) {
+      return this.lightingPreviewSource.canvas;
+    }
+
+    const image = await this.canvasUtil.loadImage(dataUrl);
+    const canvas = this.canvasUtil.resizeImage(
+      image,
+      LIGHTING_CORRECTION_CONFIG.PREVIEW_SIZE,
+      LIGHTING_CORRECTION_CONFIG.PREVIEW_SIZE
+    );
+    this.lightingPreviewSource = { dataUrl, canvas };
+    return canvas;
+  }
+
+  /**
+   * Correct uneven lighting with PatternExtractor
+   * 
+   * @private
+   * @param {HTMLImageElement|HTMLCanvasElement} image - Image that still shows the fabric
+   * @param {Object} lighting - Resolved lighting options
+   * @returns {Promise<Object>} { canvas, corrected }
+   */
+  _correctLighting(image, lighting) {
+    return this.patternExtractor.correctLighting(image, {
+      strength: lighting.strength,
+      tolerance: LIGHTING_CORRECTION_CONFIG.TOLERANCE,
+      gridSize: LIGHTING_CORRECTION_CONFIG.GRID_SIZE
+    });
+  }
+
+  /**
+   * Fill in lighting correction options from the configured defaults
+   * 
+   * @private
+   * @param {Object} [lighting] - Lighting options passed to processImage
+   * @returns {Object} { enabled, strength } with strength clamped to 0-1
+   */
+  _resolveLightingOptions(lighting = {}) {
+    const strength = typeof lighting.strength === 'number'
+      ? lighting.strength
+      : LIGHTING_CORRECTION_CONFIG.STRENGTH;
+
+    return {
+      enabled: typeof lighting.enabled === 'boolean' ? lighting.enabled : LIGHTING_CORRECTION_CONFIG.ENABLED,
+      strength: Math.min(Math.max(strength, 0), 1)
+    };
+  }
+
+  /**
+   * Fill in fabric keying options from the configured defaults
+   * 
+   * @private
+   * @param {Object} [fabric] - Fabric options passed to processImage
+   * @returns {Object} { enabled, tolerance, softness }
+   */
+  _resolveFabricOptions(fabric = {}) {
+    return {
+      enabled: typeof fabric.enabled === 'boolean' ? fabric.enabled : FABRIC_KEYING_CONFIG.ENABLED,
+      tolerance: typeof fabric.tolerance === 'number' ? fabric.tolerance : FABRIC_KEYING_CONFIG.TOLERANCE,
+      softness: typeof fabric.softness === 'number' ? fabric.softness : FABRIC_KEYING_CONFIG.SOFTNESS
+    };
+  }
+
+  /**
+   * Fill in edge refinement options from the configured defaults
+   * 
+   * @private
+   * @param {Object} [edges] - Edge options passed to processImage
+   * @returns {Object} { decontaminate, shrink, feather } with radii rounded to 0-MAX_RADIUS pixels
+   */
+  _resolveEdgeOptions(edges = {}) {
+    const radius = (value, fallback) => {
+      const pixels = Math.round(typeof value === 'number' ? value : fallback);
+      return Math.min(Math.max(pixels, 0), EDGE_REFINEMENT_CONFIG.MAX_RADIUS);
+    };
+
+    return {
+      decontaminate: typeof edges.decontaminate === 'boolean'
+        ? edges.decontaminate
+        : EDGE_REFINEMENT_CONFIG.DECONTAMINATE,
+      shrink: radius(edges.shrink, EDGE_REFINEMENT_CONFIG.SHRINK),
+      feather: radius(edges.feather, EDGE_REFINEMENT_CONFIG.FEATHER)
+    };
+  }
+
+  /**
+   * Fill in region detection options from the configured defaults
+   * 
+   * @private
+   * @param {Object} [regions] - Region options passed to processImage
+   * @returns {Object} { enabled, mergeDistance, minArea }
+   */
+  _resolveRegionOptions(regions = {}) {
+    return {
+      enabled: typeof regions.enabled === 'boolean' ? regions.enabled : REGION_DETECTION_CONFIG.ENABLED,
+      mergeDistance: typeof regions.mergeDistance === 'number'
+        ? regions.mergeDistance
+        : REGION_DETECTION_CONFIG.MERGE_DISTANCE,
+      minArea: typeof regions.minArea === 'number' ? regions.minArea : REGION_DETECTION_CONFIG.MIN_AREA
+    };
+  }
+
+  /**
+   * Fill in perspective options from the configured defaults
+   * 
+   * @private
+   * @param {Object} [perspective] - Perspective options passed to processImage
+   * @returns {Object} { mode, corners } with corners null unless the mode is 'manual'
+   * @throws {Error} If the mode is unknown or manual corners do not form a quadrilateral
+   */
+  _resolvePerspectiveOptions(perspective = {}) {
+    const mode = perspective.mode || PERSPECTIVE_CONFIG.MODE;
+
+    if (!Object.values(PERSPECTIVE_MODES).includes(mode)) {
+      throw this._createError(
+        ERROR_TYPES.PROCESSING_ERROR,
+        ERROR_CODES.API_BAD_REQUEST,
+        `Invalid perspective mode: ${mode}`
+      );
+    }
+
+    if (mode !== PERSPECTIVE_MODES.MANUAL) {
+      return { mode, corners: null };
+    }
+
+    const corners = perspective.corners;
+    const inImage = Array.isArray(corners) && corners.every(corner =>
+      corner && corner.x >= 0 && corner.x <= 1 && corner.y >= 0 && corner.y <= 1
+    );
+    if (!inImage || !this.perspectiveCorrector.isValidQuadrilateral(corners)) {
+      throw this._createError(
+        ERROR_TYPES.PROCESSING_ERROR,
+        ERROR_CODES.API_BAD_REQUEST,
+        'Perspective corners must form a quadrilateral inside the image'
+      );
+    }
+
+    return { mode, corners: corners.map(({ x, y }) => ({ x, y })) };
+  }
+
+  /**
+   * Part of the cache key that identifies the output settings
+   * 
+   * @private
+   * @param {Object} settings - Resolved { crop, lighting, fabric, edges, regions, perspective } options
+   * @returns {string}
+   */
+  _getSettingsKey({ crop, lighting, fabric, edges, regions, perspective }) {
+    const preparationKey = this._getPreparationKey({ lighting, fabric, edges });
+    const maskKey = `mask-${crop.open}-${crop.close}-${crop.erode}-${crop.dilate}-${crop.removeIslands}-${crop.fillHoles}`;
+    const edgesKey = `edges-${edges.shrink}-${edges.feather}`;
+    const regionsKey = regions.enabled ? `regions-${regions.mergeDistance}-${regions.minArea}` : 'no-regions';
+    const perspectiveKey = perspective.corners
+      ? `${perspective.mode}-${perspective.corners.map(({ x, y }) => `${x.toFixed(4)},${y.toFixed(4)}`).join(';')}`
+      : perspective.mode;
+    return `${crop.strategy}-${crop.padding}-${crop.threshold}-${crop.densityThreshold}-${maskKey}-${preparationKey}-${edgesKey}-${regionsKey}-${perspectiveKey}`;
+  }
+
+  /**
+   * Build the part of the settings key that _prepareDesign depends on
+   * 
+   * @private
+   * @param {Object} settings - Resolved { lighting, fabric, edges } options
+   * @returns {string}
+   */
+  _getPreparationKey({ lighting, fabric, edges }) {
+    const lightingKey = lighting.enabled ? `lighting-${lighting.strength}` : 'no-lighting';
+    const fabricKey = fabric.enabled ? `fabric-${fabric.tolerance}-${fabric.softness}` : 'no-fabric';
+    return `${edges.decontaminate ? 'clean' : 'raw'}-${lightingKey}-${fabricKey}`;
+  }
+
+  /**
+   * Flatten a print photographed at an angle with PerspectiveCorrector
+   * 
+   * @private
+   * @param {HTMLImageElement|HTMLCanvasElement} image - Background-removed image (not cropped by the provider)
+   * @param {Object} crop - Resolved crop options (the alpha threshold is reused)
+   * @param {Object} perspective - Resolved perspective options
+   * @param {boolean} colorAware - Whether quadrilateral detection should skip the dominant (fabric) color
+   * @returns {Object|null} { canvas, corners } with corners as fractions of the image, or null if
+   *   correction is off or no four-sided print was detected
+   */
+  _correctPerspective(image, crop, perspective, colorAware) {
+    let corners;
+
+    if (perspective.mode === PERSPECTIVE_MODES.MANUAL) {
+      corners = perspective.corners.map(({ x, y }) => ({ x: x * image.width, y: y * image.height }));
+    } else if (perspective.mode === PERSPECTIVE_MODES.AUTO) {
+      const detected = this.perspectiveCorrector.detectQuadrilateral(image, {
+        threshold: crop.threshold,
+        colorAware,
+        minCoverage: PERSPECTIVE_CONFIG.MIN_COVERAGE
+      });
+      if (!detected) {
+        return null;
+      }
+      corners = detected.corners;
+    } else {
+      return null;
+    }
+
+    const canvas = this.perspectiveCorrector.rectify(image, corners);
+    console.log('[ImageProcessor] 透视矫正完成:', canvas.width, 'x', canvas.height);
+
+    return {
+      canvas,
+      corners: corners.map(({ x, y }) => ({ x: x / image.width, y: y / image.height }))
+    };
+  }
+
+  /**
+   * Find separate designs in the background-removed image
+   * 
+   * @private
+   * @param {HTMLImageElement|HTMLCanvasElement} image - Background-removed image
+   * @param {Object} crop - Resolved crop options (padding and alpha threshold are reused)
+   * @param {Object} regions - Resolved region options
+   * @param {boolean} colorAware - Whether detection should skip the dominant (fabric) color
+   * @returns {Promise<Array<Object>>} [{ dataUrl, bounds, width, height, area }], empty when disabled
+   */
+  async _detectRegions(image, crop, regions, colorAware) {
+    if (!regions.enabled) {
+      return [];
+    }
+
+    const detected = await this.patternExtractor.detectRegions(image, {
+      padding: crop.padding,
+      threshold: crop.threshold,
+      colorAware,
+      mergeDistance: regions.mergeDistance,
+      minArea: regions.minArea
+    });
+
+    return detected.map(region => ({
+      dataUrl: region.canvas.toDataURL(OUTPUT_FORMAT),
+      bounds: region.bounds,
+      width: region.canvas.width,
+      height: region.canvas.height,
+      area: region.area
+    }));
+  }
+
+  /**
+   * Clean up the alpha mask of the background-removed image with PatternExtractor
+   * 
+   * @private
+   * @param {HTMLImageElement|HTMLCanvasElement} image - Background-removed image
+   * @param {Object} crop - Resolved crop options (mask cleanup radii and areas, and the alpha threshold)
+   * @returns {Promise<HTMLCanvasElement|null>} The cleaned image, or null if no cleanup is enabled
+   */
+  async _cleanupMask(image, crop) {
+    const { canvas, changed } = await this.patternExtractor.cleanupMask(image, {
+      threshold: crop.threshold,
+      open: crop.open,
+      close: crop.close,
+      erode: crop.erode,
+      dilate: crop.dilate,
+      removeIslands: crop.removeIslands,
+      fillHoles: crop.fillHoles
+    });
+    return changed ? canvas : null;
+  }
+
+  /**
+   * Crop the background-removed image with PatternExtractor
+   * 
+   * @private
+   * @param {HTMLImageElement|HTMLCanvasElement} image - Background-removed image
+   * @param {Object} crop - Resolved crop options
+   * @param {boolean} colorAware - Whether bounds detection should skip the dominant (fabric) color
+   * @returns {Promise<Object|null>} { canvas, bounds }, or null if the strategy is not local
+   *   or no pattern was found
+   */
+  async _cropLocally(image, crop, colorAware) {
+    let cropped = null;
+
+    if (crop.strategy === CROP_STRATEGIES.LOCAL_BOUNDS) {
+      cropped = await this.patternExtractor.extractPatternDetailed(image, {
+        padding: crop.padding,
+        threshold: crop.threshold,
+        colorAware
+      });
+    } else if (crop.strategy === CROP_STRATEGIES.LOCAL_DENSITY) {
+      cropped = await this.patternExtractor.smartCropDetailed(image, {
+        padding: crop.padding,
+        threshold: crop.threshold,
+        densityThreshold: crop.densityThreshold,
+        colorAware
+      });
+    }
+
+    if (!cropped || !cropped.bounds) {
+      return null;
+    }
+
+    console.log('[ImageProcessor] 本地裁剪区域:', cropped.bounds);
+    return cropped;
+  }
+
+  /**
+   * Get the completed fraction of an axios progress event
+   * 
+   * @private
+   * @param {Object} event - Axios progress event ({ loaded, total })
+   * @returns {number|null} Fraction 0-1, or null if the total size is unknown
+   */
+  _getProgressFraction(event) {
+    if (!event || !event.total) {
+      return null;
+    }
+    return Math.min(event.loaded / event.total, 1);
+  }
+
   /**
    * Generate cache key from file properties
    * 
@@ -362,12 +1480,13 @@ class ImageProcessorService {
    * 
    * @private
    * @param {string} cacheKey - Cache key to lookup
+   * @param {Map} [cache=this.cache] - Cache to look in
    * @returns {Object|null} Cached result or null if not found/expired
    * 
    * Requirements: 8.5
    */
-  _getCachedResult(cacheKey) {
-    const cached = this.cache.get(cacheKey);
+  _getCachedResult(cacheKey, cache = this.cache) {
+    const cached = cache.get(cacheKey);
 
     if (!cached) {
       return null;
@@ -379,7 +1498,7 @@ class ImageProcessorService {
 
     if (age > CACHE_EXPIRATION_TIME) {
       // Cache expired, remove it
-      this.cache.delete(cacheKey);
+      cache.delete(cacheKey);
       return null;
     }
 
@@ -395,19 +1514,20 @@ class ImageProcessorService {
    * @private
    * @param {string} cacheKey - Cache key
    * @param {Object} result - Processing result to cache
+   * @param {Map} [cache=this.cache] - Cache to store the result in
    * 
    * Requirements: 8.5
    */
-  _cacheResult(cacheKey, result) {
+  _cacheResult(cacheKey, result, cache = this.cache) {
     // Check cache size and evict oldest entry if needed
-    if (this.cache.size >= MAX_CACHE_SIZE) {
+    if (cache.size >= MAX_CACHE_SIZE) {
       // Get the first (oldest) key and delete it
-      const firstKey = this.cache.keys().next().value;
-      this.cache.delete(firstKey);
+      const firstKey = cache.keys().next().value;
+      cache.delete(firstKey);
     }
 
     // Store result with timestamp
-    this.cache.set(cacheKey, {
+    cache.set(cacheKey, {
       result,
       timestamp: Date.now()
     });
@@ -420,6 +1540,9 @@ class ImageProcessorService {
    */
   clearCache() {
     this.cache.clear();
+    this.providerCache.clear();
+    this.preparedDesign = null;
+    this.lightingPreviewSource = null;
   }
 
   /**
@@ -453,28 +1576,109 @@ class ImageProcessorService {
     error.retryable = retryable;
     return error;
   }
+
+  /**
+   * Throw a cancellation error if the signal has been aborted
+   * 
+   * @private
+   * @param {AbortSignal} [signal] - Optional abort signal
+   * @throws {Error} Error with type ERROR_TYPES.CANCELLED
+   */
+  _throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      throw this._createError(
+        ERROR_TYPES.CANCELLED,
+        ERROR_CODES.PROCESSING_CANCELLED,
+        'Processing cancelled'
+      );
+    }
+  }
 }
 
 // Export singleton instance
 const imageProcessorService = new ImageProcessorService();
 
-// Initialize with Remove.bg API service
+// Initialize with the configured background removal service(s)
 // Requirements: 2.2
-import { createBackgroundRemovalService } from './BackgroundRemovalAPI';
-import { REMOVE_BG_API_KEY } from '../constants';
-
-// Set up background removal API if key is available
-if (REMOVE_BG_API_KEY) {
-  try {
-    const bgRemovalService = createBackgroundRemovalService('removebg', REMOVE_BG_API_KEY);
-    imageProcessorService.setBackgroundRemovalApi(bgRemovalService);
-  } catch (error) {
-    console.error('Failed to initialize background removal service:', error);
-  }
-} else {
-  console.warn('Remove.bg API key not configured. Set VUE_APP_REMOVE_BG_API_KEY in .env file.');
+import {
+  createBackgroundRemovalService,
+  FallbackBackgroundRemovalService,
+  UsageTrackingBackgroundRemovalService
+} from './BackgroundRemovalAPI';
+import UsageLedger from './UsageLedger';
+import {
+  REMOVE_BG_API_KEY,
+  REMOVE_BG_USE_PROXY,
+  BACKGROUND_REMOVAL_PROVIDER
+} from '../constants';
+
+const REMOVE_BG_PROVIDER_NAMES = ['removebg', 'remove.bg'];
+
+/**
+ * Build the background removal service(s) listed in BACKGROUND_REMOVAL_PROVIDER
+ * 
+ * A user-supplied Remove.bg key is used directly (never through the proxy) and
+ * puts Remove.bg at the front of the chain if the build did not list it.
+ * Every provider records its calls in the usage ledger; Remove.bg calls are
+ * also refused once the credit budget is spent.
+ * 
+ * @param {Object} [options] - Build options
+ * @param {string} [options.apiKey] - User-supplied Remove.bg API key (defaults to the build-time key)
+ * @returns {BackgroundRemovalAPI} - A single provider or a FallbackBackgroundRemovalService chain
+ */
+function createBackgroundRemovalApi({ apiKey } = {}) {
+  const useProxy = !apiKey && REMOVE_BG_USE_PROXY;
+  const removeBgKey = apiKey || REMOVE_BG_API_KEY;
+  const isRemoveBg = name => REMOVE_BG_PROVIDER_NAMES.includes(name.toLowerCase());
+
+  const providerNames = BACKGROUND_REMOVAL_PROVIDER.split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  if (apiKey && !providerNames.some(isRemoveBg)) {
+    providerNames.unshift('removebg');
+  }
+
+  const services = [];
+
+  providerNames.forEach(name => {
+    // Skip Remove.bg when no key is available (the proxy holds the key in proxy mode)
+    if (isRemoveBg(name) && !removeBgKey && !useProxy) {
+      console.warn('Remove.bg API key not configured. Set VUE_APP_REMOVE_BG_API_KEY in .env file.');
+      return;
+    }
+
+    try {
+      services.push(new UsageTrackingBackgroundRemovalService(
+        createBackgroundRemovalService(name, removeBgKey, { useProxy }),
+        UsageLedger,
+        { enforceBudget: isRemoveBg(name) }
+      ));
+    } catch (error) {
+      console.error('Failed to initialize background removal service:', error);
+    }
+  });
+
+  // Fall back to local removal when no configured provider could be created
+  if (services.length === 0) {
+    console.warn('Falling back to local background removal.');
+    services.push(new UsageTrackingBackgroundRemovalService(
+      createBackgroundRemovalService('local'),
+      UsageLedger
+    ));
+  }
+
+  return services.length > 1
+    ? new FallbackBackgroundRemovalService(services)
+    : services[0];
 }
 
+if (REMOVE_BG_USE_PROXY && REMOVE_BG_API_KEY) {
+  console.warn('VUE_APP_REMOVE_BG_API_KEY is ignored in proxy mode but is still bundled. Remove it and set REMOVE_BG_API_KEY on the server instead.');
+}
+
+imageProcessorService.setBackgroundRemovalApi(createBackgroundRemovalApi());
+
 export default imageProcessorService;
 
 // Also export class for testing
@@ -2,13 +2,25 @@
  * Pattern Extractor Service
  * 
  * 从移除背景后的图片中提取图案区域
- * 通过分析像素的透明度和颜色，自动检测图案边界并裁剪
+ * 通过分析像素的透明度和颜色，自动检测图案边界并裁剪，
+ * 可将T恤面料的颜色抠成透明，只保留印花本身，
+ * 可根据面料像素估计褶皱和灯光造成的明暗变化并加以校正，
+ * 也可把一张照片中相互分离的多个图案（如胸前标志和袖子印花）分别裁剪出来，
+ * 裁剪前可对透明度蒙版做形态学清理，去掉把边界拉大的背景杂点
  */
 
+import CanvasUtility from './CanvasUtility';
+import EdgeRefiner from './EdgeRefiner';
+
 /**
  * 图案提取器类
  */
 class PatternExtractor {
+  constructor() {
+    this.canvasUtil = CanvasUtility;
+    this.edgeRefiner = EdgeRefiner;
+  }
+
   /**
    * 从图片中提取图案区域
    * 
@@ -16,12 +28,36 @@ class PatternExtractor {
    * @param {Object} options - 提取选项
    * @param {number} options.padding - 边界填充（像素）
    * @param {number} options.threshold - 透明度阈值（0-255）
+   * @param {number} options.erode - 蒙版腐蚀半径（像素），0 表示不处理
+   * @param {number} options.dilate - 蒙版膨胀半径（像素），0 表示不处理
+   * @param {number} options.open - 开运算半径（像素），去除细小的杂点和毛刺
+   * @param {number} options.close - 闭运算半径（像素），弥合细小的缝隙
+   * @param {number} options.fillHoles - 填充面积小于该值（像素）的孔洞
+   * @param {number} options.removeIslands - 去除面积小于该值（像素）的孤立内容块
    * @returns {Promise<HTMLCanvasElement>} 裁剪后的图案
    */
   async extractPattern(image, options = {}) {
+    const { canvas } = await this.extractPatternDetailed(image, options);
+    return canvas;
+  }
+
+  /**
+   * 从图片中提取图案区域，并返回裁剪边界
+   * 
+   * @param {HTMLImageElement|HTMLCanvasElement} image - 已移除背景的图片
+   * @param {Object} options - 提取选项
+   * @param {number} options.padding - 边界填充（像素）
+   * @param {number} options.threshold - 透明度阈值（0-255）
+   * @param {boolean} options.colorAware - 是否排除与主色调相似的像素（面料已抠除时应设为 false）
+   * @param {number} options.erode - 蒙版腐蚀半径（像素），其余蒙版清理选项见 extractPattern
+   * @returns {Promise<Object>} { canvas, bounds }，bounds 为 { top, left, width, height }，
+   *   未检测到图案时为 null（canvas 为原图）
+   */
+  async extractPatternDetailed(image, options = {}) {
     const {
       padding = 20,           // 边界填充
-      threshold = 10          // 透明度阈值
+      threshold = 10,         // 透明度阈值
+      colorAware = true       // 排除面料颜色
     } = options;
 
     console.log('[PatternExtractor] 开始检测图案边界...');
@@ -29,70 +65,31 @@ class PatternExtractor {
     console.log('[PatternExtractor] 填充:', padding, '像素');
     console.log('[PatternExtractor] 阈值:', threshold);
 
-    // 创建临时 canvas
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    
-    canvas.width = image.width;
-    canvas.height = image.height;
-    
-    // 绘制图片
-    ctx.drawImage(image, 0, 0);
-    
-    // 获取图像数据
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const pixels = imageData.data;
+    const { canvas, ctx, imageData, pixels } = this.canvasUtil.readPixels(image);
+
+    // 先清理蒙版，杂点不再把边界拉大
+    if (this._cleanupMask(pixels, canvas.width, canvas.height, { ...options, threshold })) {
+      ctx.putImageData(imageData, 0, 0);
+    }
     
     // 检测图案边界
-    const bounds = this._detectPatternBounds(pixels, canvas.width, canvas.height, threshold);
+    const bounds = colorAware
+      ? this._detectPatternBounds(pixels, canvas.width, canvas.height, threshold)
+      : this._detectPatternBoundsBasic(pixels, canvas.width, canvas.height, threshold);
     
     if (!bounds) {
       // 如果没有检测到图案，返回原图
       console.log('[PatternExtractor] 未检测到图案边界，返回原图');
-      return canvas;
+      return { canvas, bounds: null };
     }
     
     console.log('[PatternExtractor] 检测到边界:', bounds);
     
-    // 添加填充
-    const paddedBounds = {
-      left: Math.max(0, bounds.left - padding),
-      top: Math.max(0, bounds.top - padding),
-      right: Math.min(canvas.width, bounds.right + padding),
-      bottom: Math.min(canvas.height, bounds.bottom + padding)
-    };
-    
-    console.log('[PatternExtractor] 添加填充后:', paddedBounds);
-    
-    // 计算裁剪后的尺寸
-    const croppedWidth = paddedBounds.right - paddedBounds.left;
-    const croppedHeight = paddedBounds.bottom - paddedBounds.top;
-    
-    console.log('[PatternExtractor] 裁剪尺寸:', croppedWidth, 'x', croppedHeight);
+    const result = this._cropToBounds(canvas, bounds, padding);
     
-    // 创建裁剪后的 canvas
-    const croppedCanvas = document.createElement('canvas');
-    const croppedCtx = croppedCanvas.getContext('2d');
+    console.log('[PatternExtractor] 图案提取完成！裁剪区域:', result.bounds);
     
-    croppedCanvas.width = croppedWidth;
-    croppedCanvas.height = croppedHeight;
-    
-    // 裁剪图案
-    croppedCtx.drawImage(
-      canvas,
-      paddedBounds.left,
-      paddedBounds.top,
-      croppedWidth,
-      croppedHeight,
-      0,
-      0,
-      croppedWidth,
-      croppedHeight
-    );
-    
-    console.log('[PatternExtractor] 图案提取完成！');
-    
-    return croppedCanvas;
+    return result;
   }
 
   /**
@@ -273,24 +270,37 @@ class PatternExtractor {
    * @returns {Promise<HTMLCanvasElement>} 裁剪后的图案
    */
   async smartCrop(image, options = {}) {
+    const { canvas } = await this.smartCropDetailed(image, options);
+    return canvas;
+  }
+
+  /**
+   * 智能裁剪，并返回裁剪边界
+   * 
+   * @param {HTMLImageElement|HTMLCanvasElement} image - 已移除背景的图片
+   * @param {Object} options - 裁剪选项
+   * @param {number} options.densityThreshold - 内容密度阈值（0-1）
+   * @param {number} options.padding - 边界填充（像素）
+   * @param {number} options.threshold - 回退到基本边界检测时使用的透明度阈值（0-255）
+   * @param {boolean} options.colorAware - 回退到边界检测时是否排除主色调
+   * @param {number} options.erode - 蒙版腐蚀半径（像素），其余蒙版清理选项见 extractPattern
+   * @returns {Promise<Object>} { canvas, bounds }，bounds 为 { top, left, width, height }，
+   *   未检测到图案时为 null（canvas 为原图）
+   */
+  async smartCropDetailed(image, options = {}) {
     const {
       densityThreshold = 0.05,  // 内容密度阈值
-      padding = 20
+      padding = 20,
+      threshold = 10,
+      colorAware
     } = options;
 
-    // 创建临时 canvas
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    
-    canvas.width = image.width;
-    canvas.height = image.height;
-    
-    // 绘制图片
-    ctx.drawImage(image, 0, 0);
-    
-    // 获取图像数据
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const pixels = imageData.data;
+    const { canvas, ctx, imageData, pixels } = this.canvasUtil.readPixels(image);
+
+    // 先清理蒙版，杂点不再计入内容密度
+    if (this._cleanupMask(pixels, canvas.width, canvas.height, { ...options, threshold })) {
+      ctx.putImageData(imageData, 0, 0);
+    }
     
     // 计算每行和每列的内容密度
     const rowDensity = this._calculateRowDensity(pixels, canvas.width, canvas.height);
@@ -300,10 +310,731 @@ class PatternExtractor {
     const bounds = this._findContentBounds(rowDensity, colDensity, densityThreshold);
     
     if (!bounds) {
-      // 如果没有检测到内容，使用基本边界检测
-      return this.extractPattern(image, { padding });
+      // 如果没有检测到内容，使用基本边界检测（蒙版已清理过）
+      return this.extractPatternDetailed(canvas, { padding, threshold, colorAware });
     }
     
+    return this._cropToBounds(canvas, bounds, padding);
+  }
+
+  /**
+   * 检测图片中相互分离的多个图案区域
+   * 
+   * 对内容蒙版做连通域标记（8 邻域），把距离不超过 mergeDistance 的碎片
+   * （如文字的各个字母）合并为一个区域，再过滤掉内容像素少于 minArea 的杂点。
+   * 
+   * @param {HTMLImageElement|HTMLCanvasElement} image - 已移除背景的图片
+   * @param {Object} options - 检测选项
+   * @param {number} options.padding - 每个区域的边界填充（像素）
+   * @param {number} options.threshold - 透明度阈值（0-255）
+   * @param {boolean} options.colorAware - 是否排除与主色调相似的像素（面料已抠除时应设为 false）
+   * @param {number} options.mergeDistance - 合并碎片的最大间距（像素）
+   * @param {number} options.minArea - 区域的最少内容像素数
+   * @returns {Promise<Array<Object>>} 区域列表 [{ canvas, bounds, area }]，按面积从大到小排序；
+   *   bounds 为 { top, left, width, height }，area 为内容像素数
+   */
+  async detectRegions(image, options = {}) {
+    const {
+      padding = 20,
+      threshold = 10,
+      colorAware = true,
+      mergeDistance = 20,
+      minArea = 400
+    } = options;
+
+    const { canvas, pixels } = this.canvasUtil.readPixels(image);
+    const { width, height } = canvas;
+
+    const mask = this._createContentMask(pixels, width, height, threshold, colorAware);
+    const components = this._labelComponents(mask, width, height);
+    const regions = this._mergeNearbyRegions(components, mergeDistance)
+      .filter(region => region.area >= minArea)
+      .sort((a, b) => b.area - a.area);
+
+    console.log('[PatternExtractor] 连通域:', components.length, '合并后区域:', regions.length);
+
+    return regions.map(region => {
+      const cropped = this._cropToBounds(canvas, region, padding);
+      return { canvas: cropped.canvas, bounds: cropped.bounds, area: region.area };
+    });
+  }
+
+  /**
+   * 生成图片的内容蒙版，供其他画布变换（如透视矫正）判断哪些像素属于图案
+   * 
+   * @param {HTMLImageElement|HTMLCanvasElement} image - 已移除背景的图片
+   * @param {Object} options - 选项
+   * @param {number} options.threshold - 透明度阈值（0-255）
+   * @param {boolean} options.colorAware - 是否排除与主色调相似的像素（面料已抠除时应设为 false）
+   * @returns {Object} { mask, width, height }，mask 中 1 表示图案像素
+   */
+  getContentMask(image, options = {}) {
+    const { threshold = 10, colorAware = true } = options;
+    const { canvas, pixels } = this.canvasUtil.readPixels(image);
+    const { width, height } = canvas;
+
+    return { mask: this._createContentMask(pixels, width, height, threshold, colorAware), width, height };
+  }
+
+  /**
+   * 对图片的透明度蒙版做形态学清理
+   * 
+   * @param {HTMLImageElement|HTMLCanvasElement} image - 已移除背景的图片
+   * @param {Object} options - 清理选项，见 extractPattern（threshold 为判断内容的透明度阈值）
+   * @returns {Promise<Object>} { canvas, changed }，没有启用任何清理时 changed 为 false
+   */
+  async cleanupMask(image, options = {}) {
+    const { canvas, ctx, imageData, pixels } = this.canvasUtil.readPixels(image);
+    const changed = this._cleanupMask(pixels, canvas.width, canvas.height, options);
+
+    if (changed) {
+      ctx.putImageData(imageData, 0, 0);
+    }
+
+    return { canvas, changed };
+  }
+
+  /**
+   * 清理透明度蒙版
+   * 
+   * 依次执行开运算、闭运算、去除孤岛、填充孔洞、腐蚀、膨胀：先平滑边缘，再按面积清理，
+   * 最后整体收缩或扩张。开闭运算和腐蚀膨胀直接作用于透明度（EdgeRefiner.morphAlpha），
+   * 柔和的边缘得以保留；孤岛（8 邻域）和孔洞（4 邻域、不接触图片边缘）按透明度阈值判断。
+   * 
+   * @private
+   * @param {Uint8ClampedArray} pixels - 像素数据（原地修改）
+   * @param {number} width - 图片宽度
+   * @param {number} height - 图片高度
+   * @param {Object} options - 清理选项，见 extractPattern
+   * @returns {boolean} 是否执行了清理
+   */
+  _cleanupMask(pixels, width, height, options) {
+    const {
+      threshold = 10,
+      erode = 0,
+      dilate = 0,
+      open = 0,
+      close = 0,
+      fillHoles = 0,
+      removeIslands = 0
+    } = options;
+
+    if (!(erode > 0 || dilate > 0 || open > 0 || close > 0 || fillHoles > 0 || removeIslands > 0)) {
+      return false;
+    }
+
+    console.log('[PatternExtractor] 蒙版清理 - 开运算:', open, '闭运算:', close,
+      '去除孤岛:', removeIslands, '填充孔洞:', fillHoles, '腐蚀:', erode, '膨胀:', dilate);
+
+    if (open > 0) {
+      this.edgeRefiner.morphAlpha(pixels, width, height, open, false);
+      this.edgeRefiner.morphAlpha(pixels, width, height, open, true);
+    }
+    if (close > 0) {
+      this.edgeRefiner.morphAlpha(pixels, width, height, close, true);
+      this.edgeRefiner.morphAlpha(pixels, width, height, close, false);
+    }
+    if (removeIslands > 0) {
+      this._removeIslands(pixels, width, height, threshold, removeIslands);
+    }
+    if (fillHoles > 0) {
+      this._fillHoles(pixels, width, height, threshold, fillHoles);
+    }
+    if (erode > 0) {
+      this.edgeRefiner.morphAlpha(pixels, width, height, erode, false);
+    }
+    if (dilate > 0) {
+      this.edgeRefiner.morphAlpha(pixels, width, height, dilate, true);
+    }
+
+    return true;
+  }
+
+  /**
+   * 去除面积小于 minArea 的孤立内容块（8 邻域）
+   * 
+   * @private
+   * @param {Uint8ClampedArray} pixels - 像素数据（原地修改）
+   * @param {number} width - 图片宽度
+   * @param {number} height - 图片高度
+   * @param {number} threshold - 透明度阈值
+   * @param {number} minArea - 最小面积（像素）
+   */
+  _removeIslands(pixels, width, height, threshold, minArea) {
+    const mask = this._createContentMask(pixels, width, height, threshold, false);
+    const labels = new Int32Array(mask.length).fill(-1);
+    const islands = this._labelComponents(mask, width, height, true, labels);
+    let removed = 0;
+
+    for (let i = 0; i < labels.length; i++) {
+      if (labels[i] >= 0 && islands[labels[i]].area < minArea) {
+        pixels[i * 4 + 3] = 0;
+        removed++;
+      }
+    }
+
+    console.log('[PatternExtractor] 去除孤岛像素:', removed);
+  }
+
+  /**
+   * 填充面积小于 maxArea 的孔洞（4 邻域、不接触图片边缘的透明区域）
+   * 
+   * 填充的像素变为不透明，颜色取孔洞四周内容像素的平均值。
+   * 
+   * @private
+   * @param {Uint8ClampedArray} pixels - 像素数据（原地修改）
+   * @param {number} width - 图片宽度
+   * @param {number} height - 图片高度
+   * @param {number} threshold - 透明度阈值
+   * @param {number} maxArea - 最大面积（像素）
+   */
+  _fillHoles(pixels, width, height, threshold, maxArea) {
+    const mask = this._createContentMask(pixels, width, height, threshold, false);
+    const background = mask.map(value => 1 - value);
+    const labels = new Int32Array(mask.length).fill(-1);
+    const holes = this._labelComponents(background, width, height, false, labels);
+    const fill = holes.map(hole => hole.area < maxArea &&
+      hole.left > 0 && hole.top > 0 && hole.right < width && hole.bottom < height);
+    const rims = holes.map(() => ({ r: 0, g: 0, b: 0, count: 0 }));
+
+    // 统计每个孔洞四周内容像素的颜色
+    for (let i = 0; i < labels.length; i++) {
+      if (labels[i] < 0 || !fill[labels[i]]) {
+        continue;
+      }
+      const x = i % width;
+      [i - width, i + width, x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1].forEach(neighbor => {
+        if (neighbor >= 0 && neighbor < labels.length && mask[neighbor]) {
+          const rim = rims[labels[i]];
+          rim.r += pixels[neighbor * 4];
+          rim.g += pixels[neighbor * 4 + 1];
+          rim.b += pixels[neighbor * 4 + 2];
+          rim.count++;
+        }
+      });
+    }
+
+    let filled = 0;
+    for (let i = 0; i < labels.length; i++) {
+      if (labels[i] < 0 || !fill[labels[i]]) {
+        continue;
+      }
+      const rim = rims[labels[i]];
+      pixels[i * 4] = rim.r / rim.count;
+      pixels[i * 4 + 1] = rim.g / rim.count;
+      pixels[i * 4 + 2] = rim.b / rim.count;
+      pixels[i * 4 + 3] = 255;
+      filled++;
+    }
+
+    console.log('[PatternExtractor] 填充孔洞像素:', filled);
+  }
+
+  /**
+   * 生成内容蒙版（1 表示图案像素）
+   * 
+   * @private
+   * @param {Uint8ClampedArray} pixels - 像素数据
+   * @param {number} width - 图片宽度
+   * @param {number} height - 图片高度
+   * @param {number} threshold - 透明度阈值
+   * @param {boolean} colorAware - 是否排除与主色调相似的像素
+   * @returns {Uint8Array} 蒙版
+   */
+  _createContentMask(pixels, width, height, threshold, colorAware) {
+    const mask = new Uint8Array(width * height);
+    const dominantColor = colorAware ? this._detectDominantColor(pixels, width, height) : null;
+    let hasContent = false;
+
+    for (let i = 0; i < mask.length; i++) {
+      const index = i * 4;
+      if (pixels[index + 3] <= threshold) {
+        continue;
+      }
+
+      if (dominantColor) {
+        const colorDiff = this._colorDistance(
+          { r: pixels[index], g: pixels[index + 1], b: pixels[index + 2] },
+          dominantColor
+        );
+        if (colorDiff <= 30) {
+          continue;
+        }
+      }
+
+      mask[i] = 1;
+      hasContent = true;
+    }
+
+    // 与 _detectPatternBounds 一致：全是纯色时回退到只看透明度
+    if (!hasContent && dominantColor) {
+      return this._createContentMask(pixels, width, height, threshold, false);
+    }
+
+    return mask;
+  }
+
+  /**
+   * 连通域标记
+   * 
+   * @private
+   * @param {Uint8Array} mask - 内容蒙版
+   * @param {number} width - 图片宽度
+   * @param {number} height - 图片高度
+   * @param {boolean} [diagonal=true] - true 为 8 邻域，false 为 4 邻域
+   * @param {Int32Array} [labels] - 如提供，写入每个蒙版像素所属连通域的序号
+   * @returns {Array<Object>} 连通域 [{ left, top, right, bottom, area }]（right/bottom 不含）
+   */
+  _labelComponents(mask, width, height, diagonal = true, labels = null) {
+    const visited = new Uint8Array(mask.length);
+    const stack = new Int32Array(mask.length);
+    const components = [];
+
+    for (let start = 0; start < mask.length; start++) {
+      if (!mask[start] || visited[start]) {
+        continue;
+      }
+
+      const label = components.length;
+      const component = { left: width, top: height, right: 0, bottom: 0, area: 0 };
+      let size = 0;
+      stack[size++] = start;
+      visited[start] = 1;
+
+      while (size > 0) {
+        const index = stack[--size];
+        const x = index % width;
+        const y = (index - x) / width;
+
+        component.left = Math.min(component.left, x);
+        component.top = Math.min(component.top, y);
+        component.right = Math.max(component.right, x + 1);
+        component.bottom = Math.max(component.bottom, y + 1);
+        component.area++;
+        if (labels) {
+          labels[index] = label;
+        }
+
+        for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+          for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+            if (!diagonal && nx !== x && ny !== y) {
+              continue;
+            }
+            const neighbor = ny * width + nx;
+            if (mask[neighbor] && !visited[neighbor]) {
+              visited[neighbor] = 1;
+              stack[size++] = neighbor;
+            }
+          }
+        }
+      }
+
+      components.push(component);
+    }
+
+    return components;
+  }
+
+  /**
+   * 合并间距不超过 distance 的区域，直到没有可合并的区域
+   * 
+   * @private
+   * @param {Array<Object>} regions - 区域 [{ left, top, right, bottom, area }]
+   * @param {number} distance - 最大间距（像素）
+   * @returns {Array<Object>} 合并后的区域
+   */
+  _mergeNearbyRegions(regions, distance) {
+    let current = regions;
+    let merged = true;
+
+    while (merged) {
+      merged = false;
+      const next = [];
+
+      current.forEach(region => {
+        const target = next.find(other => this._regionGap(region, other) <= distance);
+        if (target) {
+          target.left = Math.min(target.left, region.left);
+          target.top = Math.min(target.top, region.top);
+          target.right = Math.max(target.right, region.right);
+          target.bottom = Math.max(target.bottom, region.bottom);
+          target.area += region.area;
+          merged = true;
+        } else {
+          next.push({ ...region });
+        }
+      });
+
+      current = next;
+    }
+
+    return current;
+  }
+
+  /**
+   * 两个区域边界框之间的间距（重叠或相邻时为 0）
+   * 
+   * @private
+   * @param {Object} a - 区域 {left, top, right, bottom}
+   * @param {Object} b - 区域 {left, top, right, bottom}
+   * @returns {number} 水平与垂直间距中的较大值（像素）
+   */
+  _regionGap(a, b) {
+    const gapX = Math.max(0, Math.max(a.left, b.left) - Math.min(a.right, b.right));
+    const gapY = Math.max(0, Math.max(a.top, b.top) - Math.min(a.bottom, b.bottom));
+    return Math.max(gapX, gapY);
+  }
+
+  /**
+   * 将接近面料颜色的像素抠成透明，只保留印花
+   * 
+   * 与面料颜色的距离不超过 tolerance 的像素完全透明，超过 tolerance + softness
+   * 的像素保持不变，两者之间按距离线性过渡形成柔和的边缘；过渡区像素同时
+   * 去除混入的面料颜色，避免印花边缘留下一圈底色。
+   * 
+   * @param {HTMLImageElement|HTMLCanvasElement} image - 已移除背景的图片
+   * @param {Object} options - 抠图选项
+   * @param {number} options.tolerance - 颜色容差（RGB 欧几里得距离）
+   * @param {number} options.softness - 边缘过渡宽度（RGB 欧几里得距离）
+   * @param {Object} options.fabricColor - 面料颜色 {r, g, b}，未提供时自动检测
+   * @returns {Promise<Object>} { canvas, fabricColor }，图片没有不透明像素时 fabricColor 为 null
+   */
+  async removeFabricColor(image, options = {}) {
+    const {
+      tolerance = 40,
+      softness = 20
+    } = options;
+
+    const { canvas, ctx, imageData, pixels } = this.canvasUtil.readPixels(image);
+    const fabricColor = options.fabricColor || this._detectFabricColor(pixels, canvas.width, canvas.height);
+
+    if (!fabricColor) {
+      console.log('[PatternExtractor] 没有不透明像素，跳过面料抠除');
+      return { canvas, fabricColor: null };
+    }
+
+    console.log('[PatternExtractor] 面料颜色:', fabricColor, '容差:', tolerance, '过渡:', softness);
+
+    for (let index = 0; index < pixels.length; index += 4) {
+      if (pixels[index + 3] === 0) {
+        continue;
+      }
+
+      const distance = this._colorDistance(
+        { r: pixels[index], g: pixels[index + 1], b: pixels[index + 2] },
+        fabricColor
+      );
+      const keep = this._fabricKeepFactor(distance, tolerance, softness);
+
+      if (keep >= 1) {
+        continue;
+      }
+
+      pixels[index + 3] = Math.round(pixels[index + 3] * keep);
+
+      // 去除过渡区混入的面料颜色：pixel = keep * print + (1 - keep) * fabric
+      if (keep > 0) {
+        pixels[index] = (pixels[index] - (1 - keep) * fabricColor.r) / keep;
+        pixels[index + 1] = (pixels[index + 1] - (1 - keep) * fabricColor.g) / keep;
+        pixels[index + 2] = (pixels[index + 2] - (1 - keep) * fabricColor.b) / keep;
+      }
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+
+    return { canvas, fabricColor };
+  }
+
+  /**
+   * 根据与面料颜色的距离计算像素的保留比例
+   * 
+   * @private
+   * @param {number} distance - 与面料颜色的距离
+   * @param {number} tolerance - 颜色容差
+   * @param {number} softness - 边缘过渡宽度
+   * @returns {number} 保留比例（0-1）
+   */
+  _fabricKeepFactor(distance, tolerance, softness) {
+    if (distance <= tolerance) {
+      return 0;
+    }
+    if (softness <= 0 || distance >= tolerance + softness) {
+      return 1;
+    }
+    return (distance - tolerance) / softness;
+  }
+
+  /**
+   * 检测面料颜色
+   * 
+   * 主色调是量化后的颜色区间，这里取落在该区间内的采样像素的平均值，
+   * 得到更接近真实面料的颜色。
+   * 
+   * @private
+   * @param {Uint8ClampedArray} pixels - 像素数据
+   * @param {number} width - 图片宽度
+   * @param {number} height - 图片高度
+   * @returns {Object|null} 面料颜色 {r, g, b}，没有不透明像素时为 null
+   */
+  _detectFabricColor(pixels, width, height) {
+    const dominantColor = this._detectDominantColor(pixels, width, height);
+    const sampleRate = 10;
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    let count = 0;
+
+    for (let y = 0; y < height; y += sampleRate) {
+      for (let x = 0; x < width; x += sampleRate) {
+        const index = (y * width + x) * 4;
+        if (
+          pixels[index + 3] > 200 &&
+          Math.floor(pixels[index] / 32) * 32 === dominantColor.r &&
+          Math.floor(pixels[index + 1] / 32) * 32 === dominantColor.g &&
+          Math.floor(pixels[index + 2] / 32) * 32 === dominantColor.b
+        ) {
+          r += pixels[index];
+          g += pixels[index + 1];
+          b += pixels[index + 2];
+          count++;
+        }
+      }
+    }
+
+    if (count === 0) {
+      return null;
+    }
+
+    return {
+      r: Math.round(r / count),
+      g: Math.round(g / count),
+      b: Math.round(b / count)
+    };
+  }
+
+  /**
+   * 校正光照不均（平场校正）
+   * 
+   * 面料本应是同一种颜色，因此面料像素的亮度变化反映了褶皱和灯光造成的照度变化。
+   * 把图片分成网格，用每格面料像素的平均亮度估计低频照度（印花覆盖的格子由
+   * 相邻格子插值），再把每个像素除以该处的照度，使整幅印花亮度一致。
+   * 
+   * @param {HTMLImageElement|HTMLCanvasElement} image - 图片（面料尚未抠除）
+   * @param {Object} options - 校正选项
+   * @param {number} options.strength - 校正强度（0-1），0 表示不校正
+   * @param {number} options.tolerance - 面料颜色容差（按亮度归一化后的 RGB 距离）
+   * @param {number} options.gridSize - 照度网格的行列数，越小越平滑
+   * @param {Object} options.fabricColor - 面料颜色 {r, g, b}，未提供时自动检测
+   * @returns {Promise<Object>} { canvas, corrected }，找不到面料像素或强度为 0 时 corrected 为 false
+   */
+  async correctLighting(image, options = {}) {
+    const {
+      strength = 0.8,
+      tolerance = 60,
+      gridSize = 16
+    } = options;
+
+    const { canvas, ctx, imageData, pixels } = this.canvasUtil.readPixels(image);
+    const { width, height } = canvas;
+
+    if (strength <= 0) {
+      return { canvas, corrected: false };
+    }
+
+    const fabricColor = options.fabricColor || this._detectFabricColor(pixels, width, height);
+    if (!fabricColor) {
+      console.log('[PatternExtractor] 没有不透明像素，跳过光照校正');
+      return { canvas, corrected: false };
+    }
+
+    const illumination = this._estimateIllumination(pixels, width, height, fabricColor, tolerance, gridSize);
+    if (!illumination) {
+      console.log('[PatternExtractor] 未找到面料像素，跳过光照校正');
+      return { canvas, corrected: false };
+    }
+
+    console.log('[PatternExtractor] 光照校正强度:', strength, '网格:', illumination.cols, 'x', illumination.rows);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const index = (y * width + x) * 4;
+        if (pixels[index + 3] === 0) {
+          continue;
+        }
+
+        const light = this._sampleIllumination(illumination, x + 0.5, y + 0.5);
+        const gain = 1 + strength * (illumination.reference / light - 1);
+        pixels[index] *= gain;
+        pixels[index + 1] *= gain;
+        pixels[index + 2] *= gain;
+      }
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+
+    return { canvas, corrected: true };
+  }
+
+  /**
+   * 用面料像素估计低频照度网格
+   * 
+   * @private
+   * @param {Uint8ClampedArray} pixels - 像素数据
+   * @param {number} width - 图片宽度
+   * @param {number} height - 图片高度
+   * @param {Object} fabricColor - 面料颜色 {r, g, b}
+   * @param {number} tolerance - 面料颜色容差
+   * @param {number} gridSize - 网格行列数
+   * @returns {Object|null} { values, cols, rows, cellWidth, cellHeight, reference }，
+   *   values 为每格照度（亮度），reference 为面料平均亮度；没有面料像素时为 null
+   */
+  _estimateIllumination(pixels, width, height, fabricColor, tolerance, gridSize) {
+    const cols = Math.min(gridSize, width);
+    const rows = Math.min(gridSize, height);
+    const cellWidth = width / cols;
+    const cellHeight = height / rows;
+    const fabricLuminance = this._luminance(fabricColor.r, fabricColor.g, fabricColor.b);
+
+    const sums = new Float64Array(cols * rows);
+    const counts = new Uint32Array(cols * rows);
+
+    for (let y = 0; y < height; y++) {
+      const row = Math.min(rows - 1, Math.floor(y / cellHeight));
+      for (let x = 0; x < width; x++) {
+        const index = (y * width + x) * 4;
+        if (pixels[index + 3] <= 200) {
+          continue;
+        }
+
+        const luminance = this._luminance(pixels[index], pixels[index + 1], pixels[index + 2]);
+        if (luminance === 0) {
+          continue;
+        }
+
+        // 阴影中的面料只是更暗，颜色比例不变：按亮度归一化后再与面料颜色比较
+        const scale = fabricLuminance / luminance;
+        const distance = this._colorDistance(
+          { r: pixels[index] * scale, g: pixels[index + 1] * scale, b: pixels[index + 2] * scale },
+          fabricColor
+        );
+        if (distance > tolerance || scale > 4 || scale < 0.25) {
+          continue;
+        }
+
+        const cell = row * cols + Math.min(cols - 1, Math.floor(x / cellWidth));
+        sums[cell] += luminance;
+        counts[cell]++;
+      }
+    }
+
+    const values = new Float64Array(cols * rows);
+    const filled = new Uint8Array(cols * rows);
+    let total = 0;
+    let filledCount = 0;
+
+    for (let cell = 0; cell < values.length; cell++) {
+      if (counts[cell] > 0) {
+        values[cell] = sums[cell] / counts[cell];
+        filled[cell] = 1;
+        total += values[cell];
+        filledCount++;
+      }
+    }
+
+    if (filledCount === 0) {
+      return null;
+    }
+    const reference = total / filledCount;
+
+    // 印花覆盖的格子没有面料像素，由相邻格子逐圈向内填充
+    while (filledCount < values.length) {
+      const next = filled.slice();
+      for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+          const cell = row * cols + col;
+          if (filled[cell]) {
+            continue;
+          }
+
+          let sum = 0;
+          let count = 0;
+          [[-1, 0], [1, 0], [0, -1], [0, 1]].forEach(([dx, dy]) => {
+            const c = col + dx;
+            const r = row + dy;
+            if (c >= 0 && c < cols && r >= 0 && r < rows && filled[r * cols + c]) {
+              sum += values[r * cols + c];
+              count++;
+            }
+          });
+
+          if (count > 0) {
+            values[cell] = sum / count;
+            next[cell] = 1;
+            filledCount++;
+          }
+        }
+      }
+      filled.set(next);
+    }
+
+    return {
+      values,
+      cols,
+      rows,
+      cellWidth,
+      cellHeight,
+      reference
+    };
+  }
+
+  /**
+   * 在照度网格中双线性插值出某点的照度
+   * 
+   * @private
+   * @param {Object} illumination - _estimateIllumination 的结果
+   * @param {number} x - 横坐标
+   * @param {number} y - 纵坐标
+   * @returns {number} 照度（亮度）
+   */
+  _sampleIllumination({ values, cols, rows, cellWidth, cellHeight }, x, y) {
+    // 以格子中心为采样点
+    const gx = Math.min(Math.max(x / cellWidth - 0.5, 0), cols - 1);
+    const gy = Math.min(Math.max(y / cellHeight - 0.5, 0), rows - 1);
+    const c0 = Math.floor(gx);
+    const r0 = Math.floor(gy);
+    const c1 = Math.min(c0 + 1, cols - 1);
+    const r1 = Math.min(r0 + 1, rows - 1);
+    const fx = gx - c0;
+    const fy = gy - r0;
+
+    const top = values[r0 * cols + c0] * (1 - fx) + values[r0 * cols + c1] * fx;
+    const bottom = values[r1 * cols + c0] * (1 - fx) + values[r1 * cols + c1] * fx;
+    return top * (1 - fy) + bottom * fy;
+  }
+
+  /**
+   * 计算颜色的亮度（Rec. 601）
+   * 
+   * @private
+   * @param {number} r - 红
+   * @param {number} g - 绿
+   * @param {number} b - 蓝
+   * @returns {number} 亮度（0-255）
+   */
+  _luminance(r, g, b) {
+    return 0.299 * r + 0.587 * g + 0.114 * b;
+  }
+
+  /**
+   * 按边界（加上填充）裁剪 canvas
+   * 
+   * @private
+   * @param {HTMLCanvasElement} canvas - 原图
+   * @param {Object} bounds - 内容边界 {left, top, right, bottom}
+   * @param {number} padding - 边界填充（像素）
+   * @returns {Object} { canvas, bounds }，bounds 为裁剪区域 { top, left, width, height }
+   */
+  _cropToBounds(canvas, bounds, padding) {
     // 添加填充
     const paddedBounds = {
       left: Math.max(0, bounds.left - padding),
@@ -336,7 +1067,15 @@ class PatternExtractor {
       croppedHeight
     );
     
-    return croppedCanvas;
+    return {
+      canvas: croppedCanvas,
+      bounds: {
+        top: paddedBounds.top,
+        left: paddedBounds.left,
+        width: croppedWidth,
+        height: croppedHeight
+      }
+    };
   }
 
   /**
@@ -409,44 +1148,24 @@ class PatternExtractor {
    * @returns {Object|null} 边界坐标
    */
   _findContentBounds(rowDensity, colDensity, threshold) {
-    // 找到第一行和最后一行有内容的位置
-    let top = 0;
-    let bottom = rowDensity.length - 1;
+    // 找到第一行和第一列有内容的位置
+    const top = rowDensity.findIndex(density => density > threshold);
+    const left = colDensity.findIndex(density => density > threshold);
     
-    for (let i = 0; i < rowDensity.length; i++) {
-      if (rowDensity[i] > threshold) {
-        top = i;
-        break;
-      }
-    }
-    
-    for (let i = rowDensity.length - 1; i >= 0; i--) {
-      if (rowDensity[i] > threshold) {
-        bottom = i + 1;
-        break;
-      }
-    }
-    
-    // 找到第一列和最后一列有内容的位置
-    let left = 0;
-    let right = colDensity.length - 1;
-    
-    for (let i = 0; i < colDensity.length; i++) {
-      if (colDensity[i] > threshold) {
-        left = i;
-        break;
-      }
+    // 没有任何行或列超过阈值时视为未检测到内容
+    if (top === -1 || left === -1) {
+      return null;
     }
     
-    for (let i = colDensity.length - 1; i >= 0; i--) {
-      if (colDensity[i] > threshold) {
-        right = i + 1;
-        break;
-      }
+    // 找到最后一行和最后一列有内容的位置
+    let bottom = rowDensity.length;
+    while (rowDensity[bottom - 1] <= threshold) {
+      bottom--;
     }
     
-    if (top >= bottom || left >= right) {
-      return null;
+    let right = colDensity.length;
+    while (colDensity[right - 1] <= threshold) {
+      right--;
     }
     
     return { top, bottom, left, right };
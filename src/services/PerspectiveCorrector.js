@@ -0,0 +1,385 @@
+/**
+ * Perspective Corrector Service
+ *
+ * 矫正斜拍（悬挂或穿在身上的T恤）导致的图案透视变形
+ * 自动检测图案所在的四边形，或使用用户拖动的四个角点，
+ * 计算单应性矩阵并用双线性插值把图案重采样为正视的矩形
+ */
+
+import CanvasUtility from './CanvasUtility';
+import PatternExtractor from './PatternExtractor';
+
+/**
+ * 透视矫正器类
+ */
+class PerspectiveCorrector {
+  constructor() {
+    this.canvasUtil = CanvasUtility;
+    this.patternExtractor = PatternExtractor;
+  }
+
+  /**
+   * 自动检测图案所在的四边形
+   *
+   * 取 x+y、x-y 最小/最大的图案像素作为四个角点，适用于轻度倾斜的矩形印花。
+   * 图案本身不是四边形（如圆形标志）时，大量像素会落在四边形之外，此时返回 null，
+   * 避免把图案拉伸变形。
+   *
+   * @param {HTMLImageElement|HTMLCanvasElement} image - 已移除背景的图片
+   * @param {Object} options - 检测选项
+   * @param {number} options.threshold - 透明度阈值（0-255）
+   * @param {boolean} options.colorAware - 是否排除与主色调相似的像素（面料已抠除时应设为 false）
+   * @param {number} options.minCoverage - 四边形至少覆盖的图案像素比例（0-1）
+   * @returns {Object|null} { corners, coverage }，corners 按左上、右上、右下、左下排列（像素坐标），
+   *   未检测到合适的四边形时为 null
+   */
+  detectQuadrilateral(image, options = {}) {
+    const {
+      threshold = 10,
+      colorAware = true,
+      minCoverage = 0.9
+    } = options;
+
+    const { mask, width, height } = this.patternExtractor.getContentMask(image, { threshold, colorAware });
+
+    let count = 0;
+    let topLeft = null;
+    let topRight = null;
+    let bottomRight = null;
+    let bottomLeft = null;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (!mask[y * width + x]) {
+          continue;
+        }
+        count++;
+
+        // 以像素的外角作为角点，使未倾斜的矩形正好对应图片边缘
+        if (!topLeft || x + y < topLeft.x + topLeft.y) {
+          topLeft = { x, y };
+        }
+        if (!bottomRight || x + y + 2 > bottomRight.x + bottomRight.y) {
+          bottomRight = { x: x + 1, y: y + 1 };
+        }
+        if (!topRight || x + 1 - y > topRight.x - topRight.y) {
+          topRight = { x: x + 1, y };
+        }
+        if (!bottomLeft || x - y - 1 < bottomLeft.x - bottomLeft.y) {
+          bottomLeft = { x, y: y + 1 };
+        }
+      }
+    }
+
+    if (count === 0) {
+      console.log('[PerspectiveCorrector] 未检测到图案');
+      return null;
+    }
+
+    const corners = [topLeft, topRight, bottomRight, bottomLeft];
+    if (!this.isValidQuadrilateral(corners)) {
+      console.log('[PerspectiveCorrector] 检测到的四边形无效');
+      return null;
+    }
+
+    // 统计落在四边形内的图案像素
+    let inside = 0;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (mask[y * width + x] && this._containsPoint(corners, x + 0.5, y + 0.5)) {
+          inside++;
+        }
+      }
+    }
+
+    const coverage = inside / count;
+    console.log('[PerspectiveCorrector] 四边形角点:', corners, '覆盖率:', coverage.toFixed(2));
+
+    if (coverage < minCoverage) {
+      console.log('[PerspectiveCorrector] 图案不是四边形，跳过透视矫正');
+      return null;
+    }
+
+    return { corners, coverage };
+  }
+
+  /**
+   * 检查四个角点能否构成可矫正的四边形
+   *
+   * 角点须按左上、右上、右下、左下顺序排列并构成凸四边形
+   *
+   * @param {Array<Object>} corners - 四个角点 { x, y }
+   * @returns {boolean}
+   */
+  isValidQuadrilateral(corners) {
+    if (!Array.isArray(corners) || corners.length !== 4) {
+      return false;
+    }
+
+    const valid = corners.every(corner => corner && isFinite(corner.x) && isFinite(corner.y));
+    if (!valid) {
+      return false;
+    }
+
+    // 屏幕坐标系（y 向下）中顺时针排列的凸四边形，相邻边的叉积均为正
+    return corners.every((corner, i) => {
+      const next = corners[(i + 1) % 4];
+      const after = corners[(i + 2) % 4];
+      return this._cross(corner, next, after) > 0;
+    });
+  }
+
+  /**
+   * 把四边形内的图案重采样为矩形
+   *
+   * @param {HTMLImageElement|HTMLCanvasElement} image - 图片
+   * @param {Array<Object>} corners - 四个角点 { x, y }（像素坐标，左上、右上、右下、左下）
+   * @param {Object} options - 输出选项
+   * @param {number} options.width - 输出宽度（默认取上下两边中较长者）
+   * @param {number} options.height - 输出高度（默认取左右两边中较长者）
+   * @returns {HTMLCanvasElement} 矫正后的图案
+   * @throws {Error} 角点无法构成四边形时
+   */
+  rectify(image, corners, options = {}) {
+    if (!this.isValidQuadrilateral(corners)) {
+      throw new Error('Invalid perspective corners');
+    }
+
+    const size = this._getOutputSize(corners);
+    const width = options.width || size.width;
+    const height = options.height || size.height;
+
+    // 从输出矩形映射回原图四边形（逆向映射，每个输出像素只采样一次）
+    const homography = this.computeHomography([
+      { x: 0, y: 0 },
+      { x: width, y: 0 },
+      { x: width, y: height },
+      { x: 0, y: height }
+    ], corners);
+
+    if (!homography) {
+      throw new Error('Invalid perspective corners');
+    }
+
+    console.log('[PerspectiveCorrector] 透视矫正输出尺寸:', width, 'x', height);
+
+    const { canvas: sourceCanvas, pixels: source } = this.canvasUtil.readPixels(image);
+    const { width: sourceWidth, height: sourceHeight } = sourceCanvas;
+
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    canvas.width = width;
+    canvas.height = height;
+
+    const imageData = ctx.getImageData(0, 0, width, height);
+    const output = imageData.data;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        // 以像素中心采样
+        const point = this._applyHomography(homography, x + 0.5, y + 0.5);
+        this._sampleBilinear(
+          source,
+          sourceWidth,
+          sourceHeight,
+          point.x - 0.5,
+          point.y - 0.5,
+          output,
+          (y * width + x) * 4
+        );
+      }
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+    return canvas;
+  }
+
+  /**
+   * 计算把四个源点映射到四个目标点的单应性矩阵
+   *
+   * @param {Array<Object>} from - 四个源点 { x, y }
+   * @param {Array<Object>} to - 四个目标点 { x, y }
+   * @returns {Array<number>|null} 按行排列的 3x3 矩阵（9 个元素，最后一个为 1），点共线时为 null
+   */
+  computeHomography(from, to) {
+    // 每对点提供两个方程，共 8 个未知数
+    const rows = [];
+    for (let i = 0; i < 4; i++) {
+      const { x, y } = from[i];
+      const { x: u, y: v } = to[i];
+      rows.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+      rows.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+    }
+
+    const solution = this._solveLinearSystem(rows);
+    return solution ? [...solution, 1] : null;
+  }
+
+  /**
+   * 用单应性矩阵变换一个点
+   *
+   * @private
+   * @param {Array<number>} h - 3x3 矩阵
+   * @param {number} x - 横坐标
+   * @param {number} y - 纵坐标
+   * @returns {Object} { x, y }
+   */
+  _applyHomography(h, x, y) {
+    const w = h[6] * x + h[7] * y + h[8];
+    return {
+      x: (h[0] * x + h[1] * y + h[2]) / w,
+      y: (h[3] * x + h[4] * y + h[5]) / w
+    };
+  }
+
+  /**
+   * 高斯消元（列主元）求解线性方程组
+   *
+   * @private
+   * @param {Array<Array<number>>} rows - 增广矩阵，每行最后一个元素为常数项
+   * @returns {Array<number>|null} 解，矩阵奇异时为 null
+   */
+  _solveLinearSystem(rows) {
+    const n = rows.length;
+    const matrix = rows.map(row => row.slice());
+
+    for (let col = 0; col < n; col++) {
+      // 选取绝对值最大的主元，减小舍入误差
+      let pivot = col;
+      for (let row = col + 1; row < n; row++) {
+        if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) {
+          pivot = row;
+        }
+      }
+
+      if (Math.abs(matrix[pivot][col]) < 1e-10) {
+        return null;
+      }
+
+      [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+
+      for (let row = 0; row < n; row++) {
+        if (row === col) {
+          continue;
+        }
+        const factor = matrix[row][col] / matrix[col][col];
+        for (let k = col; k <= n; k++) {
+          matrix[row][k] -= factor * matrix[col][k];
+        }
+      }
+    }
+
+    return matrix.map((row, i) => row[n] / row[i]);
+  }
+
+  /**
+   * 双线性插值采样一个像素
+   *
+   * 按透明度加权（预乘）插值，避免透明像素的颜色渗入图案边缘
+   *
+   * @private
+   * @param {Uint8ClampedArray} source - 源像素数据
+   * @param {number} width - 源图宽度
+   * @param {number} height - 源图高度
+   * @param {number} x - 采样横坐标（像素中心为整数）
+   * @param {number} y - 采样纵坐标（像素中心为整数）
+   * @param {Uint8ClampedArray} output - 输出像素数据
+   * @param {number} offset - 输出像素的起始下标
+   */
+  _sampleBilinear(source, width, height, x, y, output, offset) {
+    const clampedX = Math.min(Math.max(x, 0), width - 1);
+    const clampedY = Math.min(Math.max(y, 0), height - 1);
+    const x0 = Math.floor(clampedX);
+    const y0 = Math.floor(clampedY);
+    const x1 = Math.min(x0 + 1, width - 1);
+    const y1 = Math.min(y0 + 1, height - 1);
+    const fx = clampedX - x0;
+    const fy = clampedY - y0;
+
+    const samples = [
+      [x0, y0, (1 - fx) * (1 - fy)],
+      [x1, y0, fx * (1 - fy)],
+      [x0, y1, (1 - fx) * fy],
+      [x1, y1, fx * fy]
+    ];
+
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    let alpha = 0;
+
+    samples.forEach(([sx, sy, weight]) => {
+      const index = (sy * width + sx) * 4;
+      const a = source[index + 3] * weight;
+      r += source[index] * a;
+      g += source[index + 1] * a;
+      b += source[index + 2] * a;
+      alpha += a;
+    });
+
+    if (alpha === 0) {
+      output[offset] = 0;
+      output[offset + 1] = 0;
+      output[offset + 2] = 0;
+      output[offset + 3] = 0;
+      return;
+    }
+
+    output[offset] = r / alpha;
+    output[offset + 1] = g / alpha;
+    output[offset + 2] = b / alpha;
+    output[offset + 3] = alpha;
+  }
+
+  /**
+   * 根据四边形的边长确定输出尺寸
+   *
+   * @private
+   * @param {Array<Object>} corners - 四个角点
+   * @returns {Object} { width, height }
+   */
+  _getOutputSize([topLeft, topRight, bottomRight, bottomLeft]) {
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+    return {
+      width: Math.max(1, Math.round(Math.max(distance(topLeft, topRight), distance(bottomLeft, bottomRight)))),
+      height: Math.max(1, Math.round(Math.max(distance(topLeft, bottomLeft), distance(topRight, bottomRight))))
+    };
+  }
+
+  /**
+   * 判断点是否在四边形内（允许 1 像素误差）
+   *
+   * @private
+   * @param {Array<Object>} corners - 顺时针排列的四个角点
+   * @param {number} x - 横坐标
+   * @param {number} y - 纵坐标
+   * @returns {boolean}
+   */
+  _containsPoint(corners, x, y) {
+    return corners.every((corner, i) => {
+      const next = corners[(i + 1) % 4];
+      const edgeLength = Math.hypot(next.x - corner.x, next.y - corner.y);
+      return this._cross(corner, next, { x, y }) >= -edgeLength;
+    });
+  }
+
+  /**
+   * 向量 ab 与 ac 的叉积
+   *
+   * @private
+   * @param {Object} a - 点 { x, y }
+   * @param {Object} b - 点 { x, y }
+   * @param {Object} c - 点 { x, y }
+   * @returns {number}
+   */
+  _cross(a, b, c) {
+    return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+  }
+}
+
+// 导出单例
+export default new PerspectiveCorrector();
+
+// 也导出类供测试使用
+export { PerspectiveCorrector };
@@ -0,0 +1,304 @@
+/**
+ * UsageLedger Service
+ *
+ * Records every background removal call (timestamp, file, provider, size
+ * option, credits charged and outcome) in localStorage, tracks spending
+ * against a daily or monthly credit budget, and exports the records as CSV
+ * for reconciling the Remove.bg invoice.
+ */
+
+import {
+  USAGE_LEDGER_CONFIG,
+  USAGE_BUDGET_PERIODS,
+  USAGE_OUTCOMES
+} from '@/constants';
+
+const CSV_COLUMNS = [
+  { header: 'timestamp', field: 'timestamp' },
+  { header: 'file', field: 'fileName' },
+  { header: 'provider', field: 'provider' },
+  { header: 'size', field: 'size' },
+  { header: 'credits_charged', field: 'creditsCharged' },
+  { header: 'outcome', field: 'outcome' },
+  { header: 'error_code', field: 'errorCode' }
+];
+
+/**
+ * Quote a CSV field
+ *
+ * Fields starting with a formula character are prefixed with an apostrophe
+ * so spreadsheet applications do not evaluate file names as formulas.
+ *
+ * @param {*} value - Field value
+ * @returns {string} - Escaped field
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * UsageLedger class for recording API usage and enforcing a budget
+ */
+class UsageLedger {
+  /**
+   * @param {Object} [options] - Dependencies (injectable for testing)
+   * @param {Storage} [options.storage] - Storage backend (defaults to window.localStorage)
+   * @param {Function} [options.now] - Clock returning milliseconds
+   * @param {number} [options.maxRecords] - Records kept before the oldest are dropped
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || (typeof window !== 'undefined' ? window.localStorage : null);
+    this.now = options.now || Date.now;
+    this.maxRecords = options.maxRecords || USAGE_LEDGER_CONFIG.MAX_RECORDS;
+    this.listeners = new Set();
+    this.records = this._read(USAGE_LEDGER_CONFIG.STORAGE_KEY, []);
+    this.budget = this._normalizeBudget(this._read(USAGE_LEDGER_CONFIG.BUDGET_STORAGE_KEY, {
+      period: USAGE_LEDGER_CONFIG.BUDGET_PERIOD,
+      limit: USAGE_LEDGER_CONFIG.BUDGET_CREDITS
+    }));
+  }
+
+  /**
+   * Get all records, oldest first
+   *
+   * @returns {Array<Object>}
+   */
+  getRecords() {
+    return this.records.slice();
+  }
+
+  /**
+   * Record a background removal call
+   *
+   * @param {Object} entry - Call details
+   * @param {string} [entry.fileName] - Name of the processed file
+   * @param {string} [entry.provider] - Provider that handled the call
+   * @param {string} [entry.size] - Requested output size (e.g. 'auto', 'preview')
+   * @param {number} [entry.creditsCharged] - Credits charged by the provider
+   * @param {string} entry.outcome - One of USAGE_OUTCOMES
+   * @param {string} [entry.errorCode] - Error code for failed calls
+   * @returns {Object} - The stored record
+   */
+  record(entry) {
+    const time = this.now();
+    const record = {
+      id: `${time}-${Math.random().toString(36).slice(2, 8)}`,
+      timestamp: new Date(time).toISOString(),
+      fileName: entry.fileName || null,
+      provider: entry.provider || null,
+      size: entry.size || null,
+      creditsCharged: Number(entry.creditsCharged) || 0,
+      outcome: entry.outcome || USAGE_OUTCOMES.SUCCESS,
+      errorCode: entry.errorCode || null
+    };
+
+    this.records.push(record);
+    if (this.records.length > this.maxRecords) {
+      this.records.splice(0, this.records.length - this.maxRecords);
+    }
+
+    this._write(USAGE_LEDGER_CONFIG.STORAGE_KEY, this.records);
+    this._notify();
+    return record;
+  }
+
+  /**
+   * Delete all records
+   */
+  clear() {
+    this.records = [];
+    this._write(USAGE_LEDGER_CONFIG.STORAGE_KEY, this.records);
+    this._notify();
+  }
+
+  /**
+   * Get the budget setting
+   *
+   * @returns {Object} - { period, limit } where limit is in credits and 0 means no budget
+   */
+  getBudget() {
+    return { ...this.budget };
+  }
+
+  /**
+   * Change the budget setting
+   *
+   * @param {Object} budget - { period, limit }
+   * @throws {Error} If the period or limit is invalid
+   */
+  setBudget({ period, limit }) {
+    if (!Object.values(USAGE_BUDGET_PERIODS).includes(period)) {
+      throw new Error(`Invalid budget period: ${period}`);
+    }
+    if (typeof limit !== 'number' || !isFinite(limit) || limit < 0) {
+      throw new Error('Invalid budget limit: must be a non-negative number');
+    }
+
+    this.budget = { period, limit };
+    this._write(USAGE_LEDGER_CONFIG.BUDGET_STORAGE_KEY, this.budget);
+    this._notify();
+  }
+
+  /**
+   * Credits charged since the start of the current budget period
+   *
+   * @param {string} [period] - One of USAGE_BUDGET_PERIODS (defaults to the budget period)
+   * @returns {number}
+   */
+  getCreditsUsed(period = this.budget.period) {
+    const start = this._getPeriodStart(period);
+    return this.records
+      .filter(record => Date.parse(record.timestamp) >= start)
+      .reduce((total, record) => total + record.creditsCharged, 0);
+  }
+
+  /**
+   * Spending against the budget in the current period
+   *
+   * @returns {Object} - { period, limit, used, remaining (null without a budget), exceeded }
+   */
+  getBudgetStatus() {
+    const { period, limit } = this.budget;
+    const used = this.getCreditsUsed(period);
+    const hasBudget = limit > 0;
+
+    return {
+      period,
+      limit,
+      used,
+      remaining: hasBudget ? Math.max(0, limit - used) : null,
+      exceeded: hasBudget && used >= limit
+    };
+  }
+
+  /**
+   * Export all records as CSV (with a BOM so spreadsheets detect UTF-8 file names)
+   *
+   * @returns {string}
+   */
+  toCsv() {
+    const lines = [CSV_COLUMNS.map(column => column.header).join(',')];
+    this.records.forEach(record => {
+      lines.push(CSV_COLUMNS.map(column => toCsvField(record[column.field])).join(','));
+    });
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+  }
+
+  /**
+   * Be notified whenever the records or the budget change
+   *
+   * @param {Function} listener - Called with no arguments
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Start of the current day or month (local time) in milliseconds
+   *
+   * @private
+   * @param {string} period - One of USAGE_BUDGET_PERIODS
+   * @returns {number}
+   */
+  _getPeriodStart(period) {
+    const date = new Date(this.now());
+    if (period === USAGE_BUDGET_PERIODS.DAY) {
+      return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+    }
+    return new Date(date.getFullYear(), date.getMonth(), 1).getTime();
+  }
+
+  /**
+   * Fall back to the default budget for invalid settings
+   *
+   * @private
+   * @param {Object} budget - Stored or configured budget
+   * @returns {Object} - { period, limit }
+   */
+  _normalizeBudget(budget) {
+    const period = Object.values(USAGE_BUDGET_PERIODS).includes(budget && budget.period)
+      ? budget.period
+      : USAGE_BUDGET_PERIODS.MONTH;
+    const limit = Number(budget && budget.limit);
+    return { period, limit: isFinite(limit) && limit > 0 ? limit : 0 };
+  }
+
+  /**
+   * Call every listener
+   *
+   * @private
+   */
+  _notify() {
+    this.listeners.forEach(listener => {
+      try {
+        listener();
+      } catch (error) {
+        console.error('[UsageLedger] 监听器执行失败:', error);
+      }
+    });
+  }
+
+  /**
+   * Read a JSON value from storage
+   *
+   * @private
+   * @param {string} key - Storage key
+   * @param {*} fallback - Value used when missing or unreadable
+   * @returns {*}
+   */
+  _read(key, fallback) {
+    if (!this.storage) {
+      return fallback;
+    }
+
+    try {
+      const value = JSON.parse(this.storage.getItem(key));
+      if (value === null) {
+        return fallback;
+      }
+      return Array.isArray(fallback) === Array.isArray(value) ? value : fallback;
+    } catch (error) {
+      console.warn(`[UsageLedger] 无法读取 ${key}，已忽略:`, error);
+      return fallback;
+    }
+  }
+
+  /**
+   * Write a JSON value to storage
+   *
+   * A full or unavailable storage must never break image processing,
+   * so failures are only logged.
+   *
+   * @private
+   * @param {string} key - Storage key
+   * @param {*} value - Value to store
+   */
+  _write(key, value) {
+    if (!this.storage) {
+      return;
+    }
+
+    try {
+      this.storage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+      console.warn(`[UsageLedger] 无法保存 ${key}:`, error);
+    }
+  }
+}
+
+// Export singleton instance
+export default new UsageLedger();
+
+// Also export the class for testing purposes
+export { UsageLedger };
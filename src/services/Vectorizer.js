@@ -0,0 +1,496 @@
+/**
+ * Vectorizer Service
+ *
+ * 把提取的图案描摹为 SVG 矢量图，供刻字机、绣花制版等只接受矢量的设备使用
+ * 1. 用 ColorQuantizer 把图案减少为若干专色
+ * 2. 去除面积小于阈值的杂点（合并到周围最多的颜色）
+ * 3. 沿像素边界描摹每种颜色的轮廓，简化后拟合为三次贝塞尔曲线
+ * 4. 每种颜色输出一个路径组
+ */
+
+import ColorQuantizer from './ColorQuantizer';
+
+// 描摹方向：右、下、左、上（屏幕坐标，y 轴向下）
+const DIRECTIONS = [
+  { dx: 1, dy: 0 },
+  { dx: 0, dy: 1 },
+  { dx: -1, dy: 0 },
+  { dx: 0, dy: -1 }
+];
+
+// 透明像素的标签
+const TRANSPARENT = -1;
+
+/**
+ * 矢量化类
+ */
+class Vectorizer {
+  constructor() {
+    this.colorQuantizer = ColorQuantizer;
+  }
+
+  /**
+   * 把图案描摹为 SVG
+   *
+   * @param {HTMLImageElement|HTMLCanvasElement} image - 提取的图案
+   * @param {Object} options - 描摹选项
+   * @param {number|null} options.colors - 颜色数量，null 表示自动确定
+   * @param {Object} options.quantize - 传给 ColorQuantizer.quantize 的其他选项
+   *   （maxColors、targetDeltaE、alphaThreshold、sampleSize）
+   * @param {number} options.speckleThreshold - 面积小于该值（像素）的色块视为杂点并去除，0 表示保留
+   * @param {number} options.tolerance - 轮廓简化的容差（像素），越大路径越简单
+   * @param {boolean} options.curveFitting - 是否把轮廓拟合为贝塞尔曲线（否则输出折线）
+   * @param {number} options.cornerAngle - 转角（度）超过该值的顶点保留为尖角
+   * @returns {Promise<Object>} { svg, width, height, layers }，layers 为每种颜色的
+   *   { hex, coverage, paths }，paths 为该颜色的闭合轮廓数
+   */
+  async vectorize(image, options = {}) {
+    const {
+      colors = null,
+      quantize = {},
+      speckleThreshold = 16,
+      tolerance = 1,
+      curveFitting = true,
+      cornerAngle = 60
+    } = options;
+
+    const { canvas, palette } = await this.colorQuantizer.quantize(image, { ...quantize, colors, dither: false });
+    const { width, height } = canvas;
+    const labels = this._labelPixels(canvas, palette);
+
+    const removed = this._removeSpeckles(labels, width, height, speckleThreshold);
+    console.log('[Vectorizer] 颜色数:', palette.length, '去除杂点:', removed);
+
+    const layers = palette.map((color, index) => {
+      const loops = this._traceContours(labels, width, height, index)
+        .map(loop => this._simplify(loop, tolerance))
+        .filter(loop => loop.length >= 3);
+      const pathData = loops.map(loop => this._toPathData(loop, { curveFitting, cornerAngle })).join(' ');
+      return { color, pathData, paths: loops.length };
+    }).filter(layer => layer.paths > 0);
+
+    console.log('[Vectorizer] 路径组:', layers.length, '轮廓:', layers.reduce((sum, layer) => sum + layer.paths, 0));
+
+    return {
+      svg: this._buildSvg(width, height, layers),
+      width,
+      height,
+      layers: layers.map(({ color, paths }) => ({ hex: color.hex, coverage: color.coverage, paths }))
+    };
+  }
+
+  /**
+   * 读取量化后的图片，记录每个像素对应的调色板下标
+   *
+   * @private
+   * @param {HTMLCanvasElement} canvas - 量化后的图片
+   * @param {Array<Object>} palette - 调色板
+   * @returns {Int16Array} 每个像素的调色板下标，透明为 -1
+   */
+  _labelPixels(canvas, palette) {
+    const ctx = canvas.getContext('2d');
+    const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const indexByColor = new Map(palette.map((color, i) => [(color.r << 16) | (color.g << 8) | color.b, i]));
+    const labels = new Int16Array(canvas.width * canvas.height);
+
+    for (let i = 0; i < labels.length; i++) {
+      const index = i * 4;
+      const label = data[index + 3] > 0
+        ? indexByColor.get((data[index] << 16) | (data[index + 1] << 8) | data[index + 2])
+        : undefined;
+      labels[i] = label === undefined ? TRANSPARENT : label;
+    }
+
+    return labels;
+  }
+
+  /**
+   * 去除杂点：面积小于阈值的连通色块（四连通）改为与其接壤最多的颜色
+   *
+   * 从最小的色块开始合并，透明区域中的小孔和孤立像素同样会被去除
+   *
+   * @private
+   * @param {Int16Array} labels - 像素标签（就地修改）
+   * @param {number} width - 图片宽度
+   * @param {number} height - 图片高度
+   * @param {number} threshold - 面积阈值（像素）
+   * @returns {number} 去除的色块数
+   */
+  _removeSpeckles(labels, width, height, threshold) {
+    if (threshold <= 0) {
+      return 0;
+    }
+
+    const components = this._findComponents(labels, width, height)
+      .filter(component => component.pixels.length < threshold)
+      .sort((a, b) => a.pixels.length - b.pixels.length);
+
+    let removed = 0;
+    components.forEach(({ pixels }) => {
+      const label = labels[pixels[0]];
+      const neighbours = new Map();
+
+      pixels.forEach(i => {
+        const x = i % width;
+        const y = (i - x) / width;
+        DIRECTIONS.forEach(({ dx, dy }) => {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || nx >= width || ny < 0 || ny >= height) {
+            return;
+          }
+          const neighbour = labels[ny * width + nx];
+          if (neighbour !== label) {
+            neighbours.set(neighbour, (neighbours.get(neighbour) || 0) + 1);
+          }
+        });
+      });
+
+      // 整张图只有这一个色块
+      if (neighbours.size === 0) {
+        return;
+      }
+
+      let replacement = label;
+      let best = 0;
+      neighbours.forEach((count, neighbour) => {
+        if (count > best) {
+          best = count;
+          replacement = neighbour;
+        }
+      });
+
+      pixels.forEach(i => {
+        labels[i] = replacement;
+      });
+      removed++;
+    });
+
+    return removed;
+  }
+
+  /**
+   * 查找所有四连通的同色色块
+   *
+   * @private
+   * @param {Int16Array} labels - 像素标签
+   * @param {number} width - 图片宽度
+   * @param {number} height - 图片高度
+   * @returns {Array<Object>} 色块 { pixels }，pixels 为像素下标数组
+   */
+  _findComponents(labels, width, height) {
+    const visited = new Uint8Array(labels.length);
+    const stack = new Int32Array(labels.length);
+    const components = [];
+
+    for (let start = 0; start < labels.length; start++) {
+      if (visited[start]) {
+        continue;
+      }
+
+      const label = labels[start];
+      const pixels = [];
+      let top = 0;
+      stack[top++] = start;
+      visited[start] = 1;
+
+      while (top > 0) {
+        const i = stack[--top];
+        pixels.push(i);
+        const x = i % width;
+        const y = (i - x) / width;
+
+        DIRECTIONS.forEach(({ dx, dy }) => {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || nx >= width || ny < 0 || ny >= height) {
+            return;
+          }
+          const neighbour = ny * width + nx;
+          if (!visited[neighbour] && labels[neighbour] === label) {
+            visited[neighbour] = 1;
+            stack[top++] = neighbour;
+          }
+        });
+      }
+
+      components.push({ pixels });
+    }
+
+    return components;
+  }
+
+  /**
+   * 沿像素边界描摹一种颜色的所有闭合轮廓
+   *
+   * 每条边界边的方向使该颜色位于行进方向的右侧，因此外轮廓为顺时针、
+   * 孔洞为逆时针。两个色块仅以对角相接时优先右转，使它们分成两个轮廓。
+   *
+   * @private
+   * @param {Int16Array} labels - 像素标签
+   * @param {number} width - 图片宽度
+   * @param {number} height - 图片高度
+   * @param {number} label - 要描摹的调色板下标
+   * @returns {Array<Array<Object>>} 轮廓顶点 { x, y }（像素网格坐标），只保留转折点
+   */
+  _traceContours(labels, width, height, label) {
+    const stride = width + 1;
+    const inside = (x, y) => x >= 0 && x < width && y >= 0 && y < height && labels[y * width + x] === label;
+
+    // 每个网格顶点最多有两条出边，按方向存储：outgoing[vertex * 4 + direction]
+    const outgoing = new Uint8Array(stride * (height + 1) * 4);
+    let edgeCount = 0;
+    const addEdge = (x, y, direction) => {
+      outgoing[(y * stride + x) * 4 + direction] = 1;
+      edgeCount++;
+    };
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (labels[y * width + x] !== label) {
+          continue;
+        }
+        if (!inside(x, y - 1)) addEdge(x, y, 0);
+        if (!inside(x + 1, y)) addEdge(x + 1, y, 1);
+        if (!inside(x, y + 1)) addEdge(x + 1, y + 1, 2);
+        if (!inside(x - 1, y)) addEdge(x, y + 1, 3);
+      }
+    }
+
+    const loops = [];
+    let remaining = edgeCount;
+
+    for (let slot = 0; remaining > 0 && slot < outgoing.length; slot++) {
+      if (!outgoing[slot]) {
+        continue;
+      }
+
+      const startVertex = slot >> 2;
+      let x = startVertex % stride;
+      let y = (startVertex - x) / stride;
+      let direction = slot & 3;
+      const loop = [];
+
+      for (;;) {
+        outgoing[(y * stride + x) * 4 + direction] = 0;
+        remaining--;
+        loop.push({ x, y, direction });
+        x += DIRECTIONS[direction].dx;
+        y += DIRECTIONS[direction].dy;
+
+        const vertex = y * stride + x;
+        if (vertex === startVertex) {
+          break;
+        }
+
+        // 右转、直行、左转
+        const next = [(direction + 1) & 3, direction, (direction + 3) & 3]
+          .find(candidate => outgoing[vertex * 4 + candidate]);
+        if (next === undefined) {
+          break;
+        }
+        direction = next;
+      }
+
+      // 只保留方向改变处的顶点
+      const corners = loop.filter((point, i) => point.direction !== loop[(i + loop.length - 1) % loop.length].direction);
+      loops.push(corners.map(({ x: px, y: py }) => ({ x: px, y: py })));
+    }
+
+    return loops;
+  }
+
+  /**
+   * 用 Ramer-Douglas-Peucker 算法简化闭合轮廓
+   *
+   * 像素边界的阶梯会被拉直为斜线
+   *
+   * @private
+   * @param {Array<Object>} loop - 闭合轮廓顶点
+   * @param {number} tolerance - 容差（像素）
+   * @returns {Array<Object>} 简化后的顶点
+   */
+  _simplify(loop, tolerance) {
+    if (loop.length <= 4 || tolerance <= 0) {
+      return loop;
+    }
+
+    // 以离起点最远的顶点把闭合轮廓分成两条折线
+    let farthest = 0;
+    let best = -1;
+    loop.forEach((point, i) => {
+      const distance = (point.x - loop[0].x) ** 2 + (point.y - loop[0].y) ** 2;
+      if (distance > best) {
+        best = distance;
+        farthest = i;
+      }
+    });
+
+    const first = this._simplifyOpen(loop.slice(0, farthest + 1), tolerance);
+    const second = this._simplifyOpen(loop.slice(farthest).concat([loop[0]]), tolerance);
+    return first.slice(0, -1).concat(second.slice(0, -1));
+  }
+
+  /**
+   * 简化折线（保留两个端点）
+   *
+   * @private
+   * @param {Array<Object>} points - 折线顶点
+   * @param {number} tolerance - 容差（像素）
+   * @returns {Array<Object>}
+   */
+  _simplifyOpen(points, tolerance) {
+    if (points.length <= 2) {
+      return points;
+    }
+
+    const start = points[0];
+    const end = points[points.length - 1];
+    let farthest = 0;
+    let best = 0;
+
+    for (let i = 1; i < points.length - 1; i++) {
+      const distance = this._distanceToSegment(points[i], start, end);
+      if (distance > best) {
+        best = distance;
+        farthest = i;
+      }
+    }
+
+    if (best <= tolerance) {
+      return [start, end];
+    }
+
+    const left = this._simplifyOpen(points.slice(0, farthest + 1), tolerance);
+    const right = this._simplifyOpen(points.slice(farthest), tolerance);
+    return left.slice(0, -1).concat(right);
+  }
+
+  /**
+   * 点到线段的距离
+   *
+   * @private
+   * @param {Object} point - 点 { x, y }
+   * @param {Object} start - 线段起点
+   * @param {Object} end - 线段终点
+   * @returns {number}
+   */
+  _distanceToSegment(point, start, end) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0
+      ? 0
+      : Math.min(Math.max(((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared, 0), 1);
+    return Math.hypot(point.x - (start.x + t * dx), point.y - (start.y + t * dy));
+  }
+
+  /**
+   * 把闭合轮廓转换为 SVG 路径数据
+   *
+   * 曲线拟合时，平滑顶点之间用经过各顶点的三次贝塞尔曲线（Catmull-Rom 切线）连接，
+   * 尖角顶点两侧的切线沿相邻边方向，两端都是尖角的边保持为直线。
+   *
+   * @private
+   * @param {Array<Object>} points - 闭合轮廓顶点
+   * @param {Object} options - { curveFitting, cornerAngle }
+   * @returns {string} 路径数据，如 'M0 0L10 0L10 10Z'
+   */
+  _toPathData(points, { curveFitting, cornerAngle }) {
+    const count = points.length;
+    const at = i => points[(i + count) % count];
+    const format = value => String(Math.round(value * 100) / 100);
+    const point = p => `${format(p.x)} ${format(p.y)}`;
+
+    let data = `M${point(points[0])}`;
+
+    if (!curveFitting) {
+      for (let i = 1; i < count; i++) {
+        data += `L${point(points[i])}`;
+      }
+      return `${data}Z`;
+    }
+
+    const corner = points.map((p, i) => this._turnAngle(at(i - 1), p, at(i + 1)) > cornerAngle);
+
+    for (let i = 0; i < count; i++) {
+      const from = at(i);
+      const to = at(i + 1);
+      const fromCorner = corner[i];
+      const toCorner = corner[(i + 1) % count];
+
+      if (fromCorner && toCorner) {
+        // Z 会画出回到起点的最后一条直线
+        if (i < count - 1) {
+          data += `L${point(to)}`;
+        }
+        continue;
+      }
+
+      const before = fromCorner ? from : at(i - 1);
+      const after = toCorner ? to : at(i + 2);
+      const startTangent = fromCorner
+        ? { x: (to.x - from.x) / 3, y: (to.y - from.y) / 3 }
+        : { x: (to.x - before.x) / 6, y: (to.y - before.y) / 6 };
+      const endTangent = toCorner
+        ? { x: (to.x - from.x) / 3, y: (to.y - from.y) / 3 }
+        : { x: (after.x - from.x) / 6, y: (after.y - from.y) / 6 };
+
+      const control1 = { x: from.x + startTangent.x, y: from.y + startTangent.y };
+      const control2 = { x: to.x - endTangent.x, y: to.y - endTangent.y };
+      data += `C${point(control1)} ${point(control2)} ${point(to)}`;
+    }
+
+    return `${data}Z`;
+  }
+
+  /**
+   * 顶点处行进方向的转角（度）
+   *
+   * @private
+   * @param {Object} previous - 上一个顶点
+   * @param {Object} current - 当前顶点
+   * @param {Object} next - 下一个顶点
+   * @returns {number} 0（直行）到 180（折返）
+   */
+  _turnAngle(previous, current, next) {
+    const incoming = Math.atan2(current.y - previous.y, current.x - previous.x);
+    const outgoing = Math.atan2(next.y - current.y, next.x - current.x);
+    let angle = Math.abs(outgoing - incoming) * 180 / Math.PI;
+    if (angle > 180) {
+      angle = 360 - angle;
+    }
+    return angle;
+  }
+
+  /**
+   * 生成 SVG 文档
+   *
+   * @private
+   * @param {number} width - 图片宽度
+   * @param {number} height - 图片高度
+   * @param {Array<Object>} layers - 每种颜色的 { color, pathData }
+   * @returns {string}
+   */
+  _buildSvg(width, height, layers) {
+    const groups = layers.map(({ color, pathData }, i) =>
+      `  <g id="color-${i + 1}-${color.hex.slice(1)}" fill="${color.hex}">\n` +
+      `    <path fill-rule="evenodd" d="${pathData}"/>\n` +
+      '  </g>'
+    );
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+      ...groups,
+      '</svg>',
+      ''
+    ].join('\n');
+  }
+}
+
+// 导出单例
+export default new Vectorizer();
+
+// 也导出类供测试使用
+export { Vectorizer };
@@ -0,0 +1,300 @@
+/**
+ * PNG Metadata Utilities
+ *
+ * canvas.toDataURL produces PNGs without any metadata. This module inserts
+ * metadata chunks into such files:
+ * - pHYs with the physical resolution, so print RIPs size the file correctly
+ * - tEXt (Latin-1) or iTXt (UTF-8) text entries, e.g. the source filename
+ *
+ * The image data itself is copied as-is.
+ */
+
+import { crc32, encodeText } from './zip';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// Chunk length (4) + type (4) + CRC (4)
+const CHUNK_OVERHEAD = 12;
+const MAX_KEYWORD_LENGTH = 79;
+const METERS_PER_INCH = 0.0254;
+
+// pHYs unit specifier: pixels per meter
+const PHYS_UNIT_METER = 1;
+
+const TEXT_CHUNK_TYPES = ['tEXt', 'iTXt', 'zTXt'];
+
+/**
+ * Decode a base64 data URL into bytes
+ *
+ * @param {string} dataUrl - A base64 data URL (e.g. from canvas.toDataURL)
+ * @returns {Uint8Array} - Decoded bytes
+ * @throws {Error} - If the data URL is not base64 encoded
+ */
+export function dataUrlToBytes(dataUrl) {
+  const match = /^data:[^,]*;base64,(.*)$/.exec(dataUrl);
+  if (!match) {
+    throw new Error('Invalid data URL: must be base64 encoded');
+  }
+
+  const binary = atob(match[1]);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Encode bytes as a base64 data URL
+ *
+ * @param {Uint8Array} bytes - File bytes
+ * @param {string} [type='image/png'] - MIME type of the data URL
+ * @returns {string} - The data URL
+ */
+export function bytesToDataUrl(bytes, type = 'image/png') {
+  // Convert in slices so large images don't exceed the argument limit
+  const parts = [];
+  for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+    parts.push(String.fromCharCode.apply(null, bytes.subarray(offset, offset + 0x8000)));
+  }
+  return `data:${type};base64,${btoa(parts.join(''))}`;
+}
+
+/**
+ * Read the four-letter type of a chunk
+ *
+ * @param {Uint8Array} bytes - PNG bytes
+ * @param {number} offset - Offset of the type field
+ * @returns {string} - Chunk type (e.g. 'IHDR')
+ */
+function readType(bytes, offset) {
+  return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+/**
+ * Split a PNG file into its chunks
+ *
+ * @param {Uint8Array} bytes - PNG bytes
+ * @returns {Array<Object>} - Chunks { type, data, raw } in file order; raw is the whole
+ *   chunk including length, type and CRC
+ * @throws {Error} - If the bytes are not a well-formed PNG
+ *
+ * @example
+ * const chunks = readPngChunks(bytes);
+ * const phys = chunks.find(chunk => chunk.type === 'pHYs');
+ */
+export function readPngChunks(bytes) {
+  if (bytes.length < PNG_SIGNATURE.length || PNG_SIGNATURE.some((value, i) => bytes[i] !== value)) {
+    throw new Error('Invalid PNG: signature not found');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset < bytes.length) {
+    if (offset + CHUNK_OVERHEAD > bytes.length) {
+      throw new Error('Invalid PNG: truncated chunk');
+    }
+
+    const length = view.getUint32(offset);
+    const end = offset + CHUNK_OVERHEAD + length;
+    if (end > bytes.length) {
+      throw new Error('Invalid PNG: truncated chunk');
+    }
+
+    const type = readType(bytes, offset + 4);
+    chunks.push({
+      type,
+      data: bytes.subarray(offset + 8, offset + 8 + length),
+      raw: bytes.subarray(offset, end)
+    });
+    offset = end;
+
+    if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (chunks.length === 0 || chunks[0].type !== 'IHDR') {
+    throw new Error('Invalid PNG: IHDR must be the first chunk');
+  }
+
+  return chunks;
+}
+
+/**
+ * Build a chunk with its length and CRC
+ *
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Uint8Array} - The complete chunk
+ */
+function createChunk(type, data) {
+  const chunk = new Uint8Array(CHUNK_OVERHEAD + data.length);
+  const view = new DataView(chunk.buffer);
+
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+
+  return chunk;
+}
+
+/**
+ * Build a pHYs chunk for a resolution in dots per inch
+ *
+ * @param {number} dpi - Resolution in dots per inch
+ * @returns {Uint8Array} - The pHYs chunk
+ */
+function createPhysChunk(dpi) {
+  const data = new Uint8Array(9);
+  const view = new DataView(data.buffer);
+  const pixelsPerMeter = Math.round(dpi / METERS_PER_INCH);
+
+  view.setUint32(0, pixelsPerMeter);
+  view.setUint32(4, pixelsPerMeter);
+  data[8] = PHYS_UNIT_METER;
+
+  return createChunk('pHYs', data);
+}
+
+/**
+ * Check whether every character fits in Latin-1
+ *
+ * @param {string} text - Text to check
+ * @returns {boolean}
+ */
+function isLatin1(text) {
+  for (let i = 0; i < text.length; i++) {
+    if (text.charCodeAt(i) > 0xff) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Encode Latin-1 text as one byte per character
+ *
+ * @param {string} text - Latin-1 text
+ * @returns {Uint8Array}
+ */
+function encodeLatin1(text) {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) {
+    bytes[i] = text.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Build a text chunk: tEXt when the value fits in Latin-1, iTXt (UTF-8) otherwise
+ *
+ * @param {string} keyword - Keyword of 1-79 printable Latin-1 characters
+ * @param {string} value - Text value
+ * @returns {Uint8Array} - The text chunk
+ * @throws {Error} - If the keyword is not allowed by the PNG specification
+ */
+function createTextChunk(keyword, value) {
+  const validKeyword = keyword.length >= 1 &&
+    keyword.length <= MAX_KEYWORD_LENGTH &&
+    /^[\x20-\x7e\xa1-\xff]+$/.test(keyword) &&
+    keyword.trim() === keyword &&
+    !keyword.includes('  ');
+  if (!validKeyword) {
+    throw new Error(`Invalid PNG text keyword: ${keyword}`);
+  }
+
+  const keywordBytes = encodeLatin1(keyword);
+
+  if (isLatin1(value)) {
+    const valueBytes = encodeLatin1(value);
+    const data = new Uint8Array(keywordBytes.length + 1 + valueBytes.length);
+    data.set(keywordBytes, 0);
+    data.set(valueBytes, keywordBytes.length + 1);
+    return createChunk('tEXt', data);
+  }
+
+  // Keyword, null, compression flag and method (uncompressed), empty language tag
+  // and translated keyword (each null-terminated), then the UTF-8 text
+  const valueBytes = encodeText(value);
+  const data = new Uint8Array(keywordBytes.length + 5 + valueBytes.length);
+  data.set(keywordBytes, 0);
+  data.set(valueBytes, keywordBytes.length + 5);
+  return createChunk('iTXt', data);
+}
+
+/**
+ * Read the keyword of a tEXt, iTXt or zTXt chunk
+ *
+ * @param {Uint8Array} data - Chunk data
+ * @returns {string} - The keyword
+ */
+function readKeyword(data) {
+  const end = data.indexOf(0);
+  return String.fromCharCode.apply(null, data.subarray(0, end === -1 ? data.length : end));
+}
+
+/**
+ * Write physical resolution and text metadata into a PNG
+ *
+ * The new chunks are placed right after IHDR (pHYs must precede the image
+ * data). An existing pHYs chunk is replaced when a resolution is given, and
+ * existing text chunks are replaced when a new entry uses the same keyword.
+ * Entries with empty values are skipped.
+ *
+ * @param {Uint8Array} bytes - PNG bytes
+ * @param {Object} [metadata] - Metadata to write
+ * @param {number} [metadata.dpi] - Resolution in dots per inch
+ * @param {Object<string, string>} [metadata.text] - Text entries keyed by keyword
+ * @returns {Uint8Array} - The PNG with the metadata chunks
+ * @throws {Error} - If the bytes are not a PNG, the DPI is invalid or a keyword is not allowed
+ *
+ * @example
+ * const tagged = writePngMetadata(bytes, {
+ *   dpi: 300,
+ *   text: { 'Source File': 'shirt.jpg', 'Creation Time': new Date().toISOString() }
+ * });
+ */
+export function writePngMetadata(bytes, { dpi = null, text = {} } = {}) {
+  const chunks = readPngChunks(bytes);
+
+  if (dpi !== null && !(typeof dpi === 'number' && dpi > 0 && isFinite(dpi))) {
+    throw new Error('Invalid DPI: must be a positive number');
+  }
+
+  const entries = Object.entries(text)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([keyword, value]) => [keyword, String(value)]);
+  const keywords = new Set(entries.map(([keyword]) => keyword));
+
+  const inserted = [];
+  if (dpi !== null) {
+    inserted.push(createPhysChunk(dpi));
+  }
+  entries.forEach(([keyword, value]) => inserted.push(createTextChunk(keyword, value)));
+
+  const kept = chunks.slice(1).filter(({ type, data }) => {
+    if (type === 'pHYs') {
+      return dpi === null;
+    }
+    if (TEXT_CHUNK_TYPES.includes(type)) {
+      return !keywords.has(readKeyword(data));
+    }
+    return true;
+  });
+
+  const parts = [Uint8Array.from(PNG_SIGNATURE), chunks[0].raw, ...inserted, ...kept.map(chunk => chunk.raw)];
+  const output = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    output.set(part, offset);
+    offset += part.length;
+  });
+
+  return output;
+}
@@ -0,0 +1,365 @@
+/**
+ * ZIP Archive Utilities
+ *
+ * This module provides a minimal in-browser ZIP reader for archives returned
+ * by background removal APIs. Stored entries are copied as-is and deflated
+ * entries are inflated with the browser's DecompressionStream.
+ *
+ * It also writes archives for multi-file downloads. Entries are stored
+ * uncompressed, since the files we export (PNG) are already compressed.
+ */
+
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const LOCAL_FILE_HEADER_SIZE = 30;
+const CENTRAL_DIRECTORY_HEADER_SIZE = 46;
+const MAX_COMMENT_LENGTH = 0xffff;
+
+// General purpose flag: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+// Version 2.0, the minimum for the features we use
+const ZIP_VERSION = 20;
+
+/**
+ * ZIP compression methods supported by the reader
+ */
+export const ZIP_COMPRESSION = {
+  STORED: 0,
+  DEFLATED: 8
+};
+
+/**
+ * Read a Blob into an ArrayBuffer
+ *
+ * Falls back to FileReader where Blob.prototype.arrayBuffer is not available.
+ *
+ * @param {Blob} blob - The blob to read
+ * @returns {Promise<ArrayBuffer>} - The blob contents
+ */
+export function blobToArrayBuffer(blob) {
+  if (typeof blob.arrayBuffer === 'function') {
+    return blob.arrayBuffer();
+  }
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('Failed to read blob'));
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+/**
+ * Decode a file name stored in a ZIP entry
+ *
+ * @param {Uint8Array} bytes - Raw name bytes
+ * @returns {string} - Decoded file name
+ */
+function decodeFileName(bytes) {
+  if (typeof TextDecoder !== 'undefined') {
+    return new TextDecoder().decode(bytes);
+  }
+
+  return String.fromCharCode.apply(null, bytes);
+}
+
+/**
+ * Encode text as UTF-8
+ *
+ * @param {string} text - Text to encode
+ * @returns {Uint8Array} - UTF-8 bytes
+ */
+export function encodeText(text) {
+  if (typeof TextEncoder !== 'undefined') {
+    return new TextEncoder().encode(text);
+  }
+
+  // encodeURIComponent escapes every non-ASCII character as its UTF-8 bytes (%XX)
+  const escaped = encodeURIComponent(text);
+  const bytes = [];
+  for (let i = 0; i < escaped.length; i++) {
+    if (escaped[i] === '%') {
+      bytes.push(parseInt(escaped.substr(i + 1, 2), 16));
+      i += 2;
+    } else {
+      bytes.push(escaped.charCodeAt(i));
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 checksum stored with each ZIP entry
+ *
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} - Unsigned CRC-32
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ *
+ * @param {Date} date - Modification date
+ * @returns {Object} - { time, date } as 16-bit values
+ */
+function toDosDateTime(date) {
+  // DOS dates start in 1980
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Read file contents given as Blob, ArrayBuffer, typed array or text
+ *
+ * @param {Blob|ArrayBuffer|Uint8Array|string} data - File contents
+ * @returns {Promise<Uint8Array>} - File bytes
+ */
+async function toBytes(data) {
+  if (typeof data === 'string') {
+    return encodeText(data);
+  }
+  if (typeof Blob !== 'undefined' && data instanceof Blob) {
+    return new Uint8Array(await blobToArrayBuffer(data));
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  throw new Error('Invalid ZIP entry data: must be a Blob, ArrayBuffer, typed array or string');
+}
+
+/**
+ * Inflate raw DEFLATE data
+ *
+ * @param {Uint8Array} data - Compressed bytes
+ * @returns {Promise<Uint8Array>} - Inflated bytes
+ * @throws {Error} - If the browser does not support DecompressionStream
+ */
+async function inflateRaw(data) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('DecompressionStream is not supported in this browser');
+  }
+
+  const stream = new DecompressionStream('deflate-raw');
+  const writer = stream.writable.getWriter();
+  const reader = stream.readable.getReader();
+
+  // Write and read concurrently so backpressure cannot stall the stream
+  const written = writer.write(data).then(() => writer.close());
+
+  const chunks = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    length += value.length;
+  }
+  await written;
+
+  const output = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return output;
+}
+
+/**
+ * Locate the End of Central Directory record
+ *
+ * @param {DataView} view - Archive data
+ * @returns {number} - Offset of the record
+ * @throws {Error} - If the data is not a ZIP archive
+ */
+function findEndOfCentralDirectory(view) {
+  const last = view.byteLength - END_OF_CENTRAL_DIRECTORY_SIZE;
+  const first = Math.max(0, last - MAX_COMMENT_LENGTH);
+
+  for (let offset = last; offset >= first; offset--) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      return offset;
+    }
+  }
+
+  throw new Error('Invalid ZIP archive: end of central directory not found');
+}
+
+/**
+ * Read all file entries of a ZIP archive
+ *
+ * @param {Blob|ArrayBuffer|Uint8Array} source - The archive
+ * @returns {Promise<Object<string, Uint8Array>>} - File contents keyed by entry name
+ * @throws {Error} - If the archive is malformed or uses an unsupported compression method
+ *
+ * @example
+ * const files = await readZip(zipBlob);
+ * const color = new Blob([files['color.jpg']], { type: 'image/jpeg' });
+ */
+export async function readZip(source) {
+  let buffer = source;
+  if (typeof Blob !== 'undefined' && source instanceof Blob) {
+    buffer = await blobToArrayBuffer(source);
+  }
+  const bytes = ArrayBuffer.isView(buffer)
+    ? new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+    : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (view.byteLength < END_OF_CENTRAL_DIRECTORY_SIZE) {
+    throw new Error('Invalid ZIP archive: data too short');
+  }
+
+  const eocd = findEndOfCentralDirectory(view);
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+
+  const files = {};
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_SIGNATURE) {
+      throw new Error('Invalid ZIP archive: corrupt central directory');
+    }
+
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localHeaderOffset = view.getUint32(offset + 42, true);
+    const name = decodeFileName(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    // Skip directory entries
+    if (name.endsWith('/')) {
+      continue;
+    }
+
+    if (view.getUint32(localHeaderOffset, true) !== LOCAL_FILE_HEADER_SIGNATURE) {
+      throw new Error(`Invalid ZIP archive: corrupt local header for ${name}`);
+    }
+
+    // Local header name/extra lengths may differ from the central directory
+    const dataStart = localHeaderOffset + 30 +
+      view.getUint16(localHeaderOffset + 26, true) +
+      view.getUint16(localHeaderOffset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === ZIP_COMPRESSION.STORED) {
+      files[name] = data.slice();
+    } else if (method === ZIP_COMPRESSION.DEFLATED) {
+      files[name] = await inflateRaw(data);
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Write files into a ZIP archive
+ *
+ * @param {Array<Object>} files - Entries { name, data } in archive order; data is a
+ *   Blob, ArrayBuffer, typed array or string (written as UTF-8)
+ * @param {Object} [options] - Archive options
+ * @param {Date} [options.date] - Modification date recorded for every entry
+ * @returns {Promise<Blob>} - The archive (application/zip)
+ * @throws {Error} - If an entry has no name, a name is repeated or the data type is unsupported
+ *
+ * @example
+ * const zip = await createZip([
+ *   { name: 'manifest.json', data: JSON.stringify(manifest) },
+ *   { name: 'composite.png', data: pngBlob }
+ * ]);
+ */
+export async function createZip(files, { date = new Date() } = {}) {
+  const { time, date: day } = toDosDateTime(date);
+  const names = new Set();
+  const parts = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, data } of files) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Invalid ZIP entry: name must be a non-empty string');
+    }
+    if (names.has(name)) {
+      throw new Error(`Invalid ZIP entry: duplicate name ${name}`);
+    }
+    names.add(name);
+
+    const nameBytes = encodeText(name);
+    const content = await toBytes(data);
+    const crc = crc32(content);
+
+    const local = new DataView(new ArrayBuffer(LOCAL_FILE_HEADER_SIZE));
+    local.setUint32(0, LOCAL_FILE_HEADER_SIGNATURE, true);
+    local.setUint16(4, ZIP_VERSION, true);
+    local.setUint16(6, UTF8_FLAG, true);
+    local.setUint16(8, ZIP_COMPRESSION.STORED, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, day, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, content.length, true);
+    local.setUint32(22, content.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    parts.push(new Uint8Array(local.buffer), nameBytes, content);
+
+    const central = new DataView(new ArrayBuffer(CENTRAL_DIRECTORY_HEADER_SIZE));
+    central.setUint32(0, CENTRAL_DIRECTORY_SIGNATURE, true);
+    central.setUint16(4, ZIP_VERSION, true);
+    central.setUint16(6, ZIP_VERSION, true);
+    central.setUint16(8, UTF8_FLAG, true);
+    central.setUint16(10, ZIP_COMPRESSION.STORED, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, day, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, content.length, true);
+    central.setUint32(24, content.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centrals.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += LOCAL_FILE_HEADER_SIZE + nameBytes.length + content.length;
+  }
+
+  const centralSize = centrals.reduce((size, part) => size + part.length, 0);
+  const end = new DataView(new ArrayBuffer(END_OF_CENTRAL_DIRECTORY_SIZE));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+  end.setUint16(8, names.size, true);
+  end.setUint16(10, names.size, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centrals, new Uint8Array(end.buffer)], { type: 'application/zip' });
+}
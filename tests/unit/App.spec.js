@@ -13,12 +13,21 @@ import { shallowMount } from '@vue/test-utils';
 import App from '@/App.vue';
 import ImageProcessorService from '@/services/ImageProcessorService';
 import DownloadManager from '@/services/DownloadManager';
-import { ERROR_TYPES, ERROR_CODES, PROCESSING_STATUS } from '@/constants';
+import ApiKeyStore from '@/services/ApiKeyStore';
+import {
+  ERROR_TYPES,
+  ERROR_CODES,
+  PROCESSING_STATUS,
+  PERSPECTIVE_MODES,
+  LIGHTING_CORRECTION_CONFIG
+} from '@/constants';
 
 // Mock the services
 jest.mock('@/services/ImageProcessorService');
 jest.mock('@/services/DownloadManager');
 
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
 describe('App.vue State Management', () => {
   let wrapper;
   
@@ -109,7 +118,15 @@ describe('App.vue State Management', () => {
       await wrapper.vm.processImage();
       
       // Verify
-      expect(ImageProcessorService.processImage).toHaveBeenCalledWith(file);
+      expect(ImageProcessorService.processImage).toHaveBeenCalledWith(file, {
+        signal: expect.any(AbortSignal),
+        onProgress: expect.any(Function),
+        onRetry: expect.any(Function),
+        lighting: wrapper.vm.lightingCorrection,
+        fabric: wrapper.vm.fabricKeying,
+        edges: wrapper.vm.edgeRefinement,
+        perspective: wrapper.vm.perspective
+      });
       expect(wrapper.vm.processedImage).toEqual(mockResult);
       expect(wrapper.vm.extractedImageUrl).toBe(mockResult.extractedDataUrl);
       expect(wrapper.vm.processingStatus).toBe(PROCESSING_STATUS.COMPLETE);
@@ -118,6 +135,24 @@ describe('App.vue State Management', () => {
       expect(wrapper.vm.isProcessing).toBe(false);
     });
     
+    it('should refresh account credits after a fresh result', async () => {
+      const file = new File(['test'], 'test.jpg', { type: 'image/jpeg' });
+      wrapper.vm.uploadedFile = file;
+      const account = { credits: { total: 9 }, freeCalls: 0 };
+      
+      ImageProcessorService.processImage.mockResolvedValue({
+        extractedDataUrl: 'data:image/png;base64,extracted',
+        fromCache: false
+      });
+      ImageProcessorService.getAccountStatus.mockResolvedValue(account);
+      
+      await wrapper.vm.processImage();
+      await wrapper.vm.$nextTick();
+      
+      expect(ImageProcessorService.getAccountStatus).toHaveBeenCalled();
+      expect(wrapper.vm.accountStatus).toBe(account);
+    });
+    
     it('should set processing state during processing', async () => {
       const file = new File(['test'], 'test.jpg', { type: 'image/jpeg' });
       wrapper.vm.uploadedFile = file;
@@ -126,7 +161,7 @@ describe('App.vue State Management', () => {
       ImageProcessorService.processImage.mockImplementation(() => {
         // Check state during processing
         expect(wrapper.vm.isProcessing).toBe(true);
-        expect(wrapper.vm.processingStatus).toBe(PROCESSING_STATUS.REMOVING_BACKGROUND);
+        expect(wrapper.vm.processingStatus).toBe(PROCESSING_STATUS.UPLOADING);
         
         return Promise.resolve({
           originalDataUrl: 'data:image/jpeg;base64,original',
@@ -167,6 +202,110 @@ describe('App.vue State Management', () => {
       expect(wrapper.vm.processingStatus).toBe(PROCESSING_STATUS.ERROR);
     });
     
+    it('should drive status and progress from service progress reports', async () => {
+      const file = new File(['test'], 'test.jpg', { type: 'image/jpeg' });
+      wrapper.vm.uploadedFile = file;
+      const seen = [];
+      
+      ImageProcessorService.processImage.mockImplementation((_file, { onProgress }) => {
+        onProgress({ status: PROCESSING_STATUS.UPLOADING, progress: 20 });
+        seen.push([wrapper.vm.processingStatus, wrapper.vm.processingProgress]);
+        onProgress({ status: PROCESSING_STATUS.REMOVING_BACKGROUND, progress: 60 });
+        seen.push([wrapper.vm.processingStatus, wrapper.vm.processingProgress]);
+        onProgress({ status: PROCESSING_STATUS.RENDERING, progress: 95 });
+        seen.push([wrapper.vm.processingStatus, wrapper.vm.processingProgress]);
+        return Promise.resolve({ extractedDataUrl: 'data:image/png;base64,extracted', fromCache: false });
+      });
+      
+      await wrapper.vm.processImage();
+      
+      expect(seen).toEqual([
+        [PROCESSING_STATUS.UPLOADING, 20],
+        [PROCESSING_STATUS.REMOVING_BACKGROUND, 60],
+        [PROCESSING_STATUS.RENDERING, 95]
+      ]);
+      expect(wrapper.vm.processingStatus).toBe(PROCESSING_STATUS.COMPLETE);
+      expect(wrapper.vm.processingProgress).toBe(100);
+    });
+    
+    it('should count down while a rate-limited request waits', async () => {
+      jest.useFakeTimers();
+      const file = new File(['test'], 'test.jpg', { type: 'image/jpeg' });
+      wrapper.vm.uploadedFile = file;
+      let resolveProcessing;
+      
+      ImageProcessorService.processImage.mockImplementation((_file, { onRetry }) => {
+        onRetry({ attempt: 1, delay: 3000, error: { code: ERROR_CODES.API_RATE_LIMITED } });
+        return new Promise(resolve => { resolveProcessing = resolve; });
+      });
+      
+      const pending = wrapper.vm.processImage();
+      expect(wrapper.vm.rateLimitCountdown).toBe(3);
+      
+      jest.advanceTimersByTime(1000);
+      expect(wrapper.vm.rateLimitCountdown).toBe(2);
+      
+      resolveProcessing({ extractedDataUrl: 'data:image/png;base64,extracted', fromCache: true });
+      await pending;
+      
+      expect(wrapper.vm.rateLimitCountdown).toBe(0);
+      expect(wrapper.vm.rateLimitTimer).toBeNull();
+      jest.useRealTimers();
+    });
+    
+    it('should not count down for other retries', () => {
+      wrapper.vm.handleApiRetry({ attempt: 1, delay: 1000, error: { code: ERROR_CODES.API_SERVICE_UNAVAILABLE } });
+      
+      expect(wrapper.vm.rateLimitCountdown).toBe(0);
+    });
+    
+    it('should abort processing when cancelled', async () => {
+      const file = new File(['test'], 'test.jpg', { type: 'image/jpeg' });
+      wrapper.vm.uploadedFile = file;
+      
+      ImageProcessorService.processImage.mockImplementation((_file, { signal }) => {
+        return new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => {
+            reject({ type: ERROR_TYPES.CANCELLED, code: 'PROCESSING_CANCELLED', message: '处理已取消', retryable: false });
+          });
+        });
+      });
+      
+      const pending = wrapper.vm.processImage();
+      expect(wrapper.vm.isProcessing).toBe(true);
+      
+      wrapper.vm.cancelProcessing();
+      await pending;
+      
+      expect(wrapper.vm.error).toBeNull();
+      expect(wrapper.vm.isProcessing).toBe(false);
+      expect(wrapper.vm.processingStatus).toBe(PROCESSING_STATUS.CANCELLED);
+      expect(wrapper.vm.abortController).toBeNull();
+    });
+    
+    it('should keep the reset state when processing is aborted by a reset', async () => {
+      const file = new File(['test'], 'test.jpg', { type: 'image/jpeg' });
+      wrapper.vm.uploadedFile = file;
+      let signal;
+      
+      ImageProcessorService.processImage.mockImplementation((_file, options) => {
+        signal = options.signal;
+        return new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => {
+            reject({ type: ERROR_TYPES.CANCELLED, code: 'PROCESSING_CANCELLED', message: '处理已取消', retryable: false });
+          });
+        });
+      });
+      
+      const pending = wrapper.vm.processImage();
+      wrapper.vm.reset();
+      await pending;
+      
+      expect(signal.aborted).toBe(true);
+      expect(wrapper.vm.processingStatus).toBe(PROCESSING_STATUS.IDLE);
+      expect(wrapper.vm.error).toBeNull();
+    });
+    
     it('should clear previous errors before processing', async () => {
       const file = new File(['test'], 'test.jpg', { type: 'image/jpeg' });
       wrapper.vm.uploadedFile = file;
@@ -199,7 +338,28 @@ describe('App.vue State Management', () => {
       expect(DownloadManager.generateFilename).toHaveBeenCalled();
       expect(DownloadManager.downloadImage).toHaveBeenCalledWith(
         wrapper.vm.extractedImageUrl,
-        mockFilename
+        mockFilename,
+        {}
+      );
+    });
+    
+    it('should write where the result came from into the download', () => {
+      wrapper.vm.uploadedFile = new File(['photo'], 'shirt.jpg', { type: 'image/jpeg' });
+      wrapper.vm.processedImage = {
+        extractedDataUrl: 'data:image/png;base64,extracted',
+        provider: 'remove.bg',
+        settings: { crop: { strategy: 'api' } }
+      };
+      wrapper.vm.extractedImageUrl = 'data:image/png;base64,extracted';
+      DownloadManager.generateFilename.mockReturnValue('test.png');
+      DownloadManager.downloadImage.mockImplementation(() => {});
+      
+      wrapper.vm.downloadExtracted();
+      
+      expect(DownloadManager.downloadImage).toHaveBeenCalledWith(
+        'data:image/png;base64,extracted',
+        'test.png',
+        { sourceFilename: 'shirt.jpg', provider: 'remove.bg', options: { crop: { strategy: 'api' } } }
       );
     });
     
@@ -305,8 +465,8 @@ describe('App.vue State Management', () => {
       wrapper.vm.handleProcessingError(apiError);
       
       expect(wrapper.vm.error.type).toBe(ERROR_TYPES.API_ERROR);
-      expect(wrapper.vm.error.code).toBe(ERROR_CODES.API_QUOTA_EXCEEDED);
-      expect(wrapper.vm.error.retryable).toBe(false);
+      expect(wrapper.vm.error.code).toBe(ERROR_CODES.API_RATE_LIMITED);
+      expect(wrapper.vm.error.retryable).toBe(true);
     });
     
     it('should handle API 400 errors', () => {
@@ -465,6 +625,288 @@ describe('App.vue State Management', () => {
     });
   });
   
+  describe('Bring-your-own API key', () => {
+    it('should switch to a saved plain-text key on mount', async () => {
+      jest.spyOn(ApiKeyStore, 'hasStoredKey').mockReturnValue(true);
+      jest.spyOn(ApiKeyStore, 'isEncrypted').mockReturnValue(false);
+      jest.spyOn(ApiKeyStore, 'loadKey').mockResolvedValue('saved-key');
+      
+      const keyWrapper = shallowMount(App);
+      await keyWrapper.vm.$nextTick();
+      await keyWrapper.vm.$nextTick();
+      
+      expect(ImageProcessorService.useApiKey).toHaveBeenCalledWith('saved-key');
+      expect(keyWrapper.vm.usingOwnApiKey).toBe(true);
+      expect(ImageProcessorService.getAccountStatus).toHaveBeenCalled();
+      
+      keyWrapper.destroy();
+    });
+    
+    it('should leave an encrypted key locked on mount', async () => {
+      jest.spyOn(ApiKeyStore, 'hasStoredKey').mockReturnValue(true);
+      jest.spyOn(ApiKeyStore, 'isEncrypted').mockReturnValue(true);
+      const loadKey = jest.spyOn(ApiKeyStore, 'loadKey');
+      
+      const keyWrapper = shallowMount(App);
+      await keyWrapper.vm.$nextTick();
+      
+      expect(loadKey).not.toHaveBeenCalled();
+      expect(ImageProcessorService.useApiKey).not.toHaveBeenCalled();
+      expect(keyWrapper.vm.usingOwnApiKey).toBe(false);
+      
+      keyWrapper.destroy();
+    });
+    
+    it('should open the settings dialog from the header button', async () => {
+      await wrapper.find('[data-test="api-key-button"]').trigger('click');
+      
+      expect(wrapper.vm.showApiKeySettings).toBe(true);
+    });
+    
+    it('should use the account status reported by key validation', () => {
+      const account = { credits: { total: 50 }, freeCalls: 50 };
+      
+      wrapper.vm.handleApiKeyChanged({ usingOwnKey: true, accountStatus: account });
+      
+      expect(wrapper.vm.usingOwnApiKey).toBe(true);
+      expect(wrapper.vm.accountStatus).toBe(account);
+    });
+    
+    it('should refresh the account status after the key is removed', async () => {
+      const account = { credits: { total: 3 }, freeCalls: 0 };
+      ImageProcessorService.getAccountStatus.mockResolvedValue(account);
+      wrapper.vm.usingOwnApiKey = true;
+      
+      wrapper.vm.handleApiKeyChanged({ usingOwnKey: false, accountStatus: null });
+      await wrapper.vm.$nextTick();
+      
+      expect(wrapper.vm.usingOwnApiKey).toBe(false);
+      expect(wrapper.vm.accountStatus).toBe(account);
+    });
+  });
+  
+  describe('Lighting Correction', () => {
+    it('should apply settings chosen in the processor to the next run', async () => {
+      const file = new File(['test'], 'test.png', { type: 'image/png' });
+      ImageProcessorService.processImage.mockResolvedValue({ extractedDataUrl: 'data:image/png;base64,x' });
+      wrapper.vm.uploadedFile = file;
+      
+      wrapper.vm.handleLightingCorrectionChange({ enabled: true, strength: 0.4 });
+      await wrapper.vm.processImage();
+      
+      expect(ImageProcessorService.processImage).toHaveBeenCalledWith(file, expect.objectContaining({
+        lighting: { enabled: true, strength: 0.4 }
+      }));
+    });
+    
+    it('should preview the correction of the uploaded photo', async () => {
+      ImageProcessorService.previewLighting.mockResolvedValue('data:image/png;base64,preview');
+      
+      await wrapper.vm.uploadImage(new File(['test'], 'test.png', { type: 'image/png' }), 'data:image/png;base64,photo');
+      await flush();
+      
+      expect(ImageProcessorService.previewLighting).toHaveBeenCalledWith(
+        'data:image/png;base64,photo',
+        wrapper.vm.lightingCorrection
+      );
+      expect(wrapper.vm.lightingPreview).toBe('data:image/png;base64,preview');
+    });
+    
+    it('should only show the preview for the latest strength', async () => {
+      let resolveFirst;
+      ImageProcessorService.previewLighting
+        .mockImplementationOnce(() => new Promise(resolve => { resolveFirst = resolve; }))
+        .mockResolvedValueOnce('data:image/png;base64,second');
+      wrapper.vm.originalImageUrl = 'data:image/png;base64,photo';
+      
+      const first = wrapper.vm.updateLightingPreview();
+      await wrapper.vm.updateLightingPreview();
+      resolveFirst('data:image/png;base64,first');
+      await first;
+      await flush();
+      
+      expect(wrapper.vm.lightingPreview).toBe('data:image/png;base64,second');
+    });
+    
+    it('should preview once the strength slider rests', () => {
+      jest.useFakeTimers();
+      ImageProcessorService.previewLighting.mockResolvedValue('data:image/png;base64,preview');
+      wrapper.vm.originalImageUrl = 'data:image/png;base64,photo';
+      
+      [0.2, 0.4, 0.6].forEach(strength => {
+        wrapper.vm.handleLightingCorrectionChange({ enabled: true, strength });
+        jest.advanceTimersByTime(LIGHTING_CORRECTION_CONFIG.PREVIEW_DELAY - 1);
+      });
+      expect(ImageProcessorService.previewLighting).not.toHaveBeenCalled();
+      
+      jest.advanceTimersByTime(1);
+      expect(ImageProcessorService.previewLighting).toHaveBeenCalledTimes(1);
+      expect(ImageProcessorService.previewLighting).toHaveBeenCalledWith(
+        'data:image/png;base64,photo',
+        { enabled: true, strength: 0.6 }
+      );
+      jest.useRealTimers();
+    });
+    
+    it('should clear the preview on reset', async () => {
+      jest.useFakeTimers();
+      wrapper.vm.originalImageUrl = 'data:image/png;base64,photo';
+      wrapper.vm.lightingPreview = 'data:image/png;base64,preview';
+      wrapper.vm.handleLightingCorrectionChange({ enabled: true, strength: 0.5 });
+      
+      wrapper.vm.reset();
+      jest.runOnlyPendingTimers();
+      
+      expect(wrapper.vm.lightingPreview).toBeNull();
+      expect(ImageProcessorService.previewLighting).not.toHaveBeenCalled();
+      jest.useRealTimers();
+    });
+  });
+  
+  describe('Fabric Keying', () => {
+    it('should apply settings chosen in the processor to the next run', async () => {
+      const file = new File(['test'], 'test.png', { type: 'image/png' });
+      ImageProcessorService.processImage.mockResolvedValue({ extractedDataUrl: 'data:image/png;base64,x' });
+      wrapper.vm.uploadedFile = file;
+      
+      wrapper.vm.handleFabricKeyingChange({ enabled: true, tolerance: 90 });
+      await wrapper.vm.processImage();
+      
+      expect(ImageProcessorService.processImage).toHaveBeenCalledWith(file, expect.objectContaining({
+        fabric: { enabled: true, tolerance: 90 }
+      }));
+    });
+  });
+  
+  describe('Edge Refinement', () => {
+    it('should apply settings chosen in the processor to the next run', async () => {
+      const file = new File(['test'], 'test.png', { type: 'image/png' });
+      ImageProcessorService.processImage.mockResolvedValue({ extractedDataUrl: 'data:image/png;base64,x' });
+      wrapper.vm.uploadedFile = file;
+      
+      wrapper.vm.handleEdgeRefinementChange({ decontaminate: false, shrink: 1, feather: 2 });
+      await wrapper.vm.processImage();
+      
+      expect(ImageProcessorService.processImage).toHaveBeenCalledWith(file, expect.objectContaining({
+        edges: { decontaminate: false, shrink: 1, feather: 2 }
+      }));
+    });
+  });
+  
+  describe('Separate Designs', () => {
+    it('should expose the regions of the processed image', async () => {
+      const file = new File(['test'], 'test.png', { type: 'image/png' });
+      const regions = [{ dataUrl: 'data:image/png;base64,a' }, { dataUrl: 'data:image/png;base64,b' }];
+      ImageProcessorService.processImage.mockResolvedValue({ extractedDataUrl: 'data:image/png;base64,x', regions });
+      wrapper.vm.uploadedFile = file;
+      
+      await wrapper.vm.processImage();
+      
+      expect(wrapper.vm.detectedRegions).toEqual(regions);
+      expect(wrapper.vm.selectedRegionIndex).toBeNull();
+    });
+    
+    it('should default to no regions', () => {
+      expect(wrapper.vm.detectedRegions).toEqual([]);
+    });
+    
+    it('should track the selected design and clear it on reset', () => {
+      wrapper.vm.handleRegionSelected(1);
+      expect(wrapper.vm.selectedRegionIndex).toBe(1);
+      
+      wrapper.vm.reset();
+      expect(wrapper.vm.selectedRegionIndex).toBeNull();
+    });
+  });
+  
+  describe('Perspective Correction', () => {
+    const corners = [
+      { x: 0.1, y: 0.1 },
+      { x: 0.9, y: 0.2 },
+      { x: 0.9, y: 0.9 },
+      { x: 0.1, y: 0.8 }
+    ];
+    
+    beforeEach(() => {
+      ImageProcessorService.processImage.mockResolvedValue({ extractedDataUrl: 'data:image/png;base64,x' });
+      wrapper.vm.uploadedFile = new File(['test'], 'test.png', { type: 'image/png' });
+    });
+    
+    it('should reprocess with the corners placed by the user', async () => {
+      await wrapper.vm.handlePerspectiveChange(corners);
+      
+      expect(ImageProcessorService.processImage).toHaveBeenCalledWith(wrapper.vm.uploadedFile, expect.objectContaining({
+        perspective: { mode: PERSPECTIVE_MODES.MANUAL, corners }
+      }));
+    });
+    
+    it('should reprocess without correction when it is undone', async () => {
+      await wrapper.vm.handlePerspectiveChange(null);
+      
+      expect(ImageProcessorService.processImage).toHaveBeenCalledWith(wrapper.vm.uploadedFile, expect.objectContaining({
+        perspective: { mode: PERSPECTIVE_MODES.NONE, corners: null }
+      }));
+    });
+    
+    it('should forget the corners when a new image is uploaded', async () => {
+      await wrapper.vm.handlePerspectiveChange(corners);
+      await wrapper.vm.uploadImage(new File(['other'], 'other.png', { type: 'image/png' }), 'data:image/png;base64,y');
+      
+      expect(wrapper.vm.perspective.corners).toBeNull();
+    });
+  });
+
+  describe('Spot Colors', () => {
+    const spotColors = {
+      dataUrl: 'data:image/png;base64,q',
+      palette: [{ hex: '#ff0000', r: 255, g: 0, b: 0, pixelCount: 10, coverage: 100 }]
+    };
+
+    it('should show the spot color panel under the result', async () => {
+      wrapper.vm.extractedImageUrl = 'data:image/png;base64,x';
+      wrapper.vm.showComparison = true;
+      await wrapper.vm.$nextTick();
+
+      const panel = wrapper.findComponent({ name: 'SpotColorPanel' });
+      expect(panel.exists()).toBe(true);
+      expect(panel.props('image')).toBe('data:image/png;base64,x');
+    });
+
+    it('should keep the spot colors reported by the panel', () => {
+      wrapper.vm.handleSpotColorsChange(spotColors);
+
+      expect(wrapper.vm.spotColors).toEqual(spotColors);
+    });
+
+    it('should clear the spot colors on reset and on a new upload', async () => {
+      wrapper.vm.handleSpotColorsChange(spotColors);
+      wrapper.vm.reset();
+      expect(wrapper.vm.spotColors).toBeNull();
+
+      wrapper.vm.handleSpotColorsChange(spotColors);
+      await wrapper.vm.uploadImage(new File(['other'], 'other.png', { type: 'image/png' }), 'data:image/png;base64,y');
+      expect(wrapper.vm.spotColors).toBeNull();
+    });
+  });
+
+  describe('Usage Panel', () => {
+    it('should be hidden by default', () => {
+      expect(wrapper.vm.showUsagePanel).toBe(false);
+      expect(wrapper.find('[data-test="usage-section"]').exists()).toBe(false);
+    });
+    
+    it('should toggle from the header button', async () => {
+      const button = wrapper.find('[data-test="usage-button"]');
+      
+      await button.trigger('click');
+      expect(wrapper.vm.showUsagePanel).toBe(true);
+      expect(button.attributes('aria-expanded')).toBe('true');
+      
+      await button.trigger('click');
+      expect(wrapper.vm.showUsagePanel).toBe(false);
+    });
+  });
+  
   describe('Mobile Detection', () => {
     it('should detect mobile viewport on mount', () => {
       // Mock window.innerWidth
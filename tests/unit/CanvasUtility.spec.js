@@ -2,7 +2,8 @@
  * Unit tests for CanvasUtility service
  * 
  * Tests the Canvas utility functions including image loading,
- * canvas creation, blob conversion, and image resizing.
+ * canvas creation, reading pixels, blob conversion, image resizing and upscaling to
+ * print size.
  * 
  * Requirements: 3.2, 3.3, 6.1
  */
@@ -11,8 +12,11 @@ import { CanvasUtility } from '@/services/CanvasUtility';
 import {
   ERROR_CODES,
   ERROR_MESSAGES,
-  ASPECT_RATIO_TOLERANCE
+  ASPECT_RATIO_TOLERANCE,
+  UPSCALE_METHODS,
+  PRINT_UPSCALE_CONFIG
 } from '@/constants';
+import { createPixels, mockCanvasContext, pixelAt } from './helpers/pixels';
 
 describe('CanvasUtility Service', () => {
   let canvasUtil;
@@ -108,6 +112,30 @@ describe('CanvasUtility Service', () => {
     });
   });
 
+  describe('readPixels', () => {
+    it('should draw the image onto a canvas of its size and read its pixels', () => {
+      const imageData = { data: new Uint8ClampedArray(3 * 2 * 4), width: 3, height: 2 };
+      const context = mockCanvasContext();
+      context.getImageData.mockReturnValue(imageData);
+      const image = { width: 3, height: 2 };
+
+      const result = canvasUtil.readPixels(image);
+
+      expect(result.canvas.width).toBe(3);
+      expect(result.canvas.height).toBe(2);
+      expect(result.ctx).toBe(context);
+      expect(result.imageData).toBe(imageData);
+      expect(result.pixels).toBe(imageData.data);
+      expect(context.drawImage).toHaveBeenCalledWith(image, 0, 0);
+      expect(context.getImageData).toHaveBeenCalledWith(0, 0, 3, 2);
+    });
+
+    it('should throw error for an image without size', () => {
+      expect(() => canvasUtil.readPixels({ width: 0, height: 0 }))
+        .toThrow(ERROR_MESSAGES[ERROR_CODES.CANVAS_ERROR]);
+    });
+  });
+
   describe('loadImage', () => {
     it('should load image from valid DataURL', async () => {
       // Create a simple 1x1 red pixel PNG DataURL
@@ -505,6 +533,157 @@ describe('CanvasUtility Service', () => {
     });
   });
 
+  describe('upscaleToPrintSize', () => {
+    const RED = [255, 0, 0, 255];
+    const WHITE = [255, 255, 255, 255];
+    let context;
+
+    const createMockImage = (width, height) => {
+      const img = new Image();
+      Object.defineProperty(img, 'width', { value: width, writable: false });
+      Object.defineProperty(img, 'height', { value: height, writable: false });
+      return img;
+    };
+
+    /**
+     * Make the canvas return the given source pixels, then blank output pixels
+     */
+    const useImage = (width, height, colorAt) => {
+      context.getImageData
+        .mockReturnValueOnce({ data: createPixels(width, height, colorAt), width, height })
+        .mockImplementation((x, y, w, h) => ({ data: new Uint8ClampedArray(w * h * 4), width: w, height: h }));
+      return createMockImage(width, height);
+    };
+
+    const outputPixels = () => context.putImageData.mock.calls[0][0].data;
+
+    beforeEach(() => {
+      context = mockCanvasContext();
+    });
+
+    it('should fit the image into the print size at the given DPI', () => {
+      const img = useImage(40, 20, () => RED);
+
+      const result = canvasUtil.upscaleToPrintSize(img, { widthInches: 2, heightInches: 2, dpi: 30 });
+
+      expect(result.canvas).toBeInstanceOf(HTMLCanvasElement);
+      expect(result.canvas.width).toBe(60);
+      expect(result.canvas.height).toBe(30);
+      expect(result).toMatchObject({ width: 60, height: 30, dpi: 30, scale: 1.5 });
+      expect(context.putImageData).toHaveBeenCalledTimes(1);
+    });
+
+    it('should warn when the source resolution is too low for the print', () => {
+      const img = useImage(40, 20, () => RED);
+
+      const { sourceDpi, warning } = canvasUtil.upscaleToPrintSize(img, { widthInches: 2, heightInches: 2, dpi: 30 });
+
+      expect(sourceDpi).toBe(20);
+      expect(warning).toContain(`${PRINT_UPSCALE_CONFIG.MIN_SOURCE_DPI} DPI`);
+    });
+
+    it('should not warn when the source resolution is sufficient', () => {
+      const img = useImage(600, 300, () => RED);
+
+      const { sourceDpi, warning } = canvasUtil.upscaleToPrintSize(img, { widthInches: 2, heightInches: 1, dpi: 300 });
+
+      expect(sourceDpi).toBe(300);
+      expect(warning).toBeNull();
+    });
+
+    it('should keep flat colors', () => {
+      const img = useImage(4, 4, () => RED);
+
+      canvasUtil.upscaleToPrintSize(img, { widthInches: 12, heightInches: 12, dpi: 1 });
+
+      const pixels = outputPixels();
+      for (let i = 0; i < pixels.length; i += 4) {
+        expect(Array.from(pixels.slice(i, i + 4))).toEqual(RED);
+      }
+    });
+
+    it('should not bleed transparent surroundings into the design color', () => {
+      const img = useImage(6, 6, x => (x < 3 ? [0, 0, 0, 0] : RED));
+
+      canvasUtil.upscaleToPrintSize(img, { widthInches: 15, heightInches: 15, dpi: 1 });
+
+      const pixels = outputPixels();
+      for (let i = 0; i < pixels.length; i += 4) {
+        if (pixels[i + 3] > 0) {
+          expect(Array.from(pixels.slice(i, i + 3))).toEqual([255, 0, 0]);
+        }
+      }
+      expect(pixelAt(pixels, 15, 0, 7)[3]).toBe(0);
+      expect(pixelAt(pixels, 15, 14, 7)[3]).toBe(255);
+    });
+
+    it('should keep diagonal edges of flat art crisp with the edge method', () => {
+      // R . .
+      // R R .
+      // R R R
+      const img = useImage(3, 3, (x, y) => (x <= y ? RED : WHITE));
+
+      canvasUtil.upscaleToPrintSize(img, { widthInches: 6, heightInches: 6, dpi: 1, method: UPSCALE_METHODS.EDGE });
+
+      const pixels = outputPixels();
+      expect(pixelAt(pixels, 6, 2, 2)).toEqual(RED);
+      expect(pixelAt(pixels, 6, 3, 2)).toEqual(WHITE);
+      expect(pixelAt(pixels, 6, 2, 3)).toEqual(RED);
+    });
+
+    it('should sharpen edges with the unsharp mask', () => {
+      const gray = value => [value, value, value, 255];
+      const img = useImage(8, 8, x => (x < 4 ? gray(100) : gray(150)));
+
+      canvasUtil.upscaleToPrintSize(img, { widthInches: 8, heightInches: 8, dpi: 1, sharpen: { amount: 1 } });
+
+      const pixels = outputPixels();
+      expect(pixelAt(pixels, 8, 3, 4)[0]).toBeLessThan(100);
+      expect(pixelAt(pixels, 8, 4, 4)[0]).toBeGreaterThan(150);
+      expect(pixelAt(pixels, 8, 0, 4)[0]).toBe(100);
+      expect(pixelAt(pixels, 8, 3, 4)[3]).toBe(255);
+    });
+
+    it('should not sharpen flat colors at low alpha', () => {
+      const faint = [123, 77, 201, 3];
+      const img = useImage(8, 8, () => faint);
+
+      canvasUtil.upscaleToPrintSize(img, { widthInches: 8, heightInches: 8, dpi: 1, sharpen: { amount: 1 } });
+
+      const pixels = outputPixels();
+      for (let i = 0; i < pixels.length; i += 4) {
+        expect(Array.from(pixels.slice(i, i + 4))).toEqual(faint);
+      }
+    });
+
+    it('should throw error for non-image input', () => {
+      expect(() => {
+        canvasUtil.upscaleToPrintSize({ width: 10, height: 10 }, { widthInches: 1, heightInches: 1 });
+      }).toThrow(ERROR_MESSAGES[ERROR_CODES.IMAGE_LOAD_ERROR]);
+    });
+
+    it('should throw error for an invalid print size, DPI or method', () => {
+      const img = createMockImage(10, 10);
+
+      expect(() => canvasUtil.upscaleToPrintSize(img, { widthInches: 0, heightInches: 1 }))
+        .toThrow(ERROR_MESSAGES[ERROR_CODES.CANVAS_ERROR]);
+      expect(() => canvasUtil.upscaleToPrintSize(img, { widthInches: 1, heightInches: 1, dpi: -300 }))
+        .toThrow(ERROR_MESSAGES[ERROR_CODES.CANVAS_ERROR]);
+      expect(() => canvasUtil.upscaleToPrintSize(img, { widthInches: 1, heightInches: 1, method: 'nearest' }))
+        .toThrow(ERROR_MESSAGES[ERROR_CODES.CANVAS_ERROR]);
+    });
+
+    it('should throw error when the output would be too large', () => {
+      const img = createMockImage(10, 10);
+
+      expect(() => canvasUtil.upscaleToPrintSize(img, { widthInches: 100, heightInches: 100, dpi: 1200 }))
+        .toThrow(ERROR_MESSAGES[ERROR_CODES.CANVAS_ERROR]);
+      expect(() => canvasUtil.upscaleToPrintSize(img, { widthInches: 20, heightInches: 20, dpi: 300 }))
+        .toThrow(ERROR_MESSAGES[ERROR_CODES.CANVAS_ERROR]);
+      expect(context.getImageData).not.toHaveBeenCalled();
+    });
+  });
+
   describe('addTransparencyGrid', () => {
     let canvas;
 
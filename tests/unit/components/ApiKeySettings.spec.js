@@ -0,0 +1,220 @@
+/**
+ * Unit Tests for ApiKeySettings Component
+ *
+ * Tests validating, saving, unlocking and removing a user-supplied
+ * Remove.bg API key, and hot-swapping it into ImageProcessorService.
+ */
+
+import { mount } from '@vue/test-utils';
+import ApiKeySettings from '@/components/ApiKeySettings.vue';
+import ImageProcessorService from '@/services/ImageProcessorService';
+import ApiKeyStore from '@/services/ApiKeyStore';
+
+jest.mock('@/services/ImageProcessorService', () => ({
+  __esModule: true,
+  default: {
+    validateApiKey: jest.fn(),
+    useApiKey: jest.fn()
+  }
+}));
+
+jest.mock('@/services/ApiKeyStore', () => ({
+  __esModule: true,
+  default: {
+    isEncryptionSupported: jest.fn(),
+    hasStoredKey: jest.fn(),
+    isEncrypted: jest.fn(),
+    saveKey: jest.fn(),
+    loadKey: jest.fn(),
+    clearKey: jest.fn()
+  }
+}));
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('ApiKeySettings Component', () => {
+  let wrapper;
+
+  function createWrapper(propsData = {}) {
+    return mount(ApiKeySettings, {
+      propsData: { visible: true, ...propsData }
+    });
+  }
+
+  beforeEach(() => {
+    ApiKeyStore.isEncryptionSupported.mockReturnValue(true);
+    ApiKeyStore.hasStoredKey.mockReturnValue(false);
+    ApiKeyStore.isEncrypted.mockReturnValue(false);
+    ApiKeyStore.saveKey.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    if (wrapper) {
+      wrapper.destroy();
+    }
+  });
+
+  describe('Visibility', () => {
+    it('should render nothing when not visible', () => {
+      wrapper = createWrapper({ visible: false });
+
+      expect(wrapper.find('[data-test="api-key-settings"]').exists()).toBe(false);
+    });
+
+    it('should emit close from the close button', async () => {
+      wrapper = createWrapper();
+
+      await wrapper.find('[data-test="close-button"]').trigger('click');
+
+      expect(wrapper.emitted('close')).toBeTruthy();
+    });
+  });
+
+  describe('Saving a key', () => {
+    it('should validate, save and hot-swap a valid key', async () => {
+      const account = { credits: { total: 50 }, freeCalls: 50 };
+      ImageProcessorService.validateApiKey.mockResolvedValue(account);
+      wrapper = createWrapper();
+
+      await wrapper.find('[data-test="api-key-input"]').setValue('user-key');
+      await wrapper.find('[data-test="key-form"]').trigger('submit');
+      await flush();
+
+      expect(ImageProcessorService.validateApiKey).toHaveBeenCalledWith('user-key');
+      expect(ApiKeyStore.saveKey).toHaveBeenCalledWith('user-key', undefined);
+      expect(ImageProcessorService.useApiKey).toHaveBeenCalledWith('user-key');
+      expect(wrapper.emitted('key-changed')[0]).toEqual([{ usingOwnKey: true, accountStatus: account }]);
+      expect(wrapper.emitted('close')).toBeTruthy();
+    });
+
+    it('should encrypt the key when a passphrase is entered', async () => {
+      ImageProcessorService.validateApiKey.mockResolvedValue({ credits: { total: 1 } });
+      wrapper = createWrapper();
+
+      await wrapper.find('[data-test="api-key-input"]').setValue('user-key');
+      await wrapper.find('[data-test="passphrase-input"]').setValue('secret');
+      await wrapper.find('[data-test="key-form"]').trigger('submit');
+      await flush();
+
+      expect(ApiKeyStore.saveKey).toHaveBeenCalledWith('user-key', 'secret');
+    });
+
+    it('should not persist the key when remember is unchecked', async () => {
+      ImageProcessorService.validateApiKey.mockResolvedValue({ credits: { total: 1 } });
+      wrapper = createWrapper();
+
+      await wrapper.find('[data-test="api-key-input"]').setValue('user-key');
+      await wrapper.find('[data-test="remember-checkbox"]').setChecked(false);
+      await wrapper.find('[data-test="key-form"]').trigger('submit');
+      await flush();
+
+      expect(ApiKeyStore.saveKey).not.toHaveBeenCalled();
+      expect(ApiKeyStore.clearKey).toHaveBeenCalled();
+      expect(ImageProcessorService.useApiKey).toHaveBeenCalledWith('user-key');
+    });
+
+    it('should hide the passphrase field when encryption is not supported', () => {
+      ApiKeyStore.isEncryptionSupported.mockReturnValue(false);
+      wrapper = createWrapper();
+
+      expect(wrapper.find('[data-test="passphrase-input"]').exists()).toBe(false);
+    });
+
+    it('should show an error and keep the current service for an invalid key', async () => {
+      ImageProcessorService.validateApiKey.mockResolvedValue(null);
+      wrapper = createWrapper();
+
+      await wrapper.find('[data-test="api-key-input"]').setValue('bad-key');
+      await wrapper.find('[data-test="key-form"]').trigger('submit');
+      await flush();
+
+      expect(wrapper.find('[data-test="api-key-error"]').text()).toContain('API密钥无效');
+      expect(ApiKeyStore.saveKey).not.toHaveBeenCalled();
+      expect(ImageProcessorService.useApiKey).not.toHaveBeenCalled();
+      expect(wrapper.emitted('key-changed')).toBeFalsy();
+    });
+
+    it('should tell an unreachable service apart from an invalid key', async () => {
+      ImageProcessorService.validateApiKey.mockRejectedValue(new Error('No response from server'));
+      wrapper = createWrapper();
+
+      await wrapper.find('[data-test="api-key-input"]').setValue('user-key');
+      await wrapper.find('[data-test="key-form"]').trigger('submit');
+      await flush();
+
+      const message = wrapper.find('[data-test="api-key-error"]').text();
+      expect(message).toContain('无法连接 Remove.bg');
+      expect(message).not.toContain('API密钥无效');
+      expect(ApiKeyStore.saveKey).not.toHaveBeenCalled();
+      expect(ImageProcessorService.useApiKey).not.toHaveBeenCalled();
+    });
+
+    it('should disable the save button without a key', () => {
+      wrapper = createWrapper();
+
+      expect(wrapper.find('[data-test="save-button"]').attributes('disabled')).toBe('disabled');
+    });
+  });
+
+  describe('Unlocking an encrypted key', () => {
+    beforeEach(() => {
+      ApiKeyStore.hasStoredKey.mockReturnValue(true);
+      ApiKeyStore.isEncrypted.mockReturnValue(true);
+    });
+
+    it('should show the unlock form for a locked key', () => {
+      wrapper = createWrapper();
+
+      expect(wrapper.find('[data-test="unlock-form"]').exists()).toBe(true);
+    });
+
+    it('should not show the unlock form once the key is in use', () => {
+      wrapper = createWrapper({ usingOwnKey: true });
+
+      expect(wrapper.find('[data-test="unlock-form"]').exists()).toBe(false);
+    });
+
+    it('should decrypt and hot-swap the saved key', async () => {
+      ApiKeyStore.loadKey.mockResolvedValue('saved-key');
+      wrapper = createWrapper();
+
+      await wrapper.find('[data-test="unlock-passphrase-input"]').setValue('secret');
+      await wrapper.find('[data-test="unlock-form"]').trigger('submit');
+      await flush();
+
+      expect(ApiKeyStore.loadKey).toHaveBeenCalledWith('secret');
+      expect(ImageProcessorService.useApiKey).toHaveBeenCalledWith('saved-key');
+      expect(wrapper.emitted('key-changed')[0]).toEqual([{ usingOwnKey: true, accountStatus: null }]);
+    });
+
+    it('should show an error for a wrong passphrase', async () => {
+      ApiKeyStore.loadKey.mockRejectedValue(new Error('密码错误，无法解锁已保存的API密钥'));
+      wrapper = createWrapper();
+
+      await wrapper.find('[data-test="unlock-passphrase-input"]').setValue('wrong');
+      await wrapper.find('[data-test="unlock-form"]').trigger('submit');
+      await flush();
+
+      expect(wrapper.find('[data-test="api-key-error"]').text()).toContain('密码错误');
+      expect(ImageProcessorService.useApiKey).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Removing the key', () => {
+    it('should clear the saved key and restore the default service', async () => {
+      wrapper = createWrapper({ usingOwnKey: true });
+
+      await wrapper.find('[data-test="remove-button"]').trigger('click');
+
+      expect(ApiKeyStore.clearKey).toHaveBeenCalled();
+      expect(ImageProcessorService.useApiKey).toHaveBeenCalledWith(null);
+      expect(wrapper.emitted('key-changed')[0]).toEqual([{ usingOwnKey: false, accountStatus: null }]);
+    });
+
+    it('should not offer removal when no user key exists', () => {
+      wrapper = createWrapper();
+
+      expect(wrapper.find('[data-test="remove-button"]').exists()).toBe(false);
+    });
+  });
+});
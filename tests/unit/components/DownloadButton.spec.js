@@ -10,23 +10,38 @@
 import { mount } from '@vue/test-utils';
 import DownloadButton from '@/components/DownloadButton.vue';
 import DownloadManager from '@/services/DownloadManager';
+import ImageProcessorService from '@/services/ImageProcessorService';
+import { PRINT_UPSCALE_CONFIG, UPSCALE_METHODS } from '@/constants';
 
 // Mock DownloadManager
 jest.mock('@/services/DownloadManager', () => {
   const mockGenerateFilename = jest.fn(() => 'extracted-design-2024-01-01T00-00-00-000Z.png');
   const mockDownloadImage = jest.fn();
+  const mockDownloadBlob = jest.fn();
   
   return {
     __esModule: true,
     default: {
       downloadImage: mockDownloadImage,
+      downloadBlob: mockDownloadBlob,
       generateFilename: mockGenerateFilename
     },
     downloadImage: mockDownloadImage,
+    downloadBlob: mockDownloadBlob,
     generateFilename: mockGenerateFilename
   };
 });
 
+jest.mock('@/services/ImageProcessorService', () => ({
+  __esModule: true,
+  default: {
+    vectorize: jest.fn(),
+    upscaleForPrint: jest.fn()
+  }
+}));
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
 describe('DownloadButton Component', () => {
   let wrapper;
 
@@ -399,4 +414,304 @@ describe('DownloadButton Component', () => {
       expect(button.exists()).toBe(true);
     });
   });
+
+  describe('Separate Designs', () => {
+    const regions = [
+      { dataUrl: 'data:image/png;base64,region1', width: 120, height: 80 },
+      { dataUrl: 'data:image/png;base64,region2', width: 60, height: 40 }
+    ];
+
+    beforeEach(() => {
+      DownloadManager.generateFilename.mockImplementation(prefix => `${prefix}.png`);
+    });
+
+    it('should not show per-design buttons for a single design', () => {
+      wrapper = mount(DownloadButton, {
+        propsData: { extractedImage: 'data:image/png;base64,test', regions: [regions[0]] }
+      });
+
+      expect(wrapper.find('[data-test="region-downloads"]').exists()).toBe(false);
+    });
+
+    it('should download each design separately', async () => {
+      wrapper = mount(DownloadButton, {
+        propsData: { extractedImage: 'data:image/png;base64,test', regions }
+      });
+
+      const buttons = wrapper.findAll('[data-test="region-download-button"]');
+      expect(buttons).toHaveLength(2);
+
+      await buttons.at(1).trigger('click');
+      await wrapper.vm.$nextTick();
+
+      expect(DownloadManager.generateFilename).toHaveBeenCalledWith('extracted-design-2');
+      expect(DownloadManager.downloadImage).toHaveBeenCalledWith('data:image/png;base64,region2', 'extracted-design-2.png', {});
+      expect(wrapper.emitted('download-success')).toBeTruthy();
+    });
+
+    it('should download the selected design from the main button', async () => {
+      wrapper = mount(DownloadButton, {
+        propsData: { extractedImage: 'data:image/png;base64,test', regions, selectedRegion: 0 }
+      });
+
+      expect(wrapper.find('.button-text').text()).toBe('下载图案 1');
+
+      await wrapper.find('[data-test="download-button"]').trigger('click');
+
+      expect(DownloadManager.downloadImage).toHaveBeenCalledWith('data:image/png;base64,region1', 'extracted-design-1.png', {});
+    });
+
+    it('should download the whole result when no design is selected', async () => {
+      wrapper = mount(DownloadButton, {
+        propsData: { extractedImage: 'data:image/png;base64,test', regions }
+      });
+
+      await wrapper.find('[data-test="download-button"]').trigger('click');
+
+      expect(DownloadManager.downloadImage).toHaveBeenCalledWith('data:image/png;base64,test', 'extracted-design.png', {});
+    });
+  });
+
+  describe('SVG Download', () => {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg"></svg>';
+
+    beforeEach(() => {
+      ImageProcessorService.vectorize.mockResolvedValue({ svg, width: 10, height: 10, layers: [] });
+      DownloadManager.generateFilename.mockImplementation((prefix, extension) => `${prefix}${extension}`);
+    });
+
+    it('should offer SVG next to the PNG download', () => {
+      wrapper = mount(DownloadButton, {
+        propsData: { extractedImage: 'data:image/png;base64,test' }
+      });
+
+      expect(wrapper.find('[data-test="svg-download-button"]').text()).toContain('SVG');
+      expect(wrapper.find('.button-text').text()).toBe('下载图案');
+    });
+
+    it('should trace the design and download it as SVG', async () => {
+      wrapper = mount(DownloadButton, {
+        propsData: { extractedImage: 'data:image/png;base64,test' }
+      });
+
+      await wrapper.find('[data-test="svg-download-button"]').trigger('click');
+      await flush();
+
+      expect(ImageProcessorService.vectorize).toHaveBeenCalledWith('data:image/png;base64,test', { colors: null });
+      expect(DownloadManager.generateFilename).toHaveBeenCalledWith('extracted-design', '.svg');
+      const [blob, filename] = DownloadManager.downloadBlob.mock.calls[0];
+      expect(blob.type).toBe('image/svg+xml');
+      expect(filename).toBe('extracted-design.svg');
+      expect(wrapper.emitted('download-success')).toEqual([[{ filename: 'extracted-design.svg' }]]);
+      expect(wrapper.vm.isDownloading).toBe(false);
+    });
+
+    it('should trace the spot colors with their number of inks', async () => {
+      const spotColors = { dataUrl: 'data:image/png;base64,spot', palette: [{ hex: '#ff0000' }, { hex: '#0000ff' }] };
+      wrapper = mount(DownloadButton, {
+        propsData: { extractedImage: 'data:image/png;base64,test', spotColors }
+      });
+
+      await wrapper.find('[data-test="svg-download-button"]').trigger('click');
+      await flush();
+
+      expect(ImageProcessorService.vectorize).toHaveBeenCalledWith('data:image/png;base64,spot', { colors: 2 });
+    });
+
+    it('should trace the selected design', async () => {
+      const regions = [
+        { dataUrl: 'data:image/png;base64,region1', width: 120, height: 80 },
+        { dataUrl: 'data:image/png;base64,region2', width: 60, height: 40 }
+      ];
+      wrapper = mount(DownloadButton, {
+        propsData: { extractedImage: 'data:image/png;base64,test', regions, selectedRegion: 1 }
+      });
+
+      await wrapper.find('[data-test="svg-download-button"]').trigger('click');
+      await flush();
+
+      expect(ImageProcessorService.vectorize).toHaveBeenCalledWith('data:image/png;base64,region2', { colors: null });
+      expect(DownloadManager.generateFilename).toHaveBeenCalledWith('extracted-design-2', '.svg');
+    });
+
+    it('should emit download-error when tracing fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const error = new Error('Tracing failed');
+      ImageProcessorService.vectorize.mockRejectedValue(error);
+      wrapper = mount(DownloadButton, {
+        propsData: { extractedImage: 'data:image/png;base64,test' }
+      });
+
+      await wrapper.find('[data-test="svg-download-button"]').trigger('click');
+      await flush();
+
+      expect(wrapper.emitted('download-error')).toEqual([[error]]);
+      expect(DownloadManager.downloadBlob).not.toHaveBeenCalled();
+      expect(wrapper.vm.isDownloading).toBe(false);
+    });
+  });
+
+  describe('Print Size Download', () => {
+    const upscaled = {
+      dataUrl: 'data:image/png;base64,upscaled',
+      width: 3600,
+      height: 4800,
+      dpi: 300,
+      sourceDpi: 300,
+      warning: null
+    };
+
+    beforeEach(() => {
+      ImageProcessorService.upscaleForPrint.mockResolvedValue(upscaled);
+      DownloadManager.generateFilename.mockImplementation(prefix => `${prefix}.png`);
+    });
+
+    it('should default to the configured print size', () => {
+      wrapper = mount(DownloadButton, {
+        propsData: { extractedImage: 'data:image/png;base64,test' }
+      });
+
+      expect(wrapper.find('[data-test="print-width"]').element.value).toBe(String(PRINT_UPSCALE_CONFIG.WIDTH_INCHES));
+      expect(wrapper.find('[data-test="print-height"]').element.value).toBe(String(PRINT_UPSCALE_CONFIG.HEIGHT_INCHES));
+      expect(wrapper.find('[data-test="print-dpi"]').element.value).toBe(String(PRINT_UPSCALE_CONFIG.DPI));
+    });
+
+    it('should upscale the design to the chosen size and download it', async () => {
+      ImageProcessorService.upscaleForPrint.mockResolvedValue({ ...upscaled, dpi: 150 });
+      wrapper = mount(DownloadButton, {
+        propsData: { extractedImage: 'data:image/png;base64,test' }
+      });
+
+      await wrapper.find('[data-test="print-width"]').setValue('10');
+      await wrapper.find('[data-test="print-height"]').setValue('8');
+      await wrapper.find('[data-test="print-dpi"]').setValue('150');
+      await wrapper.find('[data-test="upscale-method"]').setValue(UPSCALE_METHODS.EDGE);
+      await wrapper.find('[data-test="print-sharpen"]').setChecked(true);
+      await wrapper.find('[data-test="print-download-button"]').trigger('click');
+      await flush();
+
+      expect(ImageProcessorService.upscaleForPrint).toHaveBeenCalledWith('data:image/png;base64,test', {
+        widthInches: 10,
+        heightInches: 8,
+        dpi: 150,
+        method: UPSCALE_METHODS.EDGE,
+        sharpen: true
+      });
+      expect(DownloadManager.downloadImage).toHaveBeenCalledWith(
+        'data:image/png;base64,upscaled',
+        'extracted-design-10x8in-150dpi.png',
+        {
+          dpi: 150,
+          options: {
+            print: { widthInches: 10, heightInches: 8, dpi: 150, method: UPSCALE_METHODS.EDGE, sharpen: true }
+          }
+        }
+      );
+      expect(wrapper.emitted('download-success')).toEqual([[{ filename: 'extracted-design-10x8in-150dpi.png' }]]);
+      expect(wrapper.find('[data-test="print-warning"]').exists()).toBe(false);
+    });
+
+    it('should upscale the selected design', async () => {
+      const regions = [
+        { dataUrl: 'data:image/png;base64,region1', width: 120, height: 80 },
+        { dataUrl: 'data:image/png;base64,region2', width: 60, height: 40 }
+      ];
+      wrapper = mount(DownloadButton, {
+        propsData: { extractedImage: 'data:image/png;base64,test', regions, selectedRegion: 0 }
+      });
+
+      await wrapper.find('[data-test="print-download-button"]').trigger('click');
+      await flush();
+
+      expect(ImageProcessorService.upscaleForPrint).toHaveBeenCalledWith('data:image/png;base64,region1', expect.any(Object));
+      expect(DownloadManager.generateFilename).toHaveBeenCalledWith(
+        `extracted-design-1-${PRINT_UPSCALE_CONFIG.WIDTH_INCHES}x${PRINT_UPSCALE_CONFIG.HEIGHT_INCHES}in-${PRINT_UPSCALE_CONFIG.DPI}dpi`
+      );
+    });
+
+    it('should show the warning when the source resolution is too low', async () => {
+      ImageProcessorService.upscaleForPrint.mockResolvedValue({ ...upscaled, sourceDpi: 40, warning: '原图分辨率不足' });
+      wrapper = mount(DownloadButton, {
+        propsData: { extractedImage: 'data:image/png;base64,test' }
+      });
+
+      await wrapper.find('[data-test="print-download-button"]').trigger('click');
+      await flush();
+
+      expect(wrapper.find('[data-test="print-warning"]').text()).toContain('原图分辨率不足');
+      expect(DownloadManager.downloadImage).toHaveBeenCalled();
+    });
+
+    it('should emit download-error when upscaling fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const error = new Error('Upscaling failed');
+      ImageProcessorService.upscaleForPrint.mockRejectedValue(error);
+      wrapper = mount(DownloadButton, {
+        propsData: { extractedImage: 'data:image/png;base64,test' }
+      });
+
+      await wrapper.find('[data-test="print-download-button"]').trigger('click');
+      await flush();
+
+      expect(wrapper.emitted('download-error')).toEqual([[error]]);
+      expect(DownloadManager.downloadImage).not.toHaveBeenCalled();
+      expect(wrapper.vm.isDownloading).toBe(false);
+    });
+  });
+
+  describe('PNG Metadata', () => {
+    const metadata = {
+      sourceFilename: 'shirt.jpg',
+      provider: 'remove.bg',
+      options: { crop: { strategy: 'api' } }
+    };
+
+    beforeEach(() => {
+      DownloadManager.generateFilename.mockImplementation(prefix => `${prefix}.png`);
+    });
+
+    it('should pass the provenance to PNG downloads', async () => {
+      wrapper = mount(DownloadButton, {
+        propsData: { extractedImage: 'data:image/png;base64,test', metadata }
+      });
+
+      await wrapper.find('[data-test="download-button"]').trigger('click');
+
+      expect(DownloadManager.downloadImage).toHaveBeenCalledWith(
+        'data:image/png;base64,test',
+        'extracted-design.png',
+        metadata
+      );
+    });
+
+    it('should add the print DPI and size to print size downloads', async () => {
+      ImageProcessorService.upscaleForPrint.mockResolvedValue({
+        dataUrl: 'data:image/png;base64,upscaled',
+        width: 3600,
+        height: 4800,
+        dpi: 300,
+        sourceDpi: 300,
+        warning: null
+      });
+      wrapper = mount(DownloadButton, {
+        propsData: { extractedImage: 'data:image/png;base64,test', metadata }
+      });
+
+      await wrapper.find('[data-test="print-download-button"]').trigger('click');
+      await flush();
+
+      expect(DownloadManager.downloadImage).toHaveBeenCalledWith(
+        'data:image/png;base64,upscaled',
+        expect.any(String),
+        {
+          ...metadata,
+          dpi: 300,
+          options: {
+            crop: { strategy: 'api' },
+            print: expect.objectContaining({ dpi: PRINT_UPSCALE_CONFIG.DPI })
+          }
+        }
+      );
+    });
+  });
 });
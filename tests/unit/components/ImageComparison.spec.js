@@ -352,4 +352,162 @@ describe('ImageComparison Component', () => {
       expect(wrapper.find('.image-comparison').exists()).toBe(false);
     });
   });
+
+  describe('Separate Designs', () => {
+    const regions = [
+      { dataUrl: 'data:image/png;base64,region1', width: 120, height: 80 },
+      { dataUrl: 'data:image/png;base64,region2', width: 60, height: 40 }
+    ];
+
+    const mountWithRegions = (propsData = {}) => mount(ImageComparison, {
+      propsData: {
+        originalImage: 'data:image/jpeg;base64,original',
+        extractedImage: 'data:image/png;base64,extracted',
+        regions,
+        ...propsData
+      }
+    });
+
+    it('should not show the picker for a single design', () => {
+      wrapper = mountWithRegions({ regions: [regions[0]] });
+
+      expect(wrapper.find('[data-test="region-picker"]').exists()).toBe(false);
+    });
+
+    it('should list every detected design', () => {
+      wrapper = mountWithRegions();
+
+      expect(wrapper.find('[data-test="region-picker"]').exists()).toBe(true);
+      expect(wrapper.findAll('[data-test="region-option"]')).toHaveLength(2);
+    });
+
+    it('should show the whole result when no design is selected', () => {
+      wrapper = mountWithRegions();
+
+      expect(wrapper.find('[data-test="extracted-image"]').attributes('src')).toBe('data:image/png;base64,extracted');
+    });
+
+    it('should show the selected design', () => {
+      wrapper = mountWithRegions({ selectedRegion: 1 });
+
+      expect(wrapper.find('[data-test="extracted-image"]').attributes('src')).toBe('data:image/png;base64,region2');
+    });
+
+    it('should emit region-selected when a design is clicked', async () => {
+      wrapper = mountWithRegions();
+
+      await wrapper.findAll('[data-test="region-option"]').at(1).trigger('click');
+      await wrapper.find('[data-test="region-all"]').trigger('click');
+
+      expect(wrapper.emitted('region-selected')).toEqual([[1], [null]]);
+    });
+  });
+
+  describe('Perspective Correction', () => {
+    const mountComparison = (propsData = {}) => mount(ImageComparison, {
+      propsData: {
+        originalImage: 'data:image/jpeg;base64,original',
+        extractedImage: 'data:image/png;base64,extracted',
+        ...propsData
+      }
+    });
+
+    it('should not show corner handles until editing starts', () => {
+      wrapper = mountComparison();
+
+      expect(wrapper.findAll('[data-test="perspective-handle"]')).toHaveLength(0);
+      expect(wrapper.find('[data-test="perspective-edit"]').exists()).toBe(true);
+    });
+
+    it('should not offer correction before a result exists', () => {
+      wrapper = mountComparison({ extractedImage: null });
+
+      expect(wrapper.find('[data-test="perspective-controls"]').exists()).toBe(false);
+    });
+
+    it('should show four handles over the original when editing', async () => {
+      wrapper = mountComparison();
+
+      await wrapper.find('[data-test="perspective-edit"]').trigger('click');
+
+      expect(wrapper.findAll('[data-test="perspective-handle"]')).toHaveLength(4);
+      expect(wrapper.find('[data-test="perspective-overlay"]').exists()).toBe(true);
+    });
+
+    it('should start from the current correction', async () => {
+      const corners = [{ x: 0.1, y: 0.1 }, { x: 0.9, y: 0.2 }, { x: 0.9, y: 0.9 }, { x: 0.1, y: 0.8 }];
+      wrapper = mountComparison({ perspectiveCorners: corners });
+
+      await wrapper.find('[data-test="perspective-edit"]').trigger('click');
+
+      expect(wrapper.vm.draftCorners).toEqual(corners);
+      expect(wrapper.findAll('[data-test="perspective-handle"]').at(1).attributes('style')).toContain('left: 90%');
+    });
+
+    it('should move a handle with the pointer, kept inside the image', async () => {
+      wrapper = mountComparison();
+      await wrapper.find('[data-test="perspective-edit"]').trigger('click');
+      jest.spyOn(wrapper.vm.$refs.perspectiveFrame, 'getBoundingClientRect').mockReturnValue({
+        left: 100,
+        top: 50,
+        width: 200,
+        height: 100
+      });
+
+      await wrapper.findAll('[data-test="perspective-handle"]').at(0).trigger('pointerdown');
+      window.dispatchEvent(Object.assign(new Event('pointermove'), { clientX: 150, clientY: 75 }));
+      expect(wrapper.vm.draftCorners[0]).toEqual({ x: 0.25, y: 0.25 });
+
+      window.dispatchEvent(Object.assign(new Event('pointermove'), { clientX: 0, clientY: 75 }));
+      expect(wrapper.vm.draftCorners[0]).toEqual({ x: 0, y: 0.25 });
+
+      window.dispatchEvent(new Event('pointerup'));
+      window.dispatchEvent(Object.assign(new Event('pointermove'), { clientX: 150, clientY: 75 }));
+      expect(wrapper.vm.draftCorners[0]).toEqual({ x: 0, y: 0.25 });
+    });
+
+    it('should nudge a handle with the arrow keys', async () => {
+      wrapper = mountComparison();
+      await wrapper.find('[data-test="perspective-edit"]').trigger('click');
+
+      await wrapper.findAll('[data-test="perspective-handle"]').at(2).trigger('keydown', { key: 'ArrowRight' });
+
+      expect(wrapper.vm.draftCorners[2].x).toBeCloseTo(0.81);
+      expect(wrapper.vm.draftCorners[2].y).toBeCloseTo(0.8);
+    });
+
+    it('should emit the corners when applied', async () => {
+      wrapper = mountComparison();
+      await wrapper.find('[data-test="perspective-edit"]').trigger('click');
+
+      await wrapper.find('[data-test="perspective-apply"]').trigger('click');
+
+      expect(wrapper.emitted('perspective-change')[0][0]).toEqual([
+        { x: 0.2, y: 0.2 },
+        { x: 0.8, y: 0.2 },
+        { x: 0.8, y: 0.8 },
+        { x: 0.2, y: 0.8 }
+      ]);
+      expect(wrapper.find('[data-test="perspective-overlay"]').exists()).toBe(false);
+    });
+
+    it('should not apply corners that cross over', async () => {
+      wrapper = mountComparison();
+      await wrapper.find('[data-test="perspective-edit"]').trigger('click');
+      wrapper.vm.moveCorner(0, { x: 0.9, y: 0.9 });
+      await wrapper.vm.$nextTick();
+
+      expect(wrapper.find('[data-test="perspective-apply"]').attributes('disabled')).toBeDefined();
+    });
+
+    it('should emit null when the correction is undone', async () => {
+      wrapper = mountComparison({
+        perspectiveCorners: [{ x: 0.1, y: 0.1 }, { x: 0.9, y: 0.1 }, { x: 0.9, y: 0.9 }, { x: 0.1, y: 0.9 }]
+      });
+
+      await wrapper.find('[data-test="perspective-reset"]').trigger('click');
+
+      expect(wrapper.emitted('perspective-change')).toEqual([[null]]);
+    });
+  });
 });
@@ -9,7 +9,7 @@
 
 import { mount } from '@vue/test-utils';
 import ImageProcessor from '@/components/ImageProcessor.vue';
-import { PROCESSING_STATUS } from '@/constants';
+import { PROCESSING_STATUS, EDGE_REFINEMENT_CONFIG } from '@/constants';
 
 describe('ImageProcessor Component', () => {
   let wrapper;
@@ -160,6 +160,41 @@ describe('ImageProcessor Component', () => {
       expect(progressFill.attributes('style')).toContain('width: 75%');
     });
 
+    it('should show the rate limit countdown', () => {
+      wrapper = mount(ImageProcessor, {
+        propsData: {
+          isProcessing: true,
+          status: PROCESSING_STATUS.UPLOADING,
+          rateLimitCountdown: 7
+        }
+      });
+      
+      expect(wrapper.find('[data-test="rate-limit-countdown"]').text()).toContain('7 秒');
+    });
+
+    it('should not show a countdown when not rate limited', () => {
+      wrapper = mount(ImageProcessor, {
+        propsData: {
+          isProcessing: true
+        }
+      });
+      
+      expect(wrapper.find('[data-test="rate-limit-countdown"]').exists()).toBe(false);
+    });
+
+    it('should keep the progress bar while rendering the result', () => {
+      wrapper = mount(ImageProcessor, {
+        propsData: {
+          isProcessing: true,
+          status: PROCESSING_STATUS.RENDERING,
+          progress: 95
+        }
+      });
+      
+      expect(wrapper.find('.progress-bar').exists()).toBe(true);
+      expect(wrapper.find('.progress-text').text()).toBe('95%');
+    });
+
     it('should not show progress bar for non-progress statuses', () => {
       wrapper = mount(ImageProcessor, {
         propsData: {
@@ -172,6 +207,61 @@ describe('ImageProcessor Component', () => {
     });
   });
 
+  describe('Cancellation', () => {
+    it('should show cancel button while processing', () => {
+      wrapper = mount(ImageProcessor, {
+        propsData: {
+          isProcessing: true
+        }
+      });
+      
+      expect(wrapper.find('[data-test="cancel-button"]').exists()).toBe(true);
+    });
+
+    it('should not show cancel button when idle', () => {
+      expect(wrapper.find('[data-test="cancel-button"]').exists()).toBe(false);
+    });
+
+    it('should emit cancel event when cancel button clicked', async () => {
+      wrapper = mount(ImageProcessor, {
+        propsData: {
+          isProcessing: true
+        }
+      });
+      
+      await wrapper.find('[data-test="cancel-button"]').trigger('click');
+      
+      expect(wrapper.emitted('cancel')).toBeTruthy();
+    });
+
+    it('should call onCancel prop when provided', async () => {
+      const onCancel = jest.fn();
+      wrapper = mount(ImageProcessor, {
+        propsData: {
+          isProcessing: true,
+          onCancel
+        }
+      });
+      
+      await wrapper.find('[data-test="cancel-button"]').trigger('click');
+      
+      expect(onCancel).toHaveBeenCalled();
+    });
+
+    it('should show a cancelled notice instead of an error', () => {
+      wrapper = mount(ImageProcessor, {
+        propsData: {
+          canProcess: true,
+          status: PROCESSING_STATUS.CANCELLED
+        }
+      });
+      
+      expect(wrapper.find('[data-test="cancelled-notice"]').exists()).toBe(true);
+      expect(wrapper.find('.error-container').exists()).toBe(false);
+      expect(wrapper.find('.process-button').exists()).toBe(true);
+    });
+  });
+
   describe('Success State', () => {
     it('should show success container when has result and no error', () => {
       wrapper = mount(ImageProcessor, {
@@ -351,6 +441,198 @@ describe('ImageProcessor Component', () => {
     });
   });
 
+  describe('Account Credits', () => {
+    const accountStatus = {
+      credits: { total: 120, subscription: 100, payg: 20, enterprise: 0 },
+      freeCalls: 3
+    };
+
+    it('should not show credits when account status is unknown', () => {
+      wrapper = mount(ImageProcessor, {
+        propsData: { canProcess: true }
+      });
+
+      expect(wrapper.find('[data-test="credits-info"]').exists()).toBe(false);
+    });
+
+    it('should show remaining credits and free calls near the process button', () => {
+      wrapper = mount(ImageProcessor, {
+        propsData: { canProcess: true, accountStatus }
+      });
+
+      const info = wrapper.find('[data-test="credits-info"]');
+      expect(info.exists()).toBe(true);
+      expect(info.text()).toContain('120');
+      expect(info.text()).toContain('3');
+      expect(wrapper.find('[data-test="credits-warning"]').exists()).toBe(false);
+    });
+
+    it('should warn when credits drop below the threshold', () => {
+      wrapper = mount(ImageProcessor, {
+        propsData: {
+          canProcess: true,
+          accountStatus: { ...accountStatus, credits: { ...accountStatus.credits, total: 4 } },
+          creditsWarningThreshold: 5
+        }
+      });
+
+      expect(wrapper.vm.isLowOnCredits).toBe(true);
+      expect(wrapper.find('.credits-info').classes()).toContain('low');
+      expect(wrapper.find('[data-test="credits-warning"]').exists()).toBe(true);
+    });
+
+    it('should hide credits while processing', () => {
+      wrapper = mount(ImageProcessor, {
+        propsData: { isProcessing: true, accountStatus }
+      });
+
+      expect(wrapper.find('[data-test="credits-info"]').exists()).toBe(false);
+    });
+  });
+
+  describe('Lighting Correction Options', () => {
+    it('should show the strength as a percentage', () => {
+      wrapper = mount(ImageProcessor, {
+        propsData: { lightingCorrection: { enabled: true, strength: 0.8 } }
+      });
+
+      expect(wrapper.find('[data-test="lighting-toggle"]').element.checked).toBe(true);
+      expect(wrapper.find('[data-test="lighting-strength"]').element.value).toBe('80');
+    });
+
+    it('should hide the strength when correction is off', () => {
+      wrapper = mount(ImageProcessor, {
+        propsData: { lightingCorrection: { enabled: false, strength: 0.8 } }
+      });
+
+      expect(wrapper.find('[data-test="lighting-strength"]').exists()).toBe(false);
+    });
+
+    it('should hide the options while processing', () => {
+      wrapper = mount(ImageProcessor, { propsData: { isProcessing: true } });
+
+      expect(wrapper.find('[data-test="lighting-options"]').exists()).toBe(false);
+    });
+
+    it('should emit the settings when the strength changes', async () => {
+      wrapper = mount(ImageProcessor, {
+        propsData: { lightingCorrection: { enabled: true, strength: 0.8 } }
+      });
+
+      await wrapper.find('[data-test="lighting-strength"]').setValue('35');
+
+      expect(wrapper.emitted('lighting-correction-change')[0]).toEqual([{ enabled: true, strength: 0.35 }]);
+    });
+
+    it('should emit the settings when the toggle changes', async () => {
+      wrapper = mount(ImageProcessor, {
+        propsData: { lightingCorrection: { enabled: true, strength: 0.8 } }
+      });
+
+      await wrapper.find('[data-test="lighting-toggle"]').setChecked(false);
+
+      expect(wrapper.emitted('lighting-correction-change')[0]).toEqual([{ enabled: false, strength: 0.8 }]);
+    });
+
+    it('should show the preview when available', () => {
+      wrapper = mount(ImageProcessor, {
+        propsData: { lightingPreview: 'data:image/png;base64,preview' }
+      });
+
+      expect(wrapper.find('[data-test="lighting-preview"] img').attributes('src')).toBe('data:image/png;base64,preview');
+    });
+  });
+
+  describe('Fabric Keying Options', () => {
+    it('should show the options before processing', () => {
+      wrapper = mount(ImageProcessor, {
+        propsData: { canProcess: true, fabricKeying: { enabled: true, tolerance: 40 } }
+      });
+
+      expect(wrapper.find('[data-test="fabric-toggle"]').element.checked).toBe(true);
+      expect(wrapper.find('[data-test="fabric-tolerance"]').element.value).toBe('40');
+    });
+
+    it('should hide the options while processing and after a result', () => {
+      wrapper = mount(ImageProcessor, { propsData: { isProcessing: true } });
+      expect(wrapper.find('[data-test="fabric-options"]').exists()).toBe(false);
+
+      wrapper = mount(ImageProcessor, { propsData: { hasResult: true } });
+      expect(wrapper.find('[data-test="fabric-options"]').exists()).toBe(false);
+    });
+
+    it('should hide the tolerance when keying is off', () => {
+      wrapper = mount(ImageProcessor, {
+        propsData: { fabricKeying: { enabled: false, tolerance: 40 } }
+      });
+
+      expect(wrapper.find('[data-test="fabric-tolerance"]').exists()).toBe(false);
+    });
+
+    it('should emit the settings when the toggle changes', async () => {
+      wrapper = mount(ImageProcessor, {
+        propsData: { fabricKeying: { enabled: true, tolerance: 40 } }
+      });
+
+      await wrapper.find('[data-test="fabric-toggle"]').setChecked(false);
+
+      expect(wrapper.emitted('fabric-keying-change')[0]).toEqual([{ enabled: false, tolerance: 40 }]);
+    });
+
+    it('should emit the settings when the tolerance changes', async () => {
+      wrapper = mount(ImageProcessor, {
+        propsData: { fabricKeying: { enabled: true, tolerance: 40 } }
+      });
+
+      await wrapper.find('[data-test="fabric-tolerance"]').setValue('75');
+
+      expect(wrapper.emitted('fabric-keying-change')[0]).toEqual([{ enabled: true, tolerance: 75 }]);
+    });
+  });
+
+  describe('Edge Refinement Options', () => {
+    const edgeRefinement = { decontaminate: true, shrink: 0, feather: 1 };
+
+    it('should show the options before processing', () => {
+      wrapper = mount(ImageProcessor, {
+        propsData: { canProcess: true, edgeRefinement }
+      });
+
+      expect(wrapper.find('[data-test="edge-decontaminate-toggle"]').element.checked).toBe(true);
+      expect(wrapper.find('[data-test="edge-shrink"]').element.value).toBe('0');
+      expect(wrapper.find('[data-test="edge-feather"]').element.value).toBe('1');
+      expect(wrapper.find('[data-test="edge-feather"]').attributes('max')).toBe(String(EDGE_REFINEMENT_CONFIG.MAX_RADIUS));
+    });
+
+    it('should hide the options while processing and after a result', () => {
+      wrapper = mount(ImageProcessor, { propsData: { isProcessing: true } });
+      expect(wrapper.find('[data-test="edge-options"]').exists()).toBe(false);
+
+      wrapper = mount(ImageProcessor, { propsData: { hasResult: true } });
+      expect(wrapper.find('[data-test="edge-options"]').exists()).toBe(false);
+    });
+
+    it('should emit the settings when the toggle changes', async () => {
+      wrapper = mount(ImageProcessor, { propsData: { edgeRefinement } });
+
+      await wrapper.find('[data-test="edge-decontaminate-toggle"]').setChecked(false);
+
+      expect(wrapper.emitted('edge-refinement-change')[0]).toEqual([{ ...edgeRefinement, decontaminate: false }]);
+    });
+
+    it('should emit the settings when a radius changes', async () => {
+      wrapper = mount(ImageProcessor, { propsData: { edgeRefinement } });
+
+      await wrapper.find('[data-test="edge-shrink"]').setValue('2');
+      await wrapper.find('[data-test="edge-feather"]').setValue('3');
+
+      expect(wrapper.emitted('edge-refinement-change')).toEqual([
+        [{ ...edgeRefinement, shrink: 2 }],
+        [{ ...edgeRefinement, feather: 3 }]
+      ]);
+    });
+  });
+
   describe('Computed Properties', () => {
     it('should compute showProgress correctly', () => {
       wrapper = mount(ImageProcessor, {
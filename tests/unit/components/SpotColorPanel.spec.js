@@ -0,0 +1,223 @@
+/**
+ * Unit Tests for SpotColorPanel Component
+ *
+ * Tests choosing the number of spot colors, reducing the design through
+ * ImageProcessorService, showing the palette with coverage and downloading
+ * the separations as a ZIP.
+ */
+
+import { mount } from '@vue/test-utils';
+import SpotColorPanel from '@/components/SpotColorPanel.vue';
+import ImageProcessorService from '@/services/ImageProcessorService';
+import DownloadManager from '@/services/DownloadManager';
+import { SPOT_COLOR_CONFIG, SEPARATION_FILMS } from '@/constants';
+
+jest.mock('@/services/ImageProcessorService', () => ({
+  __esModule: true,
+  default: {
+    reduceColors: jest.fn(),
+    createSeparations: jest.fn()
+  }
+}));
+
+jest.mock('@/services/DownloadManager', () => ({
+  __esModule: true,
+  default: {
+    generateFilename: jest.fn(),
+    downloadFiles: jest.fn()
+  }
+}));
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('SpotColorPanel Component', () => {
+  let wrapper;
+
+  const result = {
+    dataUrl: 'data:image/png;base64,c3BvdA==',
+    palette: [
+      { hex: '#c81e1e', r: 200, g: 30, b: 30, pixelCount: 700, coverage: 70 },
+      { hex: '#1428a0', r: 20, g: 40, b: 160, pixelCount: 300, coverage: 30 }
+    ]
+  };
+
+  const createWrapper = (propsData = {}) => mount(SpotColorPanel, {
+    propsData: {
+      image: 'data:image/png;base64,ZGVzaWdu',
+      ...propsData
+    }
+  });
+
+  const reduce = async panel => {
+    await panel.find('[data-test="spot-color-button"]').trigger('click');
+    await flush();
+  };
+
+  beforeEach(() => {
+    ImageProcessorService.reduceColors.mockResolvedValue(result);
+  });
+
+  afterEach(() => {
+    if (wrapper) {
+      wrapper.destroy();
+      wrapper = null;
+    }
+  });
+
+  describe('Controls', () => {
+    it('should offer automatic and fixed color counts up to the maximum', () => {
+      wrapper = createWrapper();
+
+      const options = wrapper.findAll('[data-test="spot-color-count"] option');
+      expect(options.at(0).text()).toBe('自动');
+      expect(options).toHaveLength(SPOT_COLOR_CONFIG.MAX_COLORS);
+      expect(options.at(options.length - 1).text()).toBe(`${SPOT_COLOR_CONFIG.MAX_COLORS} 色`);
+    });
+
+    it('should disable the button without a design', () => {
+      wrapper = createWrapper({ image: null });
+
+      expect(wrapper.find('[data-test="spot-color-button"]').attributes('disabled')).toBe('disabled');
+    });
+  });
+
+  describe('Reducing colors', () => {
+    it('should reduce the design automatically by default', async () => {
+      wrapper = createWrapper();
+
+      await wrapper.find('[data-test="spot-color-button"]').trigger('click');
+      await flush();
+
+      expect(ImageProcessorService.reduceColors).toHaveBeenCalledWith(
+        'data:image/png;base64,ZGVzaWdu',
+        { colors: null, dither: false }
+      );
+    });
+
+    it('should pass the chosen color count and dithering', async () => {
+      wrapper = createWrapper();
+
+      await wrapper.find('[data-test="spot-color-count"]').findAll('option').at(2).setSelected();
+      await wrapper.find('[data-test="spot-color-dither"]').setChecked(true);
+      await wrapper.find('[data-test="spot-color-button"]').trigger('click');
+      await flush();
+
+      expect(ImageProcessorService.reduceColors).toHaveBeenCalledWith(
+        'data:image/png;base64,ZGVzaWdu',
+        { colors: 3, dither: true }
+      );
+    });
+
+    it('should show the reduced design and its palette', async () => {
+      wrapper = createWrapper();
+
+      await wrapper.find('[data-test="spot-color-button"]').trigger('click');
+      await flush();
+
+      expect(wrapper.find('[data-test="spot-color-preview"]').attributes('src')).toBe(result.dataUrl);
+      const entries = wrapper.findAll('[data-test="palette-entry"]');
+      expect(entries).toHaveLength(2);
+      expect(entries.at(0).text()).toContain('#c81e1e');
+      expect(entries.at(0).text()).toContain('70.0%');
+      expect(entries.at(1).find('.palette-swatch').attributes('style')).toContain('background-color');
+    });
+
+    it('should emit the spot colors', async () => {
+      wrapper = createWrapper();
+
+      await wrapper.find('[data-test="spot-color-button"]').trigger('click');
+      await flush();
+
+      expect(wrapper.emitted('spot-colors-change')).toEqual([[result]]);
+    });
+
+    it('should show an error when the reduction fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      ImageProcessorService.reduceColors.mockRejectedValue(new Error('boom'));
+      wrapper = createWrapper();
+
+      await wrapper.find('[data-test="spot-color-button"]').trigger('click');
+      await flush();
+
+      expect(wrapper.find('[data-test="spot-color-error"]').exists()).toBe(true);
+      expect(wrapper.find('[data-test="palette"]').exists()).toBe(false);
+      expect(wrapper.vm.isReducing).toBe(false);
+    });
+  });
+
+  describe('Separations', () => {
+    const files = [{ name: 'manifest.json', data: '{}' }];
+
+    beforeEach(() => {
+      ImageProcessorService.createSeparations.mockResolvedValue(files);
+      DownloadManager.generateFilename.mockReturnValue('separations-2024.zip');
+      DownloadManager.downloadFiles.mockResolvedValue(new Blob());
+    });
+
+    it('should offer the download once the design is reduced', async () => {
+      wrapper = createWrapper();
+      expect(wrapper.find('[data-test="separation-export"]').exists()).toBe(false);
+
+      await reduce(wrapper);
+
+      expect(wrapper.find('[data-test="separation-export"]').exists()).toBe(true);
+      expect(wrapper.vm.film).toBe(SPOT_COLOR_CONFIG.FILM);
+    });
+
+    it('should download the separations as a ZIP', async () => {
+      wrapper = createWrapper();
+      await reduce(wrapper);
+
+      await wrapper.find('[data-test="separation-film"]').setValue(SEPARATION_FILMS.GRAYSCALE);
+      await wrapper.find('[data-test="separation-download-button"]').trigger('click');
+      await flush();
+
+      expect(ImageProcessorService.createSeparations).toHaveBeenCalledWith(result, { film: SEPARATION_FILMS.GRAYSCALE });
+      expect(DownloadManager.generateFilename).toHaveBeenCalledWith('separations', '.zip');
+      expect(DownloadManager.downloadFiles).toHaveBeenCalledWith(files, 'separations-2024.zip');
+      expect(wrapper.emitted('download-success')).toEqual([[{ filename: 'separations-2024.zip' }]]);
+      expect(wrapper.vm.isExporting).toBe(false);
+    });
+
+    it('should show an error when the export fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      DownloadManager.downloadFiles.mockRejectedValue(new Error('boom'));
+      wrapper = createWrapper();
+      await reduce(wrapper);
+
+      await wrapper.find('[data-test="separation-download-button"]').trigger('click');
+      await flush();
+
+      expect(wrapper.find('[data-test="spot-color-error"]').text()).toBe('导出分色失败，请重试');
+      expect(wrapper.emitted('download-success')).toBeUndefined();
+      expect(wrapper.vm.isExporting).toBe(false);
+    });
+  });
+
+  describe('Design changes', () => {
+    it('should clear the palette when the design changes', async () => {
+      wrapper = createWrapper();
+      await wrapper.find('[data-test="spot-color-button"]').trigger('click');
+      await flush();
+
+      await wrapper.setProps({ image: 'data:image/png;base64,b3RoZXI=' });
+
+      expect(wrapper.find('[data-test="palette"]').exists()).toBe(false);
+      expect(wrapper.emitted('spot-colors-change')).toEqual([[result], [null]]);
+    });
+
+    it('should ignore a reduction that finishes after the design changed', async () => {
+      let resolve;
+      ImageProcessorService.reduceColors.mockReturnValue(new Promise(r => { resolve = r; }));
+      wrapper = createWrapper();
+
+      await wrapper.find('[data-test="spot-color-button"]').trigger('click');
+      await wrapper.setProps({ image: 'data:image/png;base64,b3RoZXI=' });
+      resolve(result);
+      await flush();
+
+      expect(wrapper.find('[data-test="palette"]').exists()).toBe(false);
+      expect(wrapper.emitted('spot-colors-change')).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Unit Tests for UsagePanel Component
+ *
+ * Tests listing ledger records, showing and changing the credit budget,
+ * exporting records as CSV and clearing them.
+ */
+
+import { mount } from '@vue/test-utils';
+import UsagePanel from '@/components/UsagePanel.vue';
+import UsageLedger from '@/services/UsageLedger';
+import DownloadManager from '@/services/DownloadManager';
+import { USAGE_BUDGET_PERIODS, USAGE_OUTCOMES } from '@/constants';
+
+jest.mock('@/services/UsageLedger', () => ({
+  __esModule: true,
+  default: {
+    getRecords: jest.fn(),
+    getBudget: jest.fn(),
+    getBudgetStatus: jest.fn(),
+    setBudget: jest.fn(),
+    toCsv: jest.fn(),
+    clear: jest.fn(),
+    subscribe: jest.fn()
+  }
+}));
+
+jest.mock('@/services/DownloadManager', () => ({
+  __esModule: true,
+  default: {
+    downloadBlob: jest.fn()
+  }
+}));
+
+describe('UsagePanel Component', () => {
+  let wrapper;
+  let unsubscribe;
+
+  const records = [
+    {
+      id: '1',
+      timestamp: '2024-03-15T10:00:00.000Z',
+      fileName: 'first.jpg',
+      provider: 'removebg',
+      size: 'auto',
+      creditsCharged: 1,
+      outcome: USAGE_OUTCOMES.SUCCESS,
+      errorCode: null
+    },
+    {
+      id: '2',
+      timestamp: '2024-03-15T11:00:00.000Z',
+      fileName: 'second.jpg',
+      provider: 'removebg',
+      size: 'auto',
+      creditsCharged: 0,
+      outcome: USAGE_OUTCOMES.ERROR,
+      errorCode: 'API_BAD_REQUEST'
+    }
+  ];
+
+  beforeEach(() => {
+    unsubscribe = jest.fn();
+    UsageLedger.getRecords.mockReturnValue(records);
+    UsageLedger.getBudget.mockReturnValue({ period: USAGE_BUDGET_PERIODS.MONTH, limit: 10 });
+    UsageLedger.getBudgetStatus.mockReturnValue({
+      period: USAGE_BUDGET_PERIODS.MONTH,
+      limit: 10,
+      used: 1,
+      remaining: 9,
+      exceeded: false
+    });
+    UsageLedger.toCsv.mockReturnValue('timestamp\r\n');
+    UsageLedger.subscribe.mockReturnValue(unsubscribe);
+  });
+
+  afterEach(() => {
+    if (wrapper) {
+      wrapper.destroy();
+      wrapper = null;
+    }
+  });
+
+  describe('Records', () => {
+    it('should list records newest first', () => {
+      wrapper = mount(UsagePanel);
+
+      const rows = wrapper.findAll('[data-test="usage-row"]');
+      expect(rows).toHaveLength(2);
+      expect(rows.at(0).text()).toContain('second.jpg');
+      expect(rows.at(0).text()).toContain('API_BAD_REQUEST');
+      expect(rows.at(1).text()).toContain('first.jpg');
+    });
+
+    it('should show an empty message without records', () => {
+      UsageLedger.getRecords.mockReturnValue([]);
+      wrapper = mount(UsagePanel);
+
+      expect(wrapper.find('[data-test="usage-empty"]').exists()).toBe(true);
+      expect(wrapper.find('[data-test="export-button"]').attributes('disabled')).toBeDefined();
+    });
+
+    it('should refresh when the ledger changes', async () => {
+      wrapper = mount(UsagePanel);
+      const listener = UsageLedger.subscribe.mock.calls[0][0];
+
+      UsageLedger.getRecords.mockReturnValue([records[0]]);
+      listener();
+      await wrapper.vm.$nextTick();
+
+      expect(wrapper.findAll('[data-test="usage-row"]')).toHaveLength(1);
+    });
+
+    it('should unsubscribe when destroyed', () => {
+      wrapper = mount(UsagePanel);
+
+      wrapper.destroy();
+      wrapper = null;
+
+      expect(unsubscribe).toHaveBeenCalled();
+    });
+  });
+
+  describe('Budget', () => {
+    it('should show spending against the budget', () => {
+      wrapper = mount(UsagePanel);
+
+      const summary = wrapper.find('[data-test="budget-summary"]').text();
+      expect(summary).toContain('本月');
+      expect(summary).toContain('10');
+      expect(wrapper.find('[data-test="budget-warning"]').exists()).toBe(false);
+    });
+
+    it('should warn when the budget is exceeded', () => {
+      UsageLedger.getBudgetStatus.mockReturnValue({
+        period: USAGE_BUDGET_PERIODS.DAY,
+        limit: 1,
+        used: 1,
+        remaining: 0,
+        exceeded: true
+      });
+      wrapper = mount(UsagePanel);
+
+      expect(wrapper.find('[data-test="budget-warning"]').exists()).toBe(true);
+      expect(wrapper.find('[data-test="budget-summary"]').text()).toContain('今日');
+    });
+
+    it('should save the budget', async () => {
+      wrapper = mount(UsagePanel);
+
+      await wrapper.find('[data-test="budget-period"]').setValue(USAGE_BUDGET_PERIODS.DAY);
+      await wrapper.find('[data-test="budget-limit"]').setValue('5');
+      await wrapper.find('[data-test="budget-form"]').trigger('submit');
+
+      expect(UsageLedger.setBudget).toHaveBeenCalledWith({ period: USAGE_BUDGET_PERIODS.DAY, limit: 5 });
+      expect(wrapper.find('[data-test="budget-error"]').exists()).toBe(false);
+    });
+
+    it('should show an error for an invalid budget', async () => {
+      UsageLedger.setBudget.mockImplementation(() => {
+        throw new Error('Invalid budget limit');
+      });
+      wrapper = mount(UsagePanel);
+
+      await wrapper.find('[data-test="budget-limit"]').setValue('-1');
+      await wrapper.find('[data-test="budget-form"]').trigger('submit');
+
+      expect(wrapper.find('[data-test="budget-error"]').exists()).toBe(true);
+    });
+  });
+
+  describe('Actions', () => {
+    it('should export the records as a CSV download', async () => {
+      wrapper = mount(UsagePanel);
+
+      await wrapper.find('[data-test="export-button"]').trigger('click');
+
+      expect(DownloadManager.downloadBlob).toHaveBeenCalledWith(
+        expect.any(Blob),
+        expect.stringMatching(/^api-usage-\d{4}-\d{2}-\d{2}\.csv$/)
+      );
+      expect(DownloadManager.downloadBlob.mock.calls[0][0].type).toBe('text/csv;charset=utf-8');
+    });
+
+    it('should clear the records after confirmation', async () => {
+      jest.spyOn(window, 'confirm').mockReturnValue(true);
+      wrapper = mount(UsagePanel);
+
+      await wrapper.find('[data-test="clear-button"]').trigger('click');
+
+      expect(UsageLedger.clear).toHaveBeenCalled();
+    });
+
+    it('should keep the records when clearing is not confirmed', async () => {
+      jest.spyOn(window, 'confirm').mockReturnValue(false);
+      wrapper = mount(UsagePanel);
+
+      await wrapper.find('[data-test="clear-button"]').trigger('click');
+
+      expect(UsageLedger.clear).not.toHaveBeenCalled();
+    });
+  });
+});
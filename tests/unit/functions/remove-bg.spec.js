@@ -0,0 +1,194 @@
+/**
+ * Unit tests for the Remove.bg Netlify proxy function
+ *
+ * The upstream Remove.bg API is replaced with a stubbed fetch so the
+ * function can be exercised locally without a network or an API key.
+ */
+
+const { createHandler } = require('../../../netlify/functions/remove-bg');
+
+/**
+ * Build a stubbed upstream fetch resolving to the given response
+ */
+function stubUpstream({ status = 200, headers = {}, body = 'png-bytes' } = {}) {
+  return jest.fn().mockResolvedValue({
+    status,
+    headers: new Map(Object.entries(headers)),
+    arrayBuffer: async () => {
+      const bytes = Buffer.from(body);
+      return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length);
+    }
+  });
+}
+
+function createEvent(overrides = {}) {
+  return {
+    path: '/api/remove-bg/v1.0/removebg',
+    httpMethod: 'POST',
+    headers: {
+      'content-type': 'multipart/form-data; boundary=----test',
+      'x-nf-client-connection-ip': '203.0.113.1'
+    },
+    body: Buffer.from('multipart-body').toString('base64'),
+    isBase64Encoded: true,
+    ...overrides
+  };
+}
+
+const decode = (response) => Buffer.from(response.body, 'base64').toString();
+
+describe('Remove.bg proxy function', () => {
+  let fetch;
+  let handler;
+
+  beforeEach(() => {
+    fetch = stubUpstream({
+      headers: { 'content-type': 'image/png', 'x-credits-charged': '1', 'x-width': '800' }
+    });
+    handler = createHandler({ apiKey: 'server-key', fetch, rateLimit: 2, rateWindow: 60 });
+  });
+
+  describe('forwarding', () => {
+    it('should forward the multipart body with the server-side API key', async () => {
+      await handler(createEvent());
+
+      expect(fetch).toHaveBeenCalledWith('https://api.remove.bg/v1.0/removebg', {
+        method: 'POST',
+        headers: {
+          'X-Api-Key': 'server-key',
+          accept: '*/*',
+          'content-type': 'multipart/form-data; boundary=----test'
+        },
+        body: Buffer.from('multipart-body')
+      });
+    });
+
+    it('should replace any key sent by the client', async () => {
+      await handler(createEvent({
+        headers: { ...createEvent().headers, 'X-Api-Key': 'client-key' }
+      }));
+
+      expect(fetch.mock.calls[0][1].headers['X-Api-Key']).toBe('server-key');
+    });
+
+    it('should return the upstream result with its metadata headers', async () => {
+      const response = await handler(createEvent());
+
+      expect(response.statusCode).toBe(200);
+      expect(response.isBase64Encoded).toBe(true);
+      expect(decode(response)).toBe('png-bytes');
+      expect(response.headers).toEqual(expect.objectContaining({
+        'content-type': 'image/png',
+        'x-credits-charged': '1',
+        'x-width': '800'
+      }));
+    });
+
+    it('should pass upstream errors through unchanged', async () => {
+      fetch = stubUpstream({
+        status: 402,
+        headers: { 'content-type': 'application/json' },
+        body: '{"errors":[{"title":"Insufficient credits"}]}'
+      });
+      handler = createHandler({ apiKey: 'server-key', fetch });
+
+      const response = await handler(createEvent());
+
+      expect(response.statusCode).toBe(402);
+      expect(decode(response)).toContain('Insufficient credits');
+    });
+
+    it('should forward account requests with GET', async () => {
+      await handler(createEvent({
+        path: '/.netlify/functions/remove-bg/v1.0/account',
+        httpMethod: 'GET',
+        body: null
+      }));
+
+      expect(fetch).toHaveBeenCalledWith(
+        'https://api.remove.bg/v1.0/account',
+        expect.objectContaining({ method: 'GET', body: undefined })
+      );
+    });
+
+    it('should use a configurable upstream URL', async () => {
+      handler = createHandler({ apiKey: 'server-key', fetch, upstreamUrl: 'http://localhost:9000/' });
+
+      await handler(createEvent());
+
+      expect(fetch.mock.calls[0][0]).toBe('http://localhost:9000/v1.0/removebg');
+    });
+
+    it('should return 502 when the upstream cannot be reached', async () => {
+      fetch.mockRejectedValue(new Error('ECONNREFUSED'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await handler(createEvent());
+
+      expect(response.statusCode).toBe(502);
+    });
+  });
+
+  describe('validation', () => {
+    it('should reject unknown paths', async () => {
+      const response = await handler(createEvent({ path: '/api/remove-bg/v1.0/other' }));
+
+      expect(response.statusCode).toBe(404);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should reject methods a route does not accept', async () => {
+      const response = await handler(createEvent({ httpMethod: 'GET' }));
+
+      expect(response.statusCode).toBe(405);
+      expect(response.headers.allow).toBe('POST');
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 when no server-side key is configured', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      handler = createHandler({ apiKey: '', fetch });
+
+      const response = await handler(createEvent());
+
+      expect(response.statusCode).toBe(500);
+      expect(JSON.parse(response.body).errors[0].title).toBe('Proxy is not configured');
+      expect(fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rate limiting', () => {
+    it('should reject requests over the per-IP limit with Retry-After', async () => {
+      await handler(createEvent());
+      await handler(createEvent());
+      const response = await handler(createEvent());
+
+      expect(response.statusCode).toBe(429);
+      expect(response.headers['retry-after']).toBe('60');
+      expect(response.headers['x-ratelimit-remaining']).toBe('0');
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should count each client IP separately', async () => {
+      await handler(createEvent());
+      await handler(createEvent());
+
+      const response = await handler(createEvent({
+        headers: { 'x-forwarded-for': '198.51.100.7, 10.0.0.1' }
+      }));
+
+      expect(response.statusCode).toBe(200);
+    });
+
+    it('should allow requests again once the window has passed', async () => {
+      let time = 0;
+      handler = createHandler({ apiKey: 'server-key', fetch, rateLimit: 1, rateWindow: 60, now: () => time });
+
+      await handler(createEvent());
+      expect((await handler(createEvent())).statusCode).toBe(429);
+
+      time = 60000;
+      expect((await handler(createEvent())).statusCode).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Pixel fixtures shared by the canvas-based service tests
+ *
+ * jsdom has no 2D canvas, so these specs stub getContext with a context whose
+ * getImageData returns hand-made RGBA pixels and whose putImageData records
+ * what the service wrote back.
+ */
+
+/**
+ * Create RGBA pixels from a color function
+ *
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Function} colorAt - (x, y) => [r, g, b, a], or null for a transparent pixel
+ * @returns {Uint8ClampedArray}
+ */
+export function createPixels(width, height, colorAt) {
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const color = colorAt(x, y);
+      if (color) {
+        pixels.set(color, (y * width + x) * 4);
+      }
+    }
+  }
+  return pixels;
+}
+
+/**
+ * Create RGBA pixels from a grid of characters
+ *
+ * @param {Array<string>} rows - One string per row
+ * @param {Object} colors - [r, g, b, a] per character; other characters are transparent
+ * @returns {Object} { pixels, width, height }
+ */
+export function createGridPixels(rows, colors) {
+  const height = rows.length;
+  const width = rows[0].length;
+  const pixels = createPixels(width, height, (x, y) => colors[rows[y][x]] || null);
+  return { pixels, width, height };
+}
+
+/**
+ * Read one RGBA pixel
+ *
+ * @param {Uint8ClampedArray} pixels - RGBA pixels
+ * @param {number} width - Image width
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @returns {Array<number>} [r, g, b, a]
+ */
+export function pixelAt(pixels, width, x, y) {
+  const index = (y * width + x) * 4;
+  return Array.from(pixels.slice(index, index + 4));
+}
+
+/**
+ * Make every canvas hand out the same mocked 2D context
+ *
+ * @returns {Object} The context: { drawImage, getImageData, putImageData } mocks
+ */
+export function mockCanvasContext() {
+  const context = {
+    drawImage: jest.fn(),
+    getImageData: jest.fn(),
+    putImageData: jest.fn()
+  };
+  jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(context);
+  return context;
+}
+
+/**
+ * Make the mocked context read the given pixels
+ *
+ * @param {Object} context - Context from mockCanvasContext
+ * @param {Uint8ClampedArray} pixels - RGBA pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Object} { width, height }, enough to stand in for the image
+ */
+export function mockImagePixels(context, pixels, width, height) {
+  context.getImageData.mockReturnValue({ data: pixels, width, height });
+  return { width, height };
+}
@@ -0,0 +1,111 @@
+/**
+ * Unit tests for PNG metadata utilities
+ *
+ * Tests reading PNG chunks, writing pHYs and text chunks, and converting
+ * between data URLs and bytes.
+ */
+
+import { crc32 } from '@/utils/zip';
+import {
+  dataUrlToBytes,
+  bytesToDataUrl,
+  readPngChunks,
+  writePngMetadata
+} from '@/utils/png';
+
+// 1x1 PNG as produced by canvas.toDataURL
+const PNG_DATA_URL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+/**
+ * Check the stored CRC of every chunk
+ */
+function expectValidCrcs(bytes) {
+  readPngChunks(bytes).forEach(({ raw }) => {
+    const view = new DataView(raw.buffer, raw.byteOffset, raw.byteLength);
+    expect(view.getUint32(raw.length - 4)).toBe(crc32(raw.subarray(4, raw.length - 4)));
+  });
+}
+
+const decodeLatin1 = bytes => String.fromCharCode(...bytes);
+
+describe('PNG utilities', () => {
+  let png;
+
+  beforeEach(() => {
+    png = dataUrlToBytes(PNG_DATA_URL);
+  });
+
+  describe('dataUrlToBytes / bytesToDataUrl', () => {
+    it('should round-trip a data URL', () => {
+      expect(bytesToDataUrl(png)).toBe(PNG_DATA_URL);
+    });
+
+    it('should reject data URLs that are not base64', () => {
+      expect(() => dataUrlToBytes('data:image/svg+xml,<svg/>')).toThrow('Invalid data URL');
+    });
+  });
+
+  describe('readPngChunks', () => {
+    it('should split a PNG into chunks', () => {
+      expect(readPngChunks(png).map(chunk => chunk.type)).toEqual(['IHDR', 'IDAT', 'IEND']);
+    });
+
+    it('should reject data without the PNG signature', () => {
+      expect(() => readPngChunks(new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8, 9]))).toThrow('signature');
+    });
+
+    it('should reject a truncated PNG', () => {
+      expect(() => readPngChunks(png.subarray(0, 40))).toThrow('truncated');
+    });
+  });
+
+  describe('writePngMetadata', () => {
+    it('should insert pHYs and text chunks after IHDR', () => {
+      const output = writePngMetadata(png, { dpi: 300, text: { Provider: 'rembg' } });
+
+      const chunks = readPngChunks(output);
+      expect(chunks.map(chunk => chunk.type)).toEqual(['IHDR', 'pHYs', 'tEXt', 'IDAT', 'IEND']);
+      expect(decodeLatin1(chunks[2].data)).toBe('Provider\0rembg');
+      expectValidCrcs(output);
+    });
+
+    it('should store the resolution in pixels per meter', () => {
+      const output = writePngMetadata(png, { dpi: 254 });
+
+      const phys = readPngChunks(output).find(chunk => chunk.type === 'pHYs');
+      expect(Array.from(phys.data)).toEqual([0, 0, 0x27, 0x10, 0, 0, 0x27, 0x10, 1]);
+    });
+
+    it('should write text outside Latin-1 as UTF-8 iTXt', () => {
+      const output = writePngMetadata(png, { text: { 'Source File': '印花.jpg' } });
+
+      const itxt = readPngChunks(output).find(chunk => chunk.type === 'iTXt');
+      expect(decodeLatin1(itxt.data.subarray(0, 16))).toBe('Source File\0\0\0\0\0');
+      expect(Buffer.from(itxt.data.subarray(16)).toString('utf8')).toBe('印花.jpg');
+      expectValidCrcs(output);
+    });
+
+    it('should replace an existing pHYs chunk and text with the same keyword', () => {
+      const first = writePngMetadata(png, { dpi: 72, text: { Provider: 'rembg', Comment: 'kept' } });
+
+      const output = writePngMetadata(first, { dpi: 300, text: { Provider: 'remove.bg' } });
+
+      const chunks = readPngChunks(output);
+      expect(chunks.filter(chunk => chunk.type === 'pHYs')).toHaveLength(1);
+      const texts = chunks.filter(chunk => chunk.type === 'tEXt').map(chunk => decodeLatin1(chunk.data));
+      expect(texts).toEqual(['Provider\0remove.bg', 'Comment\0kept']);
+    });
+
+    it('should skip empty values', () => {
+      const output = writePngMetadata(png, { text: { Provider: null, 'Source File': '' } });
+
+      expect(readPngChunks(output).map(chunk => chunk.type)).toEqual(['IHDR', 'IDAT', 'IEND']);
+    });
+
+    it('should reject invalid keywords and resolutions', () => {
+      expect(() => writePngMetadata(png, { text: { ' Padded': 'x' } })).toThrow('Invalid PNG text keyword');
+      expect(() => writePngMetadata(png, { text: { ['k'.repeat(80)]: 'x' } })).toThrow('Invalid PNG text keyword');
+      expect(() => writePngMetadata(png, { dpi: 0 })).toThrow('Invalid DPI');
+    });
+  });
+});
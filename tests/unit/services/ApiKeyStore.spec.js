@@ -0,0 +1,121 @@
+/**
+ * Unit tests for ApiKeyStore
+ *
+ * Tests saving, loading and clearing a user-supplied API key, both in
+ * plain text and encrypted with a passphrase (PBKDF2 + AES-GCM).
+ */
+
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
+import { ApiKeyStore } from '@/services/ApiKeyStore';
+import { API_KEY_STORAGE_KEY, ERROR_CODES } from '@/constants';
+
+/**
+ * Minimal in-memory Storage implementation
+ */
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+describe('ApiKeyStore', () => {
+  const originalTextEncoder = global.TextEncoder;
+  const originalTextDecoder = global.TextDecoder;
+  let storage;
+  let store;
+
+  beforeAll(() => {
+    global.TextEncoder = TextEncoder;
+    global.TextDecoder = TextDecoder;
+  });
+
+  afterAll(() => {
+    global.TextEncoder = originalTextEncoder;
+    global.TextDecoder = originalTextDecoder;
+  });
+
+  beforeEach(() => {
+    storage = createStorage();
+    store = new ApiKeyStore({ storage, crypto: webcrypto });
+  });
+
+  describe('without a passphrase', () => {
+    it('should save and load the key', async () => {
+      await store.saveKey('my-key');
+
+      expect(store.hasStoredKey()).toBe(true);
+      expect(store.isEncrypted()).toBe(false);
+      await expect(store.loadKey()).resolves.toBe('my-key');
+    });
+
+    it('should return null when no key is saved', async () => {
+      expect(store.hasStoredKey()).toBe(false);
+      await expect(store.loadKey()).resolves.toBeNull();
+    });
+
+    it('should reject an empty key', async () => {
+      await expect(store.saveKey('')).rejects.toThrow('Invalid apiKey');
+    });
+  });
+
+  describe('with a passphrase', () => {
+    it('should not store the key in plain text', async () => {
+      await store.saveKey('secret-key', 'correct horse');
+
+      const stored = storage.getItem(API_KEY_STORAGE_KEY);
+      expect(stored).not.toContain('secret-key');
+      expect(store.isEncrypted()).toBe(true);
+    });
+
+    it('should decrypt the key with the right passphrase', async () => {
+      await store.saveKey('secret-key', 'correct horse');
+
+      await expect(store.loadKey('correct horse')).resolves.toBe('secret-key');
+    });
+
+    it('should reject a wrong passphrase', async () => {
+      await store.saveKey('secret-key', 'correct horse');
+
+      await expect(store.loadKey('wrong')).rejects.toMatchObject({
+        code: ERROR_CODES.API_KEY_PASSPHRASE_INVALID
+      });
+    });
+
+    it('should report the key as locked without a passphrase', async () => {
+      await store.saveKey('secret-key', 'correct horse');
+
+      await expect(store.loadKey()).rejects.toMatchObject({
+        code: ERROR_CODES.API_KEY_LOCKED
+      });
+    });
+
+    it('should refuse to encrypt when Web Crypto is unavailable', async () => {
+      store = new ApiKeyStore({ storage, crypto: {} });
+
+      expect(store.isEncryptionSupported()).toBe(false);
+      await expect(store.saveKey('secret-key', 'pass')).rejects.toThrow('Encryption is not supported');
+      expect(store.hasStoredKey()).toBe(false);
+    });
+  });
+
+  describe('clearKey', () => {
+    it('should remove the saved key', async () => {
+      await store.saveKey('my-key');
+
+      store.clearKey();
+
+      expect(store.hasStoredKey()).toBe(false);
+    });
+  });
+
+  it('should ignore unreadable records', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    storage.setItem(API_KEY_STORAGE_KEY, '{not json');
+
+    expect(store.hasStoredKey()).toBe(false);
+  });
+});
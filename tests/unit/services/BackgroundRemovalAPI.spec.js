@@ -6,6 +6,10 @@
  * - Error handling for different HTTP status codes
  * - Retry logic with exponential backoff
  * - API status checking
+ * - Self-hosted rembg server integration
+ * - Local in-browser background removal
+ * - Provider fallback chain with circuit breaker
+ * - Usage tracking and credit budget enforcement
  * 
  * Requirements: 2.2, 5.2, 5.3
  */
@@ -13,14 +17,23 @@
 import axios from 'axios';
 import {
   BackgroundRemovalAPI,
+  HttpBackgroundRemovalService,
   RemoveBgService,
+  RembgService,
+  LocalBackgroundRemovalService,
+  FallbackBackgroundRemovalService,
+  UsageTrackingBackgroundRemovalService,
   createBackgroundRemovalService
 } from '@/services/BackgroundRemovalAPI';
+import CanvasUtility from '@/services/CanvasUtility';
 import {
   ERROR_TYPES,
   ERROR_CODES,
   HTTP_STATUS,
-  API_RETRY_CONFIG
+  API_RETRY_CONFIG,
+  RATE_LIMIT_CONFIG,
+  CIRCUIT_BREAKER_CONFIG,
+  USAGE_OUTCOMES
 } from '@/constants';
 
 // Mock axios
@@ -35,6 +48,19 @@ describe('BackgroundRemovalAPI', () => {
       );
     });
 
+    it('should report the provider name from removeBackgroundDetailed', async () => {
+      const api = new BackgroundRemovalAPI();
+      const blob = new Blob(['result'], { type: 'image/png' });
+      api.name = 'custom';
+      api.removeBackground = jest.fn().mockResolvedValue(blob);
+
+      await expect(api.removeBackgroundDetailed(new Blob())).resolves.toEqual({
+        blob,
+        provider: 'custom',
+        metadata: null
+      });
+    });
+
     it('should throw error when checkApiStatus is not implemented', async () => {
       const api = new BackgroundRemovalAPI();
       await expect(api.checkApiStatus()).rejects.toThrow(
@@ -94,6 +120,30 @@ describe('BackgroundRemovalAPI', () => {
         expect(customService.initialDelay).toBe(2000);
         expect(customService.backoffMultiplier).toBe(3);
       });
+
+      it('should not require an API key in proxy mode', () => {
+        const proxyService = new RemoveBgService(undefined, { useProxy: true });
+
+        expect(proxyService.apiKey).toBeNull();
+        expect(proxyService.endpoint).toBe('/api/remove-bg/v1.0/removebg');
+        expect(proxyService.accountEndpoint).toBe('/api/remove-bg/v1.0/account');
+        expect(axios.create).toHaveBeenLastCalledWith(
+          expect.objectContaining({ headers: {} })
+        );
+      });
+
+      it('should never send a client-side key in proxy mode', () => {
+        const proxyService = new RemoveBgService('bundled-key', {
+          useProxy: true,
+          endpoint: '/proxy/v1.0/removebg'
+        });
+
+        expect(proxyService.apiKey).toBeNull();
+        expect(proxyService.endpoint).toBe('/proxy/v1.0/removebg');
+        expect(axios.create).toHaveBeenLastCalledWith(
+          expect.objectContaining({ headers: {} })
+        );
+      });
     });
 
     describe('removeBackground', () => {
@@ -143,6 +193,58 @@ describe('BackgroundRemovalAPI', () => {
         expect(formData).toBeInstanceOf(FormData);
       });
 
+      it('should return parsed response metadata from removeBackgroundDetailed', async () => {
+        const mockBlob = new Blob(['test-image'], { type: 'image/jpeg' });
+        const mockResultBlob = new Blob(['processed-image'], { type: 'image/png' });
+
+        mockAxiosInstance.post.mockResolvedValue({
+          data: mockResultBlob,
+          headers: {
+            'x-width': '1200',
+            'x-height': '800',
+            'x-type': 'product',
+            'x-foreground-top': '100',
+            'x-foreground-left': '150',
+            'x-foreground-width': '600',
+            'x-foreground-height': '500',
+            'x-credits-charged': '1'
+          }
+        });
+
+        const result = await service.removeBackgroundDetailed(mockBlob);
+
+        expect(result).toEqual({
+          blob: mockResultBlob,
+          provider: 'removebg',
+          metadata: {
+            width: 1200,
+            height: 800,
+            type: 'product',
+            foreground: { top: 100, left: 150, width: 600, height: 500 },
+            creditsCharged: 1
+          }
+        });
+      });
+
+      it('should report missing metadata headers as null', async () => {
+        const mockBlob = new Blob(['test-image'], { type: 'image/jpeg' });
+
+        mockAxiosInstance.post.mockResolvedValue({
+          data: new Blob(['processed-image'], { type: 'image/png' }),
+          headers: { 'x-type': 'person', 'x-foreground-top': '5' }
+        });
+
+        const { metadata } = await service.removeBackgroundDetailed(mockBlob);
+
+        expect(metadata).toEqual({
+          width: null,
+          height: null,
+          type: 'person',
+          foreground: null,
+          creditsCharged: null
+        });
+      });
+
       it('should throw error for invalid image blob', async () => {
         await expect(service.removeBackground(null)).rejects.toMatchObject({
           type: ERROR_TYPES.PROCESSING_ERROR,
@@ -155,6 +257,21 @@ describe('BackgroundRemovalAPI', () => {
         });
       });
 
+      it('should forward progress callbacks to axios', async () => {
+        const onUploadProgress = jest.fn();
+        const onDownloadProgress = jest.fn();
+        mockAxiosInstance.post.mockResolvedValue({
+          data: new Blob(['processed-image'], { type: 'image/png' })
+        });
+
+        await service.removeBackground(new Blob(['test-image'], { type: 'image/jpeg' }), { onUploadProgress, onDownloadProgress });
+
+        expect(mockAxiosInstance.post.mock.calls[0][2]).toMatchObject({
+          onUploadProgress,
+          onDownloadProgress
+        });
+      });
+
       it('should throw error for invalid API response', async () => {
         const mockBlob = new Blob(['test-image'], { type: 'image/jpeg' });
 
@@ -169,6 +286,116 @@ describe('BackgroundRemovalAPI', () => {
       });
     });
 
+    describe('zip format', () => {
+      // Minimal stored (uncompressed) ZIP archive
+      const buildZip = (entries) => {
+        const parts = [];
+        const central = [];
+        let offset = 0;
+        Object.entries(entries).forEach(([name, content]) => {
+          const nameBytes = Buffer.from(name);
+          const data = Buffer.from(content);
+          const local = Buffer.alloc(30);
+          local.writeUInt32LE(0x04034b50, 0);
+          local.writeUInt32LE(data.length, 18);
+          local.writeUInt16LE(nameBytes.length, 26);
+          parts.push(local, nameBytes, data);
+          const header = Buffer.alloc(46);
+          header.writeUInt32LE(0x02014b50, 0);
+          header.writeUInt32LE(data.length, 20);
+          header.writeUInt16LE(nameBytes.length, 28);
+          header.writeUInt32LE(offset, 42);
+          central.push(header, nameBytes);
+          offset += local.length + nameBytes.length + data.length;
+        });
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(Object.keys(entries).length, 10);
+        end.writeUInt32LE(offset, 16);
+        return new Blob([Buffer.concat([...parts, ...central, end])], { type: 'application/zip' });
+      };
+
+      beforeEach(() => {
+        jest.spyOn(CanvasUtility, 'loadImage').mockImplementation(() => {
+          const img = new Image();
+          img.width = 10;
+          img.height = 10;
+          return Promise.resolve(img);
+        });
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      it('should composite color and alpha images into a PNG', async () => {
+        mockAxiosInstance.post.mockResolvedValue({
+          data: buildZip({ 'color.jpg': 'jpeg', 'alpha.png': 'mask' }),
+          headers: { 'x-type': 'product' }
+        });
+        const maskSpy = jest.spyOn(service, '_applyAlphaMask');
+
+        const result = await service.removeBackgroundDetailed(
+          new Blob(['test-image'], { type: 'image/jpeg' }),
+          { format: 'zip' }
+        );
+
+        expect(result.blob).toBeInstanceOf(Blob);
+        expect(result.blob.type).toBe('image/png');
+        expect(result.metadata.type).toBe('product');
+        expect(CanvasUtility.loadImage).toHaveBeenCalledTimes(2);
+        expect(maskSpy).toHaveBeenCalled();
+        expect(mockAxiosInstance.post.mock.calls[0][1].get('format')).toBe('zip');
+      });
+
+      it('should not unpack results for other formats', async () => {
+        const mockResultBlob = new Blob(['processed-image'], { type: 'image/png' });
+        mockAxiosInstance.post.mockResolvedValue({ data: mockResultBlob });
+        const compositeSpy = jest.spyOn(service, '_compositeZipResult');
+
+        const result = await service.removeBackground(new Blob(['test-image']), { format: 'png' });
+
+        expect(result).toBe(mockResultBlob);
+        expect(compositeSpy).not.toHaveBeenCalled();
+      });
+
+      it('should reject archives without an alpha mask', async () => {
+        mockAxiosInstance.post.mockResolvedValue({
+          data: buildZip({ 'color.jpg': 'jpeg' })
+        });
+
+        await expect(
+          service.removeBackground(new Blob(['test-image']), { format: 'zip' })
+        ).rejects.toMatchObject({
+          type: ERROR_TYPES.PROCESSING_ERROR,
+          code: ERROR_CODES.API_BAD_REQUEST
+        });
+      });
+
+      it('should reject responses that are not ZIP archives', async () => {
+        mockAxiosInstance.post.mockResolvedValue({
+          data: new Blob(['not a zip'], { type: 'image/png' })
+        });
+
+        await expect(
+          service.removeBackground(new Blob(['test-image']), { format: 'zip' })
+        ).rejects.toMatchObject({
+          type: ERROR_TYPES.PROCESSING_ERROR,
+          code: ERROR_CODES.API_BAD_REQUEST,
+          details: expect.stringContaining('Invalid ZIP response')
+        });
+      });
+
+      it('should use the mask red channel as alpha', () => {
+        const pixels = new Uint8ClampedArray([10, 20, 30, 255, 40, 50, 60, 255]);
+        const mask = new Uint8ClampedArray([0, 0, 0, 255, 128, 128, 128, 255]);
+
+        service._applyAlphaMask(pixels, mask);
+
+        expect(Array.from(pixels)).toEqual([10, 20, 30, 0, 40, 50, 60, 128]);
+      });
+    });
+
     describe('Error Handling', () => {
       const mockBlob = new Blob(['test-image'], { type: 'image/jpeg' });
 
@@ -208,9 +435,27 @@ describe('BackgroundRemovalAPI', () => {
         });
       });
 
-      it('should handle 429 Too Many Requests error', async () => {
+      it('should handle 429 Too Many Requests as a retryable rate limit', async () => {
+        mockAxiosInstance.post.mockRejectedValue({
+          response: {
+            status: HTTP_STATUS.TOO_MANY_REQUESTS,
+            headers: { 'retry-after': '0' }
+          }
+        });
+
+        await expect(service.removeBackground(mockBlob)).rejects.toMatchObject({
+          type: ERROR_TYPES.API_ERROR,
+          code: ERROR_CODES.API_RATE_LIMITED,
+          retryable: true,
+          retryAfter: 0
+        });
+
+        expect(mockAxiosInstance.post).toHaveBeenCalledTimes(API_RETRY_CONFIG.MAX_ATTEMPTS);
+      });
+
+      it('should handle 402 Payment Required as quota exceeded', async () => {
         mockAxiosInstance.post.mockRejectedValue({
-          response: { status: HTTP_STATUS.TOO_MANY_REQUESTS }
+          response: { status: HTTP_STATUS.PAYMENT_REQUIRED }
         });
 
         await expect(service.removeBackground(mockBlob)).rejects.toMatchObject({
@@ -218,6 +463,8 @@ describe('BackgroundRemovalAPI', () => {
           code: ERROR_CODES.API_QUOTA_EXCEEDED,
           retryable: false
         });
+
+        expect(mockAxiosInstance.post).toHaveBeenCalledTimes(1);
       });
 
       it('should handle 500 Internal Server Error with retry', async () => {
@@ -365,15 +612,191 @@ describe('BackgroundRemovalAPI', () => {
       });
     });
 
-    describe('checkApiStatus', () => {
-      it('should return true when API is available', async () => {
-        mockAxiosInstance.get.mockResolvedValue({
-          status: HTTP_STATUS.OK
+    describe('Rate Limiting', () => {
+      const mockBlob = new Blob(['test-image'], { type: 'image/jpeg' });
+      const rateLimited = (headers) => ({
+        response: { status: HTTP_STATUS.TOO_MANY_REQUESTS, headers }
+      });
+
+      beforeEach(() => {
+        jest.spyOn(service, '_sleep').mockResolvedValue();
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      it('should wait for the Retry-After delay before retrying', async () => {
+        const onRetry = jest.fn();
+        mockAxiosInstance.post
+          .mockRejectedValueOnce(rateLimited({ 'retry-after': '3' }))
+          .mockResolvedValueOnce({ data: new Blob(['success'], { type: 'image/png' }) });
+
+        const result = await service.removeBackground(mockBlob, { onRetry });
+
+        expect(result).toBeInstanceOf(Blob);
+        expect(service._sleep).toHaveBeenCalledWith(3000, undefined);
+        expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({
+          attempt: 1,
+          delay: 3000,
+          error: expect.objectContaining({ code: ERROR_CODES.API_RATE_LIMITED })
+        }));
+      });
+
+      it('should accept an HTTP date in Retry-After', () => {
+        jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2024-01-01T00:00:00Z'));
+
+        const { retryAfter } = service._parseRateLimit({
+          'retry-after': 'Mon, 01 Jan 2024 00:00:10 GMT'
+        });
+
+        expect(retryAfter).toBe(10000);
+      });
+
+      it('should fall back to X-RateLimit-Reset and expose the limit headers', () => {
+        jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+
+        const rateLimit = service._parseRateLimit({
+          'x-ratelimit-limit': '500',
+          'x-ratelimit-remaining': '0',
+          'x-ratelimit-reset': '1700000007'
+        });
+
+        expect(rateLimit).toEqual({
+          retryAfter: 7000,
+          limit: 500,
+          remaining: 0,
+          reset: 1700000007
         });
+      });
+
+      it('should use the default delay when no header is sent', async () => {
+        mockAxiosInstance.post
+          .mockRejectedValueOnce(rateLimited({}))
+          .mockResolvedValueOnce({ data: new Blob(['success'], { type: 'image/png' }) });
+
+        await service.removeBackground(mockBlob);
+
+        expect(service._sleep).toHaveBeenCalledWith(RATE_LIMIT_CONFIG.DEFAULT_DELAY, undefined);
+      });
+
+      it('should give up when the server asks to wait too long', async () => {
+        mockAxiosInstance.post.mockRejectedValue(
+          rateLimited({ 'retry-after': String(RATE_LIMIT_CONFIG.MAX_DELAY / 1000 + 1) })
+        );
+
+        await expect(service.removeBackground(mockBlob)).rejects.toMatchObject({
+          code: ERROR_CODES.API_RATE_LIMITED
+        });
+
+        expect(mockAxiosInstance.post).toHaveBeenCalledTimes(1);
+        expect(service._sleep).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('Cancellation', () => {
+      const mockBlob = new Blob(['test-image'], { type: 'image/jpeg' });
+
+      it('should pass the abort signal to axios', async () => {
+        const controller = new AbortController();
+        mockAxiosInstance.post.mockResolvedValue({
+          data: new Blob(['processed-image'], { type: 'image/png' })
+        });
+
+        await service.removeBackground(mockBlob, { signal: controller.signal });
+
+        expect(mockAxiosInstance.post).toHaveBeenCalledWith(
+          expect.any(String),
+          expect.any(FormData),
+          expect.objectContaining({ signal: controller.signal })
+        );
+      });
+
+      it('should not send a request when already aborted', async () => {
+        const controller = new AbortController();
+        controller.abort();
+
+        await expect(
+          service.removeBackground(mockBlob, { signal: controller.signal })
+        ).rejects.toMatchObject({
+          type: ERROR_TYPES.CANCELLED,
+          code: ERROR_CODES.PROCESSING_CANCELLED
+        });
+        expect(mockAxiosInstance.post).not.toHaveBeenCalled();
+      });
+
+      it('should map an aborted axios request to a cancellation without retrying', async () => {
+        mockAxiosInstance.post.mockRejectedValue({
+          name: 'CanceledError',
+          code: 'ERR_CANCELED',
+          message: 'canceled'
+        });
+
+        await expect(service.removeBackground(mockBlob)).rejects.toMatchObject({
+          type: ERROR_TYPES.CANCELLED,
+          code: ERROR_CODES.PROCESSING_CANCELLED,
+          retryable: false
+        });
+        expect(mockAxiosInstance.post).toHaveBeenCalledTimes(1);
+      });
+
+      it('should stop waiting between retries when aborted', async () => {
+        const controller = new AbortController();
+        const slowService = new RemoveBgService('test-key', { initialDelay: 60000 });
+        slowService.client = mockAxiosInstance;
+
+        mockAxiosInstance.post.mockImplementation(() => {
+          setTimeout(() => controller.abort(), 0);
+          return Promise.reject({
+            response: { status: HTTP_STATUS.SERVICE_UNAVAILABLE }
+          });
+        });
+
+        await expect(
+          slowService.removeBackground(mockBlob, { signal: controller.signal })
+        ).rejects.toMatchObject({
+          type: ERROR_TYPES.CANCELLED
+        });
+        expect(mockAxiosInstance.post).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    describe('checkApiStatus', () => {
+      const accountResponse = {
+        status: HTTP_STATUS.OK,
+        data: {
+          data: {
+            attributes: {
+              credits: {
+                total: 200,
+                subscription: 150,
+                payg: 50,
+                enterprise: 0
+              },
+              api: {
+                free_calls: 42,
+                sizes: 'all'
+              }
+            }
+          }
+        }
+      };
+
+      it('should return parsed account info when API is available', async () => {
+        mockAxiosInstance.get.mockResolvedValue(accountResponse);
 
         const result = await service.checkApiStatus();
 
-        expect(result).toBe(true);
+        expect(result).toEqual({
+          credits: {
+            total: 200,
+            subscription: 150,
+            payg: 50,
+            enterprise: 0
+          },
+          freeCalls: 42,
+          sizes: 'all'
+        });
         expect(mockAxiosInstance.get).toHaveBeenCalledWith(
           'https://api.remove.bg/v1.0/account',
           expect.objectContaining({
@@ -382,26 +805,685 @@ describe('BackgroundRemovalAPI', () => {
         );
       });
 
-      it('should return false when API is unavailable', async () => {
-        mockAxiosInstance.get.mockRejectedValue(new Error('Network error'));
+      it('should derive the account endpoint from a proxied endpoint', async () => {
+        const proxied = new RemoveBgService('test-key', {
+          endpoint: '/api/remove-bg/v1.0/removebg'
+        });
+        mockAxiosInstance.get.mockResolvedValue(accountResponse);
+
+        await proxied.checkApiStatus();
+
+        expect(mockAxiosInstance.get).toHaveBeenCalledWith(
+          '/api/remove-bg/v1.0/account',
+          expect.any(Object)
+        );
+      });
+
+      it('should tolerate missing account fields', async () => {
+        mockAxiosInstance.get.mockResolvedValue({ status: HTTP_STATUS.OK, data: {} });
 
         const result = await service.checkApiStatus();
 
-        expect(result).toBe(false);
+        expect(result.credits.total).toBe(0);
+        expect(result.freeCalls).toBeNull();
+      });
+
+      it('should throw when API is unreachable', async () => {
+        mockAxiosInstance.get.mockRejectedValue({ request: {} });
+
+        await expect(service.checkApiStatus()).rejects.toMatchObject({
+          type: ERROR_TYPES.NETWORK_ERROR,
+          code: ERROR_CODES.NETWORK_TIMEOUT
+        });
       });
 
-      it('should return false when API key is invalid', async () => {
+      it('should return null when API key is invalid', async () => {
         mockAxiosInstance.get.mockRejectedValue({
           response: { status: HTTP_STATUS.UNAUTHORIZED }
         });
 
         const result = await service.checkApiStatus();
 
-        expect(result).toBe(false);
+        expect(result).toBeNull();
+      });
+    });
+  });
+
+  describe('RembgService', () => {
+    let service;
+    let mockAxiosInstance;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+
+      mockAxiosInstance = {
+        post: jest.fn(),
+        get: jest.fn()
+      };
+
+      axios.create.mockReturnValue(mockAxiosInstance);
+
+      service = new RembgService({
+        baseUrl: 'http://segmentation.lan:7000/',
+        model: 'isnet-general-use',
+        timeout: 45000,
+        initialDelay: 10
+      });
+    });
+
+    describe('Constructor', () => {
+      it('should share retry handling with RemoveBgService', () => {
+        expect(service).toBeInstanceOf(HttpBackgroundRemovalService);
+        expect(new RemoveBgService('test-key')).toBeInstanceOf(HttpBackgroundRemovalService);
+      });
+
+      it('should build the endpoint from the base URL', () => {
+        expect(service.baseUrl).toBe('http://segmentation.lan:7000');
+        expect(service.endpoint).toBe('http://segmentation.lan:7000/api/remove');
+      });
+
+      it('should apply configured model and timeout', () => {
+        expect(service.model).toBe('isnet-general-use');
+        expect(service.timeout).toBe(45000);
+        expect(axios.create).toHaveBeenCalledWith(
+          expect.objectContaining({ timeout: 45000 })
+        );
+      });
+
+      it('should not require an API key', () => {
+        expect(() => new RembgService()).not.toThrow();
+      });
+    });
+
+    describe('removeBackground', () => {
+      const mockBlob = new Blob(['test-image'], { type: 'image/jpeg' });
+
+      it('should post the image and model to the rembg endpoint', async () => {
+        const mockResultBlob = new Blob(['processed-image'], { type: 'image/png' });
+        mockAxiosInstance.post.mockResolvedValue({ data: mockResultBlob });
+
+        const result = await service.removeBackground(mockBlob);
+
+        expect(result).toBe(mockResultBlob);
+        const [url, formData, config] = mockAxiosInstance.post.mock.calls[0];
+        expect(url).toBe('http://segmentation.lan:7000/api/remove');
+        expect(formData.get('file')).toBeInstanceOf(Blob);
+        expect(formData.get('model')).toBe('isnet-general-use');
+        expect(config).toMatchObject({ responseType: 'blob' });
+      });
+
+      it('should pass per-call model and mask options', async () => {
+        mockAxiosInstance.post.mockResolvedValue({
+          data: new Blob(['processed-image'], { type: 'image/png' })
+        });
+
+        await service.removeBackground(mockBlob, {
+          model: 'u2netp',
+          alphaMatting: true,
+          postProcessMask: true
+        });
+
+        const formData = mockAxiosInstance.post.mock.calls[0][1];
+        expect(formData.get('model')).toBe('u2netp');
+        expect(formData.get('a')).toBe('true');
+        expect(formData.get('ppm')).toBe('true');
+      });
+
+      it('should throw error for invalid image blob', async () => {
+        await expect(service.removeBackground(null)).rejects.toMatchObject({
+          type: ERROR_TYPES.PROCESSING_ERROR,
+          code: ERROR_CODES.API_BAD_REQUEST
+        });
+      });
+
+      it('should map server errors and retry like RemoveBgService', async () => {
+        mockAxiosInstance.post.mockRejectedValue({
+          response: { status: HTTP_STATUS.SERVICE_UNAVAILABLE }
+        });
+
+        await expect(service.removeBackground(mockBlob)).rejects.toMatchObject({
+          type: ERROR_TYPES.API_ERROR,
+          code: ERROR_CODES.API_SERVICE_UNAVAILABLE,
+          retryable: true
+        });
+        expect(mockAxiosInstance.post).toHaveBeenCalledTimes(API_RETRY_CONFIG.MAX_ATTEMPTS);
+      });
+
+      it('should map timeouts to network errors', async () => {
+        mockAxiosInstance.post.mockRejectedValue({ request: {}, message: 'timeout' });
+
+        await expect(service.removeBackground(mockBlob)).rejects.toMatchObject({
+          type: ERROR_TYPES.NETWORK_ERROR,
+          code: ERROR_CODES.NETWORK_TIMEOUT
+        });
+      });
+    });
+
+    describe('checkApiStatus', () => {
+      it('should return true when the server responds', async () => {
+        mockAxiosInstance.get.mockResolvedValue({ status: HTTP_STATUS.OK });
+
+        await expect(service.checkApiStatus()).resolves.toBe(true);
+        expect(mockAxiosInstance.get).toHaveBeenCalledWith(
+          'http://segmentation.lan:7000/api',
+          expect.objectContaining({ timeout: 5000 })
+        );
+      });
+
+      it('should return false when the server is unreachable', async () => {
+        mockAxiosInstance.get.mockRejectedValue(new Error('Network error'));
+
+        await expect(service.checkApiStatus()).resolves.toBe(false);
+      });
+    });
+  });
+
+  describe('LocalBackgroundRemovalService', () => {
+    let service;
+
+    /**
+     * Build RGBA pixels for a white backdrop with a solid square in the middle
+     */
+    const createFlatLayPixels = (size, inset, color) => {
+      const pixels = new Uint8ClampedArray(size * size * 4);
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+          const index = (y * size + x) * 4;
+          const inside = x >= inset && x < size - inset && y >= inset && y < size - inset;
+          const [r, g, b] = inside ? color : [255, 255, 255];
+          pixels[index] = r;
+          pixels[index + 1] = g;
+          pixels[index + 2] = b;
+          pixels[index + 3] = 255;
+        }
+      }
+      return pixels;
+    };
+
+    const alphaAt = (pixels, size, x, y) => pixels[(y * size + x) * 4 + 3];
+
+    beforeEach(() => {
+      service = new LocalBackgroundRemovalService({ smoothingRadius: 0 });
+    });
+
+    describe('Constructor', () => {
+      it('should use default configuration', () => {
+        const defaultService = new LocalBackgroundRemovalService();
+
+        expect(defaultService.tolerance).toBeGreaterThan(0);
+        expect(defaultService.edgeSoftness).toBeGreaterThanOrEqual(0);
+        expect(defaultService.smoothingRadius).toBeGreaterThanOrEqual(0);
+      });
+
+      it('should accept custom configuration', () => {
+        const customService = new LocalBackgroundRemovalService({
+          tolerance: 10,
+          edgeSoftness: 0,
+          smoothingRadius: 3
+        });
+
+        expect(customService.tolerance).toBe(10);
+        expect(customService.edgeSoftness).toBe(0);
+        expect(customService.smoothingRadius).toBe(3);
+      });
+    });
+
+    describe('removeBackgroundFromPixels', () => {
+      it('should make the border-connected backdrop transparent', () => {
+        const pixels = createFlatLayPixels(10, 3, [200, 0, 0]);
+
+        const background = service.removeBackgroundFromPixels(pixels, 10, 10);
+
+        expect(background).toEqual({ r: 255, g: 255, b: 255 });
+        expect(alphaAt(pixels, 10, 0, 0)).toBe(0);
+        expect(alphaAt(pixels, 10, 9, 9)).toBe(0);
+        expect(alphaAt(pixels, 10, 2, 5)).toBe(0);
+        expect(alphaAt(pixels, 10, 5, 5)).toBe(255);
+        expect(alphaAt(pixels, 10, 3, 3)).toBe(255);
+      });
+
+      it('should keep backdrop-colored areas enclosed by the subject', () => {
+        const pixels = createFlatLayPixels(10, 2, [0, 0, 0]);
+        // White print in the middle of the dark shirt
+        const index = (5 * 10 + 5) * 4;
+        pixels[index] = 255;
+        pixels[index + 1] = 255;
+        pixels[index + 2] = 255;
+
+        service.removeBackgroundFromPixels(pixels, 10, 10);
+
+        expect(alphaAt(pixels, 10, 5, 5)).toBe(255);
+        expect(alphaAt(pixels, 10, 0, 5)).toBe(0);
+      });
+
+      it('should fade edge pixels that are close to the backdrop color', () => {
+        const pixels = createFlatLayPixels(10, 3, [200, 200, 200]);
+
+        service.removeBackgroundFromPixels(pixels, 10, 10, {
+          tolerance: 20,
+          edgeSoftness: 200
+        });
+
+        const edgeAlpha = alphaAt(pixels, 10, 3, 5);
+        expect(edgeAlpha).toBeGreaterThan(0);
+        expect(edgeAlpha).toBeLessThan(255);
+        expect(alphaAt(pixels, 10, 5, 5)).toBe(255);
+      });
+
+      it('should smooth the alpha mask when a radius is set', () => {
+        const pixels = createFlatLayPixels(10, 3, [200, 0, 0]);
+
+        service.removeBackgroundFromPixels(pixels, 10, 10, { smoothingRadius: 1 });
+
+        const cornerAlpha = alphaAt(pixels, 10, 3, 3);
+        expect(cornerAlpha).toBeGreaterThan(0);
+        expect(cornerAlpha).toBeLessThan(255);
+        expect(alphaAt(pixels, 10, 0, 0)).toBe(0);
+      });
+
+      it('should never raise alpha of already transparent pixels', () => {
+        const pixels = createFlatLayPixels(10, 3, [200, 0, 0]);
+        pixels[(5 * 10 + 5) * 4 + 3] = 0;
+
+        service.removeBackgroundFromPixels(pixels, 10, 10);
+
+        expect(alphaAt(pixels, 10, 5, 5)).toBe(0);
+      });
+    });
+
+    describe('removeBackground', () => {
+      beforeEach(() => {
+        jest.spyOn(CanvasUtility, 'loadImage').mockImplementation(() => {
+          const img = new Image();
+          img.width = 10;
+          img.height = 10;
+          return Promise.resolve(img);
+        });
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      it('should return a PNG blob', async () => {
+        const mockBlob = new Blob(['test-image'], { type: 'image/jpeg' });
+        const removeSpy = jest.spyOn(service, 'removeBackgroundFromPixels');
+
+        const result = await service.removeBackground(mockBlob);
+
+        expect(result).toBeInstanceOf(Blob);
+        expect(result.type).toBe('image/png');
+        expect(removeSpy).toHaveBeenCalledWith(
+          expect.any(Uint8ClampedArray),
+          expect.any(Number),
+          expect.any(Number),
+          expect.objectContaining({ tolerance: service.tolerance })
+        );
+      });
+
+      it('should pass per-call options to the keying step', async () => {
+        const mockBlob = new Blob(['test-image'], { type: 'image/jpeg' });
+        const removeSpy = jest.spyOn(service, 'removeBackgroundFromPixels');
+
+        await service.removeBackground(mockBlob, { tolerance: 5, size: 'auto' });
+
+        expect(removeSpy.mock.calls[0][3]).toMatchObject({ tolerance: 5 });
+      });
+
+      it('should throw error for invalid image blob', async () => {
+        await expect(service.removeBackground(null)).rejects.toMatchObject({
+          type: ERROR_TYPES.PROCESSING_ERROR,
+          code: ERROR_CODES.API_BAD_REQUEST
+        });
+      });
+
+      it('should stop when the signal is aborted', async () => {
+        const controller = new AbortController();
+        controller.abort();
+
+        await expect(
+          service.removeBackground(new Blob(['test-image'], { type: 'image/jpeg' }), {
+            signal: controller.signal
+          })
+        ).rejects.toMatchObject({
+          type: ERROR_TYPES.CANCELLED,
+          code: ERROR_CODES.PROCESSING_CANCELLED
+        });
+        expect(CanvasUtility.loadImage).not.toHaveBeenCalled();
+      });
+
+      it('should wrap image load failures as canvas errors', async () => {
+        CanvasUtility.loadImage.mockRejectedValue(new Error('decode failed'));
+
+        await expect(
+          service.removeBackground(new Blob(['broken'], { type: 'image/png' }))
+        ).rejects.toMatchObject({
+          type: ERROR_TYPES.PROCESSING_ERROR,
+          code: ERROR_CODES.CANVAS_ERROR
+        });
+      });
+    });
+
+    describe('checkApiStatus', () => {
+      it('should report available in a browser environment', async () => {
+        await expect(service.checkApiStatus()).resolves.toBe(true);
       });
     });
   });
 
+  describe('FallbackBackgroundRemovalService', () => {
+    const mockBlob = new Blob(['test-image'], { type: 'image/jpeg' });
+
+    const createProvider = (name) => ({
+      name,
+      removeBackground: jest.fn().mockResolvedValue(
+        new Blob([`${name}-result`], { type: 'image/png' })
+      ),
+      checkApiStatus: jest.fn().mockResolvedValue(true)
+    });
+
+    const createApiError = (code) => {
+      const error = new Error(code);
+      error.type = ERROR_TYPES.API_ERROR;
+      error.code = code;
+      return error;
+    };
+
+    let primary;
+    let secondary;
+    let service;
+
+    beforeEach(() => {
+      primary = createProvider('primary');
+      secondary = createProvider('secondary');
+      service = new FallbackBackgroundRemovalService([primary, secondary], {
+        failureThreshold: 2,
+        cooldown: 1000
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should require at least one provider', () => {
+      expect(() => new FallbackBackgroundRemovalService([])).toThrow('At least one provider');
+    });
+
+    it('should not fall back when the request is cancelled', async () => {
+      const cancelled = new Error('cancelled');
+      cancelled.type = ERROR_TYPES.CANCELLED;
+      cancelled.code = ERROR_CODES.PROCESSING_CANCELLED;
+      primary.removeBackground.mockRejectedValue(cancelled);
+
+      await expect(service.removeBackground(mockBlob)).rejects.toBe(cancelled);
+      expect(secondary.removeBackground).not.toHaveBeenCalled();
+      expect(service.getCircuitStates()[0].failures).toBe(0);
+    });
+
+    it('should not try any provider when already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(
+        service.removeBackground(mockBlob, { signal: controller.signal })
+      ).rejects.toMatchObject({ type: ERROR_TYPES.CANCELLED });
+      expect(primary.removeBackground).not.toHaveBeenCalled();
+    });
+
+    it('should use circuit breaker defaults', () => {
+      const defaultService = new FallbackBackgroundRemovalService([primary]);
+      expect(defaultService.failureThreshold).toBe(CIRCUIT_BREAKER_CONFIG.FAILURE_THRESHOLD);
+      expect(defaultService.cooldown).toBe(CIRCUIT_BREAKER_CONFIG.COOLDOWN);
+    });
+
+    it('should use the first provider when it succeeds', async () => {
+      const result = await service.removeBackgroundDetailed(mockBlob, { size: 'auto' });
+
+      expect(result.provider).toBe('primary');
+      expect(result.blob).toBeInstanceOf(Blob);
+      expect(primary.removeBackground).toHaveBeenCalledWith(mockBlob, { size: 'auto' });
+      expect(secondary.removeBackground).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      ERROR_CODES.API_QUOTA_EXCEEDED,
+      ERROR_CODES.API_RATE_LIMITED,
+      ERROR_CODES.API_SERVICE_UNAVAILABLE,
+      ERROR_CODES.NETWORK_TIMEOUT,
+      ERROR_CODES.USAGE_BUDGET_EXCEEDED
+    ])('should fall back to the next provider on %s', async (code) => {
+      primary.removeBackground.mockRejectedValue(createApiError(code));
+
+      const result = await service.removeBackgroundDetailed(mockBlob);
+
+      expect(result.provider).toBe('secondary');
+      expect(secondary.removeBackground).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not fall back on errors caused by the image itself', async () => {
+      primary.removeBackground.mockRejectedValue(createApiError(ERROR_CODES.API_BAD_REQUEST));
+
+      await expect(service.removeBackground(mockBlob)).rejects.toMatchObject({
+        code: ERROR_CODES.API_BAD_REQUEST
+      });
+      expect(secondary.removeBackground).not.toHaveBeenCalled();
+    });
+
+    it('should throw the last error when every provider fails', async () => {
+      primary.removeBackground.mockRejectedValue(createApiError(ERROR_CODES.API_QUOTA_EXCEEDED));
+      secondary.removeBackground.mockRejectedValue(createApiError(ERROR_CODES.NETWORK_TIMEOUT));
+
+      await expect(service.removeBackground(mockBlob)).rejects.toMatchObject({
+        code: ERROR_CODES.NETWORK_TIMEOUT
+      });
+    });
+
+    it('should return only the blob from removeBackground', async () => {
+      const result = await service.removeBackground(mockBlob);
+      expect(result).toBeInstanceOf(Blob);
+    });
+
+    it('should skip a provider whose circuit is open until the cooldown passes', async () => {
+      let now = 10000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      primary.removeBackground.mockRejectedValue(createApiError(ERROR_CODES.API_SERVICE_UNAVAILABLE));
+
+      await service.removeBackground(mockBlob);
+      await service.removeBackground(mockBlob);
+      expect(primary.removeBackground).toHaveBeenCalledTimes(2);
+      expect(service.getCircuitStates()[0]).toMatchObject({ provider: 'primary', open: true });
+
+      // Circuit open: primary is skipped
+      await service.removeBackground(mockBlob);
+      expect(primary.removeBackground).toHaveBeenCalledTimes(2);
+
+      // Cooldown passed: primary gets a trial request and recovers
+      now += 1000;
+      primary.removeBackground.mockResolvedValue(new Blob(['ok'], { type: 'image/png' }));
+      const result = await service.removeBackgroundDetailed(mockBlob);
+
+      expect(result.provider).toBe('primary');
+      expect(service.getCircuitStates()[0]).toMatchObject({ failures: 0, open: false });
+    });
+
+    it('should report unavailable when every circuit is open', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(10000);
+      const single = new FallbackBackgroundRemovalService([primary], { failureThreshold: 1 });
+      primary.removeBackground.mockRejectedValueOnce(createApiError(ERROR_CODES.API_QUOTA_EXCEEDED));
+
+      await expect(single.removeBackground(mockBlob)).rejects.toMatchObject({
+        code: ERROR_CODES.API_QUOTA_EXCEEDED
+      });
+      await expect(single.removeBackground(mockBlob)).rejects.toMatchObject({
+        type: ERROR_TYPES.API_ERROR,
+        code: ERROR_CODES.API_SERVICE_UNAVAILABLE
+      });
+    });
+
+    it('should reset circuits', async () => {
+      primary.removeBackground.mockRejectedValue(createApiError(ERROR_CODES.API_SERVICE_UNAVAILABLE));
+      await service.removeBackground(mockBlob);
+      await service.removeBackground(mockBlob);
+
+      service.resetCircuits();
+
+      expect(service.getCircuitStates()[0]).toMatchObject({ failures: 0, open: false });
+    });
+
+    it('should report available when any provider is available', async () => {
+      primary.checkApiStatus.mockResolvedValue(false);
+
+      await expect(service.checkApiStatus()).resolves.toBe(true);
+
+      secondary.checkApiStatus.mockRejectedValue(new Error('down'));
+      await expect(service.checkApiStatus()).resolves.toBe(false);
+    });
+
+    it('should report the Remove.bg account wherever it is in the chain', async () => {
+      const removeBg = createProvider('removebg');
+      const account = { credits: { total: 5 } };
+      removeBg.checkApiStatus.mockResolvedValue(account);
+      service = new FallbackBackgroundRemovalService([primary, removeBg]);
+
+      await expect(service.checkApiStatus()).resolves.toBe(account);
+      expect(primary.checkApiStatus).not.toHaveBeenCalled();
+
+      removeBg.checkApiStatus.mockRejectedValue(new Error('down'));
+      await expect(service.checkApiStatus()).resolves.toBe(true);
+    });
+  });
+
+  describe('UsageTrackingBackgroundRemovalService', () => {
+    const mockBlob = new Blob(['test-image'], { type: 'image/jpeg' });
+    const resultBlob = new Blob(['result'], { type: 'image/png' });
+
+    let provider;
+    let ledger;
+    let service;
+
+    beforeEach(() => {
+      provider = {
+        name: 'removebg',
+        removeBackgroundDetailed: jest.fn().mockResolvedValue({
+          blob: resultBlob,
+          provider: 'removebg',
+          metadata: { creditsCharged: 1 }
+        }),
+        checkApiStatus: jest.fn().mockResolvedValue({ credits: { total: 5 } })
+      };
+      ledger = {
+        record: jest.fn(),
+        getBudgetStatus: jest.fn().mockReturnValue({ period: 'month', limit: 0, used: 0, exceeded: false })
+      };
+      service = new UsageTrackingBackgroundRemovalService(provider, ledger, { enforceBudget: true });
+    });
+
+    it('should require a service and a ledger', () => {
+      expect(() => new UsageTrackingBackgroundRemovalService(null, ledger)).toThrow('A service is required');
+      expect(() => new UsageTrackingBackgroundRemovalService(provider)).toThrow('A usage ledger is required');
+    });
+
+    it('should keep the name of the wrapped provider', () => {
+      expect(service.name).toBe('removebg');
+    });
+
+    it('should record a successful call with the credits charged', async () => {
+      const result = await service.removeBackgroundDetailed(mockBlob, { size: 'auto', fileName: 'shirt.jpg' });
+
+      expect(result.blob).toBe(resultBlob);
+      expect(provider.removeBackgroundDetailed).toHaveBeenCalledWith(mockBlob, { size: 'auto', fileName: 'shirt.jpg' });
+      expect(ledger.record).toHaveBeenCalledWith({
+        fileName: 'shirt.jpg',
+        provider: 'removebg',
+        size: 'auto',
+        creditsCharged: 1,
+        outcome: USAGE_OUTCOMES.SUCCESS
+      });
+    });
+
+    it('should record failed calls and rethrow the error', async () => {
+      const error = new Error('bad image');
+      error.type = ERROR_TYPES.PROCESSING_ERROR;
+      error.code = ERROR_CODES.API_BAD_REQUEST;
+      provider.removeBackgroundDetailed.mockRejectedValue(error);
+
+      await expect(service.removeBackgroundDetailed(mockBlob, { size: 'auto' })).rejects.toBe(error);
+      expect(ledger.record).toHaveBeenCalledWith(expect.objectContaining({
+        outcome: USAGE_OUTCOMES.ERROR,
+        errorCode: ERROR_CODES.API_BAD_REQUEST
+      }));
+    });
+
+    it('should record cancelled calls', async () => {
+      const error = new Error('cancelled');
+      error.type = ERROR_TYPES.CANCELLED;
+      error.code = ERROR_CODES.PROCESSING_CANCELLED;
+      provider.removeBackgroundDetailed.mockRejectedValue(error);
+
+      await expect(service.removeBackgroundDetailed(mockBlob)).rejects.toBe(error);
+      expect(ledger.record).toHaveBeenCalledWith(expect.objectContaining({
+        outcome: USAGE_OUTCOMES.CANCELLED,
+        errorCode: null
+      }));
+    });
+
+    it('should record providers without metadata as free calls', async () => {
+      const local = {
+        name: 'local',
+        removeBackground: jest.fn().mockResolvedValue(resultBlob)
+      };
+      service = new UsageTrackingBackgroundRemovalService(local, ledger);
+
+      await expect(service.removeBackground(mockBlob)).resolves.toBe(resultBlob);
+      expect(ledger.record).toHaveBeenCalledWith(expect.objectContaining({
+        provider: 'local',
+        creditsCharged: null,
+        outcome: USAGE_OUTCOMES.SUCCESS
+      }));
+    });
+
+    it('should refuse calls once the budget is spent', async () => {
+      ledger.getBudgetStatus.mockReturnValue({ period: 'day', limit: 5, used: 5, exceeded: true });
+
+      await expect(service.removeBackgroundDetailed(mockBlob)).rejects.toMatchObject({
+        type: ERROR_TYPES.API_ERROR,
+        code: ERROR_CODES.USAGE_BUDGET_EXCEEDED,
+        retryable: false
+      });
+      expect(provider.removeBackgroundDetailed).not.toHaveBeenCalled();
+      expect(ledger.record).not.toHaveBeenCalled();
+    });
+
+    it('should not check the budget for free providers', async () => {
+      ledger.getBudgetStatus.mockReturnValue({ period: 'day', limit: 5, used: 5, exceeded: true });
+      service = new UsageTrackingBackgroundRemovalService(provider, ledger);
+
+      await expect(service.removeBackgroundDetailed(mockBlob)).resolves.toEqual(expect.objectContaining({
+        blob: resultBlob
+      }));
+    });
+
+    it('should fall back to a free provider in a chain once the budget is spent', async () => {
+      ledger.getBudgetStatus.mockReturnValue({ period: 'month', limit: 5, used: 5, exceeded: true });
+      const local = new UsageTrackingBackgroundRemovalService({
+        name: 'local',
+        removeBackground: jest.fn().mockResolvedValue(resultBlob)
+      }, ledger);
+      const chain = new FallbackBackgroundRemovalService([service, local]);
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const result = await chain.removeBackgroundDetailed(mockBlob);
+
+      expect(result.provider).toBe('local');
+    });
+
+    it('should forward status checks without recording them', async () => {
+      await expect(service.checkApiStatus()).resolves.toEqual({ credits: { total: 5 } });
+      expect(ledger.record).not.toHaveBeenCalled();
+    });
+  });
+
   describe('createBackgroundRemovalService', () => {
     beforeEach(() => {
       jest.clearAllMocks();
@@ -421,6 +1503,20 @@ describe('BackgroundRemovalAPI', () => {
       expect(service).toBeInstanceOf(RemoveBgService);
     });
 
+    it('should create RembgService for "rembg" provider with config', () => {
+      const service = createBackgroundRemovalService('rembg', null, {
+        baseUrl: 'http://localhost:7000',
+        model: 'u2netp'
+      });
+      expect(service).toBeInstanceOf(RembgService);
+      expect(service.model).toBe('u2netp');
+    });
+
+    it('should create LocalBackgroundRemovalService for "local" provider without API key', () => {
+      const service = createBackgroundRemovalService('local');
+      expect(service).toBeInstanceOf(LocalBackgroundRemovalService);
+    });
+
     it('should throw error for unsupported provider', () => {
       expect(() => {
         createBackgroundRemovalService('unsupported', 'test-key');
@@ -0,0 +1,218 @@
+/**
+ * Unit tests for ColorQuantizer
+ *
+ * Tests choosing spot colors in Lab space, mapping pixels onto them with and
+ * without dithering, reporting the palette with coverage and rendering one
+ * film per ink.
+ */
+
+import { ColorQuantizer } from '@/services/ColorQuantizer';
+import { createPixels, mockCanvasContext, mockImagePixels } from '../helpers/pixels';
+
+describe('ColorQuantizer', () => {
+  let quantizer;
+  let context;
+
+  beforeEach(() => {
+    quantizer = new ColorQuantizer();
+    context = mockCanvasContext();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  const useImage = (width, height, colorAt) =>
+    mockImagePixels(context, createPixels(width, height, colorAt), width, height);
+
+  const outputPixels = () => context.putImageData.mock.calls[0][0].data;
+
+  const distinctColors = pixels => {
+    const colors = new Set();
+    for (let index = 0; index < pixels.length; index += 4) {
+      if (pixels[index + 3] > 0) {
+        colors.add(`${pixels[index]},${pixels[index + 1]},${pixels[index + 2]}`);
+      }
+    }
+    return colors;
+  };
+
+  describe('quantize', () => {
+    it('should reduce the image to the requested number of colors', async () => {
+      // Horizontal gradient from red to blue
+      const image = useImage(32, 4, x => [255 - x * 8, 0, x * 8, 255]);
+
+      const { palette } = await quantizer.quantize(image, { colors: 3 });
+
+      expect(palette).toHaveLength(3);
+      expect(distinctColors(outputPixels()).size).toBe(3);
+    });
+
+    it('should find the colors of a flat two-color print', async () => {
+      const image = useImage(10, 10, x => (x < 7 ? [200, 30, 30, 255] : [20, 40, 160, 255]));
+
+      const { palette } = await quantizer.quantize(image, { colors: 2 });
+
+      expect(palette.map(color => color.hex)).toEqual(['#c81e1e', '#1428a0']);
+      expect(palette[0]).toMatchObject({ r: 200, g: 30, b: 30, pixelCount: 70 });
+      expect(palette[0].coverage).toBeCloseTo(70);
+      expect(palette[1].coverage).toBeCloseTo(30);
+    });
+
+    it('should choose the number of colors automatically', async () => {
+      const inks = [[230, 40, 40, 255], [30, 160, 60, 255], [250, 220, 30, 255]];
+      const image = useImage(30, 10, x => inks[Math.floor(x / 10)]);
+
+      const { palette } = await quantizer.quantize(image, { colors: null, maxColors: 8 });
+
+      expect(palette).toHaveLength(3);
+    });
+
+    it('should not pick more colors than the image has', async () => {
+      const image = useImage(10, 10, () => [90, 90, 90, 255]);
+
+      const { palette } = await quantizer.quantize(image, { colors: 4 });
+
+      expect(palette).toEqual([
+        { hex: '#5a5a5a', r: 90, g: 90, b: 90, pixelCount: 100, coverage: 100 }
+      ]);
+    });
+
+    it('should group colors by how different they look', async () => {
+      // Gray is as far from the blue as from the green in RGB, but looks closer to the blue
+      const colors = [[100, 100, 140, 255], [100, 100, 100, 255], [100, 140, 100, 255]];
+      const image = useImage(30, 1, x => colors[Math.floor(x / 10)]);
+
+      await quantizer.quantize(image, { colors: 2 });
+
+      const pixels = outputPixels();
+      const colorAt = x => Array.from(pixels.slice(x * 4, x * 4 + 3)).join();
+      expect(colorAt(15)).toBe(colorAt(5));
+      expect(colorAt(15)).not.toBe(colorAt(25));
+    });
+
+    it('should make pixels fully opaque or fully transparent', async () => {
+      const image = useImage(4, 1, x => [200, 0, 0, [255, 200, 100, 0][x]]);
+
+      const { palette } = await quantizer.quantize(image, { colors: 1, alphaThreshold: 128 });
+
+      const pixels = outputPixels();
+      expect([pixels[3], pixels[7], pixels[11], pixels[15]]).toEqual([255, 255, 0, 0]);
+      expect(palette[0].pixelCount).toBe(2);
+      expect(palette[0].coverage).toBe(100);
+    });
+
+    it('should mix spot colors when dithering', async () => {
+      const gray = [128, 128, 128, 255];
+      const image = useImage(16, 16, () => gray);
+      // Black and white inks only: a mid gray can only be shown by mixing them
+      jest.spyOn(quantizer, '_kMeans').mockReturnValue([
+        quantizer._rgbToLab(0, 0, 0),
+        quantizer._rgbToLab(255, 255, 255)
+      ]);
+
+      const { palette } = await quantizer.quantize(image, { colors: 2, dither: true });
+
+      expect(palette).toHaveLength(2);
+      palette.forEach(color => expect(color.coverage).toBeGreaterThan(20));
+    });
+
+    it('should map every pixel to the nearest color without dithering', async () => {
+      const image = useImage(16, 16, () => [128, 128, 128, 255]);
+      jest.spyOn(quantizer, '_kMeans').mockReturnValue([
+        quantizer._rgbToLab(0, 0, 0),
+        quantizer._rgbToLab(255, 255, 255)
+      ]);
+
+      const { palette } = await quantizer.quantize(image, { colors: 2 });
+
+      expect(palette).toHaveLength(1);
+      expect(palette[0].pixelCount).toBe(256);
+    });
+
+    it('should return an empty palette for a transparent image', async () => {
+      const image = useImage(5, 5, () => [0, 0, 0, 0]);
+
+      const { canvas, palette } = await quantizer.quantize(image, { colors: 3 });
+
+      expect(palette).toEqual([]);
+      expect(canvas.width).toBe(5);
+    });
+  });
+
+  describe('createSeparations', () => {
+    const red = { hex: '#c81e1e', r: 200, g: 30, b: 30, pixelCount: 2, coverage: 50 };
+    const yellow = { hex: '#fadc1e', r: 250, g: 220, b: 30, pixelCount: 1, coverage: 25 };
+    const navy = { hex: '#141e50', r: 20, g: 30, b: 80, pixelCount: 1, coverage: 25 };
+
+    beforeEach(() => {
+      // Red, red, yellow, navy, then a transparent pixel
+      const quantized = new Uint8ClampedArray([
+        200, 30, 30, 255,
+        200, 30, 30, 255,
+        250, 220, 30, 255,
+        20, 30, 80, 255,
+        0, 0, 0, 0
+      ]);
+      context.getImageData.mockImplementation((left, top, w, h) => ({
+        // The first read is the quantized design, later reads are blank film buffers
+        data: context.getImageData.mock.calls.length === 1 ? quantized : new Uint8ClampedArray(w * h * 4),
+        width: w,
+        height: h
+      }));
+    });
+
+    const filmPixels = i => Array.from(context.putImageData.mock.calls[i][0].data);
+
+    it('should order the films from the lightest ink to the darkest', () => {
+      const separations = quantizer.createSeparations({ width: 5, height: 1 }, [red, yellow, navy]);
+
+      expect(separations.map(({ order, color }) => [order, color.hex])).toEqual([
+        [1, '#fadc1e'],
+        [2, '#c81e1e'],
+        [3, '#141e50']
+      ]);
+      separations.forEach(({ canvas }) => {
+        expect(canvas.width).toBe(5);
+        expect(canvas.height).toBe(1);
+      });
+    });
+
+    it('should print black on a transparent film', () => {
+      quantizer.createSeparations({ width: 5, height: 1 }, [red], { film: 'black' });
+
+      expect(filmPixels(0)).toEqual([
+        0, 0, 0, 255,
+        0, 0, 0, 255,
+        0, 0, 0, 0,
+        0, 0, 0, 0,
+        0, 0, 0, 0
+      ]);
+    });
+
+    it('should print black on an opaque white grayscale film', () => {
+      quantizer.createSeparations({ width: 5, height: 1 }, [navy], { film: 'grayscale' });
+
+      expect(filmPixels(0)).toEqual([
+        255, 255, 255, 255,
+        255, 255, 255, 255,
+        255, 255, 255, 255,
+        0, 0, 0, 255,
+        255, 255, 255, 255
+      ]);
+    });
+  });
+
+  describe('color conversion', () => {
+    it('should convert sRGB to Lab', () => {
+      const [l, a, b] = quantizer._rgbToLab(255, 0, 0);
+
+      expect(l).toBeCloseTo(53.24, 1);
+      expect(a).toBeCloseTo(80.09, 0);
+      expect(b).toBeCloseTo(67.2, 0);
+    });
+
+    it('should convert Lab back to the same sRGB color', () => {
+      [[0, 0, 0], [255, 255, 255], [12, 200, 99], [240, 128, 3]].forEach(([r, g, b]) => {
+        expect(quantizer._labToRgb(quantizer._rgbToLab(r, g, b))).toEqual({ r, g, b });
+      });
+    });
+  });
+});
@@ -1,17 +1,40 @@
 /**
  * Unit Tests for DownloadManager Service
  * 
- * Tests download functionality, filename generation, and error handling.
+ * Tests download functionality, PNG metadata, multi-file ZIP downloads,
+ * filename generation, and error handling.
  * 
  * Requirements: 4.2, 4.3
  */
 
 import { DownloadManager } from '@/services/DownloadManager';
+import { readZip } from '@/utils/zip';
+import { dataUrlToBytes, readPngChunks } from '@/utils/png';
 import {
   DOWNLOAD_FILENAME_PREFIX,
   DOWNLOAD_FILE_EXTENSION
 } from '@/constants';
 
+// 1x1 PNG as produced by canvas.toDataURL
+const PNG_DATA_URL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+/**
+ * Decode the text chunks of a PNG data URL into { keyword: text }
+ */
+function readText(dataUrl) {
+  const text = {};
+  readPngChunks(dataUrlToBytes(dataUrl)).forEach(({ type, data }) => {
+    const end = data.indexOf(0);
+    const keyword = String.fromCharCode(...data.subarray(0, end));
+    if (type === 'tEXt') {
+      text[keyword] = String.fromCharCode(...data.subarray(end + 1));
+    } else if (type === 'iTXt') {
+      text[keyword] = Buffer.from(data.subarray(end + 5)).toString('utf8');
+    }
+  });
+  return text;
+}
+
 describe('DownloadManager Service', () => {
   let downloadManager;
   let mockLink;
@@ -42,13 +65,12 @@ describe('DownloadManager Service', () => {
 
   describe('downloadImage', () => {
     it('should successfully download image with valid parameters', () => {
-      const dataUrl = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
       const filename = 'test-image.png';
 
-      downloadManager.downloadImage(dataUrl, filename);
+      downloadManager.downloadImage(PNG_DATA_URL, filename);
 
       expect(document.createElement).toHaveBeenCalledWith('a');
-      expect(mockLink.href).toBe(dataUrl);
+      expect(mockLink.href).toMatch(/^data:image\/png;base64,/);
       expect(mockLink.download).toBe(filename);
       expect(appendChildSpy).toHaveBeenCalledWith(mockLink);
       expect(mockLink.click).toHaveBeenCalled();
@@ -130,6 +152,126 @@ describe('DownloadManager Service', () => {
     });
   });
 
+  describe('PNG metadata', () => {
+    it('should write the DPI into a pHYs chunk', () => {
+      downloadManager.downloadImage(PNG_DATA_URL, 'print.png', { dpi: 300 });
+
+      const chunks = readPngChunks(dataUrlToBytes(mockLink.href));
+      const phys = chunks.find(chunk => chunk.type === 'pHYs');
+      const view = new DataView(phys.data.buffer, phys.data.byteOffset, phys.data.byteLength);
+      expect(view.getUint32(0)).toBe(11811);
+      expect(view.getUint32(4)).toBe(11811);
+      expect(phys.data[8]).toBe(1);
+    });
+
+    it('should record where the design came from', () => {
+      const timestamp = new Date('2024-01-15T10:30:45.123Z');
+
+      downloadManager.downloadImage(PNG_DATA_URL, 'design.png', {
+        sourceFilename: 'T恤.jpg',
+        provider: 'remove.bg',
+        options: { crop: { strategy: 'api' } },
+        timestamp
+      });
+
+      expect(readText(mockLink.href)).toEqual({
+        'Source File': 'T恤.jpg',
+        Provider: 'remove.bg',
+        'Processing Options': '{"crop":{"strategy":"api"}}',
+        'Creation Time': '2024-01-15T10:30:45.123Z'
+      });
+    });
+
+    it('should keep the image data', () => {
+      downloadManager.downloadImage(PNG_DATA_URL, 'design.png', { dpi: 300, provider: 'rembg' });
+
+      const original = readPngChunks(dataUrlToBytes(PNG_DATA_URL));
+      const written = readPngChunks(dataUrlToBytes(mockLink.href));
+      expect(written.map(chunk => chunk.type)).toEqual(['IHDR', 'pHYs', 'tEXt', 'tEXt', 'IDAT', 'IEND']);
+      expect(Array.from(written.find(chunk => chunk.type === 'IDAT').data))
+        .toEqual(Array.from(original.find(chunk => chunk.type === 'IDAT').data));
+    });
+
+    it('should download data that is not a PNG unchanged', () => {
+      downloadManager.downloadImage('data:image/png;base64,test', 'broken.png', { dpi: 300 });
+
+      expect(mockLink.href).toBe('data:image/png;base64,test');
+    });
+
+    it('should not rewrite other formats', () => {
+      const jpeg = 'data:image/jpeg;base64,/9j/4AAQ';
+
+      downloadManager.downloadImage(jpeg, 'photo.jpg', { dpi: 300 });
+
+      expect(mockLink.href).toBe(jpeg);
+    });
+  });
+
+  describe('downloadBlob', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      URL.createObjectURL = jest.fn(() => 'blob:mock-url');
+      URL.revokeObjectURL = jest.fn();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should download the blob through a temporary object URL', () => {
+      const blob = new Blob(['a,b'], { type: 'text/csv' });
+
+      downloadManager.downloadBlob(blob, 'usage.csv');
+
+      expect(URL.createObjectURL).toHaveBeenCalledWith(blob);
+      expect(mockLink.href).toBe('blob:mock-url');
+      expect(mockLink.download).toBe('usage.csv');
+      expect(mockLink.click).toHaveBeenCalled();
+    });
+
+    it('should revoke the object URL after the download has started', () => {
+      downloadManager.downloadBlob(new Blob(['a,b']), 'usage.csv');
+
+      expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+      jest.runAllTimers();
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:mock-url');
+    });
+
+    it('should throw error when blob is not a Blob', () => {
+      expect(() => {
+        downloadManager.downloadBlob('a,b', 'usage.csv');
+      }).toThrow('Invalid blob: must be a Blob');
+    });
+  });
+
+  describe('downloadFiles', () => {
+    beforeEach(() => {
+      URL.createObjectURL = jest.fn(() => 'blob:mock-url');
+      URL.revokeObjectURL = jest.fn();
+    });
+
+    it('should download the files as one ZIP archive', async () => {
+      const zip = await downloadManager.downloadFiles([
+        { name: 'manifest.json', data: '{"inks":[]}' },
+        { name: 'composite.png', data: new Blob(['png-bytes'], { type: 'image/png' }) }
+      ], 'separations.zip');
+
+      expect(URL.createObjectURL).toHaveBeenCalledWith(zip);
+      expect(zip.type).toBe('application/zip');
+      expect(mockLink.download).toBe('separations.zip');
+      expect(mockLink.click).toHaveBeenCalledTimes(1);
+
+      const files = await readZip(zip);
+      expect(Object.keys(files)).toEqual(['manifest.json', 'composite.png']);
+    });
+
+    it('should reject an empty file list', async () => {
+      await expect(downloadManager.downloadFiles([], 'empty.zip')).rejects.toThrow('Invalid files');
+      await expect(downloadManager.downloadFiles(null, 'empty.zip')).rejects.toThrow('Invalid files');
+      expect(mockLink.click).not.toHaveBeenCalled();
+    });
+  });
+
   describe('generateFilename', () => {
     beforeEach(() => {
       // Mock Date to return consistent timestamp
@@ -158,6 +300,12 @@ describe('DownloadManager Service', () => {
       expect(filename.endsWith(DOWNLOAD_FILE_EXTENSION)).toBe(true);
     });
 
+    it('should generate filename with a custom extension', () => {
+      const filename = downloadManager.generateFilename('separations', '.zip');
+
+      expect(filename).toBe('separations-2024-01-15T10-30-45-123Z.zip');
+    });
+
     it('should replace colons with hyphens in timestamp', () => {
       const filename = downloadManager.generateFilename();
 
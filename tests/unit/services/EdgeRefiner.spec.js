@@ -0,0 +1,198 @@
+/**
+ * Unit tests for EdgeRefiner
+ *
+ * Tests removing the background color mixed into semi-transparent edge
+ * pixels, shrinking and feathering the edge, and eroding and dilating the alpha.
+ */
+
+import { EdgeRefiner } from '@/services/EdgeRefiner';
+import { createGridPixels, mockCanvasContext, mockImagePixels, pixelAt } from '../helpers/pixels';
+
+const RED = { r: 200, g: 30, b: 30 };
+const GREEN = { r: 30, g: 160, b: 60 };
+const BLUE = { r: 40, g: 60, b: 200 };
+
+/**
+ * Create RGBA pixels from a grid: '#' the design (red), '+' a half transparent
+ * edge of red over green, '*' the same over blue, '.' transparent
+ *
+ * @param {Array<string>} rows - One string per row
+ * @returns {Object} { pixels, width, height }
+ */
+function createPixels(rows) {
+  const a = 128 / 255;
+  const over = background => [
+    a * RED.r + (1 - a) * background.r,
+    a * RED.g + (1 - a) * background.g,
+    a * RED.b + (1 - a) * background.b,
+    128
+  ];
+
+  return createGridPixels(rows, {
+    '#': [RED.r, RED.g, RED.b, 255],
+    '+': over(GREEN),
+    '*': over(BLUE)
+  });
+}
+
+const HALO = [
+  '.......',
+  '.+++++.',
+  '.+###+.',
+  '.+###+.',
+  '.+###+.',
+  '.+++++.',
+  '.......'
+];
+
+const BLOCK = [
+  '.......',
+  '.#####.',
+  '.#####.',
+  '.#####.',
+  '.#####.',
+  '.#####.',
+  '.......'
+];
+
+describe('EdgeRefiner', () => {
+  let refiner;
+  let context;
+
+  beforeEach(() => {
+    refiner = new EdgeRefiner();
+    context = mockCanvasContext();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  /**
+   * Make the canvas return the given rows and return the image to refine
+   */
+  const useImage = rows => {
+    const { pixels, width, height } = createPixels(rows);
+    return { image: mockImagePixels(context, pixels, width, height), pixels, width };
+  };
+
+  describe('refineEdges', () => {
+    it('should estimate the background color mixed into the edge', async () => {
+      const { image } = useImage(HALO);
+
+      const { refined, backgroundColor } = await refiner.refineEdges(image);
+
+      expect(refined).toBe(true);
+      expect(backgroundColor.r).toBeCloseTo(GREEN.r, -1);
+      expect(backgroundColor.g).toBeCloseTo(GREEN.g, -1);
+      expect(backgroundColor.b).toBeCloseTo(GREEN.b, -1);
+    });
+
+    it('should remove the background color from semi-transparent pixels', async () => {
+      const { image, pixels, width } = useImage(HALO);
+
+      await refiner.refineEdges(image);
+
+      const [r, g, b, alpha] = pixelAt(pixels, width, 1, 1);
+      expect(Math.abs(r - RED.r)).toBeLessThanOrEqual(2);
+      expect(Math.abs(g - RED.g)).toBeLessThanOrEqual(2);
+      expect(Math.abs(b - RED.b)).toBeLessThanOrEqual(2);
+      expect(alpha).toBe(128);
+      expect(pixelAt(pixels, width, 3, 3)).toEqual([RED.r, RED.g, RED.b, 255]);
+      expect(context.putImageData).toHaveBeenCalled();
+    });
+
+    it('should estimate the background locally when it changes across the image', async () => {
+      const { image, pixels, width } = useImage([
+        '..............',
+        '.+++++..*****.',
+        '.+###+..*###*.',
+        '.+###+..*###*.',
+        '.+###+..*###*.',
+        '.+++++..*****.',
+        '..............'
+      ]);
+
+      await refiner.refineEdges(image, { backgroundCell: 7 });
+
+      [1, 12].forEach(x => {
+        const [r, g, b] = pixelAt(pixels, width, x, 3);
+        expect(Math.abs(r - RED.r)).toBeLessThanOrEqual(2);
+        expect(Math.abs(g - RED.g)).toBeLessThanOrEqual(2);
+        expect(Math.abs(b - RED.b)).toBeLessThanOrEqual(2);
+      });
+    });
+
+    it('should use a known background color', async () => {
+      const { image } = useImage(HALO);
+      const fabric = { r: 0, g: 0, b: 0 };
+
+      const { backgroundColor } = await refiner.refineEdges(image, { backgroundColor: fabric });
+
+      expect(backgroundColor).toBe(fabric);
+    });
+
+    it('should leave the edge alone when decontamination is off', async () => {
+      const { image, pixels } = useImage(HALO);
+      const original = Array.from(pixels);
+
+      const { refined } = await refiner.refineEdges(image, { decontaminate: false });
+
+      expect(refined).toBe(false);
+      expect(Array.from(pixels)).toEqual(original);
+      expect(context.putImageData).not.toHaveBeenCalled();
+    });
+
+    it('should skip designs without semi-transparent pixels', async () => {
+      const { image } = useImage(BLOCK);
+
+      const { refined, backgroundColor } = await refiner.refineEdges(image);
+
+      expect(refined).toBe(false);
+      expect(backgroundColor).toBeNull();
+    });
+
+    it('should shrink the edge by the radius', async () => {
+      const { image, pixels, width } = useImage(BLOCK);
+
+      const { refined } = await refiner.refineEdges(image, { shrink: 1 });
+
+      expect(refined).toBe(true);
+      expect(pixelAt(pixels, width, 1, 1)[3]).toBe(0);
+      expect(pixelAt(pixels, width, 1, 3)[3]).toBe(0);
+      expect(pixelAt(pixels, width, 2, 2)[3]).toBe(255);
+      expect(pixelAt(pixels, width, 3, 3)[3]).toBe(255);
+    });
+
+    it('should feather the edge with the design color', async () => {
+      const { image, pixels, width } = useImage(BLOCK);
+
+      await refiner.refineEdges(image, { feather: 1 });
+
+      const outside = pixelAt(pixels, width, 0, 3);
+      const edge = pixelAt(pixels, width, 1, 3);
+      expect(outside[3]).toBeGreaterThan(0);
+      expect(outside[3]).toBeLessThan(edge[3]);
+      expect(edge[3]).toBeLessThan(255);
+      expect(outside.slice(0, 3)).toEqual([RED.r, RED.g, RED.b]);
+      expect(pixelAt(pixels, width, 3, 3)[3]).toBe(255);
+    });
+  });
+
+  describe('morphAlpha', () => {
+    it('should erode the alpha by the radius', () => {
+      const { pixels, width, height } = createPixels(BLOCK);
+
+      refiner.morphAlpha(pixels, width, height, 1, false);
+
+      expect(pixelAt(pixels, width, 1, 3)[3]).toBe(0);
+      expect(pixelAt(pixels, width, 2, 3)).toEqual([RED.r, RED.g, RED.b, 255]);
+    });
+
+    it('should dilate the alpha with the design color', () => {
+      const { pixels, width, height } = createPixels(BLOCK);
+
+      refiner.morphAlpha(pixels, width, height, 1, true);
+
+      expect(pixelAt(pixels, width, 0, 0)).toEqual([RED.r, RED.g, RED.b, 255]);
+      expect(pixelAt(pixels, width, 0, 3)).toEqual([RED.r, RED.g, RED.b, 255]);
+    });
+  });
+});
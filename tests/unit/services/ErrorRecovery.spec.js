@@ -177,8 +177,8 @@ describe('ErrorRecovery Service', () => {
       expect(errorRecovery.isRetryable(error)).toBe(true);
     });
 
-    it('should return true for API_QUOTA_EXCEEDED', () => {
-      const error = { type: ERROR_TYPES.API_ERROR, code: 'API_QUOTA_EXCEEDED' };
+    it('should return true for API_RATE_LIMITED', () => {
+      const error = { type: ERROR_TYPES.API_ERROR, code: 'API_RATE_LIMITED' };
       expect(errorRecovery.isRetryable(error)).toBe(true);
     });
 
@@ -197,6 +197,11 @@ describe('ErrorRecovery Service', () => {
       expect(errorRecovery.isRetryable(error)).toBe(false);
     });
 
+    it('should return false for API_QUOTA_EXCEEDED', () => {
+      const error = { type: ERROR_TYPES.API_ERROR, code: 'API_QUOTA_EXCEEDED' };
+      expect(errorRecovery.isRetryable(error)).toBe(false);
+    });
+
     it('should return false for API_BAD_REQUEST', () => {
       const error = { type: ERROR_TYPES.API_ERROR, code: 'API_BAD_REQUEST' };
       expect(errorRecovery.isRetryable(error)).toBe(false);
@@ -7,15 +7,36 @@
  * - Background removal
  * - Blob to DataURL conversion
  * - Result caching
+ * - Sharing in-flight requests for the same file
+ * - Crop strategies (provider, local bounds, local density, none)
+ * - Fabric color keying
+ * - Detecting separate designs
+ * - Reducing results to spot colors and rendering separations
  */
 
 import { ImageProcessorService } from '@/services/ImageProcessorService';
 import CanvasUtility from '@/services/CanvasUtility';
+import {
+  RemoveBgService,
+  LocalBackgroundRemovalService,
+  UsageTrackingBackgroundRemovalService
+} from '@/services/BackgroundRemovalAPI';
 import {
   MAX_IMAGE_WIDTH,
   MAX_IMAGE_HEIGHT,
   ERROR_TYPES,
-  ERROR_CODES
+  ERROR_CODES,
+  PROCESSING_STATUS,
+  CROP_STRATEGIES,
+  PATTERN_PADDING,
+  MASK_CLEANUP_CONFIG,
+  PERSPECTIVE_MODES,
+  LIGHTING_CORRECTION_CONFIG,
+  EDGE_REFINEMENT_CONFIG,
+  SPOT_COLOR_CONFIG,
+  SEPARATION_FILMS,
+  VECTORIZE_CONFIG,
+  UPSCALE_METHODS
 } from '@/constants';
 
 describe('ImageProcessorService', () => {
@@ -84,10 +105,146 @@ describe('ImageProcessorService', () => {
       expect(mockBackgroundRemovalApi.removeBackground).toHaveBeenCalledTimes(1);
     });
 
+    it('should expose provider metadata in the result', async () => {
+      const file = new File(['test-image-data'], 'test.png', { type: 'image/png' });
+      mockBackgroundRemovalApi.removeBackgroundDetailed = jest.fn().mockResolvedValue({
+        blob: new Blob(['mock-extracted-image'], { type: 'image/png' }),
+        provider: 'removebg',
+        metadata: {
+          type: 'product',
+          foreground: { top: 10, left: 20, width: 30, height: 40 },
+          creditsCharged: 1
+        }
+      });
+
+      const result = await service.processImage(file);
+
+      expect(result.foregroundBounds).toEqual({ top: 10, left: 20, width: 30, height: 40 });
+      expect(result.detectedType).toBe('product');
+      expect(result.creditsCharged).toBe(1);
+    });
+
+    it('should report null metadata for providers without it', async () => {
+      const file = new File(['test-image-data'], 'test.png', { type: 'image/png' });
+
+      const result = await service.processImage(file);
+
+      expect(result.foregroundBounds).toBeNull();
+      expect(result.detectedType).toBeNull();
+      expect(result.creditsCharged).toBeNull();
+    });
+
+    it('should record which provider produced the result', async () => {
+      const file = new File(['test-image-data'], 'test.png', { type: 'image/png' });
+      mockBackgroundRemovalApi.removeBackgroundDetailed = jest.fn().mockResolvedValue({
+        blob: new Blob(['mock-extracted-image'], { type: 'image/png' }),
+        provider: 'local'
+      });
+
+      const result = await service.processImage(file);
+
+      expect(result.provider).toBe('local');
+    });
+
     it('should throw error if no file is provided', async () => {
       await expect(service.processImage(null)).rejects.toThrow();
     });
 
+    it('should report stage-weighted progress from upload and download events', async () => {
+      const file = new File(['test-image-data'], 'test.png', { type: 'image/png' });
+      const onProgress = jest.fn();
+      mockBackgroundRemovalApi.removeBackground.mockImplementation(async (blob, options) => {
+        options.onUploadProgress({ loaded: 50, total: 100 });
+        options.onUploadProgress({ loaded: 100, total: 100 });
+        options.onDownloadProgress({ loaded: 0, total: 0 }); // unknown size is ignored
+        options.onDownloadProgress({ loaded: 40, total: 80 });
+        return new Blob(['mock-extracted-image'], { type: 'image/png' });
+      });
+
+      await service.processImage(file, { onProgress });
+
+      expect(onProgress.mock.calls.map(([update]) => update)).toEqual([
+        { status: PROCESSING_STATUS.UPLOADING, progress: 0 },
+        { status: PROCESSING_STATUS.UPLOADING, progress: 20 },
+        { status: PROCESSING_STATUS.REMOVING_BACKGROUND, progress: 40 },
+        { status: PROCESSING_STATUS.REMOVING_BACKGROUND, progress: 65 },
+        { status: PROCESSING_STATUS.RENDERING, progress: 90 },
+        { status: PROCESSING_STATUS.RENDERING, progress: 100 }
+      ]);
+    });
+
+    it('should never report progress moving backwards', async () => {
+      const file = new File(['test-image-data'], 'test.png', { type: 'image/png' });
+      const onProgress = jest.fn();
+      mockBackgroundRemovalApi.removeBackground.mockImplementation(async (blob, options) => {
+        options.onUploadProgress({ loaded: 90, total: 100 });
+        // A retry starts the upload again
+        options.onUploadProgress({ loaded: 10, total: 100 });
+        return new Blob(['mock-extracted-image'], { type: 'image/png' });
+      });
+
+      await service.processImage(file, { onProgress });
+
+      const progress = onProgress.mock.calls.map(([update]) => update.progress);
+      expect(progress).toEqual([...progress].sort((a, b) => a - b));
+    });
+
+    it('should not report progress for cached results', async () => {
+      const file = new File(['test-image-data'], 'test.png', { type: 'image/png' });
+      await service.processImage(file);
+      const onProgress = jest.fn();
+
+      const result = await service.processImage(file, { onProgress });
+
+      expect(result.fromCache).toBe(true);
+      expect(onProgress).not.toHaveBeenCalled();
+    });
+
+    it('should pass an abort signal to the background removal API that follows the caller', async () => {
+      const file = new File(['test-image-data'], 'test.png', { type: 'image/png' });
+      const controller = new AbortController();
+      let apiSignal;
+      mockBackgroundRemovalApi.removeBackground.mockImplementation(async (blob, options) => {
+        apiSignal = options.signal;
+        controller.abort();
+        return new Blob(['mock-extracted-image'], { type: 'image/png' });
+      });
+
+      await expect(
+        service.processImage(file, { signal: controller.signal })
+      ).rejects.toMatchObject({ type: ERROR_TYPES.CANCELLED });
+      expect(apiSignal).toBeInstanceOf(AbortSignal);
+      expect(apiSignal.aborted).toBe(true);
+    });
+
+    it('should reject with a cancellation error when already aborted', async () => {
+      const file = new File(['test-image-data'], 'test.png', { type: 'image/png' });
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(
+        service.processImage(file, { signal: controller.signal })
+      ).rejects.toMatchObject({
+        type: ERROR_TYPES.CANCELLED,
+        code: ERROR_CODES.PROCESSING_CANCELLED
+      });
+      expect(mockBackgroundRemovalApi.removeBackground).not.toHaveBeenCalled();
+    });
+
+    it('should not cache a result aborted during background removal', async () => {
+      const file = new File(['test-image-data'], 'test.png', { type: 'image/png' });
+      const controller = new AbortController();
+      mockBackgroundRemovalApi.removeBackground.mockImplementation(async () => {
+        controller.abort();
+        return new Blob(['mock-extracted-image'], { type: 'image/png' });
+      });
+
+      await expect(
+        service.processImage(file, { signal: controller.signal })
+      ).rejects.toMatchObject({ type: ERROR_TYPES.CANCELLED });
+      expect(service.getCacheStats().size).toBe(0);
+    });
+
     it('should throw error if invalid file is provided', async () => {
       await expect(service.processImage({})).rejects.toThrow();
     });
@@ -123,6 +280,37 @@ describe('ImageProcessorService', () => {
       expect(mockBackgroundRemovalApi.removeBackground).toHaveBeenCalledTimes(1);
     });
 
+    it('should reuse the provider result when only local settings change', async () => {
+      const file = new File(['test-image-data'], 'test.png', { type: 'image/png' });
+      mockBackgroundRemovalApi.removeBackgroundDetailed = jest.fn().mockResolvedValue({
+        blob: new Blob(['mock-extracted-image'], { type: 'image/png' }),
+        provider: 'removebg',
+        metadata: { creditsCharged: 1 }
+      });
+
+      const first = await service.processImage(file);
+      const second = await service.processImage(file, { lighting: { enabled: true, strength: 0.5 } });
+
+      expect(mockBackgroundRemovalApi.removeBackgroundDetailed).toHaveBeenCalledTimes(1);
+      expect(first.providerCached).toBe(false);
+      expect(first.creditsCharged).toBe(1);
+      expect(second.fromCache).toBe(false);
+      expect(second.providerCached).toBe(true);
+      expect(second.creditsCharged).toBe(0);
+      expect(second.provider).toBe('removebg');
+    });
+
+    it('should clear cached provider results with the cache', async () => {
+      const file = new File(['test-image-data'], 'test.png', { type: 'image/png' });
+
+      await service.processImage(file);
+      service.clearCache();
+      const result = await service.processImage(file);
+
+      expect(result.providerCached).toBe(false);
+      expect(mockBackgroundRemovalApi.removeBackground).toHaveBeenCalledTimes(2);
+    });
+
     it('should compress large images before processing', async () => {
       // Create a large test file
       const file = new File(['large-image-data'], 'large.png', { type: 'image/png' });
@@ -157,6 +345,158 @@ describe('ImageProcessorService', () => {
     });
   });
 
+  describe('In-flight request sharing', () => {
+    let pendingCalls;
+
+    beforeEach(() => {
+      pendingCalls = [];
+      mockBackgroundRemovalApi.removeBackground.mockImplementation(() => new Promise(resolve => {
+        pendingCalls.push(() => resolve(new Blob(['mock-extracted-image'], { type: 'image/png' })));
+      }));
+    });
+
+    // Resolve every API call made so far
+    const resolveApi = () => pendingCalls.splice(0).forEach(resolve => resolve());
+
+    const waitForApiCall = async (count = 1) => {
+      while (mockBackgroundRemovalApi.removeBackground.mock.calls.length < count) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    };
+
+    it('should send only one request for concurrent calls with the same file', async () => {
+      const file = new File(['test-image-data'], 'test.png', { type: 'image/png', lastModified: 1 });
+
+      const first = service.processImage(file);
+      const second = service.processImage(file);
+      await waitForApiCall();
+      resolveApi();
+      const [result1, result2] = await Promise.all([first, second]);
+
+      expect(mockBackgroundRemovalApi.removeBackground).toHaveBeenCalledTimes(1);
+      expect(result2).toBe(result1);
+      expect(service.inFlight.size).toBe(0);
+      expect(service.getCacheStats().size).toBe(1);
+    });
+
+    it('should not share requests between different files', async () => {
+      const first = service.processImage(new File(['a'], 'a.png', { type: 'image/png' }));
+      const second = service.processImage(new File(['bb'], 'b.png', { type: 'image/png' }));
+
+      expect(service.inFlight.size).toBe(2);
+      await waitForApiCall(2);
+      resolveApi();
+      await Promise.all([first, second]);
+
+      expect(mockBackgroundRemovalApi.removeBackground).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reject every caller when the shared request fails', async () => {
+      const file = new File(['test-image-data'], 'test.png', { type: 'image/png' });
+      const error = new Error('Service down');
+      error.type = ERROR_TYPES.API_ERROR;
+      error.code = ERROR_CODES.API_SERVICE_UNAVAILABLE;
+      mockBackgroundRemovalApi.removeBackground.mockRejectedValue(error);
+
+      const results = await Promise.allSettled([
+        service.processImage(file),
+        service.processImage(file)
+      ]);
+
+      expect(results.map(result => result.reason)).toEqual([error, error]);
+      expect(mockBackgroundRemovalApi.removeBackground).toHaveBeenCalledTimes(1);
+      expect(service.inFlight.size).toBe(0);
+    });
+
+    it('should report progress and retries to every caller', async () => {
+      const file = new File(['test-image-data'], 'test.png', { type: 'image/png' });
+      const onProgress1 = jest.fn();
+      const onProgress2 = jest.fn();
+      const onRetry1 = jest.fn();
+      const onRetry2 = jest.fn();
+
+      const first = service.processImage(file, { onProgress: onProgress1, onRetry: onRetry1 });
+      const second = service.processImage(file, { onProgress: onProgress2, onRetry: onRetry2 });
+      await waitForApiCall();
+      const options = mockBackgroundRemovalApi.removeBackground.mock.calls[0][1];
+      options.onRetry({ attempt: 1, delay: 1000 });
+      resolveApi();
+      await Promise.all([first, second]);
+
+      expect(onRetry1).toHaveBeenCalledWith({ attempt: 1, delay: 1000 });
+      expect(onRetry2).toHaveBeenCalledWith({ attempt: 1, delay: 1000 });
+      expect(onProgress1).toHaveBeenLastCalledWith({ status: PROCESSING_STATUS.RENDERING, progress: 100 });
+      expect(onProgress2).toHaveBeenLastCalledWith({ status: PROCESSING_STATUS.RENDERING, progress: 100 });
+    });
+
+    it('should give late callers the progress already made', async () => {
+      const file = new File(['test-image-data'], 'test.png', { type: 'image/png' });
+      const first = service.processImage(file);
+      await waitForApiCall();
+      const onProgress = jest.fn();
+
+      const second = service.processImage(file, { onProgress });
+
+      expect(onProgress).toHaveBeenCalledWith({ status: PROCESSING_STATUS.UPLOADING, progress: 0 });
+      resolveApi();
+      await Promise.all([first, second]);
+    });
+
+    it('should keep the request running while another caller still waits', async () => {
+      const file = new File(['test-image-data'], 'test.png', { type: 'image/png' });
+      const controller = new AbortController();
+
+      const first = service.processImage(file, { signal: controller.signal });
+      const second = service.processImage(file);
+      await waitForApiCall();
+      controller.abort();
+
+      await expect(first).rejects.toMatchObject({ type: ERROR_TYPES.CANCELLED });
+      const apiSignal = mockBackgroundRemovalApi.removeBackground.mock.calls[0][1].signal;
+      expect(apiSignal.aborted).toBe(false);
+
+      resolveApi();
+      await expect(second).resolves.toMatchObject({ fromCache: false });
+    });
+
+    it('should abort the request once every caller has cancelled', async () => {
+      const file = new File(['test-image-data'], 'test.png', { type: 'image/png' });
+      const controller1 = new AbortController();
+      const controller2 = new AbortController();
+
+      const first = service.processImage(file, { signal: controller1.signal });
+      const second = service.processImage(file, { signal: controller2.signal });
+      await waitForApiCall();
+      controller1.abort();
+      controller2.abort();
+
+      await expect(first).rejects.toMatchObject({ type: ERROR_TYPES.CANCELLED });
+      await expect(second).rejects.toMatchObject({ type: ERROR_TYPES.CANCELLED });
+      expect(mockBackgroundRemovalApi.removeBackground.mock.calls[0][1].signal.aborted).toBe(true);
+
+      resolveApi();
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(service.inFlight.size).toBe(0);
+      expect(service.getCacheStats().size).toBe(0);
+    });
+
+    it('should start a new request after an abandoned one', async () => {
+      const file = new File(['test-image-data'], 'test.png', { type: 'image/png' });
+      const controller = new AbortController();
+
+      const first = service.processImage(file, { signal: controller.signal });
+      await waitForApiCall();
+      controller.abort();
+      await expect(first).rejects.toMatchObject({ type: ERROR_TYPES.CANCELLED });
+
+      const second = service.processImage(file);
+      await waitForApiCall(2);
+      resolveApi();
+
+      await expect(second).resolves.toMatchObject({ fromCache: false });
+    });
+  });
+
   describe('compressImage', () => {
     it('should not compress images smaller than max dimensions', async () => {
       const canvas = document.createElement('canvas');
@@ -231,6 +571,23 @@ describe('ImageProcessorService', () => {
 
       CanvasUtility.resizeImage.mockRestore();
     });
+
+    it('should report cancellation instead of a compression failure', async () => {
+      const img = new Image();
+      img.width = 3000;
+      img.height = 2000;
+
+      const file = new File(['test'], 'test.png', { type: 'image/png' });
+      const controller = new AbortController();
+      controller.abort();
+      jest.spyOn(CanvasUtility, 'resizeImage');
+
+      await expect(service.compressImage(file, img, controller.signal)).rejects.toMatchObject({
+        type: ERROR_TYPES.CANCELLED,
+        code: ERROR_CODES.PROCESSING_CANCELLED
+      });
+      expect(CanvasUtility.resizeImage).not.toHaveBeenCalled();
+    });
   });
 
   describe('removeBackground', () => {
@@ -275,6 +632,112 @@ describe('ImageProcessorService', () => {
     });
   });
 
+  describe('removeBackgroundDetailed', () => {
+    it('should report the provider returned by a composite service', async () => {
+      const blob = new Blob(['test-image'], { type: 'image/png' });
+      const resultBlob = new Blob(['result'], { type: 'image/png' });
+      service.setBackgroundRemovalApi({
+        removeBackground: jest.fn(),
+        removeBackgroundDetailed: jest.fn().mockResolvedValue({
+          blob: resultBlob,
+          provider: 'rembg'
+        })
+      });
+
+      const result = await service.removeBackgroundDetailed(blob);
+
+      expect(result).toEqual({ blob: resultBlob, provider: 'rembg' });
+      expect(service.backgroundRemovalApi.removeBackgroundDetailed).toHaveBeenCalledWith(
+        blob,
+        expect.objectContaining({ size: 'auto' })
+      );
+    });
+
+    it('should fall back to the service name for plain services', async () => {
+      const blob = new Blob(['test-image'], { type: 'image/png' });
+      mockBackgroundRemovalApi.name = 'removebg';
+
+      const result = await service.removeBackgroundDetailed(blob);
+
+      expect(result.provider).toBe('removebg');
+      expect(result.blob).toBeInstanceOf(Blob);
+    });
+  });
+
+  describe('getAccountStatus', () => {
+    it('should return account info reported by the service', async () => {
+      const account = { credits: { total: 5 }, freeCalls: 0 };
+      mockBackgroundRemovalApi.checkApiStatus.mockResolvedValue(account);
+
+      await expect(service.getAccountStatus()).resolves.toBe(account);
+    });
+
+    it('should return null for services that only report a boolean', async () => {
+      await expect(service.getAccountStatus()).resolves.toBeNull();
+    });
+
+    it('should return null when the status check fails', async () => {
+      mockBackgroundRemovalApi.checkApiStatus.mockRejectedValue(new Error('down'));
+
+      await expect(service.getAccountStatus()).resolves.toBeNull();
+    });
+
+    it('should return null when no service is configured', async () => {
+      await expect(new ImageProcessorService().getAccountStatus()).resolves.toBeNull();
+    });
+  });
+
+  describe('validateApiKey', () => {
+    it('should return account info for a valid key', async () => {
+      const account = { credits: { total: 50 }, freeCalls: 50 };
+      jest.spyOn(RemoveBgService.prototype, 'checkApiStatus').mockResolvedValue(account);
+
+      await expect(service.validateApiKey('user-key')).resolves.toBe(account);
+    });
+
+    it('should return null for a rejected key', async () => {
+      jest.spyOn(RemoveBgService.prototype, 'checkApiStatus').mockResolvedValue(null);
+
+      await expect(service.validateApiKey('bad-key')).resolves.toBeNull();
+    });
+
+    it('should throw when Remove.bg cannot be reached', async () => {
+      const error = { type: ERROR_TYPES.NETWORK_ERROR, code: ERROR_CODES.NETWORK_TIMEOUT };
+      jest.spyOn(RemoveBgService.prototype, 'checkApiStatus').mockRejectedValue(error);
+
+      await expect(service.validateApiKey('user-key')).rejects.toBe(error);
+    });
+
+    it('should return null without checking an empty key', async () => {
+      const checkApiStatus = jest.spyOn(RemoveBgService.prototype, 'checkApiStatus');
+
+      await expect(service.validateApiKey('')).resolves.toBeNull();
+      expect(checkApiStatus).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('useApiKey', () => {
+    it('should hot-swap to Remove.bg with the user key', () => {
+      service.useApiKey('user-key');
+
+      expect(service.backgroundRemovalApi).toBeInstanceOf(UsageTrackingBackgroundRemovalService);
+      expect(service.backgroundRemovalApi.enforceBudget).toBe(true);
+      expect(service.backgroundRemovalApi.service).toBeInstanceOf(RemoveBgService);
+      expect(service.backgroundRemovalApi.service.apiKey).toBe('user-key');
+    });
+
+    it('should restore the build-time configuration when the key is removed', () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      service.useApiKey('user-key');
+
+      service.useApiKey(null);
+
+      // No build-time key is configured in tests, so local removal is used
+      expect(service.backgroundRemovalApi.service).toBeInstanceOf(LocalBackgroundRemovalService);
+      expect(service.backgroundRemovalApi.enforceBudget).toBe(false);
+    });
+  });
+
   describe('blobToDataUrl', () => {
     it('should convert blob to DataURL successfully', async () => {
       const blob = new Blob(['test-data'], { type: 'image/png' });
@@ -300,6 +763,885 @@ describe('ImageProcessorService', () => {
     });
   });
 
+  describe('Crop strategies', () => {
+    const file = new File(['test-image-data'], 'test.png', { type: 'image/png' });
+    let croppedCanvas;
+
+    beforeEach(() => {
+      croppedCanvas = document.createElement('canvas');
+      croppedCanvas.width = 40;
+      croppedCanvas.height = 30;
+      jest.spyOn(service.patternExtractor, 'extractPatternDetailed').mockResolvedValue({
+        canvas: croppedCanvas,
+        bounds: { top: 10, left: 20, width: 40, height: 30 }
+      });
+      jest.spyOn(service.patternExtractor, 'smartCropDetailed').mockResolvedValue({
+        canvas: croppedCanvas,
+        bounds: { top: 5, left: 5, width: 40, height: 30 }
+      });
+    });
+
+    it('should let the provider crop with the api strategy', async () => {
+      const result = await service.processImage(file, { crop: { strategy: CROP_STRATEGIES.API, padding: 8 } });
+
+      expect(mockBackgroundRemovalApi.removeBackground).toHaveBeenCalledWith(
+        expect.any(Blob),
+        expect.objectContaining({ crop: true, crop_margin: '8px' })
+      );
+      expect(service.patternExtractor.extractPatternDetailed).not.toHaveBeenCalled();
+      expect(result.cropStrategy).toBe(CROP_STRATEGIES.API);
+      expect(result.cropBounds).toBeNull();
+    });
+
+    it('should not crop with the none strategy', async () => {
+      const result = await service.processImage(file, { crop: { strategy: CROP_STRATEGIES.NONE } });
+
+      expect(mockBackgroundRemovalApi.removeBackground).toHaveBeenCalledWith(
+        expect.any(Blob),
+        expect.objectContaining({ crop: false })
+      );
+      expect(service.patternExtractor.extractPatternDetailed).not.toHaveBeenCalled();
+      expect(service.patternExtractor.smartCropDetailed).not.toHaveBeenCalled();
+      expect(result.width).toBe(100);
+      expect(result.cropBounds).toBeNull();
+    });
+
+    it('should crop locally to the pattern bounds', async () => {
+      const result = await service.processImage(file, {
+        crop: { strategy: CROP_STRATEGIES.LOCAL_BOUNDS, padding: 4, threshold: 32 }
+      });
+
+      expect(mockBackgroundRemovalApi.removeBackground).toHaveBeenCalledWith(
+        expect.any(Blob),
+        expect.objectContaining({ crop: false })
+      );
+      expect(service.patternExtractor.extractPatternDetailed).toHaveBeenCalledWith(
+        expect.objectContaining({ width: 100, height: 100 }),
+        { padding: 4, threshold: 32, colorAware: true }
+      );
+      expect(result).toMatchObject({
+        cropStrategy: CROP_STRATEGIES.LOCAL_BOUNDS,
+        cropBounds: { top: 10, left: 20, width: 40, height: 30 },
+        width: 40,
+        height: 30,
+        extractedDataUrl: expect.stringMatching(/^data:image\/png/)
+      });
+    });
+
+    it('should crop locally by content density', async () => {
+      const result = await service.processImage(file, {
+        crop: { strategy: CROP_STRATEGIES.LOCAL_DENSITY, densityThreshold: 0.2 }
+      });
+
+      expect(service.patternExtractor.smartCropDetailed).toHaveBeenCalledWith(
+        expect.any(Object),
+        expect.objectContaining({ padding: PATTERN_PADDING, densityThreshold: 0.2 })
+      );
+      expect(result.cropBounds).toEqual({ top: 5, left: 5, width: 40, height: 30 });
+    });
+
+    it('should clean up the mask once before detecting regions and cropping', async () => {
+      const cleanedCanvas = document.createElement('canvas');
+      cleanedCanvas.width = 100;
+      cleanedCanvas.height = 100;
+      jest.spyOn(service.patternExtractor, 'cleanupMask').mockResolvedValue({ canvas: cleanedCanvas, changed: true });
+      jest.spyOn(service.patternExtractor, 'detectRegions').mockResolvedValue([]);
+
+      await service.processImage(file, {
+        crop: { strategy: CROP_STRATEGIES.LOCAL_BOUNDS, threshold: 20, open: 2, removeIslands: 50.4, fillHoles: 30 },
+        regions: { enabled: true }
+      });
+
+      expect(service.patternExtractor.cleanupMask).toHaveBeenCalledTimes(1);
+      expect(service.patternExtractor.cleanupMask).toHaveBeenCalledWith(
+        expect.objectContaining({ width: 100, height: 100 }),
+        { threshold: 20, open: 2, close: 0, erode: 0, dilate: 0, removeIslands: 50, fillHoles: 30 }
+      );
+      expect(service.patternExtractor.detectRegions).toHaveBeenCalledWith(cleanedCanvas, expect.any(Object));
+      expect(service.patternExtractor.extractPatternDetailed).toHaveBeenCalledWith(cleanedCanvas, expect.any(Object));
+    });
+
+    it('should clean up the mask without a crop strategy', async () => {
+      const cleanedCanvas = document.createElement('canvas');
+      const toDataURL = jest.spyOn(cleanedCanvas, 'toDataURL');
+      jest.spyOn(service.patternExtractor, 'cleanupMask').mockResolvedValue({ canvas: cleanedCanvas, changed: true });
+
+      await service.processImage(file, { crop: { strategy: CROP_STRATEGIES.NONE, removeIslands: 50 } });
+
+      expect(toDataURL).toHaveBeenCalledWith('image/png');
+    });
+
+    it('should clamp mask cleanup radii', async () => {
+      jest.spyOn(service.patternExtractor, 'cleanupMask');
+
+      await service.processImage(file, {
+        crop: { strategy: CROP_STRATEGIES.LOCAL_BOUNDS, erode: -3, dilate: 99 }
+      });
+
+      expect(service.patternExtractor.cleanupMask).toHaveBeenCalledWith(
+        expect.any(Object),
+        expect.objectContaining({ erode: 0, dilate: MASK_CLEANUP_CONFIG.MAX_RADIUS })
+      );
+    });
+
+    it('should cache results separately per mask cleanup setting', async () => {
+      await service.processImage(file, { crop: { strategy: CROP_STRATEGIES.LOCAL_BOUNDS } });
+      const result = await service.processImage(file, {
+        crop: { strategy: CROP_STRATEGIES.LOCAL_BOUNDS, removeIslands: 20 }
+      });
+
+      expect(result.fromCache).toBe(false);
+      expect(mockBackgroundRemovalApi.removeBackground).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep the whole image when no pattern is found', async () => {
+      service.patternExtractor.extractPatternDetailed.mockResolvedValue({ canvas: croppedCanvas, bounds: null });
+
+      const result = await service.processImage(file, { crop: { strategy: CROP_STRATEGIES.LOCAL_BOUNDS } });
+
+      expect(result.cropBounds).toBeNull();
+      expect(result.width).toBe(100);
+      expect(result.height).toBe(100);
+    });
+
+    it('should reject an unknown strategy', async () => {
+      await expect(
+        service.processImage(file, { crop: { strategy: 'magic' } })
+      ).rejects.toMatchObject({
+        type: ERROR_TYPES.PROCESSING_ERROR,
+        code: ERROR_CODES.API_BAD_REQUEST
+      });
+      expect(mockBackgroundRemovalApi.removeBackground).not.toHaveBeenCalled();
+    });
+
+    it('should cache results separately per crop setting', async () => {
+      await service.processImage(file, { crop: { strategy: CROP_STRATEGIES.NONE } });
+      const result = await service.processImage(file, { crop: { strategy: CROP_STRATEGIES.LOCAL_BOUNDS } });
+
+      expect(result.fromCache).toBe(false);
+      expect(mockBackgroundRemovalApi.removeBackground).toHaveBeenCalledTimes(1);
+    });
+
+    it('should send a new request when the provider crop changes', async () => {
+      await service.processImage(file, { crop: { strategy: CROP_STRATEGIES.API, padding: 8 } });
+      await service.processImage(file, { crop: { strategy: CROP_STRATEGIES.API, padding: 16 } });
+      await service.processImage(file, { crop: { strategy: CROP_STRATEGIES.NONE } });
+
+      expect(mockBackgroundRemovalApi.removeBackground).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('Fabric keying', () => {
+    const file = new File(['test-image-data'], 'test.png', { type: 'image/png' });
+    const fabricColor = { r: 250, g: 250, b: 250 };
+    let keyedCanvas;
+
+    beforeEach(() => {
+      keyedCanvas = document.createElement('canvas');
+      keyedCanvas.width = 100;
+      keyedCanvas.height = 100;
+      jest.spyOn(service.patternExtractor, 'removeFabricColor').mockResolvedValue({
+        canvas: keyedCanvas,
+        fabricColor
+      });
+      jest.spyOn(service.patternExtractor, 'extractPatternDetailed').mockResolvedValue({
+        canvas: keyedCanvas,
+        bounds: { top: 0, left: 0, width: 100, height: 100 }
+      });
+    });
+
+    it('should key out the fabric color with the given tolerance and softness', async () => {
+      const toDataURL = jest.spyOn(keyedCanvas, 'toDataURL');
+
+      const result = await service.processImage(file, {
+        crop: { strategy: CROP_STRATEGIES.NONE },
+        fabric: { enabled: true, tolerance: 60, softness: 10 }
+      });
+
+      expect(service.patternExtractor.removeFabricColor).toHaveBeenCalledWith(
+        expect.objectContaining({ width: 100, height: 100 }),
+        { tolerance: 60, softness: 10 }
+      );
+      expect(toDataURL).toHaveBeenCalledWith('image/png');
+      expect(result.fabricColor).toEqual(fabricColor);
+    });
+
+    it('should not key out the fabric when disabled', async () => {
+      const result = await service.processImage(file, { fabric: { enabled: false } });
+
+      expect(service.patternExtractor.removeFabricColor).not.toHaveBeenCalled();
+      expect(result.fabricColor).toBeNull();
+    });
+
+    it('should crop the keyed image by alpha only', async () => {
+      await service.processImage(file, {
+        crop: { strategy: CROP_STRATEGIES.LOCAL_BOUNDS },
+        fabric: { enabled: true }
+      });
+
+      expect(service.patternExtractor.extractPatternDetailed).toHaveBeenCalledWith(
+        keyedCanvas,
+        expect.objectContaining({ colorAware: false })
+      );
+    });
+
+    it('should keep the original result when no fabric color is found', async () => {
+      service.patternExtractor.removeFabricColor.mockResolvedValue({ canvas: keyedCanvas, fabricColor: null });
+      const toDataURL = jest.spyOn(keyedCanvas, 'toDataURL');
+
+      const result = await service.processImage(file, {
+        crop: { strategy: CROP_STRATEGIES.NONE },
+        fabric: { enabled: true }
+      });
+
+      expect(toDataURL).not.toHaveBeenCalled();
+      expect(result.extractedDataUrl).toBe('data:image/png;base64,bW9jay1leHRyYWN0ZWQtaW1hZ2U=');
+      expect(result.fabricColor).toBeNull();
+    });
+
+    it('should cache results separately per fabric setting', async () => {
+      await service.processImage(file, { fabric: { enabled: true, tolerance: 30 } });
+      const result = await service.processImage(file, { fabric: { enabled: true, tolerance: 50 } });
+
+      expect(result.fromCache).toBe(false);
+      expect(mockBackgroundRemovalApi.removeBackground).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Edge refinement', () => {
+    const file = new File(['test-image-data'], 'test.png', { type: 'image/png' });
+    let cleanCanvas;
+    let shapedCanvas;
+
+    beforeEach(() => {
+      cleanCanvas = document.createElement('canvas');
+      cleanCanvas.width = 100;
+      cleanCanvas.height = 100;
+      shapedCanvas = document.createElement('canvas');
+      shapedCanvas.width = 100;
+      shapedCanvas.height = 100;
+      jest.spyOn(cleanCanvas, 'toDataURL').mockReturnValue('data:image/png;base64,Y2xlYW4=');
+      jest.spyOn(shapedCanvas, 'toDataURL').mockReturnValue('data:image/png;base64,c2hhcGVk');
+      jest.spyOn(service.edgeRefiner, 'refineEdges').mockImplementation(async (image, options) => ({
+        canvas: options.decontaminate ? cleanCanvas : shapedCanvas,
+        refined: true,
+        backgroundColor: null
+      }));
+    });
+
+    const options = edges => ({
+      crop: { strategy: CROP_STRATEGIES.NONE },
+      lighting: { enabled: false },
+      fabric: { enabled: false },
+      edges
+    });
+
+    it('should decontaminate the provider\'s edge by default', async () => {
+      const result = await service.processImage(file, options());
+
+      expect(service.edgeRefiner.refineEdges).toHaveBeenCalledTimes(1);
+      expect(service.edgeRefiner.refineEdges).toHaveBeenCalledWith(
+        expect.objectContaining({ width: 100, height: 100 }),
+        {
+          decontaminate: true,
+          solidAlpha: EDGE_REFINEMENT_CONFIG.SOLID_ALPHA,
+          backgroundCell: EDGE_REFINEMENT_CONFIG.BACKGROUND_CELL
+        }
+      );
+      expect(result.edgesRefined).toBe(true);
+      expect(result.extractedDataUrl).toBe('data:image/png;base64,Y2xlYW4=');
+    });
+
+    it('should decontaminate before keying out the fabric', async () => {
+      jest.spyOn(service.patternExtractor, 'removeFabricColor').mockResolvedValue({ canvas: cleanCanvas, fabricColor: null });
+
+      await service.processImage(file, { ...options(), fabric: { enabled: true } });
+
+      expect(service.patternExtractor.removeFabricColor).toHaveBeenCalledWith(cleanCanvas, expect.any(Object));
+    });
+
+    it('should keep the original result when there is no soft edge', async () => {
+      service.edgeRefiner.refineEdges.mockResolvedValue({ canvas: cleanCanvas, refined: false, backgroundColor: null });
+
+      const result = await service.processImage(file, options());
+
+      expect(result.edgesRefined).toBe(false);
+      expect(result.extractedDataUrl).toBe('data:image/png;base64,bW9jay1leHRyYWN0ZWQtaW1hZ2U=');
+    });
+
+    it('should shrink and feather the edge after decontaminating', async () => {
+      const result = await service.processImage(file, options({ shrink: 2, feather: 1.4 }));
+
+      expect(service.edgeRefiner.refineEdges).toHaveBeenLastCalledWith(cleanCanvas, {
+        decontaminate: false,
+        shrink: 2,
+        feather: 1,
+        solidAlpha: EDGE_REFINEMENT_CONFIG.SOLID_ALPHA
+      });
+      expect(result.extractedDataUrl).toBe('data:image/png;base64,c2hhcGVk');
+    });
+
+    it('should limit the radii to the supported range', async () => {
+      await service.processImage(file, options({ decontaminate: false, shrink: -3, feather: 99 }));
+
+      expect(service.edgeRefiner.refineEdges).toHaveBeenCalledTimes(1);
+      expect(service.edgeRefiner.refineEdges).toHaveBeenCalledWith(
+        expect.any(Image),
+        expect.objectContaining({ shrink: 0, feather: EDGE_REFINEMENT_CONFIG.MAX_RADIUS })
+      );
+    });
+
+    it('should not refine the edge when everything is off', async () => {
+      const result = await service.processImage(file, options({ decontaminate: false, shrink: 0, feather: 0 }));
+
+      expect(service.edgeRefiner.refineEdges).not.toHaveBeenCalled();
+      expect(result.edgesRefined).toBe(false);
+    });
+
+    it('should cache results separately per edge setting', async () => {
+      await service.processImage(file, options({ feather: 1 }));
+      const result = await service.processImage(file, options({ feather: 2 }));
+
+      expect(result.fromCache).toBe(false);
+      expect(mockBackgroundRemovalApi.removeBackground).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Lighting correction', () => {
+    const file = new File(['test-image-data'], 'test.png', { type: 'image/png' });
+    let litCanvas;
+
+    beforeEach(() => {
+      litCanvas = document.createElement('canvas');
+      litCanvas.width = 100;
+      litCanvas.height = 100;
+      jest.spyOn(litCanvas, 'toDataURL').mockReturnValue('data:image/png;base64,bGl0');
+      jest.spyOn(service.patternExtractor, 'correctLighting').mockResolvedValue({ canvas: litCanvas, corrected: true });
+    });
+
+    it('should correct lighting with the chosen strength', async () => {
+      const result = await service.processImage(file, {
+        crop: { strategy: CROP_STRATEGIES.NONE },
+        lighting: { enabled: true, strength: 0.6 },
+        fabric: { enabled: false }
+      });
+
+      expect(service.patternExtractor.correctLighting).toHaveBeenCalledWith(
+        expect.objectContaining({ width: 100, height: 100 }),
+        {
+          strength: 0.6,
+          tolerance: LIGHTING_CORRECTION_CONFIG.TOLERANCE,
+          gridSize: LIGHTING_CORRECTION_CONFIG.GRID_SIZE
+        }
+      );
+      expect(result.lightingCorrected).toBe(true);
+      expect(result.extractedDataUrl).toBe('data:image/png;base64,bGl0');
+    });
+
+    it('should key out the fabric from the corrected image', async () => {
+      jest.spyOn(service.patternExtractor, 'removeFabricColor').mockResolvedValue({ canvas: litCanvas, fabricColor: null });
+
+      await service.processImage(file, { lighting: { enabled: true }, fabric: { enabled: true } });
+
+      expect(service.patternExtractor.removeFabricColor).toHaveBeenCalledWith(litCanvas, expect.any(Object));
+    });
+
+    it('should keep the original result when no fabric was found', async () => {
+      service.patternExtractor.correctLighting.mockResolvedValue({ canvas: litCanvas, corrected: false });
+
+      const result = await service.processImage(file, {
+        crop: { strategy: CROP_STRATEGIES.NONE },
+        lighting: { enabled: true },
+        fabric: { enabled: false }
+      });
+
+      expect(result.lightingCorrected).toBe(false);
+      expect(result.extractedDataUrl).toBe('data:image/png;base64,bW9jay1leHRyYWN0ZWQtaW1hZ2U=');
+    });
+
+    it('should not correct lighting when disabled', async () => {
+      const result = await service.processImage(file, { lighting: { enabled: false } });
+
+      expect(service.patternExtractor.correctLighting).not.toHaveBeenCalled();
+      expect(result.lightingCorrected).toBe(false);
+    });
+
+    it('should cache results separately per strength', async () => {
+      await service.processImage(file, { lighting: { enabled: true, strength: 0.4 } });
+      const result = await service.processImage(file, { lighting: { enabled: true, strength: 0.9 } });
+
+      expect(result.fromCache).toBe(false);
+      expect(mockBackgroundRemovalApi.removeBackground).toHaveBeenCalledTimes(1);
+    });
+
+    describe('previewLighting', () => {
+      let preview;
+
+      beforeEach(() => {
+        preview = document.createElement('canvas');
+        jest.spyOn(preview, 'toDataURL').mockReturnValue('data:image/png;base64,cHJldmlldw==');
+        jest.spyOn(CanvasUtility, 'resizeImage').mockReturnValue(preview);
+      });
+
+      it('should correct a downscaled copy of the photo', async () => {
+        const dataUrl = await service.previewLighting('data:image/jpeg;base64,photo', { enabled: true, strength: 0.5 });
+
+        expect(CanvasUtility.resizeImage).toHaveBeenCalledWith(
+          expect.any(Image),
+          LIGHTING_CORRECTION_CONFIG.PREVIEW_SIZE,
+          LIGHTING_CORRECTION_CONFIG.PREVIEW_SIZE
+        );
+        expect(service.patternExtractor.correctLighting).toHaveBeenCalledWith(
+          preview,
+          expect.objectContaining({ strength: 0.5 })
+        );
+        expect(dataUrl).toBe('data:image/png;base64,bGl0');
+      });
+
+      it('should downscale each photo only once while the strength changes', async () => {
+        await service.previewLighting('data:image/jpeg;base64,photo', { enabled: true, strength: 0.2 });
+        await service.previewLighting('data:image/jpeg;base64,photo', { enabled: true, strength: 0.6 });
+        await service.previewLighting('data:image/jpeg;base64,other', { enabled: true, strength: 0.6 });
+
+        expect(CanvasUtility.loadImage).toHaveBeenCalledTimes(2);
+        expect(CanvasUtility.resizeImage).toHaveBeenCalledTimes(2);
+        expect(service.patternExtractor.correctLighting).toHaveBeenCalledTimes(3);
+        expect(service.patternExtractor.correctLighting).toHaveBeenLastCalledWith(
+          preview,
+          expect.objectContaining({ strength: 0.6 })
+        );
+      });
+
+      it('should show the photo as is when correction is disabled', async () => {
+        const dataUrl = await service.previewLighting('data:image/jpeg;base64,photo', { enabled: false });
+
+        expect(service.patternExtractor.correctLighting).not.toHaveBeenCalled();
+        expect(dataUrl).toBe('data:image/png;base64,cHJldmlldw==');
+      });
+
+      it('should not call the background removal service', async () => {
+        await service.previewLighting('data:image/jpeg;base64,photo', { enabled: true });
+
+        expect(mockBackgroundRemovalApi.removeBackground).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('Region detection', () => {
+    const file = new File(['test-image-data'], 'test.png', { type: 'image/png' });
+
+    beforeEach(() => {
+      const logo = document.createElement('canvas');
+      logo.width = 60;
+      logo.height = 50;
+      const sleeve = document.createElement('canvas');
+      sleeve.width = 20;
+      sleeve.height = 10;
+      jest.spyOn(service.patternExtractor, 'detectRegions').mockResolvedValue([
+        { canvas: logo, bounds: { top: 5, left: 5, width: 60, height: 50 }, area: 2000 },
+        { canvas: sleeve, bounds: { top: 70, left: 75, width: 20, height: 10 }, area: 150 }
+      ]);
+    });
+
+    it('should include each detected design in the result', async () => {
+      const result = await service.processImage(file, {
+        crop: { strategy: CROP_STRATEGIES.NONE, padding: 6, threshold: 20 },
+        fabric: { enabled: false },
+        regions: { enabled: true, mergeDistance: 12, minArea: 100 }
+      });
+
+      expect(service.patternExtractor.detectRegions).toHaveBeenCalledWith(
+        expect.objectContaining({ width: 100, height: 100 }),
+        { padding: 6, threshold: 20, colorAware: true, mergeDistance: 12, minArea: 100 }
+      );
+      expect(result.regions).toEqual([
+        {
+          dataUrl: expect.stringMatching(/^data:image\/png/),
+          bounds: { top: 5, left: 5, width: 60, height: 50 },
+          width: 60,
+          height: 50,
+          area: 2000
+        },
+        {
+          dataUrl: expect.stringMatching(/^data:image\/png/),
+          bounds: { top: 70, left: 75, width: 20, height: 10 },
+          width: 20,
+          height: 10,
+          area: 150
+        }
+      ]);
+    });
+
+    it('should not detect regions when disabled', async () => {
+      const result = await service.processImage(file, { regions: { enabled: false } });
+
+      expect(service.patternExtractor.detectRegions).not.toHaveBeenCalled();
+      expect(result.regions).toEqual([]);
+    });
+
+    it('should detect regions on the keyed image by alpha only', async () => {
+      const keyedCanvas = document.createElement('canvas');
+      jest.spyOn(service.patternExtractor, 'removeFabricColor').mockResolvedValue({
+        canvas: keyedCanvas,
+        fabricColor: { r: 255, g: 255, b: 255 }
+      });
+
+      await service.processImage(file, { fabric: { enabled: true }, regions: { enabled: true } });
+
+      expect(service.patternExtractor.detectRegions).toHaveBeenCalledWith(
+        keyedCanvas,
+        expect.objectContaining({ colorAware: false })
+      );
+    });
+
+    it('should cache results separately per region setting', async () => {
+      await service.processImage(file, { regions: { enabled: true, minArea: 100 } });
+      const result = await service.processImage(file, { regions: { enabled: true, minArea: 500 } });
+
+      expect(result.fromCache).toBe(false);
+      expect(mockBackgroundRemovalApi.removeBackground).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Perspective correction', () => {
+    const file = new File(['test-image-data'], 'test.png', { type: 'image/png' });
+    const corners = [
+      { x: 0.1, y: 0.2 },
+      { x: 0.9, y: 0.1 },
+      { x: 0.8, y: 0.9 },
+      { x: 0.2, y: 0.8 }
+    ];
+    let rectifiedCanvas;
+
+    beforeEach(() => {
+      rectifiedCanvas = document.createElement('canvas');
+      rectifiedCanvas.width = 70;
+      rectifiedCanvas.height = 60;
+      jest.spyOn(service.perspectiveCorrector, 'rectify').mockReturnValue(rectifiedCanvas);
+    });
+
+    it('should not correct perspective by default', async () => {
+      const result = await service.processImage(file);
+
+      expect(service.perspectiveCorrector.rectify).not.toHaveBeenCalled();
+      expect(result.perspectiveCorners).toBeNull();
+    });
+
+    it('should flatten the quadrilateral given by manual corners', async () => {
+      const result = await service.processImage(file, {
+        crop: { strategy: CROP_STRATEGIES.LOCAL_BOUNDS },
+        regions: { enabled: false },
+        perspective: { mode: PERSPECTIVE_MODES.MANUAL, corners }
+      });
+
+      // The mocked background-removed image is 100x100
+      expect(service.perspectiveCorrector.rectify).toHaveBeenCalledWith(
+        expect.objectContaining({ width: 100, height: 100 }),
+        [{ x: 10, y: 20 }, { x: 90, y: 10 }, { x: 80, y: 90 }, { x: 20, y: 80 }]
+      );
+      expect(result.perspectiveCorners).toEqual(corners);
+      expect(result.width).toBe(70);
+      expect(result.height).toBe(60);
+      expect(result.cropBounds).toBeNull();
+    });
+
+    it('should not let the provider crop when correcting perspective', async () => {
+      await service.processImage(file, {
+        crop: { strategy: CROP_STRATEGIES.API },
+        perspective: { mode: PERSPECTIVE_MODES.MANUAL, corners }
+      });
+
+      expect(mockBackgroundRemovalApi.removeBackground).toHaveBeenCalledWith(
+        expect.any(Blob),
+        expect.objectContaining({ crop: false })
+      );
+    });
+
+    it('should only re-run the framing steps when the corners change', async () => {
+      jest.spyOn(service.patternExtractor, 'removeFabricColor').mockResolvedValue({
+        canvas: document.createElement('canvas'),
+        fabricColor: null
+      });
+      const options = (perspective) => ({
+        crop: { strategy: CROP_STRATEGIES.API },
+        fabric: { enabled: true },
+        perspective
+      });
+
+      await service.processImage(file, options({ mode: PERSPECTIVE_MODES.MANUAL, corners }));
+      const moved = [{ x: 0.15, y: 0.2 }, ...corners.slice(1)];
+      const result = await service.processImage(file, options({ mode: PERSPECTIVE_MODES.MANUAL, corners: moved }));
+
+      expect(mockBackgroundRemovalApi.removeBackground).toHaveBeenCalledTimes(1);
+      expect(service.patternExtractor.removeFabricColor).toHaveBeenCalledTimes(1);
+      expect(service.perspectiveCorrector.rectify).toHaveBeenCalledTimes(2);
+      expect(result.perspectiveCorners).toEqual(moved);
+      expect(result.creditsCharged).toBe(0);
+    });
+
+    it('should flatten an automatically detected quadrilateral', async () => {
+      jest.spyOn(service.perspectiveCorrector, 'detectQuadrilateral').mockReturnValue({
+        corners: [{ x: 5, y: 5 }, { x: 95, y: 10 }, { x: 90, y: 95 }, { x: 10, y: 90 }],
+        coverage: 0.97
+      });
+
+      const result = await service.processImage(file, {
+        fabric: { enabled: false },
+        perspective: { mode: PERSPECTIVE_MODES.AUTO }
+      });
+
+      expect(service.perspectiveCorrector.detectQuadrilateral).toHaveBeenCalledWith(
+        expect.objectContaining({ width: 100, height: 100 }),
+        expect.objectContaining({ colorAware: true })
+      );
+      expect(result.perspectiveCorners).toEqual([
+        { x: 0.05, y: 0.05 },
+        { x: 0.95, y: 0.1 },
+        { x: 0.9, y: 0.95 },
+        { x: 0.1, y: 0.9 }
+      ]);
+    });
+
+    it('should keep the print as photographed when no quadrilateral is detected', async () => {
+      jest.spyOn(service.perspectiveCorrector, 'detectQuadrilateral').mockReturnValue(null);
+
+      const result = await service.processImage(file, { perspective: { mode: PERSPECTIVE_MODES.AUTO } });
+
+      expect(service.perspectiveCorrector.rectify).not.toHaveBeenCalled();
+      expect(result.perspectiveCorners).toBeNull();
+    });
+
+    it('should reject corners that do not form a quadrilateral inside the image', async () => {
+      const crossed = [corners[0], corners[2], corners[1], corners[3]];
+      const outside = [{ x: -0.1, y: 0 }, corners[1], corners[2], corners[3]];
+
+      for (const invalid of [crossed, outside, undefined]) {
+        await expect(
+          service.processImage(file, { perspective: { mode: PERSPECTIVE_MODES.MANUAL, corners: invalid } })
+        ).rejects.toMatchObject({
+          type: ERROR_TYPES.PROCESSING_ERROR,
+          code: ERROR_CODES.API_BAD_REQUEST
+        });
+      }
+      expect(mockBackgroundRemovalApi.removeBackground).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown mode', async () => {
+      await expect(
+        service.processImage(file, { perspective: { mode: 'tilt' } })
+      ).rejects.toMatchObject({ code: ERROR_CODES.API_BAD_REQUEST });
+    });
+
+    it('should cache results separately per set of corners', async () => {
+      await service.processImage(file, { perspective: { mode: PERSPECTIVE_MODES.MANUAL, corners } });
+      const moved = [{ x: 0.15, y: 0.2 }, ...corners.slice(1)];
+      const result = await service.processImage(file, { perspective: { mode: PERSPECTIVE_MODES.MANUAL, corners: moved } });
+
+      expect(result.fromCache).toBe(false);
+    });
+  });
+
+  describe('Spot colors', () => {
+    const palette = [
+      { hex: '#ff0000', r: 255, g: 0, b: 0, pixelCount: 75, coverage: 75 },
+      { hex: '#0000ff', r: 0, g: 0, b: 255, pixelCount: 25, coverage: 25 }
+    ];
+
+    beforeEach(() => {
+      const quantized = document.createElement('canvas');
+      jest.spyOn(quantized, 'toDataURL').mockReturnValue('data:image/png;base64,c3BvdA==');
+      jest.spyOn(service.colorQuantizer, 'quantize').mockResolvedValue({ canvas: quantized, palette });
+    });
+
+    it('should reduce the design to the requested number of spot colors', async () => {
+      const result = await service.reduceColors('data:image/png;base64,design', { colors: 2, dither: true });
+
+      expect(service.colorQuantizer.quantize).toHaveBeenCalledWith(
+        expect.objectContaining({ width: 100, height: 100 }),
+        expect.objectContaining({ colors: 2, dither: true, maxColors: SPOT_COLOR_CONFIG.MAX_COLORS })
+      );
+      expect(result).toEqual({ dataUrl: 'data:image/png;base64,c3BvdA==', palette });
+    });
+
+    it('should choose the number of colors automatically by default', async () => {
+      await service.reduceColors('data:image/png;base64,design');
+
+      expect(service.colorQuantizer.quantize).toHaveBeenCalledWith(
+        expect.any(Image),
+        expect.objectContaining({ colors: null, dither: false, targetDeltaE: SPOT_COLOR_CONFIG.TARGET_DELTA_E })
+      );
+    });
+
+    it('should reject a color count outside the supported range', async () => {
+      await expect(service.reduceColors('data:image/png;base64,design', { colors: 0 })).rejects.toMatchObject({
+        type: ERROR_TYPES.PROCESSING_ERROR,
+        code: ERROR_CODES.API_BAD_REQUEST
+      });
+      await expect(service.reduceColors('data:image/png;base64,design', { colors: SPOT_COLOR_CONFIG.MAX_COLORS + 1 }))
+        .rejects.toMatchObject({ code: ERROR_CODES.API_BAD_REQUEST });
+      await expect(service.reduceColors('data:image/png;base64,design', { colors: 2.5 }))
+        .rejects.toMatchObject({ code: ERROR_CODES.API_BAD_REQUEST });
+      expect(service.colorQuantizer.quantize).not.toHaveBeenCalled();
+    });
+
+    it('should not call the background removal service', async () => {
+      await service.reduceColors('data:image/png;base64,design', { colors: 3 });
+
+      expect(mockBackgroundRemovalApi.removeBackground).not.toHaveBeenCalled();
+    });
+
+    describe('createSeparations', () => {
+      const spotColors = { dataUrl: 'data:image/png;base64,c3BvdA==', palette };
+
+      beforeEach(() => {
+        jest.spyOn(service.colorQuantizer, 'createSeparations').mockReturnValue([
+          { order: 1, color: palette[0], canvas: document.createElement('canvas') },
+          { order: 2, color: palette[1], canvas: document.createElement('canvas') }
+        ]);
+      });
+
+      it('should render a composite, one film per ink and a manifest', async () => {
+        const files = await service.createSeparations(spotColors, { film: SEPARATION_FILMS.GRAYSCALE });
+
+        expect(service.colorQuantizer.createSeparations).toHaveBeenCalledWith(
+          expect.objectContaining({ width: 100, height: 100 }),
+          palette,
+          { film: SEPARATION_FILMS.GRAYSCALE }
+        );
+        expect(files.map(file => file.name)).toEqual([
+          'composite.png',
+          '01-ff0000.png',
+          '02-0000ff.png',
+          'manifest.json'
+        ]);
+        files.slice(0, 3).forEach(file => expect(file.data).toBeInstanceOf(Blob));
+      });
+
+      it('should list the inks in print order in the manifest', async () => {
+        const files = await service.createSeparations(spotColors);
+
+        const manifest = JSON.parse(files[files.length - 1].data);
+        expect(manifest).toMatchObject({
+          width: 100,
+          height: 100,
+          film: SPOT_COLOR_CONFIG.FILM,
+          composite: 'composite.png',
+          inks: [
+            { order: 1, hex: '#ff0000', rgb: [255, 0, 0], coverage: 75, file: '01-ff0000.png' },
+            { order: 2, hex: '#0000ff', rgb: [0, 0, 255], coverage: 25, file: '02-0000ff.png' }
+          ]
+        });
+        expect(new Date(manifest.createdAt).toString()).not.toBe('Invalid Date');
+      });
+
+      it('should reject an unknown film style', async () => {
+        await expect(service.createSeparations(spotColors, { film: 'negative' })).rejects.toMatchObject({
+          type: ERROR_TYPES.PROCESSING_ERROR,
+          code: ERROR_CODES.API_BAD_REQUEST
+        });
+      });
+
+      it('should reject spot colors without inks', async () => {
+        await expect(service.createSeparations({ dataUrl: spotColors.dataUrl, palette: [] }))
+          .rejects.toMatchObject({ code: ERROR_CODES.API_BAD_REQUEST });
+        expect(service.colorQuantizer.createSeparations).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('Vectorizing', () => {
+    const traced = {
+      svg: '<svg xmlns="http://www.w3.org/2000/svg"></svg>',
+      width: 100,
+      height: 100,
+      layers: [{ hex: '#ff0000', coverage: 100, paths: 1 }]
+    };
+
+    beforeEach(() => {
+      jest.spyOn(service.vectorizer, 'vectorize').mockResolvedValue(traced);
+    });
+
+    it('should trace the design with the configured options', async () => {
+      const result = await service.vectorize('data:image/png;base64,design', { colors: 3 });
+
+      expect(service.vectorizer.vectorize).toHaveBeenCalledWith(
+        expect.objectContaining({ width: 100, height: 100 }),
+        {
+          colors: 3,
+          quantize: expect.objectContaining({
+            maxColors: SPOT_COLOR_CONFIG.MAX_COLORS,
+            targetDeltaE: SPOT_COLOR_CONFIG.TARGET_DELTA_E
+          }),
+          speckleThreshold: VECTORIZE_CONFIG.SPECKLE_THRESHOLD,
+          tolerance: VECTORIZE_CONFIG.TOLERANCE,
+          cornerAngle: VECTORIZE_CONFIG.CORNER_ANGLE
+        }
+      );
+      expect(result).toBe(traced);
+    });
+
+    it('should choose the number of colors automatically by default', async () => {
+      await service.vectorize('data:image/png;base64,design');
+
+      expect(service.vectorizer.vectorize).toHaveBeenCalledWith(
+        expect.any(Image),
+        expect.objectContaining({ colors: null })
+      );
+    });
+
+    it('should reject a color count outside the supported range', async () => {
+      await expect(service.vectorize('data:image/png;base64,design', { colors: SPOT_COLOR_CONFIG.MAX_COLORS + 1 }))
+        .rejects.toMatchObject({ type: ERROR_TYPES.PROCESSING_ERROR, code: ERROR_CODES.API_BAD_REQUEST });
+      expect(service.vectorizer.vectorize).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Print upscaling', () => {
+    let upscaledCanvas;
+
+    beforeEach(() => {
+      upscaledCanvas = document.createElement('canvas');
+      upscaledCanvas.width = 3600;
+      upscaledCanvas.height = 4800;
+      jest.spyOn(CanvasUtility, 'upscaleToPrintSize').mockReturnValue({
+        canvas: upscaledCanvas,
+        width: 3600,
+        height: 4800,
+        dpi: 300,
+        scale: 36,
+        sourceDpi: 8,
+        warning: '原图分辨率不足'
+      });
+    });
+
+    it('should upscale the design to the print size', async () => {
+      const options = { widthInches: 12, heightInches: 16, dpi: 300, method: UPSCALE_METHODS.EDGE, sharpen: true };
+
+      const result = await service.upscaleForPrint('data:image/png;base64,design', options);
+
+      expect(CanvasUtility.loadImage).toHaveBeenCalledWith('data:image/png;base64,design');
+      expect(CanvasUtility.upscaleToPrintSize).toHaveBeenCalledWith(
+        expect.objectContaining({ width: 100, height: 100 }),
+        options
+      );
+      expect(result).toEqual({
+        dataUrl: expect.stringMatching(/^data:image\/png/),
+        width: 3600,
+        height: 4800,
+        dpi: 300,
+        sourceDpi: 8,
+        warning: '原图分辨率不足'
+      });
+    });
+
+    it('should reject an invalid print size', async () => {
+      CanvasUtility.upscaleToPrintSize.mockRestore();
+
+      await expect(service.upscaleForPrint('data:image/png;base64,design', { widthInches: 0 }))
+        .rejects.toThrow();
+    });
+  });
+
   describe('Cache functionality', () => {
     it('should cache processing results', async () => {
       const file = new File(['test-data'], 'test.png', { 
@@ -0,0 +1,506 @@
+/**
+ * Unit tests for PatternExtractor
+ *
+ * Tests detecting the pattern bounds by alpha and color, density based
+ * cropping, the bounds reported by the detailed variants, keying out
+ * the fabric color, correcting uneven lighting, splitting separate
+ * designs into regions and cleaning up the alpha mask.
+ */
+
+import { PatternExtractor } from '@/services/PatternExtractor';
+import { createPixels, mockCanvasContext, mockImagePixels, pixelAt } from '../helpers/pixels';
+
+/**
+ * Create RGBA pixels with the given opaque rectangles
+ *
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Array<Object>} rects - { left, top, right, bottom, color: [r, g, b] } (right/bottom exclusive)
+ * @returns {Uint8ClampedArray}
+ */
+function createRectPixels(width, height, rects) {
+  return createPixels(width, height, (x, y) => {
+    // Later rectangles are drawn over earlier ones
+    const rect = rects
+      .filter(({ left, top, right, bottom }) => x >= left && x < right && y >= top && y < bottom)
+      .pop();
+    return rect ? [...rect.color, 255] : null;
+  });
+}
+
+describe('PatternExtractor', () => {
+  let extractor;
+  let context;
+
+  const useImage = (width, height, rects) =>
+    mockImagePixels(context, createRectPixels(width, height, rects), width, height);
+
+  beforeEach(() => {
+    extractor = new PatternExtractor();
+    context = mockCanvasContext();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  describe('extractPatternDetailed', () => {
+    it('should crop to the opaque pixels plus padding', async () => {
+      const image = useImage(20, 20, [{ left: 5, top: 8, right: 10, bottom: 12, color: [255, 0, 0] }]);
+
+      const { canvas, bounds } = await extractor.extractPatternDetailed(image, { padding: 2 });
+
+      expect(bounds).toEqual({ top: 6, left: 3, width: 9, height: 8 });
+      expect(canvas.width).toBe(9);
+      expect(canvas.height).toBe(8);
+      expect(context.drawImage).toHaveBeenLastCalledWith(expect.any(HTMLCanvasElement), 3, 6, 9, 8, 0, 0, 9, 8);
+    });
+
+    it('should exclude the shirt color around the pattern', async () => {
+      const image = useImage(40, 40, [
+        { left: 0, top: 0, right: 40, bottom: 40, color: [200, 200, 200] },
+        { left: 10, top: 12, right: 20, bottom: 18, color: [0, 0, 200] }
+      ]);
+
+      const { bounds } = await extractor.extractPatternDetailed(image, { padding: 0 });
+
+      expect(bounds).toEqual({ top: 12, left: 10, width: 10, height: 6 });
+    });
+
+    it('should keep the padding inside the image', async () => {
+      const image = useImage(10, 10, [{ left: 0, top: 0, right: 3, bottom: 3, color: [255, 0, 0] }]);
+
+      const { bounds } = await extractor.extractPatternDetailed(image, { padding: 5 });
+
+      expect(bounds).toEqual({ top: 0, left: 0, width: 8, height: 8 });
+    });
+
+    it('should detect bounds by alpha only when not color aware', async () => {
+      const image = useImage(40, 40, [
+        { left: 4, top: 4, right: 36, bottom: 36, color: [200, 200, 200] },
+        { left: 10, top: 12, right: 20, bottom: 18, color: [0, 0, 200] }
+      ]);
+
+      const { bounds } = await extractor.extractPatternDetailed(image, { padding: 0, colorAware: false });
+
+      expect(bounds).toEqual({ top: 4, left: 4, width: 32, height: 32 });
+    });
+
+    it('should ignore pixels at or below the alpha threshold', async () => {
+      const pixels = createRectPixels(10, 10, [{ left: 2, top: 2, right: 4, bottom: 4, color: [255, 0, 0] }]);
+      pixels[(9 * 10 + 9) * 4 + 3] = 50;
+      mockImagePixels(context, pixels, 10, 10);
+      const image = { width: 10, height: 10 };
+
+      const { bounds } = await extractor.extractPatternDetailed(image, { padding: 0, threshold: 60 });
+
+      expect(bounds).toEqual({ top: 2, left: 2, width: 2, height: 2 });
+    });
+
+    it('should return the whole image without bounds when nothing is opaque', async () => {
+      const image = useImage(10, 10, []);
+
+      const { canvas, bounds } = await extractor.extractPatternDetailed(image);
+
+      expect(bounds).toBeNull();
+      expect(canvas.width).toBe(10);
+      expect(canvas.height).toBe(10);
+    });
+  });
+
+  describe('extractPattern', () => {
+    it('should return only the cropped canvas', async () => {
+      const image = useImage(20, 20, [{ left: 5, top: 8, right: 10, bottom: 12, color: [255, 0, 0] }]);
+
+      const canvas = await extractor.extractPattern(image, { padding: 0 });
+
+      expect(canvas).toBeInstanceOf(HTMLCanvasElement);
+      expect(canvas.width).toBe(5);
+      expect(canvas.height).toBe(4);
+    });
+  });
+
+  describe('smartCropDetailed', () => {
+    it('should crop to rows and columns dense with content', async () => {
+      const image = useImage(20, 20, [
+        { left: 2, top: 4, right: 18, bottom: 16, color: [255, 0, 0] },
+        // A stray pixel the bounds strategy would keep
+        { left: 19, top: 0, right: 20, bottom: 1, color: [255, 0, 0] }
+      ]);
+
+      const { bounds } = await extractor.smartCropDetailed(image, { padding: 0 });
+
+      expect(bounds).toEqual({ top: 4, left: 2, width: 16, height: 12 });
+    });
+
+    it('should fall back to bounds detection when no row is dense enough', async () => {
+      const image = useImage(20, 20, [{ left: 5, top: 5, right: 6, bottom: 6, color: [255, 0, 0] }]);
+
+      const { bounds } = await extractor.smartCropDetailed(image, { padding: 1, densityThreshold: 0.5 });
+
+      expect(bounds).toEqual({ top: 4, left: 4, width: 3, height: 3 });
+    });
+  });
+
+  describe('Mask cleanup', () => {
+    const RED = [255, 0, 0];
+    const design = { left: 4, top: 4, right: 16, bottom: 16, color: RED };
+    const alphaAt = (pixels, width, x, y) => pixels[(y * width + x) * 4 + 3];
+
+    it('should remove small islands so they no longer widen the crop', async () => {
+      const speck = { left: 28, top: 28, right: 30, bottom: 30, color: RED };
+
+      useImage(32, 32, [design, speck]);
+      const kept = await extractor.extractPatternDetailed({ width: 32, height: 32 }, { padding: 0 });
+      useImage(32, 32, [design, speck]);
+      const cleaned = await extractor.extractPatternDetailed({ width: 32, height: 32 }, { padding: 0, removeIslands: 10 });
+
+      expect(kept.bounds).toEqual({ top: 4, left: 4, width: 26, height: 26 });
+      expect(cleaned.bounds).toEqual({ top: 4, left: 4, width: 12, height: 12 });
+      expect(context.putImageData).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fill holes smaller than the given area with the surrounding color', async () => {
+      const pixels = createRectPixels(20, 20, [design]);
+      // A 2x2 hole and a 4x4 hole
+      [[6, 6], [7, 6], [6, 7], [7, 7]].forEach(([x, y]) => { pixels[(y * 20 + x) * 4 + 3] = 0; });
+      for (let y = 10; y < 14; y++) {
+        for (let x = 10; x < 14; x++) {
+          pixels[(y * 20 + x) * 4 + 3] = 0;
+        }
+      }
+      mockImagePixels(context, pixels, 20, 20);
+
+      const { changed } = await extractor.cleanupMask({ width: 20, height: 20 }, { fillHoles: 5 });
+
+      expect(changed).toBe(true);
+      expect(Array.from(pixels.slice((6 * 20 + 6) * 4, (6 * 20 + 6) * 4 + 4))).toEqual([...RED, 255]);
+      expect(alphaAt(pixels, 20, 11, 11)).toBe(0);
+      // The transparent surroundings touch the image edge and are not a hole
+      expect(alphaAt(pixels, 20, 0, 0)).toBe(0);
+    });
+
+    it('should open away thin specks and keep the design', async () => {
+      const image = useImage(20, 20, [design, { left: 18, top: 1, right: 19, bottom: 2, color: RED }]);
+
+      const { bounds } = await extractor.extractPatternDetailed(image, { padding: 0, open: 1 });
+
+      expect(bounds).toEqual({ top: 4, left: 4, width: 12, height: 12 });
+    });
+
+    it('should close narrow gaps', async () => {
+      const pixels = createRectPixels(20, 10, [
+        { left: 2, top: 2, right: 9, bottom: 8, color: RED },
+        { left: 10, top: 2, right: 18, bottom: 8, color: RED }
+      ]);
+      mockImagePixels(context, pixels, 20, 10);
+
+      await extractor.cleanupMask({ width: 20, height: 10 }, { close: 1 });
+
+      expect(Array.from(pixels.slice((4 * 20 + 9) * 4, (4 * 20 + 9) * 4 + 4))).toEqual([...RED, 255]);
+      expect(alphaAt(pixels, 20, 2, 2)).toBe(255);
+      expect(alphaAt(pixels, 20, 1, 2)).toBe(0);
+    });
+
+    it('should erode and dilate by the radius', async () => {
+      useImage(20, 20, [design]);
+      const eroded = await extractor.extractPatternDetailed({ width: 20, height: 20 }, { padding: 0, erode: 2 });
+      useImage(20, 20, [design]);
+      const dilated = await extractor.extractPatternDetailed({ width: 20, height: 20 }, { padding: 0, dilate: 2 });
+
+      expect(eroded.bounds).toEqual({ top: 6, left: 6, width: 8, height: 8 });
+      expect(dilated.bounds).toEqual({ top: 2, left: 2, width: 16, height: 16 });
+    });
+
+    it('should give dilated pixels the design color', async () => {
+      const pixels = createRectPixels(20, 20, [design]);
+      mockImagePixels(context, pixels, 20, 20);
+
+      await extractor.cleanupMask({ width: 20, height: 20 }, { dilate: 1 });
+
+      expect(Array.from(pixels.slice((3 * 20 + 3) * 4, (3 * 20 + 3) * 4 + 4))).toEqual([...RED, 255]);
+    });
+
+    it('should leave the mask alone without cleanup options', async () => {
+      useImage(20, 20, [design]);
+
+      const { changed } = await extractor.cleanupMask({ width: 20, height: 20 });
+
+      expect(changed).toBe(false);
+      expect(context.putImageData).not.toHaveBeenCalled();
+    });
+
+    it('should clean up the mask before density cropping', async () => {
+      const image = useImage(20, 20, [
+        { left: 2, top: 4, right: 18, bottom: 16, color: RED },
+        { left: 0, top: 18, right: 20, bottom: 19, color: RED }
+      ]);
+
+      const { bounds } = await extractor.smartCropDetailed(image, { padding: 0, open: 1 });
+
+      expect(bounds).toEqual({ top: 4, left: 2, width: 16, height: 12 });
+    });
+  });
+
+  describe('smartCrop', () => {
+    it('should return only the cropped canvas', async () => {
+      const image = useImage(20, 20, [{ left: 2, top: 4, right: 18, bottom: 16, color: [255, 0, 0] }]);
+
+      const canvas = await extractor.smartCrop(image, { padding: 0 });
+
+      expect(canvas.width).toBe(16);
+      expect(canvas.height).toBe(12);
+    });
+  });
+
+  describe('getContentMask', () => {
+    it('should mark the pattern pixels', () => {
+      const image = useImage(4, 3, [{ left: 1, top: 1, right: 3, bottom: 2, color: [255, 0, 0] }]);
+
+      const { mask, width, height } = extractor.getContentMask(image, { colorAware: false });
+
+      expect(width).toBe(4);
+      expect(height).toBe(3);
+      expect(Array.from(mask)).toEqual([0, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 0]);
+    });
+  });
+
+  describe('detectRegions', () => {
+    const red = [255, 0, 0];
+
+    it('should return each separate design with its own crop, largest first', async () => {
+      const image = useImage(100, 60, [
+        // Sleeve print
+        { left: 80, top: 10, right: 90, bottom: 20, color: red },
+        // Chest logo
+        { left: 10, top: 10, right: 40, bottom: 40, color: red }
+      ]);
+
+      const regions = await extractor.detectRegions(image, { padding: 2, mergeDistance: 5, minArea: 10 });
+
+      expect(regions.map(region => region.bounds)).toEqual([
+        { top: 8, left: 8, width: 34, height: 34 },
+        { top: 8, left: 78, width: 14, height: 14 }
+      ]);
+      expect(regions.map(region => region.area)).toEqual([900, 100]);
+      expect(regions[0].canvas.width).toBe(34);
+    });
+
+    it('should merge nearby fragments into one design', async () => {
+      const image = useImage(100, 40, [
+        // Three "letters" 4px apart
+        { left: 10, top: 10, right: 20, bottom: 30, color: red },
+        { left: 24, top: 10, right: 34, bottom: 30, color: red },
+        { left: 38, top: 10, right: 48, bottom: 30, color: red }
+      ]);
+
+      const regions = await extractor.detectRegions(image, { padding: 0, mergeDistance: 5, minArea: 10 });
+
+      expect(regions).toHaveLength(1);
+      expect(regions[0].bounds).toEqual({ top: 10, left: 10, width: 38, height: 20 });
+      expect(regions[0].area).toBe(600);
+    });
+
+    it('should keep fragments apart beyond the merge distance', async () => {
+      const image = useImage(100, 40, [
+        { left: 10, top: 10, right: 20, bottom: 30, color: red },
+        { left: 24, top: 10, right: 34, bottom: 30, color: red }
+      ]);
+
+      const regions = await extractor.detectRegions(image, { padding: 0, mergeDistance: 3, minArea: 10 });
+
+      expect(regions).toHaveLength(2);
+    });
+
+    it('should connect diagonal neighbours', async () => {
+      const image = useImage(20, 20, [
+        { left: 2, top: 2, right: 3, bottom: 3, color: red },
+        { left: 3, top: 3, right: 4, bottom: 4, color: red }
+      ]);
+
+      const regions = await extractor.detectRegions(image, { padding: 0, mergeDistance: 0, minArea: 1 });
+
+      expect(regions).toHaveLength(1);
+      expect(regions[0].area).toBe(2);
+    });
+
+    it('should drop specks below the minimum area', async () => {
+      const image = useImage(100, 60, [
+        { left: 10, top: 10, right: 40, bottom: 40, color: red },
+        { left: 90, top: 50, right: 92, bottom: 52, color: red }
+      ]);
+
+      const regions = await extractor.detectRegions(image, { padding: 0, mergeDistance: 5, minArea: 10 });
+
+      expect(regions).toHaveLength(1);
+      expect(regions[0].area).toBe(900);
+    });
+
+    it('should ignore the fabric color when color aware', async () => {
+      const image = useImage(100, 60, [
+        { left: 0, top: 0, right: 100, bottom: 60, color: [200, 200, 200] },
+        { left: 10, top: 10, right: 20, bottom: 20, color: [0, 0, 200] },
+        { left: 70, top: 30, right: 80, bottom: 40, color: [0, 0, 200] }
+      ]);
+
+      const regions = await extractor.detectRegions(image, { padding: 0, mergeDistance: 5, minArea: 10 });
+
+      expect(regions).toHaveLength(2);
+      expect(regions[0].bounds).toEqual({ top: 10, left: 10, width: 10, height: 10 });
+    });
+
+    it('should return no regions for a transparent image', async () => {
+      const image = useImage(20, 20, []);
+
+      await expect(extractor.detectRegions(image)).resolves.toEqual([]);
+    });
+  });
+
+  describe('correctLighting', () => {
+    const width = 64;
+    const height = 16;
+
+    /**
+     * Grey fabric lit from the right (150 on the left edge, 250 on the right)
+     * with a blue print in the middle
+     */
+    const useShadedShirt = () => {
+      const pixels = new Uint8ClampedArray(width * height * 4);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const index = (y * width + x) * 4;
+          const isPrint = x >= 24 && x < 40 && y >= 4 && y < 12;
+          const light = 150 + (100 * x) / (width - 1);
+          pixels[index] = isPrint ? 0 : light;
+          pixels[index + 1] = isPrint ? 0 : light;
+          pixels[index + 2] = isPrint ? light * 0.8 : light;
+          pixels[index + 3] = 255;
+        }
+      }
+      mockImagePixels(context, pixels, width, height);
+      return { image: { width, height }, pixels };
+    };
+
+    const red = (pixels, x, y) => pixels[(y * width + x) * 4];
+    const blue = (pixels, x, y) => pixels[(y * width + x) * 4 + 2];
+
+    it('should even out the fabric brightness', async () => {
+      const { image, pixels } = useShadedShirt();
+
+      const { corrected } = await extractor.correctLighting(image, { strength: 1, gridSize: 8 });
+
+      expect(corrected).toBe(true);
+      expect(context.putImageData).toHaveBeenCalled();
+      expect(Math.abs(red(pixels, 0, 0) - red(pixels, width - 1, 0))).toBeLessThan(15);
+    });
+
+    it('should brighten the print where it is in shadow', async () => {
+      const { image, pixels } = useShadedShirt();
+      const before = [blue(pixels, 24, 8), blue(pixels, 39, 8)];
+
+      await extractor.correctLighting(image, { strength: 1, gridSize: 8 });
+
+      const after = [blue(pixels, 24, 8), blue(pixels, 39, 8)];
+      expect(after[1] - after[0]).toBeLessThan((before[1] - before[0]) / 2);
+    });
+
+    it('should remove only part of the shading at a lower strength', async () => {
+      const { image, pixels } = useShadedShirt();
+
+      await extractor.correctLighting(image, { strength: 0.5, gridSize: 8 });
+
+      const difference = red(pixels, width - 1, 0) - red(pixels, 0, 0);
+      expect(difference).toBeGreaterThan(30);
+      expect(difference).toBeLessThan(70);
+    });
+
+    it('should leave the image unchanged at zero strength', async () => {
+      const { image } = useShadedShirt();
+
+      const { corrected } = await extractor.correctLighting(image, { strength: 0 });
+
+      expect(corrected).toBe(false);
+      expect(context.putImageData).not.toHaveBeenCalled();
+    });
+
+    it('should skip images without opaque pixels', async () => {
+      const image = useImage(10, 10, []);
+
+      const { corrected } = await extractor.correctLighting(image);
+
+      expect(corrected).toBe(false);
+      expect(context.putImageData).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeFabricColor', () => {
+    const fabric = [200, 40, 40];
+
+    it('should make the fabric transparent and keep the print', async () => {
+      const image = useImage(40, 40, [
+        { left: 0, top: 0, right: 40, bottom: 40, color: fabric },
+        { left: 10, top: 10, right: 20, bottom: 20, color: [255, 255, 255] }
+      ]);
+
+      const { canvas, fabricColor } = await extractor.removeFabricColor(image, { tolerance: 40, softness: 20 });
+      const { data } = context.putImageData.mock.calls[0][0];
+
+      expect(fabricColor).toEqual({ r: 200, g: 40, b: 40 });
+      expect(pixelAt(data, 40, 0, 0)[3]).toBe(0);
+      expect(pixelAt(data, 40, 15, 15)).toEqual([255, 255, 255, 255]);
+      expect(canvas.width).toBe(40);
+      expect(context.putImageData).toHaveBeenCalledWith(expect.anything(), 0, 0);
+    });
+
+    it('should detect the fabric color within its quantization bucket', async () => {
+      const image = useImage(40, 40, [{ left: 0, top: 0, right: 40, bottom: 40, color: [250, 250, 250] }]);
+
+      const { fabricColor } = await extractor.removeFabricColor(image);
+
+      expect(fabricColor).toEqual({ r: 250, g: 250, b: 250 });
+    });
+
+    it('should fade pixels within the softness band and remove the fabric tint', async () => {
+      const pixels = createRectPixels(40, 40, [{ left: 0, top: 0, right: 40, bottom: 40, color: fabric }]);
+      // Half print (white), half fabric: distance from the fabric is half the fabric-to-white distance
+      const index = (5 * 40 + 5) * 4;
+      pixels[index] = (255 + 200) / 2;
+      pixels[index + 1] = (255 + 40) / 2;
+      pixels[index + 2] = (255 + 40) / 2;
+      mockImagePixels(context, pixels, 40, 40);
+      const halfDistance = Math.sqrt(
+        (pixels[index] - fabric[0]) ** 2 + (pixels[index + 1] - fabric[1]) ** 2 + (pixels[index + 2] - fabric[2]) ** 2
+      );
+
+      await extractor.removeFabricColor({ width: 40, height: 40 }, {
+        tolerance: halfDistance - 10,
+        softness: 20
+      });
+      const [r, g, b, a] = pixelAt(pixels, 40, 5, 5);
+
+      expect(a).toBe(128);
+      expect(r).toBeGreaterThanOrEqual(254);
+      expect(g).toBeGreaterThanOrEqual(254);
+      expect(b).toBeGreaterThanOrEqual(254);
+    });
+
+    it('should use a given fabric color instead of detecting it', async () => {
+      const image = useImage(40, 40, [
+        { left: 0, top: 0, right: 40, bottom: 40, color: fabric },
+        { left: 0, top: 0, right: 10, bottom: 10, color: [0, 0, 0] }
+      ]);
+
+      await extractor.removeFabricColor(image, { fabricColor: { r: 0, g: 0, b: 0 }, tolerance: 10, softness: 0 });
+      const { data } = context.putImageData.mock.calls[0][0];
+
+      expect(pixelAt(data, 40, 0, 0)[3]).toBe(0);
+      expect(pixelAt(data, 40, 20, 20)[3]).toBe(255);
+    });
+
+    it('should leave fully transparent images unchanged', async () => {
+      const image = useImage(20, 20, []);
+
+      const { fabricColor } = await extractor.removeFabricColor(image);
+
+      expect(fabricColor).toBeNull();
+      expect(context.putImageData).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Unit tests for PerspectiveCorrector
+ *
+ * Tests the homography math, validating corner quadrilaterals, detecting
+ * the quadrilateral of a print and resampling it into a rectangle.
+ */
+
+import { PerspectiveCorrector } from '@/services/PerspectiveCorrector';
+import { createPixels, mockCanvasContext, mockImagePixels } from '../helpers/pixels';
+
+const PRINT = [200, 0, 0, 255];
+
+describe('PerspectiveCorrector', () => {
+  let corrector;
+  let context;
+
+  const square = [
+    { x: 0, y: 0 },
+    { x: 1, y: 0 },
+    { x: 1, y: 1 },
+    { x: 0, y: 1 }
+  ];
+
+  beforeEach(() => {
+    corrector = new PerspectiveCorrector();
+    context = mockCanvasContext();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  describe('computeHomography', () => {
+    it('should map each source corner onto its target corner', () => {
+      const target = [
+        { x: 12, y: 8 },
+        { x: 90, y: 20 },
+        { x: 80, y: 95 },
+        { x: 5, y: 70 }
+      ];
+
+      const homography = corrector.computeHomography(square, target);
+
+      square.forEach((corner, i) => {
+        const point = corrector._applyHomography(homography, corner.x, corner.y);
+        expect(point.x).toBeCloseTo(target[i].x, 6);
+        expect(point.y).toBeCloseTo(target[i].y, 6);
+      });
+    });
+
+    it('should return null for collinear points', () => {
+      const line = [{ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 2 }, { x: 3, y: 3 }];
+
+      expect(corrector.computeHomography(square, line)).toBeNull();
+    });
+  });
+
+  describe('isValidQuadrilateral', () => {
+    it('should accept clockwise convex corners', () => {
+      expect(corrector.isValidQuadrilateral([
+        { x: 0.1, y: 0.2 },
+        { x: 0.9, y: 0.1 },
+        { x: 0.8, y: 0.9 },
+        { x: 0.2, y: 0.8 }
+      ])).toBe(true);
+    });
+
+    it('should reject crossed, concave or incomplete corners', () => {
+      expect(corrector.isValidQuadrilateral([square[0], square[2], square[1], square[3]])).toBe(false);
+      expect(corrector.isValidQuadrilateral([square[0], square[1], { x: 0.2, y: 0.2 }, square[3]])).toBe(false);
+      expect(corrector.isValidQuadrilateral(square.slice(0, 3))).toBe(false);
+      expect(corrector.isValidQuadrilateral([square[0], square[1], square[2], { x: NaN, y: 1 }])).toBe(false);
+    });
+  });
+
+  describe('detectQuadrilateral', () => {
+    /**
+     * Make the canvas return an image whose print covers the pixels where isContent(x, y) holds
+     */
+    const useImage = (width, height, isContent) => {
+      const pixels = createPixels(width, height, (x, y) => (isContent(x, y) ? PRINT : null));
+      return mockImagePixels(context, pixels, width, height);
+    };
+
+    it('should find the corners of a rectangular print', () => {
+      const image = useImage(20, 20, (x, y) => x >= 5 && x < 15 && y >= 4 && y < 10);
+
+      const detected = corrector.detectQuadrilateral(image, { colorAware: false });
+
+      expect(detected.corners).toEqual([
+        { x: 5, y: 4 },
+        { x: 15, y: 4 },
+        { x: 15, y: 10 },
+        { x: 5, y: 10 }
+      ]);
+      expect(detected.coverage).toBe(1);
+    });
+
+    it('should find the corners of a skewed print', () => {
+      // Parallelogram leaning right by one pixel every two rows
+      const image = useImage(40, 30, (x, y) => y >= 5 && y < 25 && x >= 5 + y / 2 && x < 20 + y / 2);
+
+      const detected = corrector.detectQuadrilateral(image, { colorAware: false });
+
+      expect(detected.corners[0]).toEqual({ x: 8, y: 5 });
+      expect(detected.corners[2]).toEqual({ x: 32, y: 25 });
+      expect(detected.coverage).toBeGreaterThan(0.9);
+    });
+
+    it('should not treat a round print as a quadrilateral', () => {
+      const image = useImage(30, 30, (x, y) => Math.hypot(x - 15, y - 15) < 12);
+
+      expect(corrector.detectQuadrilateral(image, { colorAware: false })).toBeNull();
+    });
+
+    it('should return null for an empty image', () => {
+      const image = useImage(10, 10, () => false);
+
+      expect(corrector.detectQuadrilateral(image, { colorAware: false })).toBeNull();
+    });
+  });
+
+  describe('rectify', () => {
+    /**
+     * Source pixels whose red channel encodes the column and green channel the row
+     */
+    const useGradient = (width, height) => {
+      const pixels = new Uint8ClampedArray(width * height * 4);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const index = (y * width + x) * 4;
+          pixels[index] = x * 10;
+          pixels[index + 1] = y * 10;
+          pixels[index + 3] = 255;
+        }
+      }
+      context.getImageData.mockImplementation((left, top, w, h) => ({
+        // The first read is the source image, later reads are blank output buffers
+        data: context.getImageData.mock.calls.length === 1 ? pixels : new Uint8ClampedArray(w * h * 4),
+        width: w,
+        height: h
+      }));
+      return { width, height };
+    };
+
+    const outputPixel = (canvas, x, y) => {
+      const data = context.putImageData.mock.calls[0][0].data;
+      const index = (y * canvas.width + x) * 4;
+      return Array.from(data.slice(index, index + 4));
+    };
+
+    it('should copy an axis-aligned rectangle unchanged', () => {
+      const image = useGradient(8, 6);
+
+      const canvas = corrector.rectify(image, [
+        { x: 2, y: 1 },
+        { x: 6, y: 1 },
+        { x: 6, y: 4 },
+        { x: 2, y: 4 }
+      ]);
+
+      expect(canvas.width).toBe(4);
+      expect(canvas.height).toBe(3);
+      expect(outputPixel(canvas, 0, 0)).toEqual([20, 10, 0, 255]);
+      expect(outputPixel(canvas, 3, 2)).toEqual([50, 30, 0, 255]);
+    });
+
+    it('should size the output by the longer opposite edges', () => {
+      const image = useGradient(100, 100);
+
+      const canvas = corrector.rectify(image, [
+        { x: 10, y: 10 },
+        { x: 70, y: 20 },
+        { x: 90, y: 90 },
+        { x: 20, y: 60 }
+      ]);
+
+      expect(canvas.width).toBe(Math.round(Math.hypot(70, 30)));
+      expect(canvas.height).toBe(Math.round(Math.hypot(20, 70)));
+    });
+
+    it('should honour an explicit output size', () => {
+      const image = useGradient(10, 10);
+
+      const canvas = corrector.rectify(image, square.map(({ x, y }) => ({ x: x * 10, y: y * 10 })), {
+        width: 5,
+        height: 4
+      });
+
+      expect(canvas.width).toBe(5);
+      expect(canvas.height).toBe(4);
+    });
+
+    it('should interpolate between neighbouring pixels', () => {
+      const image = useGradient(4, 1);
+
+      // Half a pixel to the right: every output pixel lies between two source columns
+      const canvas = corrector.rectify(image, [
+        { x: 0.5, y: 0 },
+        { x: 3.5, y: 0 },
+        { x: 3.5, y: 1 },
+        { x: 0.5, y: 1 }
+      ]);
+
+      expect(outputPixel(canvas, 0, 0)).toEqual([5, 0, 0, 255]);
+      expect(outputPixel(canvas, 2, 0)).toEqual([25, 0, 0, 255]);
+    });
+
+    it('should throw for corners that do not form a quadrilateral', () => {
+      expect(() => corrector.rectify({ width: 10, height: 10 }, [square[0], square[2], square[1], square[3]]))
+        .toThrow('Invalid perspective corners');
+    });
+  });
+
+  describe('_sampleBilinear', () => {
+    it('should not darken the print where it meets transparent pixels', () => {
+      // Opaque red next to transparent black
+      const source = new Uint8ClampedArray([255, 0, 0, 255, 0, 0, 0, 0]);
+      const output = new Uint8ClampedArray(4);
+
+      corrector._sampleBilinear(source, 2, 1, 0.5, 0, output, 0);
+
+      expect(Array.from(output)).toEqual([255, 0, 0, 128]);
+    });
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Unit tests for UsageLedger
+ *
+ * Tests recording and persisting API calls, budget tracking per day and
+ * month, CSV export and change notifications.
+ */
+
+import { UsageLedger } from '@/services/UsageLedger';
+import {
+  USAGE_LEDGER_CONFIG,
+  USAGE_BUDGET_PERIODS,
+  USAGE_OUTCOMES
+} from '@/constants';
+
+/**
+ * Minimal in-memory Storage implementation
+ */
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+describe('UsageLedger', () => {
+  let storage;
+  let time;
+  let ledger;
+
+  const createLedger = (options = {}) => new UsageLedger({ storage, now: () => time, ...options });
+
+  beforeEach(() => {
+    storage = createStorage();
+    time = new Date(2024, 2, 15, 12, 0, 0).getTime();
+    ledger = createLedger();
+  });
+
+  describe('record', () => {
+    it('should store the call details with a timestamp', () => {
+      const record = ledger.record({
+        fileName: 'shirt.jpg',
+        provider: 'removebg',
+        size: 'auto',
+        creditsCharged: 1,
+        outcome: USAGE_OUTCOMES.SUCCESS
+      });
+
+      expect(record).toEqual(expect.objectContaining({
+        timestamp: new Date(time).toISOString(),
+        fileName: 'shirt.jpg',
+        provider: 'removebg',
+        size: 'auto',
+        creditsCharged: 1,
+        outcome: USAGE_OUTCOMES.SUCCESS,
+        errorCode: null
+      }));
+      expect(ledger.getRecords()).toEqual([record]);
+    });
+
+    it('should treat missing credits as zero', () => {
+      const record = ledger.record({ provider: 'local', outcome: USAGE_OUTCOMES.SUCCESS });
+
+      expect(record.creditsCharged).toBe(0);
+    });
+
+    it('should persist records across instances', () => {
+      ledger.record({ fileName: 'a.jpg', creditsCharged: 1, outcome: USAGE_OUTCOMES.SUCCESS });
+
+      expect(createLedger().getRecords()).toHaveLength(1);
+    });
+
+    it('should drop the oldest records beyond the limit', () => {
+      ledger = createLedger({ maxRecords: 2 });
+
+      ledger.record({ fileName: 'a.jpg' });
+      ledger.record({ fileName: 'b.jpg' });
+      ledger.record({ fileName: 'c.jpg' });
+
+      expect(ledger.getRecords().map(record => record.fileName)).toEqual(['b.jpg', 'c.jpg']);
+    });
+
+    it('should keep working when storage is full', () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      storage.setItem = () => {
+        throw new Error('QuotaExceededError');
+      };
+
+      expect(() => ledger.record({ fileName: 'a.jpg' })).not.toThrow();
+      expect(ledger.getRecords()).toHaveLength(1);
+    });
+  });
+
+  describe('budget', () => {
+    it('should default to the configured budget', () => {
+      expect(ledger.getBudget()).toEqual({
+        period: USAGE_LEDGER_CONFIG.BUDGET_PERIOD,
+        limit: USAGE_LEDGER_CONFIG.BUDGET_CREDITS
+      });
+    });
+
+    it('should never be exceeded without a budget', () => {
+      ledger.setBudget({ period: USAGE_BUDGET_PERIODS.MONTH, limit: 0 });
+      ledger.record({ creditsCharged: 100 });
+
+      expect(ledger.getBudgetStatus()).toEqual({
+        period: USAGE_BUDGET_PERIODS.MONTH,
+        limit: 0,
+        used: 100,
+        remaining: null,
+        exceeded: false
+      });
+    });
+
+    it('should count only credits charged in the current month', () => {
+      ledger.setBudget({ period: USAGE_BUDGET_PERIODS.MONTH, limit: 3 });
+
+      time = new Date(2024, 1, 28).getTime();
+      ledger.record({ creditsCharged: 5 });
+      time = new Date(2024, 2, 1, 9).getTime();
+      ledger.record({ creditsCharged: 1 });
+      time = new Date(2024, 2, 15, 12).getTime();
+      ledger.record({ creditsCharged: 1 });
+
+      expect(ledger.getBudgetStatus()).toEqual(expect.objectContaining({
+        used: 2,
+        remaining: 1,
+        exceeded: false
+      }));
+    });
+
+    it('should count only credits charged today for a daily budget', () => {
+      ledger.setBudget({ period: USAGE_BUDGET_PERIODS.DAY, limit: 2 });
+
+      time = new Date(2024, 2, 14, 23, 59).getTime();
+      ledger.record({ creditsCharged: 1 });
+      time = new Date(2024, 2, 15, 8).getTime();
+      ledger.record({ creditsCharged: 1 });
+      ledger.record({ creditsCharged: 1 });
+
+      expect(ledger.getBudgetStatus()).toEqual(expect.objectContaining({
+        used: 2,
+        remaining: 0,
+        exceeded: true
+      }));
+    });
+
+    it('should persist the budget', () => {
+      ledger.setBudget({ period: USAGE_BUDGET_PERIODS.DAY, limit: 5 });
+
+      expect(createLedger().getBudget()).toEqual({ period: USAGE_BUDGET_PERIODS.DAY, limit: 5 });
+    });
+
+    it('should reject invalid budgets', () => {
+      expect(() => ledger.setBudget({ period: 'week', limit: 5 })).toThrow('Invalid budget period');
+      expect(() => ledger.setBudget({ period: USAGE_BUDGET_PERIODS.DAY, limit: -1 })).toThrow('Invalid budget limit');
+      expect(() => ledger.setBudget({ period: USAGE_BUDGET_PERIODS.DAY, limit: '' })).toThrow('Invalid budget limit');
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should export a header and one line per record', () => {
+      ledger.record({
+        fileName: 'shirt.jpg',
+        provider: 'removebg',
+        size: 'auto',
+        creditsCharged: 1,
+        outcome: USAGE_OUTCOMES.SUCCESS
+      });
+      ledger.record({
+        fileName: 'bad.jpg',
+        provider: 'removebg',
+        size: 'auto',
+        outcome: USAGE_OUTCOMES.ERROR,
+        errorCode: 'API_BAD_REQUEST'
+      });
+
+      const lines = ledger.toCsv().replace(/^\uFEFF/, '').trim().split('\r\n');
+
+      expect(lines).toEqual([
+        'timestamp,file,provider,size,credits_charged,outcome,error_code',
+        `${new Date(time).toISOString()},shirt.jpg,removebg,auto,1,success,`,
+        `${new Date(time).toISOString()},bad.jpg,removebg,auto,0,error,API_BAD_REQUEST`
+      ]);
+    });
+
+    it('should quote fields with commas and quotes', () => {
+      ledger.record({ fileName: 'my "best", shirt.jpg' });
+
+      expect(ledger.toCsv()).toContain('"my ""best"", shirt.jpg"');
+    });
+
+    it('should neutralize file names that look like formulas', () => {
+      ledger.record({ fileName: '=HYPERLINK("x").jpg' });
+
+      expect(ledger.toCsv()).toContain('"\'=HYPERLINK(""x"").jpg"');
+    });
+
+    it('should start with a byte order mark', () => {
+      expect(ledger.toCsv().charCodeAt(0)).toBe(0xfeff);
+    });
+  });
+
+  describe('subscribe', () => {
+    it('should notify listeners of new records, budget changes and clears', () => {
+      const listener = jest.fn();
+      ledger.subscribe(listener);
+
+      ledger.record({ fileName: 'a.jpg' });
+      ledger.setBudget({ period: USAGE_BUDGET_PERIODS.DAY, limit: 1 });
+      ledger.clear();
+
+      expect(listener).toHaveBeenCalledTimes(3);
+      expect(ledger.getRecords()).toEqual([]);
+    });
+
+    it('should stop notifying after unsubscribing', () => {
+      const listener = jest.fn();
+      const unsubscribe = ledger.subscribe(listener);
+
+      unsubscribe();
+      ledger.record({ fileName: 'a.jpg' });
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Unit tests for Vectorizer
+ *
+ * Tests tracing color regions into closed outlines, removing speckles,
+ * simplifying and curve fitting the outlines and writing one SVG path
+ * group per color.
+ */
+
+import { Vectorizer } from '@/services/Vectorizer';
+import { createGridPixels, mockCanvasContext, mockImagePixels } from '../helpers/pixels';
+
+const RED = { hex: '#ff0000', r: 255, g: 0, b: 0, pixelCount: 0, coverage: 60 };
+const BLUE = { hex: '#0000ff', r: 0, g: 0, b: 255, pixelCount: 0, coverage: 40 };
+
+/**
+ * Create quantized RGBA pixels from a grid of palette indexes
+ *
+ * @param {Array<string>} rows - One string per row: 'r' red, 'b' blue, '.' transparent
+ * @returns {Object} { pixels, width, height }
+ */
+const createPixels = rows => createGridPixels(rows, {
+  r: [RED.r, RED.g, RED.b, 255],
+  b: [BLUE.r, BLUE.g, BLUE.b, 255]
+});
+
+describe('Vectorizer', () => {
+  let vectorizer;
+  let context;
+
+  beforeEach(() => {
+    vectorizer = new Vectorizer();
+    context = mockCanvasContext();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  /**
+   * Make the quantizer return the given rows as the quantized design
+   */
+  const useDesign = (rows, palette = [RED, BLUE]) => {
+    const { pixels, width, height } = createPixels(rows);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    mockImagePixels(context, pixels, width, height);
+    jest.spyOn(vectorizer.colorQuantizer, 'quantize').mockResolvedValue({ canvas, palette });
+    return { width, height };
+  };
+
+  const parse = svg => new DOMParser().parseFromString(svg, 'image/svg+xml');
+
+  describe('vectorize', () => {
+    it('should trace a filled square', async () => {
+      const image = useDesign([
+        '........',
+        '........',
+        '..rrrr..',
+        '..rrrr..',
+        '..rrrr..',
+        '..rrrr..',
+        '........',
+        '........'
+      ]);
+
+      const { svg, width, height, layers } = await vectorizer.vectorize(image);
+
+      expect(width).toBe(8);
+      expect(height).toBe(8);
+      expect(layers).toEqual([{ hex: '#ff0000', coverage: 60, paths: 1 }]);
+      const path = parse(svg).querySelector('g[fill="#ff0000"] path');
+      expect(path.getAttribute('d')).toBe('M2 2L6 2L6 6L2 6Z');
+    });
+
+    it('should write one path group per color', async () => {
+      const image = useDesign([
+        'rrrrbbbb',
+        'rrrrbbbb',
+        'rrrrbbbb',
+        'rrrrbbbb'
+      ]);
+
+      const { svg } = await vectorizer.vectorize(image);
+
+      const document = parse(svg);
+      const root = document.documentElement;
+      expect(root.getAttribute('viewBox')).toBe('0 0 8 4');
+      const groups = document.querySelectorAll('g');
+      expect(Array.from(groups).map(group => group.getAttribute('fill'))).toEqual(['#ff0000', '#0000ff']);
+      expect(groups[1].querySelector('path').getAttribute('d')).toBe('M4 0L8 0L8 4L4 4Z');
+    });
+
+    it('should cut holes with the even-odd fill rule', async () => {
+      const image = useDesign([
+        'rrrrrr',
+        'rrrrrr',
+        'rr..rr',
+        'rr..rr',
+        'rrrrrr',
+        'rrrrrr'
+      ]);
+
+      const { svg, layers } = await vectorizer.vectorize(image, { speckleThreshold: 0 });
+
+      const path = parse(svg).querySelector('path');
+      expect(layers[0].paths).toBe(2);
+      expect(path.getAttribute('fill-rule')).toBe('evenodd');
+      expect(path.getAttribute('d').match(/M/g)).toHaveLength(2);
+    });
+
+    it('should remove speckles smaller than the threshold', async () => {
+      const rows = [
+        'rrrrrr',
+        'rrrrrr',
+        'rrbrrr',
+        'rrrrrr',
+        '......',
+        '.....b'
+      ];
+
+      useDesign(rows);
+      const cleaned = await vectorizer.vectorize({}, { speckleThreshold: 2 });
+      useDesign(rows);
+      const kept = await vectorizer.vectorize({}, { speckleThreshold: 0 });
+
+      expect(cleaned.layers.map(layer => layer.hex)).toEqual(['#ff0000']);
+      expect(cleaned.layers[0].paths).toBe(1);
+      expect(kept.layers.map(layer => layer.hex)).toEqual(['#ff0000', '#0000ff']);
+      expect(kept.layers[1].paths).toBe(2);
+    });
+
+    it('should keep shapes touching only at a corner apart', async () => {
+      const image = useDesign([
+        'rr..',
+        'rr..',
+        '..rr',
+        '..rr'
+      ]);
+
+      const { layers } = await vectorizer.vectorize(image, { speckleThreshold: 0 });
+
+      expect(layers[0].paths).toBe(2);
+    });
+
+    it('should fit curves to round shapes', async () => {
+      const size = 24;
+      const rows = Array.from({ length: size }, (_, y) =>
+        Array.from({ length: size }, (__, x) => (Math.hypot(x + 0.5 - 12, y + 0.5 - 12) < 10 ? 'r' : '.')).join('')
+      );
+      useDesign(rows);
+
+      const curved = await vectorizer.vectorize({});
+      useDesign(rows);
+      const polygon = await vectorizer.vectorize({}, { curveFitting: false });
+
+      const curvedPath = parse(curved.svg).querySelector('path').getAttribute('d');
+      const polygonPath = parse(polygon.svg).querySelector('path').getAttribute('d');
+      expect(curvedPath).toContain('C');
+      expect(polygonPath).not.toContain('C');
+    });
+
+    it('should ask the quantizer for the requested number of colors without dithering', async () => {
+      const image = useDesign(['rb']);
+
+      await vectorizer.vectorize(image, { colors: 2, quantize: { maxColors: 6, dither: true } });
+
+      expect(vectorizer.colorQuantizer.quantize).toHaveBeenCalledWith(image, { maxColors: 6, colors: 2, dither: false });
+    });
+
+    it('should return an empty SVG for a transparent design', async () => {
+      const image = useDesign(['....', '....'], []);
+
+      const { svg, layers } = await vectorizer.vectorize(image);
+
+      expect(layers).toEqual([]);
+      expect(parse(svg).querySelectorAll('path')).toHaveLength(0);
+    });
+  });
+
+  describe('_simplify', () => {
+    it('should straighten a pixel staircase into a diagonal', () => {
+      // Outline of a right triangle drawn with one-pixel steps
+      const staircase = [{ x: 0, y: 0 }];
+      for (let i = 1; i <= 10; i++) {
+        staircase.push({ x: i, y: i - 1 }, { x: i, y: i });
+      }
+      staircase.push({ x: 0, y: 10 });
+
+      const simplified = vectorizer._simplify(staircase, 1);
+
+      expect(simplified.length).toBeLessThanOrEqual(4);
+      expect(simplified).toContainEqual({ x: 0, y: 10 });
+      expect(simplified).toContainEqual({ x: 10, y: 10 });
+    });
+  });
+
+  describe('_turnAngle', () => {
+    it('should measure how sharply the outline turns', () => {
+      expect(vectorizer._turnAngle({ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 })).toBeCloseTo(0);
+      expect(vectorizer._turnAngle({ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 })).toBeCloseTo(90);
+      expect(vectorizer._turnAngle({ x: 1, y: 0 }, { x: 0, y: 0 }, { x: 1, y: 0.001 })).toBeCloseTo(180, 0);
+    });
+  });
+});
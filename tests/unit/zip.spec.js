@@ -0,0 +1,206 @@
+/**
+ * Unit tests for ZIP utilities
+ *
+ * Tests reading stored and deflated entries from ZIP archives
+ * given as Blob, ArrayBuffer or Uint8Array, and writing archives.
+ */
+
+import zlib from 'zlib';
+import { DecompressionStream } from 'stream/web';
+import { readZip, createZip, crc32, blobToArrayBuffer, ZIP_COMPRESSION } from '@/utils/zip';
+
+/**
+ * Build a minimal ZIP archive (no CRC, which the reader does not verify)
+ */
+function buildZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  entries.forEach(({ name, content, method = ZIP_COMPRESSION.STORED }) => {
+    const raw = Buffer.from(content);
+    const data = method === ZIP_COMPRESSION.DEFLATED ? zlib.deflateRawSync(raw) : raw;
+    const nameBytes = Buffer.from(name);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBytes);
+
+    offset += local.length + nameBytes.length + data.length;
+  });
+
+  const centralDirectory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return new Uint8Array(Buffer.concat([...locals, centralDirectory, end]));
+}
+
+const toText = (bytes) => Buffer.from(bytes).toString();
+
+describe('ZIP Utilities', () => {
+  describe('readZip', () => {
+    it('should read stored entries from a Uint8Array', async () => {
+      const zip = buildZip([
+        { name: 'color.jpg', content: 'jpeg-bytes' },
+        { name: 'alpha.png', content: 'png-bytes' }
+      ]);
+
+      const files = await readZip(zip);
+
+      expect(Object.keys(files)).toEqual(['color.jpg', 'alpha.png']);
+      expect(toText(files['color.jpg'])).toBe('jpeg-bytes');
+      expect(toText(files['alpha.png'])).toBe('png-bytes');
+    });
+
+    it('should read entries from a Blob', async () => {
+      const zip = buildZip([{ name: 'a.txt', content: 'hello' }]);
+
+      const files = await readZip(new Blob([zip], { type: 'application/zip' }));
+
+      expect(toText(files['a.txt'])).toBe('hello');
+    });
+
+    it('should skip directory entries', async () => {
+      const zip = buildZip([
+        { name: 'images/', content: '' },
+        { name: 'images/a.txt', content: 'nested' }
+      ]);
+
+      const files = await readZip(zip.buffer);
+
+      expect(Object.keys(files)).toEqual(['images/a.txt']);
+    });
+
+    describe('deflated entries', () => {
+      const originalDecompressionStream = global.DecompressionStream;
+
+      afterEach(() => {
+        global.DecompressionStream = originalDecompressionStream;
+      });
+
+      it('should inflate deflated entries with DecompressionStream', async () => {
+        global.DecompressionStream = DecompressionStream;
+        const content = 'repeated content '.repeat(100);
+        const zip = buildZip([{ name: 'big.txt', content, method: ZIP_COMPRESSION.DEFLATED }]);
+
+        const files = await readZip(zip);
+
+        expect(toText(files['big.txt'])).toBe(content);
+      });
+
+      it('should reject when DecompressionStream is not available', async () => {
+        delete global.DecompressionStream;
+        const zip = buildZip([{ name: 'a.txt', content: 'x', method: ZIP_COMPRESSION.DEFLATED }]);
+
+        await expect(readZip(zip)).rejects.toThrow('DecompressionStream is not supported');
+      });
+    });
+
+    it('should reject unsupported compression methods', async () => {
+      const zip = buildZip([{ name: 'a.txt', content: 'x', method: 12 }]);
+
+      await expect(readZip(zip)).rejects.toThrow('Unsupported ZIP compression method 12');
+    });
+
+    it('should reject data that is not a ZIP archive', async () => {
+      await expect(readZip(new Uint8Array(10))).rejects.toThrow('Invalid ZIP archive');
+      await expect(readZip(new Uint8Array(64))).rejects.toThrow('end of central directory not found');
+    });
+  });
+
+  describe('createZip', () => {
+    const readBytes = async blob => new Uint8Array(await blobToArrayBuffer(blob));
+
+    it('should write entries that can be read back', async () => {
+      const zip = await createZip([
+        { name: 'manifest.json', data: '{"inks":[]}' },
+        { name: 'composite.png', data: new Blob(['png-bytes'], { type: 'image/png' }) },
+        { name: 'raw.bin', data: new Uint8Array([1, 2, 3]) }
+      ]);
+
+      const files = await readZip(zip);
+
+      expect(zip.type).toBe('application/zip');
+      expect(Object.keys(files)).toEqual(['manifest.json', 'composite.png', 'raw.bin']);
+      expect(toText(files['manifest.json'])).toBe('{"inks":[]}');
+      expect(toText(files['composite.png'])).toBe('png-bytes');
+      expect(Array.from(files['raw.bin'])).toEqual([1, 2, 3]);
+    });
+
+    it('should record the checksum, sizes and date of each entry', async () => {
+      const zip = await createZip([{ name: 'a.txt', data: 'hello' }], { date: new Date(2024, 2, 15, 10, 30, 20) });
+
+      const bytes = Buffer.from(await readBytes(zip));
+
+      expect(bytes.readUInt32LE(0)).toBe(0x04034b50);
+      expect(bytes.readUInt16LE(8)).toBe(ZIP_COMPRESSION.STORED);
+      expect(bytes.readUInt32LE(14)).toBe(0x3610a686);
+      expect(bytes.readUInt32LE(18)).toBe(5);
+      expect(bytes.readUInt32LE(22)).toBe(5);
+      expect(bytes.readUInt16LE(10)).toBe((10 << 11) | (30 << 5) | 10);
+      expect(bytes.readUInt16LE(12)).toBe((44 << 9) | (3 << 5) | 15);
+    });
+
+    it('should store names as UTF-8', async () => {
+      const zip = await createZip([{ name: '分色/01.png', data: 'x' }]);
+
+      const bytes = Buffer.from(await readBytes(zip));
+      const name = Buffer.from('分色/01.png');
+
+      expect(bytes.readUInt16LE(6) & 0x0800).toBe(0x0800);
+      expect(bytes.readUInt16LE(26)).toBe(name.length);
+      expect(bytes.subarray(30, 30 + name.length).equals(name)).toBe(true);
+    });
+
+    it('should write an empty archive', async () => {
+      const zip = await createZip([]);
+
+      expect(await readZip(zip)).toEqual({});
+    });
+
+    it('should reject missing or duplicate names', async () => {
+      await expect(createZip([{ name: '', data: 'x' }])).rejects.toThrow('name must be a non-empty string');
+      await expect(createZip([{ name: 'a.txt', data: 'x' }, { name: 'a.txt', data: 'y' }]))
+        .rejects.toThrow('duplicate name a.txt');
+    });
+
+    it('should reject unsupported data', async () => {
+      await expect(createZip([{ name: 'a.txt', data: 42 }])).rejects.toThrow('Invalid ZIP entry data');
+    });
+  });
+
+  describe('crc32', () => {
+    it('should compute the standard CRC-32 check value', () => {
+      const bytes = new Uint8Array(Buffer.from('123456789'));
+
+      expect(crc32(bytes)).toBe(0xcbf43926);
+      expect(crc32(new Uint8Array(0))).toBe(0);
+    });
+  });
+
+  describe('blobToArrayBuffer', () => {
+    it('should read blob contents', async () => {
+      const buffer = await blobToArrayBuffer(new Blob(['abc']));
+
+      expect(toText(new Uint8Array(buffer))).toBe('abc');
+    });
+  });
+});
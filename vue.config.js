@@ -14,13 +14,11 @@ module.exports = defineConfig({
         pathRewrite: {
           '^/api/remove-bg': ''
         },
-        headers: {
-          'X-Api-Key': process.env.VUE_APP_REMOVE_BG_API_KEY
-        },
         onProxyReq: (proxyReq) => {
-          // 添加 API 密钥到请求头
-          if (process.env.VUE_APP_REMOVE_BG_API_KEY) {
-            proxyReq.setHeader('X-Api-Key', process.env.VUE_APP_REMOVE_BG_API_KEY);
+          // 添加 API 密钥到请求头（优先使用不会打包进前端的 REMOVE_BG_API_KEY）
+          const apiKey = process.env.REMOVE_BG_API_KEY || process.env.VUE_APP_REMOVE_BG_API_KEY;
+          if (apiKey) {
+            proxyReq.setHeader('X-Api-Key', apiKey);
           }
         }
       }